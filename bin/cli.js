@@ -4,7 +4,7 @@
  * CLI Interface for ABNF to Railroad Diagram Converter
  */
 
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const path = require('path');
 const fs = require('fs-extra');
 const { glob } = require('glob');
@@ -81,6 +81,21 @@ program
     .option('-t, --title <title>', 'Document title (for single file) or title template')
     .option('-o, --output-dir <dir>', 'Output directory for multiple files')
     .option('-i, --index', 'Generate an index.html file listing all converted files')
+    .addOption(new Option('--core-rules <mode>', 'Include referenced RFC 5234 core rules (ALPHA, DIGIT, ...)')
+        .choices(['none', 'appendix', 'link'])
+        .default('none'))
+    .option('-r, --recover', 'Render the rules that parse and report all syntax errors instead of stopping at the first one')
+    .addOption(new Option('--exact-repetitions <mode>', 'Draw exact repetitions like 8HEXDIG as n copies or as one box labelled "×8"')
+        .choices(['expand', 'count'])
+        .default('expand'))
+    .option('-w, --max-width <width>', 'Wrap sequences to keep diagrams within this width where possible (pixels, or characters with --format text)', (value) => parseInt(value, 10))
+    .option('-l, --links <file>', 'JSON file mapping rule names the grammar does not define to link targets')
+    .addOption(new Option('--format <format>', 'Output an HTML document with SVG diagrams or a plain-text document with text-art diagrams')
+        .choices(['html', 'text'])
+        .default('html'))
+    .option('--ascii', 'Draw text-art diagrams with ASCII characters only (with --format text)')
+    .addOption(new Option('--syntax <syntax>', 'Grammar notation of the input (default: by file extension, .ebnf is W3C EBNF, .iso-ebnf ISO 14977 EBNF, .g4 ANTLR, .peggy peggy)')
+        .choices(['abnf', 'ebnf', 'iso-ebnf', 'antlr', 'peggy']))
     .description('Generate HTML with railroad diagrams from ABNF file(s)')
     .action(async (input, output, options) => {
         const converter = new ABNFToRailroad();
@@ -102,6 +117,9 @@ program
             
             console.log(`Found ${inputFiles.length} file(s) matching pattern: ${input}`);
             
+            // Link targets for references to rules defined elsewhere (other grammars, RFCs)
+            const links = options.links ? await fs.readJson(path.resolve(options.links)) : undefined;
+            
             let successCount = 0;
             let errorCount = 0;
             const processedFiles = [];
@@ -117,7 +135,7 @@ program
                         // Multiple files or output directory specified
                         const inputDir = options.outputDir ? path.resolve(options.outputDir) : path.dirname(inputFile);
                         const inputName = path.basename(inputFile, path.extname(inputFile));
-                        outputFile = path.join(inputDir, inputName + '.html');
+                        outputFile = path.join(inputDir, inputName + (options.format === 'text' ? '.txt' : '.html'));
                         
                         // Ensure output directory exists
                         await fs.ensureDir(path.dirname(outputFile));
@@ -129,11 +147,27 @@ program
                     // Generate title from filename if not specified
                     const title = options.title || `${path.basename(inputFile, path.extname(inputFile))} Grammar`;
                     
-                    const conversionOptions = { title };
+                    const conversionOptions = {
+                        title,
+                        coreRules: options.coreRules,
+                        recover: options.recover,
+                        exactRepetitions: options.exactRepetitions,
+                        maxWidth: options.maxWidth,
+                        links,
+                        format: options.format,
+                        ascii: options.ascii,
+                        syntax: options.syntax
+                    };
                     const result = await converter.convert(inputFile, outputFile, conversionOptions);
                     
                     if (result.success) {
-                        console.log(`✓ Success! Generated HTML with ${result.rulesCount} rules.`);
+                        const diagnosticCount = result.diagnostics.length;
+                        const outputKind = options.format === 'text' ? 'text' : 'HTML';
+                        if (diagnosticCount > 0) {
+                            console.log(`⚠ Generated ${outputKind} with ${result.rulesCount} rules and ${diagnosticCount} syntax error(s).`);
+                        } else {
+                            console.log(`✓ Success! Generated ${outputKind} with ${result.rulesCount} rules.`);
+                        }
                         successCount++;
                         
                         // Track successful conversions for index generation
@@ -175,8 +209,10 @@ program
 program
     .command('list')
     .argument('<input>', 'ABNF input file or glob pattern')
+    .addOption(new Option('--syntax <syntax>', 'Grammar notation of the input (default: by file extension, .ebnf is W3C EBNF, .iso-ebnf ISO 14977 EBNF, .g4 ANTLR, .peggy peggy)')
+        .choices(['abnf', 'ebnf', 'iso-ebnf', 'antlr', 'peggy']))
     .description('List all rules in ABNF file(s)')
-    .action(async (input) => {
+    .action(async (input, options) => {
         const converter = new ABNFToRailroad();
         
         try {
@@ -198,7 +234,298 @@ program
                 if (inputFiles.length > 1) {
                     console.log(`\n=== ${path.relative(process.cwd(), inputFile)} ===`);
                 }
-                await converter.listRules(inputFile);
+                await converter.listRules(inputFile, { syntax: options.syntax });
+            }
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('check')
+    .argument('<input>', 'ABNF input file or glob pattern')
+    .option('-s, --start <rule>', 'Start rule for the reachability check (default: first rule of each file)')
+    .option('--core-rules', 'Treat referenced RFC 5234 core rules (ALPHA, DIGIT, ...) as defined')
+    .option('--strict', 'Exit with a non-zero code on warnings too')
+    .option('--json', 'Print the report as JSON')
+    .description('Check ABNF file(s) for syntax errors and undefined, unreachable, duplicate or case-colliding rules')
+    .action(async (input, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            // Normalize path separators for cross-platform glob patterns
+            const normalizedInput = input.replace(/\\/g, '/');
+            
+            // Find matching files using glob pattern
+            const inputFiles = await glob(normalizedInput, { 
+                ignore: ['node_modules/**', '**/node_modules/**'],
+                absolute: true 
+            });
+            
+            if (inputFiles.length === 0) {
+                console.error(`Error: No files found matching pattern: ${input}`);
+                process.exit(2);
+            }
+            
+            const reports = [];
+            for (const inputFile of inputFiles) {
+                const report = await converter.checkRules(inputFile, {
+                    startRule: options.start,
+                    coreRules: options.coreRules
+                });
+                reports.push({ ...report, file: path.relative(process.cwd(), inputFile) });
+            }
+            
+            const issues = reports.flatMap(report => report.issues);
+            const errorCount = issues.filter(issue => issue.severity === 'error').length;
+            const warningCount = issues.length - errorCount;
+            
+            if (options.json) {
+                console.log(JSON.stringify({ files: reports, errorCount, warningCount }, null, 2));
+            } else {
+                for (const report of reports) {
+                    for (const issue of report.issues) {
+                        const location = issue.line !== null ? `:${issue.line}:${issue.column}` : '';
+                        console.log(`${report.file}${location}: ${issue.severity}: ${issue.message} [${issue.type}]`);
+                    }
+                }
+                const mark = errorCount > 0 ? '✗' : warningCount > 0 ? '⚠' : '✓';
+                console.log(`${mark} Checked ${reports.length} file(s): ${errorCount} error(s), ${warningCount} warning(s)`);
+            }
+            
+            if (errorCount > 0 || (options.strict && warningCount > 0)) {
+                process.exit(1);
+            }
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(2);
+        }
+    });
+
+program
+    .command('format')
+    .argument('<input>', 'ABNF input file or glob pattern')
+    .option('-w, --write', 'Write the formatted text back to the file(s) instead of printing it')
+    .option('--check', 'Only report files that are not formatted, exiting with a non-zero code if there are any')
+    .option('--width <n>', 'Maximum line length; longer rules are folded onto continuation lines', (value) => parseInt(value, 10), 72)
+    .description('Format ABNF file(s): consistent spacing, aligned "=", folded long rules, comments kept')
+    .action(async (input, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            if (!(options.width > 0)) {
+                throw new Error('--width must be a positive number');
+            }
+            
+            // Normalize path separators for cross-platform glob patterns
+            const normalizedInput = input.replace(/\\/g, '/');
+            
+            // Find matching files using glob pattern
+            const inputFiles = await glob(normalizedInput, { 
+                ignore: ['node_modules/**', '**/node_modules/**'],
+                absolute: true 
+            });
+            
+            if (inputFiles.length === 0) {
+                console.error(`Error: No files found matching pattern: ${input}`);
+                process.exit(2);
+            }
+            
+            const unformatted = [];
+            for (const inputFile of inputFiles) {
+                const result = await converter.formatFile(inputFile, {
+                    width: options.width,
+                    write: options.write && !options.check
+                });
+                const file = path.relative(process.cwd(), inputFile);
+                
+                if (options.check) {
+                    if (result.changed) {
+                        unformatted.push(file);
+                        console.log(`${file}: not formatted`);
+                    }
+                } else if (options.write) {
+                    if (result.changed) {
+                        console.log(`✓ Formatted: ${file}`);
+                    }
+                } else {
+                    process.stdout.write(result.formatted);
+                }
+            }
+            
+            if (options.check) {
+                const mark = unformatted.length > 0 ? '✗' : '✓';
+                console.log(`${mark} Checked ${inputFiles.length} file(s): ${unformatted.length} not formatted`);
+                if (unformatted.length > 0) {
+                    process.exit(1);
+                }
+            }
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(2);
+        }
+    });
+
+program
+    .command('graph')
+    .argument('<input>', 'ABNF input file')
+    .argument('[output]', 'Output file (default: print to stdout)')
+    .addOption(new Option('-f, --format <format>', 'Graph format')
+        .choices(['dot', 'mermaid', 'json'])
+        .default('dot'))
+    .option('-s, --start <rule>', 'Only include rules reachable from this rule')
+    .option('-d, --depth <n>', 'Only include rules at most n references away from the start rule (default start: first rule)', (value) => parseInt(value, 10))
+    .option('--core-rules', 'Include referenced RFC 5234 core rules (ALPHA, DIGIT, ...) as defined rules')
+    .description('Export the rule dependency graph as Graphviz DOT, Mermaid flowchart or JSON')
+    .action(async (input, output, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            if (options.depth !== undefined && !(options.depth >= 0)) {
+                throw new Error('--depth must be a non-negative number');
+            }
+            
+            const graph = await converter.exportGraph(path.resolve(input), {
+                format: options.format,
+                startRule: options.start,
+                depth: options.depth,
+                coreRules: options.coreRules
+            });
+            
+            if (output) {
+                await fs.outputFile(output, graph, 'utf8');
+                console.log(`✓ Graph written: ${output}`);
+            } else {
+                process.stdout.write(graph.endsWith('\n') ? graph : graph + '\n');
+            }
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('svg')
+    .argument('<input>', 'ABNF input file')
+    .option('-o, --output-dir <dir>', 'Output directory (default: <input name>-svg next to the input file)')
+    .option('--rule <names...>', 'Only write these rules (default: all rules)')
+    .option('--core-rules', 'Also write referenced RFC 5234 core rules (ALPHA, DIGIT, ...)')
+    .addOption(new Option('--exact-repetitions <mode>', 'Draw exact repetitions like 8HEXDIG as n copies or as one box labelled "×8"')
+        .choices(['expand', 'count'])
+        .default('expand'))
+    .option('-w, --max-width <pixels>', 'Wrap sequences to keep diagrams within this width where possible', (value) => parseInt(value, 10))
+    .option('-l, --links <file>', 'JSON file mapping rule names the grammar does not define to link targets')
+    .description('Write one standalone SVG file per rule, with embedded styles')
+    .action(async (input, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            const inputFile = path.resolve(input);
+            const outputDir = options.outputDir
+                ? path.resolve(options.outputDir)
+                : path.join(path.dirname(inputFile), `${path.basename(inputFile, path.extname(inputFile))}-svg`);
+            
+            const results = await converter.exportSvgFiles(inputFile, outputDir, {
+                rules: options.rule,
+                coreRules: options.coreRules,
+                exactRepetitions: options.exactRepetitions,
+                maxWidth: options.maxWidth,
+                links: options.links ? await fs.readJson(options.links) : undefined
+            });
+            
+            for (const result of results) {
+                console.log(`✓ ${result.rule} → ${path.relative(process.cwd(), result.file)}`);
+            }
+            console.log(`Wrote ${results.length} SVG file(s) to ${path.relative(process.cwd(), outputDir) || '.'}`);
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('png')
+    .argument('<input>', 'ABNF input file')
+    .option('-o, --output-dir <dir>', 'Output directory (default: <input name>-png next to the input file)')
+    .option('--rule <names...>', 'Only write these rules (default: all rules)')
+    .option('--core-rules', 'Also write referenced RFC 5234 core rules (ALPHA, DIGIT, ...)')
+    .option('--scale <factor>', 'Pixels per diagram pixel', parseFloat, 2)
+    .option('--dpi <dpi>', 'Image resolution in dots per inch (sets the scale: 96 dpi is scale 1)', parseFloat)
+    .addOption(new Option('--exact-repetitions <mode>', 'Draw exact repetitions like 8HEXDIG as n copies or as one box labelled "×8"')
+        .choices(['expand', 'count'])
+        .default('expand'))
+    .option('-w, --max-width <pixels>', 'Wrap sequences to keep diagrams within this width where possible (before scaling)', (value) => parseInt(value, 10))
+    // No --links: PNG images cannot hold hyperlinks
+    .description('Write one PNG image per rule')
+    .action(async (input, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            const scale = options.dpi ? options.dpi / 96 : options.scale;
+            if (!(scale > 0)) {
+                throw new Error('--scale and --dpi must be positive numbers');
+            }
+            
+            const inputFile = path.resolve(input);
+            const outputDir = options.outputDir
+                ? path.resolve(options.outputDir)
+                : path.join(path.dirname(inputFile), `${path.basename(inputFile, path.extname(inputFile))}-png`);
+            
+            const results = await converter.exportPngFiles(inputFile, outputDir, {
+                rules: options.rule,
+                coreRules: options.coreRules,
+                exactRepetitions: options.exactRepetitions,
+                maxWidth: options.maxWidth,
+                scale
+            });
+            
+            for (const result of results) {
+                console.log(`✓ ${result.rule} → ${path.relative(process.cwd(), result.file)}`);
+            }
+            console.log(`Wrote ${results.length} PNG file(s) to ${path.relative(process.cwd(), outputDir) || '.'}`);
+            
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('layout')
+    .argument('<input>', 'ABNF input file')
+    .argument('[output]', 'Output JSON file (default: print to stdout)')
+    .option('--rule <names...>', 'Only export these rules (default: all rules)')
+    .option('--core-rules', 'Also export referenced RFC 5234 core rules (ALPHA, DIGIT, ...)')
+    .addOption(new Option('--exact-repetitions <mode>', 'Lay out exact repetitions like 8HEXDIG as n copies or as one box labelled "×8"')
+        .choices(['expand', 'count'])
+        .default('expand'))
+    .option('-w, --max-width <pixels>', 'Wrap sequences to keep diagrams within this width where possible', (value) => parseInt(value, 10))
+    .option('-l, --links <file>', 'JSON file mapping rule names the grammar does not define to link targets')
+    .description('Export the computed diagram layout (element tree, positions, tracks) as JSON')
+    .action(async (input, output, options) => {
+        const converter = new ABNFToRailroad();
+        
+        try {
+            const layout = await converter.exportLayout(path.resolve(input), {
+                rules: options.rule,
+                coreRules: options.coreRules,
+                exactRepetitions: options.exactRepetitions,
+                maxWidth: options.maxWidth,
+                links: options.links ? await fs.readJson(options.links) : undefined
+            });
+            const json = JSON.stringify(layout, null, 2) + '\n';
+            
+            if (output) {
+                await fs.outputFile(output, json, 'utf8');
+                console.log(`✓ Layout of ${layout.rules.length} rule(s) written: ${output}`);
+            } else {
+                process.stdout.write(json);
             }
             
         } catch (error) {
@@ -214,6 +541,8 @@ program
     .option('-t, --title <title>', 'Document title (for single file) or title template')
     .option('-o, --output-dir <dir>', 'Output directory for multiple files')
     .option('-i, --index', 'Generate an index.html file listing all converted files')
+    .addOption(new Option('--syntax <syntax>', 'Grammar notation of the input (default: by file extension, .ebnf is W3C EBNF, .iso-ebnf ISO 14977 EBNF, .g4 ANTLR, .peggy peggy)')
+        .choices(['abnf', 'ebnf', 'iso-ebnf', 'antlr', 'peggy']))
     .description('Watch ABNF files and source code for changes, regenerate on change')
     .action(async (input, output, options) => {
         console.log('🚀 Starting watch mode...');
@@ -293,7 +622,7 @@ program
                         // Generate title from filename if not specified
                         const title = options.title || `${path.basename(inputFile, path.extname(inputFile))} Grammar`;
                         
-                        const conversionOptions = { title };
+                        const conversionOptions = { title, syntax: options.syntax };
                         const result = await currentConverter.convert(inputFile, outputFile, conversionOptions);
                         
                         if (result.success) {
@@ -405,7 +734,8 @@ program
     });
 
 // Handle the npm script case: npm run generate <file>
-if (process.argv.length >= 3 && process.argv[2] !== 'generate' && process.argv[2] !== 'list' && process.argv[2] !== 'watch') {
+const commandNames = program.commands.flatMap(command => [command.name(), ...command.aliases()]);
+if (process.argv.length >= 3 && !commandNames.includes(process.argv[2])) {
     // If called as: node bin/cli.js file.abnf
     // Transform it to: node bin/cli.js generate file.abnf
     const args = process.argv.slice(2);
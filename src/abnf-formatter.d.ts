@@ -0,0 +1,49 @@
+/**
+ * Type definitions for ABNF Formatter
+ */
+
+import { ABNFParser } from './abnf-parser';
+
+export interface FormatOptions {
+  /**
+   * Maximum line length (default 72); longer rules are folded onto continuation lines
+   * (a single element longer than that is never split)
+   */
+  width?: number;
+}
+
+/**
+ * Prints ABNF back in canonical form: consistent spacing, '=' aligned within each paragraph
+ * of rules, long rules folded onto indented continuation lines (one alternative per line
+ * with '/' below '=', or sequences filled up to the width) and comments kept next to the
+ * code they annotate. Runs of blank lines shrink to one.
+ */
+export declare class ABNFFormatter {
+  /** Parser for the definitions to format */
+  parser: ABNFParser;
+
+  /**
+   * Create a new ABNF formatter
+   */
+  constructor();
+
+  /**
+   * Format ABNF source text
+   * @param abnfContent The ABNF file content
+   * @param options Format options
+   * @returns Formatted ABNF, ending with a line break (empty for an empty file)
+   * @throws ABNFParseError if the content has a syntax error
+   */
+  format(abnfContent: string, options?: FormatOptions): string;
+
+  /**
+   * Check whether ABNF source text is already formatted
+   * @param abnfContent The ABNF file content
+   * @param options Format options
+   * @returns True if formatting would not change the text
+   * @throws ABNFParseError if the content has a syntax error
+   */
+  isFormatted(abnfContent: string, options?: FormatOptions): boolean;
+}
+
+export default ABNFFormatter;
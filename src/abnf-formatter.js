@@ -0,0 +1,452 @@
+/**
+ * ABNF Formatter
+ *
+ * Prints parsed ABNF definitions back as canonical ABNF: consistent spacing, '=' aligned
+ * within each paragraph of rules, long rules folded onto indented continuation lines
+ * (RFC 5234 section 4), also inside groups and options, and comments kept next to the
+ * code they annotate.
+ */
+
+const ABNFParser = require('./abnf-parser');
+
+/**
+ * Default maximum line length: the line length of RFC documents
+ * @type {number}
+ */
+const DEFAULT_WIDTH = 72;
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {number} [width=72] - Maximum line length; longer rules are folded onto continuation
+ *   lines (a single element longer than that is never split)
+ */
+
+/**
+ * @typedef {Object} FormattedPart
+ * @property {string} text - Canonical ABNF of a top-level alternative or sequence element
+ * @property {ASTNode} node - Its AST node
+ * @property {string|null} parentType - Type of the expression it is part of (null if it is
+ *   the whole expression)
+ * @property {string[]} leading - Comments written on their own lines before it
+ * @property {string[]} trailing - Comments written after it on its last line
+ */
+
+/**
+ * Formats ABNF source text
+ */
+class ABNFFormatter {
+    /**
+     * Create a new ABNF formatter
+     */
+    constructor() {
+        /** @type {ABNFParser} Parser for the definitions to format */
+        this.parser = new ABNFParser();
+    }
+
+    /**
+     * Format ABNF source text. Runs of blank lines shrink to one, CRLF line endings are kept.
+     * @param {string} abnfContent - The ABNF file content
+     * @param {FormatOptions} [options={}] - Format options
+     * @returns {string} Formatted ABNF, ending with a line break (empty for an empty file)
+     * @throws {ABNFParseError} If the content has a syntax error
+     */
+    format(abnfContent, options = {}) {
+        const width = options.width || DEFAULT_WIDTH;
+        const comments = [];
+        const definitions = this.parser.parseDefinitions(abnfContent, { comments });
+        const sourceLines = abnfContent.split(/\r?\n/);
+
+        // Comments on a definition's lines belong to it, and so do indented comment lines
+        // right below it; the others stand on their own lines
+        const items = definitions.map(definition => ({ definition, line: definition.line, endLine: definition.endLine, comments: [] }));
+        for (const comment of comments) {
+            const indented = /^\s/.test(sourceLines[comment.line - 1]);
+            const owner = items.find(item => item.definition && comment.line >= item.line
+                && comment.line <= item.endLine + (indented ? 1 : 0));
+            if (owner) {
+                owner.comments.push(comment);
+                owner.endLine = Math.max(owner.endLine, comment.line);
+            } else {
+                items.push({ comment, line: comment.line, endLine: comment.line });
+            }
+        }
+        items.sort((a, b) => a.line - b.line);
+
+        // Blank lines separate paragraphs, in which the '=' of all rules line up
+        const lines = [];
+        let paragraph = [];
+        const flush = () => {
+            const nameWidth = Math.max(0, ...paragraph.filter(item => item.definition).map(item => item.definition.name.length));
+            for (const item of paragraph) {
+                if (item.definition) {
+                    lines.push(...this._formatDefinition(item.definition, item.comments, sourceLines, nameWidth, width));
+                } else {
+                    lines.push(item.comment.value);
+                }
+            }
+            paragraph = [];
+        };
+        items.forEach((item, index) => {
+            if (index > 0 && item.line - items[index - 1].endLine > 1) {
+                flush();
+                lines.push('');
+            }
+            paragraph.push(item);
+        });
+        flush();
+
+        if (lines.length === 0) {
+            return '';
+        }
+        const newline = abnfContent.includes('\r\n') ? '\r\n' : '\n';
+        return lines.map(line => line.trimEnd()).join(newline) + newline;
+    }
+
+    /**
+     * Check whether ABNF source text is already formatted
+     * @param {string} abnfContent - The ABNF file content
+     * @param {FormatOptions} [options={}] - Format options
+     * @returns {boolean} True if formatting would not change the text
+     * @throws {ABNFParseError} If the content has a syntax error
+     */
+    isFormatted(abnfContent, options = {}) {
+        return this.format(abnfContent, options) === abnfContent;
+    }
+
+    /**
+     * Print one definition: on a single line if it fits, otherwise with one alternative
+     * per line ('/' below '=') or with its sequence filled onto continuation lines
+     * @param {ParsedDefinition} definition - Parsed definition
+     * @param {Token[]} comments - Comment tokens on the definition's lines and indented below it
+     * @param {string[]} sourceLines - Lines of the original content
+     * @param {number} nameWidth - Width the rule name is padded to
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Output lines
+     * @private
+     */
+    _formatDefinition(definition, comments, sourceLines, nameWidth, width) {
+        const { expression } = definition;
+        const header = `${definition.name.padEnd(nameWidth)} ${definition.incremental ? '=/' : '='} `;
+        const indent = ' '.repeat(header.length);
+        const parts = this._topLevelParts(expression);
+        this._attachComments(parts, comments.filter(comment => comment.line <= definition.endLine), sourceLines);
+        // Indented comment lines below the definition continue its last comment
+        const below = comments.filter(comment => comment.line > definition.endLine).map(comment => indent + comment.value);
+        return [...this._formatExpression(expression, parts, header, width), ...below];
+    }
+
+    /**
+     * Print the expression of a definition after its header
+     * @param {ASTNode} expression - Expression of the definition
+     * @param {FormattedPart[]} parts - Its top-level parts, with their comments
+     * @param {string} header - Rule name and '=' (or '=/')
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Output lines
+     * @private
+     */
+    _formatExpression(expression, parts, header, width) {
+        const indent = ' '.repeat(header.length);
+        const separator = expression.type === 'alternation' ? ' / ' : ' ';
+        const singleLine = header + parts.map(part => part.text).join(separator);
+        const last = parts[parts.length - 1];
+        const onlyTrailing = parts.every(part => part.leading.length === 0 && (part === last || part.trailing.length === 0));
+        if (onlyTrailing && singleLine.length <= width) {
+            return this._withTrailing([singleLine], last.trailing);
+        }
+
+        if (expression.type !== 'alternation') {
+            return this._fill(parts, header, indent, width);
+        }
+
+        // Alternatives go on their own lines, with the '/' below the '=' (continuation lines
+        // must start with white space)
+        const alternativePrefix = `${' '.repeat(header.length - 2)}/ `;
+        return parts.flatMap((part, index) => {
+            const prefix = index === 0 ? header : alternativePrefix;
+            // Comments cannot precede the rule name on its line, so they go above it
+            const leadingIndent = index === 0 ? '' : indent;
+            const lines = part.leading.map(comment => leadingIndent + comment);
+
+            if (part.node.type === 'sequence' && (prefix + part.text).length > width) {
+                const elements = this._topLevelParts(part.node);
+                elements[elements.length - 1].trailing = part.trailing;
+                lines.push(...this._fill(elements, prefix, ' '.repeat(prefix.length), width));
+            } else {
+                const folded = this._fold(part.node, part.parentType, prefix.length, width);
+                lines.push(...this._withTrailing([prefix + folded[0], ...folded.slice(1)], part.trailing));
+            }
+            return lines;
+        });
+    }
+
+    /**
+     * Fill lines with space-separated parts, starting continuation lines at the indent.
+     * A part with comments starts or ends a line so its comments stay next to it; a part
+     * too long for a line of its own is folded inside its brackets.
+     * @param {FormattedPart[]} parts - Parts to print
+     * @param {string} firstPrefix - Start of the first line
+     * @param {string} indent - Start of the continuation lines
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Output lines
+     * @private
+     */
+    _fill(parts, firstPrefix, indent, width) {
+        const lines = [];
+        let line = null;
+
+        for (const part of parts) {
+            if (part.leading.length > 0 && line !== null) {
+                lines.push(line);
+                line = null;
+            }
+            lines.push(...part.leading.map(comment => (lines.length === 0 && line === null ? '' : indent) + comment));
+
+            let start;
+            if (line === null) {
+                start = lines.length === 0 ? firstPrefix : indent;
+            } else if (line.length + 1 + part.text.length <= width) {
+                start = line + ' ';
+            } else {
+                lines.push(line);
+                start = indent;
+            }
+            const folded = this._fold(part.node, part.parentType, start.length, width);
+            line = start + folded[0];
+            for (const next of folded.slice(1)) {
+                lines.push(line);
+                line = next;
+            }
+
+            if (part.trailing.length > 0) {
+                lines.push(...this._withTrailing([line], part.trailing));
+                line = null;
+            }
+        }
+
+        if (line !== null) {
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Split an expression into the parts its lines may break between: the alternatives of
+     * an alternation, the elements of a sequence, or the expression itself
+     * @param {ASTNode} expression - Expression to split
+     * @returns {FormattedPart[]} Parts without comments
+     * @private
+     */
+    _topLevelParts(expression) {
+        const nodes = expression.type === 'alternation' || expression.type === 'sequence' ? expression.elements : [expression];
+        const parentType = nodes.length === 1 ? null : expression.type;
+        return nodes.map(node => ({
+            text: parentType === null ? this._print(node) : this._printChild(node, parentType),
+            node,
+            parentType,
+            leading: [],
+            trailing: []
+        }));
+    }
+
+    /**
+     * Attach each comment to a part: a comment on its own line to the part after it,
+     * a comment after code to the last part starting on or before its line
+     * @param {FormattedPart[]} parts - Parts of the definition (modified in place)
+     * @param {Token[]} comments - Comment tokens on the definition's lines and indented below it
+     * @param {string[]} sourceLines - Lines of the original content
+     * @returns {void}
+     * @private
+     */
+    _attachComments(parts, comments, sourceLines) {
+        const startLine = (part) => (part.node.span ? part.node.span.start.line : 0);
+
+        for (const comment of comments) {
+            const text = comment.value.trimEnd();
+            const ownLine = sourceLines[comment.line - 1].trim().startsWith(';');
+            const next = ownLine ? parts.find(part => startLine(part) > comment.line) : undefined;
+            if (next) {
+                next.leading.push(text);
+                continue;
+            }
+
+            const owner = parts.filter(part => startLine(part) <= comment.line).pop() || parts[0];
+            owner.trailing.push(text);
+        }
+
+        // Only one comment fits after a part; the earlier ones go above it
+        for (const part of parts) {
+            if (part.trailing.length > 1) {
+                part.leading.push(...part.trailing.slice(0, -1));
+                part.trailing = part.trailing.slice(-1);
+            }
+        }
+    }
+
+    /**
+     * Append a trailing comment to the last of the lines
+     * @param {string[]} lines - Output lines
+     * @param {string[]} trailing - At most one comment
+     * @returns {string[]} Lines with the comment
+     * @private
+     */
+    _withTrailing(lines, trailing) {
+        if (trailing.length === 0) {
+            return lines;
+        }
+        return [...lines.slice(0, -1), `${lines[lines.length - 1]} ${trailing[0]}`];
+    }
+
+    /**
+     * Print an expression as canonical ABNF
+     * @param {ASTNode} node - AST node
+     * @returns {string} ABNF text
+     * @private
+     */
+    _print(node) {
+        switch (node.type) {
+            case 'terminal':
+            case 'nonterminal':
+                return node.text;
+
+            case 'prose':
+                return `<${node.text}>`;
+
+            case 'sequence':
+                return node.elements.map(element => this._printChild(element, 'sequence')).join(' ');
+
+            case 'alternation':
+                return node.elements.map(element => this._printChild(element, 'alternation')).join(' / ');
+
+            case 'optional':
+                return `[${this._print(node.elements[0])}]`;
+
+            case 'repetition': {
+                const { min, max } = node;
+                const prefix = min === max ? `${min}` : `${min > 0 ? min : ''}*${max === null ? '' : max}`;
+                return prefix + this._printChild(node.elements[0], 'repetition');
+            }
+
+            default:
+                throw new Error(`Cannot print ${node.type} nodes as ABNF`);
+        }
+    }
+
+    /**
+     * Print an element inside a sequence, alternation or repetition, grouping it in
+     * parentheses where the operator precedence requires
+     * @param {ASTNode} node - Child node
+     * @param {string} parentType - Type of the enclosing node
+     * @returns {string} ABNF text
+     * @private
+     */
+    _printChild(node, parentType) {
+        const text = this._print(node);
+        return this._isGrouped(node, parentType) ? `(${text})` : text;
+    }
+
+    /**
+     * Check whether an element needs parentheses inside its parent
+     * @param {ASTNode} node - Child node
+     * @param {string} parentType - Type of the enclosing node
+     * @returns {boolean} True if the operator precedence requires a group
+     * @private
+     */
+    _isGrouped(node, parentType) {
+        return node.type === 'alternation'
+            || (node.type === 'sequence' && parentType !== 'alternation')
+            || (node.type === 'repetition' && parentType === 'repetition');
+    }
+
+    /**
+     * Print an expression starting at a column, folding it inside its brackets if it is
+     * longer than the rest of the line: continuation lines start at the column of the first
+     * element (with the '/' of an alternative), inside the brackets
+     * @param {ASTNode} node - AST node
+     * @param {string|null} parentType - Type of the enclosing node (null: printed on its own)
+     * @param {number} column - Column the expression starts at
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Lines of the expression: the first without indentation, the
+     *   continuation lines indented
+     * @private
+     */
+    _fold(node, parentType, column, width) {
+        const text = parentType === null ? this._print(node) : this._printChild(node, parentType);
+        if (column + text.length <= width) {
+            return [text];
+        }
+
+        if (parentType !== null && this._isGrouped(node, parentType)) {
+            return this._foldBrackets('(', node, ')', column, width);
+        }
+        switch (node.type) {
+            case 'sequence':
+            case 'alternation':
+                return this._foldList(node, column, width);
+
+            case 'optional':
+                return this._foldBrackets('[', node.elements[0], ']', column, width);
+
+            case 'repetition': {
+                const prefix = text.slice(0, text.length - this._printChild(node.elements[0], 'repetition').length);
+                const lines = this._fold(node.elements[0], 'repetition', column + prefix.length, width);
+                return [prefix + lines[0], ...lines.slice(1)];
+            }
+
+            default:
+                return [text]; // A single element is never split
+        }
+    }
+
+    /**
+     * Fold an expression inside brackets, keeping room for the closing bracket
+     * @param {string} open - Opening bracket
+     * @param {ASTNode} node - Expression inside the brackets
+     * @param {string} close - Closing bracket
+     * @param {number} column - Column of the opening bracket
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Lines as returned by _fold
+     * @private
+     */
+    _foldBrackets(open, node, close, column, width) {
+        const lines = this._fold(node, null, column + open.length, width - close.length);
+        lines[0] = open + lines[0];
+        lines[lines.length - 1] += close;
+        return lines;
+    }
+
+    /**
+     * Fold the elements of a sequence or the alternatives of an alternation, filling lines
+     * @param {ASTNode} node - Sequence or alternation node
+     * @param {number} column - Column of the first element
+     * @param {number} width - Maximum line length
+     * @returns {string[]} Lines as returned by _fold
+     * @private
+     */
+    _foldList(node, column, width) {
+        const alternation = node.type === 'alternation';
+        const indent = ' '.repeat(column);
+        const lines = [];
+        let line = indent;
+
+        node.elements.forEach((element, index) => {
+            const lead = index > 0 && alternation ? '/ ' : '';
+            let start = index === 0 ? line : `${line} ${lead}`;
+            if (index > 0 && start.length + this._printChild(element, node.type).length > width) {
+                lines.push(line);
+                start = indent + lead;
+            }
+            const folded = this._fold(element, node.type, start.length, width);
+            line = start + folded[0];
+            for (const next of folded.slice(1)) {
+                lines.push(line);
+                line = next;
+            }
+        });
+
+        lines.push(line);
+        lines[0] = lines[0].slice(column);
+        return lines;
+    }
+}
+
+module.exports = ABNFFormatter;
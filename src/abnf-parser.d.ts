@@ -2,28 +2,106 @@
  * Type definitions for ABNF Parser
  */
 
+import { RuleMap } from './rule-map';
+
+export interface Position {
+  /** Line number (1-based) */
+  line: number;
+  /** Column number (1-based) */
+  column: number;
+  /** Byte offset (UTF-8, 0-based) from the start of the input */
+  offset: number;
+}
+
+export interface SourceSpan {
+  /** Position of the first character */
+  start: Position;
+  /** Position just after the last character (exclusive) */
+  end: Position;
+}
+
 export interface ASTNode {
   /** Node type */
   type: 'textBox' | 'sequence' | 'stack' | 'bypass' | 'loop';
   /** Text content (for textBox nodes) */
   text?: string;
   /** Box type (for textBox nodes) */
-  boxType?: 'terminal' | 'nonterminal';
+  boxType?: 'terminal' | 'nonterminal' | 'prose';
   /** Whether terminal was originally quoted in ABNF (for textBox terminals only) */
   quoted?: boolean;
   /** Child nodes (for container nodes) */
   elements?: ASTNode[];
   /** Single child node (for wrapper nodes) */
   element?: ASTNode;
+  /** Source span (null for synthesized nodes) */
+  span?: SourceSpan | null;
+}
+
+export interface RuleDefinition {
+  /** Rule name as spelled in this definition */
+  name: string;
+  /** Line number (1-based) where the definition starts */
+  line: number;
+  /** Original ABNF text of this definition (after '=' or '=/') */
+  text: string;
+  /** Whether this definition used the incremental '=/' form */
+  incremental: boolean;
 }
 
 export interface ParsedRule {
-  /** Rule name (left-hand side of the rule) */
+  /** Rule name as spelled in its first definition */
   name: string;
   /** Original ABNF rule definition */
   original: string;
   /** Generated AST representing the parsed rule */
   expression: ASTNode;
+  /** All definitions of the rule in source order, including '=' definitions replaced by a later duplicate */
+  definitions: RuleDefinition[];
+  /** Documentation from the comments directly above the rule and trailing comments on its lines */
+  doc: string | null;
+  /** True for RFC 5234 core rules merged from the bundled grammar */
+  core?: boolean;
+  /** True for ANTLR lexer rules; references to them are drawn as terminals */
+  lexer?: boolean;
+  /** True for ANTLR lexer fragments, which only other lexer rules reference */
+  fragment?: boolean;
+}
+
+export interface ParsedDefinition {
+  /** Rule name as spelled in this definition */
+  name: string;
+  /** Whether this definition used the incremental '=/' form */
+  incremental: boolean;
+  /** Line number (1-based) of the rule name */
+  line: number;
+  /** Line number (1-based) of the definition's last token */
+  endLine: number;
+  /** AST of this definition alone */
+  expression: ASTNode;
+}
+
+export interface ParseOptions {
+  /** Merge the RFC 5234 core rules referenced but not defined by the grammar */
+  coreRules?: boolean;
+  /**
+   * Enables error recovery: every parse error is collected here, the offending rule
+   * is skipped and the remaining rules are still returned
+   */
+  errors?: ABNFParseError[];
+}
+
+/**
+ * Error raised for ABNF syntax errors, with position information
+ */
+export declare class ABNFParseError extends Error {
+  /** Line number (1-based) */
+  line: number | null;
+  /** Column number (1-based) */
+  column: number | null;
+  /** Token that caused the error */
+  token: { type: string; value: string; line: number; column: number } | null;
+
+  constructor(message: string, line?: number, column?: number, token?: object);
 }
 
 /**
@@ -38,9 +116,24 @@ export declare class ABNFParser {
   /**
    * Parse an ABNF file content and extract rules
    * @param abnfContent The ABNF file content
+   * @param options Parse options
    * @returns Parsed rules with original ABNF and AST
+   * @throws ABNFParseError on the first syntax error (unless options.errors is provided)
+   */
+  parse(abnfContent: string, options?: ParseOptions): RuleMap<ParsedRule>;
+
+  /**
+   * Parse each rule definition on its own, in source order: '=/' definitions are not
+   * merged into their rule and repeated definitions are all kept (e.g. for reformatting)
+   * @param abnfContent The ABNF file content
+   * @param options Collects the comment tokens of the file when given
+   * @returns Definitions in source order
+   * @throws ABNFParseError on the first syntax error, including text outside of a rule definition
    */
-  parse(abnfContent: string): Map<string, ParsedRule>;
+  parseDefinitions(
+    abnfContent: string,
+    options?: { comments?: Array<{ type: string; value: string; line: number; column: number }> }
+  ): ParsedDefinition[];
 }
 
 export default ABNFParser;
\ No newline at end of file
@@ -10,11 +10,15 @@
 const {
     TerminalNode,
     NonterminalNode,
+    ProseNode,
     SequenceNode,
     AlternationNode,
     OptionalNode,
-    RepetitionNode
+    RepetitionNode,
+    collectNonterminals
 } = require('./ast-node');
+const { loadCoreRulesSource } = require('./core-rules');
+const RuleMap = require('./rule-map');
 
 /**
  * Custom error class for ABNF parsing errors with position information
@@ -48,23 +52,63 @@ class ABNFParseError extends Error {
  * @typedef {Object} Position
  * @property {number} line - Line number (1-based)
  * @property {number} column - Column number (1-based)
+ * @property {number} offset - Byte offset (UTF-8, 0-based) from the start of the input
+ */
+
+/**
+ * @typedef {Object} SourceSpan
+ * @property {Position} start - Position of the first character
+ * @property {Position} end - Position just after the last character (exclusive)
  */
 
 /**
  * @typedef {Object} ASTNode
- * @property {string} type - Node type ('terminal', 'nonterminal', 'sequence', 'alternation', 'optional', 'repetition')
- * @property {string} [text] - Text content - for terminals: literal ABNF syntax; for nonterminals: rule name
+ * @property {string} type - Node type ('terminal', 'nonterminal', 'prose', 'sequence', 'alternation', 'optional', 'repetition',
+ *   'exception')
+ * @property {string} [text] - Text content - for terminals: literal ABNF syntax; for nonterminals: rule name; for prose: text between the angle brackets
  * @property {ASTNode[]} [elements] - Child nodes (always array, even for single child)
  * @property {number} [min] - Minimum repetition count (for repetition nodes)
  * @property {number|null} [max] - Maximum repetition count (for repetition nodes, null means unbounded)
- * @property {Position} [position] - Source position information
+ * @property {boolean} [ordered] - Ordered choice (for alternation nodes from PEG grammars)
+ * @property {SourceSpan|null} span - Source span (non-enumerable, see ASTNode)
+ */
+
+/**
+ * @typedef {Object} RuleDefinition
+ * @property {string} name - Rule name as spelled in this definition
+ * @property {number} line - Line number (1-based) where the definition starts
+ * @property {string} text - Original ABNF text of this definition (after '=' or '=/')
+ * @property {boolean} incremental - Whether this definition used the incremental '=/' form
  */
 
 /**
  * @typedef {Object} ParsedRule
- * @property {string} name - Rule name (left-hand side of the rule)
+ * @property {string} name - Rule name as spelled in its first definition
  * @property {string} original - Original ABNF rule definition
  * @property {ASTNode} expression - Generated AST representing the parsed rule
+ * @property {RuleDefinition[]} definitions - All definitions of the rule in source order, including
+ *   '=' definitions replaced by a later duplicate
+ * @property {string|null} doc - Documentation from the comments directly above the rule and
+ *   trailing comments on its lines (comment markers stripped, one line per comment)
+ * @property {boolean} [core] - True for RFC 5234 core rules merged from the bundled grammar
+ * @property {boolean} [lexer] - True for ANTLR lexer rules; references to them are drawn as terminals
+ * @property {boolean} [fragment] - True for ANTLR lexer fragments, which only other lexer rules reference
+ */
+
+/**
+ * @typedef {Object} ParsedDefinition
+ * @property {string} name - Rule name as spelled in this definition
+ * @property {boolean} incremental - Whether this definition used the incremental '=/' form
+ * @property {number} line - Line number (1-based) of the rule name
+ * @property {number} endLine - Line number (1-based) of the definition's last token
+ * @property {ASTNode} expression - AST of this definition alone
+ */
+
+/**
+ * @typedef {Object} ParseOptions
+ * @property {boolean} [coreRules=false] - Merge the RFC 5234 core rules referenced but not defined by the grammar
+ * @property {ABNFParseError[]} [errors] - Enables error recovery: every parse error is collected here,
+ *   the offending rule is skipped up to the next 'name =' boundary and the remaining rules are still returned
  */
 
 /**
@@ -73,6 +117,8 @@ class ABNFParseError extends Error {
  * @property {string} value - Token value/text
  * @property {number} line - Line number (1-based)
  * @property {number} column - Column number (1-based)
+ * @property {number} offset - Byte offset (UTF-8, 0-based) of the first character
+ * @property {Position} end - Position just after the token
  */
 
 /**
@@ -92,6 +138,8 @@ class ABNFTokenizer {
             // Hex/decimal values per RFC 5234: concatenation OR range, not mixed
             '(?<hexval>%x[0-9A-Fa-f]+(?:(?:\\.[0-9A-Fa-f]+)+|(?:-[0-9A-Fa-f]+))?)',
             '(?<decval>%d[0-9]+(?:(?:\\.[0-9]+)+|(?:-[0-9]+))?)',
+            // Prose values: free-form description in angle brackets (single line)
+            '(?<prose><[^>\\r\\n]*>)',
             // Repetition counts (covers all RFC 5234 forms: *element, 1*element, *1element, 4element, 2*3element)
             '(?<repetition>[0-9]+\\*[0-9]*|[0-9]*\\*[0-9]+|[0-9]+(?=[a-zA-Z%("\'\\[\\*]))',
             // Standalone asterisk for zero-or-more
@@ -99,7 +147,7 @@ class ABNFTokenizer {
             // Identifiers (rule names)
             '(?<identifier>[a-zA-Z][a-zA-Z0-9-]*)',
             // Operators and delimiters
-            '(?<assign>:?=)',
+            '(?<assign>=\\/|:?=)',
             '(?<alternation>/)',
             '(?<lparen>\\()',
             '(?<rparen>\\))',
@@ -111,14 +159,19 @@ class ABNFTokenizer {
     /**
      * Tokenize input string into array of tokens
      * @param {string} input - Input string to tokenize
-     * @returns {Token[]} Array of tokens
+     * @param {ABNFParseError[]} [errors] - When provided, unexpected characters are reported here
+     *   and skipped instead of throwing
+     * @param {Token[]} [comments] - When provided, comment tokens are collected here
+     * @returns {Token[]} Array of tokens (without whitespace and comments)
+     * @throws {ABNFParseError} On unexpected characters (unless errors are collected)
      */
-    tokenize(input) {
+    tokenize(input, errors = null, comments = null) {
         const tokens = [];
         let match;
         let lastIndex = 0;
         let line = 1;
         let column = 1;
+        let offset = 0;
 
         this.tokenRegex.lastIndex = 0; // Reset regex state
 
@@ -126,18 +179,21 @@ class ABNFTokenizer {
             // Check for gaps in tokenization
             if (match.index !== lastIndex) {
                 const gap = input.slice(lastIndex, match.index);
-                if (gap.trim()) {
-                    throw new Error(`Unexpected character(s) at line ${line}, column ${column}: '${gap}'`);
-                }
+                const gapStart = { line, column, offset };
                 // Update line/column for the gap
                 const gapUpdate = this._updatePosition(gap, line, column);
                 line = gapUpdate.line;
                 column = gapUpdate.column;
+                offset += Buffer.byteLength(gap, 'utf8');
+                if (gap.trim()) {
+                    tokens.push(this._reportUnexpected(gap, gapStart, { line, column, offset }, errors));
+                }
             }
 
             // Store current position for this token
             const tokenLine = line;
             const tokenColumn = column;
+            const tokenOffset = offset;
 
             // Find which named group matched
             const groups = match.groups;
@@ -151,35 +207,90 @@ class ABNFTokenizer {
                 }
             }
 
-            // Skip whitespace and comments, but still track position
-            if (tokenType !== 'whitespace' && tokenType !== 'comment') {
-                tokens.push({
-                    type: tokenType,
-                    value: tokenValue,
-                    line: tokenLine,
-                    column: tokenColumn
-                });
+            // The pattern only matches the start of some tokens (e.g. nested blocks)
+            tokenValue = this._scanToken(tokenType, input, match.index, tokenValue);
+            if (tokenValue === null) {
+                tokenType = 'unexpected';
+                tokenValue = match[0];
             }
+            this.tokenRegex.lastIndex = match.index + tokenValue.length;
 
             // Update position based on the matched token
             const positionUpdate = this._updatePosition(tokenValue, line, column);
             line = positionUpdate.line;
             column = positionUpdate.column;
+            offset += Buffer.byteLength(tokenValue, 'utf8');
+
+            const token = {
+                    type: tokenType,
+                    value: tokenValue,
+                    line: tokenLine,
+                    column: tokenColumn,
+                    offset: tokenOffset,
+                    end: { line, column, offset }
+            };
+
+            // Skip whitespace and comments, but still track position
+            if (tokenType === 'unexpected') {
+                tokens.push(this._reportUnexpected(tokenValue, { line: tokenLine, column: tokenColumn, offset: tokenOffset }, token.end, errors));
+            } else if (tokenType === 'comment') {
+                if (comments) {
+                    comments.push(token);
+                }
+            } else if (tokenType !== 'whitespace') {
+                tokens.push(token);
+            }
 
-            lastIndex = match.index + match[0].length;
+            lastIndex = match.index + tokenValue.length;
         }
 
         // Check if we consumed all input
         if (lastIndex < input.length) {
             const remaining = input.slice(lastIndex);
             if (remaining.trim()) {
-                throw new Error(`Unexpected character(s) at line ${line}, column ${column}: '${remaining}'`);
+                const end = this._updatePosition(remaining, line, column);
+                tokens.push(this._reportUnexpected(remaining, { line, column, offset },
+                    { ...end, offset: offset + Buffer.byteLength(remaining, 'utf8') }, errors));
             }
         }
 
         return tokens;
     }
 
+    /**
+     * Complete a token of which the token pattern matched the start - subclasses override this
+     * for tokens a regular expression cannot match as a whole
+     * @param {string} type - Token type (name of the matching group)
+     * @param {string} input - Input string
+     * @param {number} index - Index where the token starts
+     * @param {string} value - Text the token pattern matched
+     * @returns {string|null} Text of the whole token, or null if it does not end (the matched
+     *   text is reported as unexpected then)
+     * @protected
+     */
+    _scanToken(type, input, index, value) {
+        return value;
+    }
+
+    /**
+     * Report characters no token pattern matches. When recovering, they become an 'unexpected'
+     * token carrying the reported error, so the parser drops the rule that contains them.
+     * @param {string} text - Unmatched input text
+     * @param {Position} start - Position where the text starts
+     * @param {Position} end - Position just after the text
+     * @param {ABNFParseError[]|null} errors - Error collection, or null to throw
+     * @returns {Token & {error: ABNFParseError}} Token standing for the text
+     * @private
+     */
+    _reportUnexpected(text, start, end, errors) {
+        const error = new ABNFParseError(`Unexpected character(s) '${text.trim()}'`, start.line, start.column);
+        if (!errors) {
+            throw error;
+        }
+        errors.push(error);
+        return { type: 'unexpected', value: text.trim(), line: start.line, column: start.column, offset: start.offset, end, error };
+    }
+
     /**
      * Update line and column position based on a string segment
      * @param {string} text - Text segment to process
@@ -231,25 +342,109 @@ class ABNFParser {
     /**
      * Parse an ABNF file content and extract rules
      * @param {string} abnfContent - The ABNF file content
-     * @returns {Map<string, ParsedRule>} Parsed rules with original ABNF and AST
+     * @param {ParseOptions} [options={}] - Parse options
+     * @returns {RuleMap<ParsedRule>} Parsed rules with original ABNF and AST, looked up case-insensitively
+     * @throws {ABNFParseError} On the first syntax error (unless options.errors is provided)
      */
-    parse(abnfContent) {
+    parse(abnfContent, options = {}) {
+        const errors = options.errors || null;
+        
         // Tokenize the entire file once, preserving all context
-        const tokens = this.tokenizer.tokenize(abnfContent);
+        const comments = [];
+        const tokens = this.tokenizer.tokenize(abnfContent, errors, comments);
         
         // Parse the token stream to identify rules
-        return this._parseTokenStream(tokens, abnfContent);
+        const rules = this._parseTokenStream(tokens, abnfContent, errors, comments);
+        
+        if (options.coreRules) {
+            this._mergeCoreRules(rules);
+        }
+        
+        return rules;
+    }
+
+    /**
+     * Parse each rule definition on its own, in source order: '=/' definitions are not
+     * merged into their rule and repeated definitions are all kept (e.g. for reformatting)
+     * @param {string} abnfContent - The ABNF file content
+     * @param {{comments?: Token[]}} [options={}] - Collects the comment tokens of the file when given
+     * @returns {ParsedDefinition[]} Definitions in source order
+     * @throws {ABNFParseError} On the first syntax error, including text outside of a rule definition
+     */
+    parseDefinitions(abnfContent, options = {}) {
+        const tokens = this.tokenizer.tokenize(abnfContent, null, options.comments || []);
+        const definitions = [];
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            if (token.type !== 'identifier' || index + 1 >= tokens.length || tokens[index + 1].type !== 'assign') {
+                throw new ABNFParseError(`Expected a rule definition 'name = ...'`, token.line, token.column, token);
+            }
+
+            const ruleTokens = this._extractRuleTokens(tokens, index + 2);
+            let expression;
+            try {
+                expression = this._parseTokenSequence(ruleTokens.tokens);
+            } catch (error) {
+                throw error instanceof ABNFParseError && error.line !== null
+                    ? error
+                    : new ABNFParseError(`Error in rule '${token.value}': ${error.message}`, token.line, token.column);
+            }
+
+            definitions.push({
+                name: token.value,
+                incremental: tokens[index + 1].value === '=/',
+                line: token.line,
+                endLine: ruleTokens.tokens[ruleTokens.tokens.length - 1].end.line,
+                expression
+            });
+            index = ruleTokens.nextIndex;
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Add the core rules the grammar references (directly or through other core rules)
+     * but does not define itself. Added rules are appended and marked with core: true.
+     * @param {RuleMap<ParsedRule>} rules - Parsed grammar rules (modified in place)
+     * @returns {void}
+     * @private
+     */
+    _mergeCoreRules(rules) {
+        const coreSource = loadCoreRulesSource();
+        const coreComments = [];
+        const coreTokens = this.tokenizer.tokenize(coreSource, null, coreComments);
+        const coreRules = this._parseTokenStream(coreTokens, coreSource, null, coreComments);
+        
+        const pending = Array.from(rules.values()).flatMap(rule => collectNonterminals(rule.expression));
+        while (pending.length > 0) {
+            const name = pending.shift();
+            if (rules.has(name) || !coreRules.has(name)) {
+                continue; // Grammar's own definition wins; unknown names are left alone
+            }
+            
+            const coreRule = coreRules.get(name);
+            rules.set(coreRule.name, { ...coreRule, core: true });
+            pending.push(...collectNonterminals(coreRule.expression));
+        }
     }
 
     /**
      * Parse a token stream to extract rules using lookahead
      * @param {Token[]} tokens - Array of all tokens from the file
      * @param {string} originalContent - Original file content for error context
-     * @returns {Map<string, ParsedRule>} Parsed rules with original ABNF and AST
+     * @param {ABNFParseError[]|null} [errors=null] - Error collection for recovery, or null to throw
+     * @param {Token[]} [comments=[]] - Comment tokens used for rule documentation
+     * @returns {RuleMap<ParsedRule>} Parsed rules with original ABNF and AST
      * @private
      */
-    _parseTokenStream(tokens, originalContent) {
-        const rules = new Map();
+    _parseTokenStream(tokens, originalContent, errors = null, comments = []) {
+        // Rule names are case-insensitive: 'HEXDIG' and 'hexdig' define the same rule
+        const rules = new RuleMap();
+        const commentsByLine = new Map(comments.map(comment => [comment.line, comment]));
+        const lines = originalContent.split('\n');
         let index = 0;
 
         while (index < tokens.length) {
@@ -263,9 +458,10 @@ class ABNFParser {
                 const ruleName = token.value;
                 const ruleStartLine = token.line;
                 const ruleStartColumn = token.column;
+                const isIncremental = tokens[index + 1].value === '=/';
                 
                 // Skip the identifier and assignment tokens
-                index += 2; // Skip identifier and '=' or ':='
+                index += 2; // Skip identifier and '=', ':=' or '=/'
                 
                 // Find the end of this rule (next rule definition or end of file)
                 const ruleTokens = this._extractRuleTokens(tokens, index);
@@ -275,23 +471,46 @@ class ABNFParser {
                     // Parse the rule expression from its tokens
                     const expression = this._parseTokenSequence(ruleTokens.tokens);
                     
-
-                    
                     // Reconstruct original rule text for debugging/display
                     const originalRule = this._reconstructRuleText(originalContent, ruleStartLine, ruleTokens.tokens);
-                    
-                    rules.set(ruleName, {
+                    const definition = {
                         name: ruleName,
-                        original: originalRule,
-                        expression: expression
-                    });
+                        line: ruleStartLine,
+                        text: originalRule,
+                        incremental: isIncremental
+                    };
+                    const ruleEndLine = ruleTokens.tokens[ruleTokens.tokens.length - 1].end.line;
+                    const doc = this._extractRuleDoc(commentsByLine, lines, ruleStartLine, ruleEndLine);
                     
-                } catch (error) {
-                    // Re-throw with rule context
-                    if (error instanceof ABNFParseError) {
-                        throw error; // Already has position info
+                    if (isIncremental && rules.has(ruleName)) {
+                        // RFC 5234 section 3.3: 'rule =/ alternatives' extends an existing rule
+                        rules.set(ruleName, this._mergeIncrementalRule(rules.get(ruleName), expression, definition, doc));
                     } else {
-                        throw new ABNFParseError(`Error in rule '${ruleName}': ${error.message}`, ruleStartLine, ruleStartColumn);
+                        // A repeated '=' definition replaces the rule; earlier definitions are
+                        // kept in the list so duplicates can still be reported
+                        const previous = rules.get(ruleName);
+                        const previousDefinitions = previous ? previous.definitions : [];
+                        rules.set(ruleName, {
+                            name: previous ? previous.name : ruleName,
+                            original: originalRule,
+                            expression: expression,
+                            definitions: [...previousDefinitions, definition],
+                            doc: doc
+                        });
+                    }
+                    
+                } catch (error) {
+                    // Add rule context unless the error already has position info
+                    const parseError = error instanceof ABNFParseError && error.line !== null
+                        ? error
+                        : new ABNFParseError(`Error in rule '${ruleName}': ${error.message}`, ruleStartLine, ruleStartColumn);
+                    
+                    if (!errors) {
+                        throw parseError;
+                    }
+                    // Recover: the rule's tokens are already consumed, continue with the next rule
+                    if (!errors.includes(parseError)) {
+                        errors.push(parseError);
                     }
                 }
             } else {
@@ -303,6 +522,81 @@ class ABNFParser {
         return rules;
     }
 
+    /**
+     * Merge an incremental alternative ('=/') into an already parsed rule
+     * @param {ParsedRule} existing - Rule parsed from earlier definitions
+     * @param {ASTNode} expression - Expression of the incremental definition
+     * @param {RuleDefinition} definition - Source information of the incremental definition
+     * @param {string|null} doc - Documentation of the incremental definition
+     * @returns {ParsedRule} Rule with a single alternation covering all definitions
+     * @private
+     */
+    _mergeIncrementalRule(existing, expression, definition, doc) {
+        const alternativesOf = (node) => node.type === 'alternation' ? node.elements : [node];
+        const definitions = [...existing.definitions, definition];
+        
+        // Show every contributing definition with the line it came from, starting at the
+        // '=' definition in effect (earlier duplicates were replaced by it)
+        const original = definitions
+            .slice(Math.max(0, definitions.findLastIndex(def => !def.incremental)))
+            .map((def, i) => `${i === 0 ? '' : '=/ '}${def.text} ; line ${def.line}`)
+            .join('\n');
+        
+        // The merged alternation spans from the first to the last definition
+        const merged = new AlternationNode([...alternativesOf(existing.expression), ...alternativesOf(expression)]);
+        if (existing.expression.span && expression.span) {
+            merged.span = { start: existing.expression.span.start, end: expression.span.end };
+        }
+        
+        return {
+            name: existing.name,
+            original: original,
+            expression: merged,
+            definitions: definitions,
+            doc: [existing.doc, doc].filter(Boolean).join('\n\n') || null
+        };
+    }
+
+    /**
+     * Collect a rule's documentation from its comments: the block of comment-only lines
+     * directly above the rule (no blank line in between) followed by trailing comments
+     * on the lines of the rule itself. Separator lines like ';-----' are dropped.
+     * @param {Map<number, Token>} commentsByLine - Comment tokens by line number
+     * @param {string[]} lines - Source lines
+     * @param {number} startLine - First line of the rule
+     * @param {number} endLine - Last line of the rule
+     * @returns {string|null} Documentation text, or null if the rule has no comments
+     * @private
+     */
+    _extractRuleDoc(commentsByLine, lines, startLine, endLine) {
+        const docComments = [];
+        
+        // Walk upwards over comment-only lines
+        for (let line = startLine - 1; line >= 1; line--) {
+            const comment = commentsByLine.get(line);
+            if (!comment || !lines[line - 1].trim().startsWith(';')) {
+                break;
+            }
+            docComments.unshift(comment);
+        }
+        
+        for (let line = startLine; line <= endLine; line++) {
+            if (commentsByLine.has(line)) {
+                docComments.push(commentsByLine.get(line));
+            }
+        }
+        
+        const docLines = docComments
+            .map(comment => comment.value.replace(/^;\s?/, '').trimEnd())
+            .filter(text => !/^\s*([-=*_#~])\1{2,}\s*$/.test(text));
+        
+        // Drop leading/trailing empty comment lines
+        while (docLines.length > 0 && !docLines[0].trim()) docLines.shift();
+        while (docLines.length > 0 && !docLines[docLines.length - 1].trim()) docLines.pop();
+        
+        return docLines.length > 0 ? docLines.join('\n') : null;
+    }
+
     /**
      * Extract tokens belonging to a single rule definition
      * @param {Token[]} tokens - All tokens
@@ -352,12 +646,12 @@ class ABNFParser {
             ruleLines.push(lines[i]);
         }
         
-        // Extract just the rule definition part (after the =)
+        // Extract just the rule definition part (after the '=' or '=/')
         if (ruleLines.length > 0) {
             const firstLine = ruleLines[0];
-            const assignmentIndex = firstLine.indexOf('=');
-            if (assignmentIndex !== -1) {
-                ruleLines[0] = firstLine.substring(assignmentIndex + 1).trim();
+            const assignment = firstLine.match(/=\/?/);
+            if (assignment) {
+                ruleLines[0] = firstLine.substring(assignment.index + assignment[0].length).trim();
             }
         }
         
@@ -374,8 +668,20 @@ class ABNFParser {
         if (tokens.length === 0) {
             throw new ABNFParseError('Empty rule definition');
         }
+        // Characters the tokenizer could not read are reported already; the rule is dropped
+        const unexpected = tokens.find(token => token.type === 'unexpected');
+        if (unexpected) {
+            throw unexpected.error;
+        }
+        
+        const result = this._parseExpression(tokens, 0);
+        if (result.nextIndex < tokens.length) {
+            // Leftover tokens, e.g. an unbalanced ')' or ']'
+            const token = tokens[result.nextIndex];
+            throw new ABNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
         
-        return this._parseExpression(tokens, 0).element;
+        return result.element;
     }
 
 
@@ -399,7 +705,7 @@ class ABNFParser {
      * @private
      */
     _parseAlternation(tokens, index) {
-        const startToken = tokens[index];
+        const startIndex = index;
         let result = this._parseConcatenation(tokens, index);
         const alternatives = [result.element];
         index = result.nextIndex;
@@ -413,7 +719,7 @@ class ABNFParser {
 
         if (alternatives.length > 1) {
             return {
-                element: new AlternationNode(alternatives),
+                element: this._withSpan(new AlternationNode(alternatives), tokens, startIndex, index),
                 nextIndex: index
             };
         } else {
@@ -430,7 +736,7 @@ class ABNFParser {
      */
     _parseConcatenation(tokens, index) {
         const elements = [];
-        const startToken = tokens[index];
+        const startIndex = index;
         
         while (index < tokens.length) {
             // Stop at alternation or closing brackets/parens
@@ -446,7 +752,7 @@ class ABNFParser {
 
         if (elements.length > 1) {
             return {
-                element: new SequenceNode(elements),
+                element: this._withSpan(new SequenceNode(elements), tokens, startIndex, index),
                 nextIndex: index
             };
         } else if (elements.length === 1) {
@@ -465,6 +771,7 @@ class ABNFParser {
      * @private
      */
     _parseRepetition(tokens, index) {
+        const startIndex = index;
         let min = null;
         let max = null;
         let hasRepetition = false;
@@ -499,12 +806,10 @@ class ABNFParser {
 
         // Apply repetition only if it was found
         if (hasRepetition) {
-            const startToken = tokens[index - 1]; // Get token position before we parsed the element
-            const position = startToken ? { line: startToken.line, column: startToken.column } : undefined;
-            
             // All repetition patterns should generate 'repetition' AST nodes
             // The transformer will convert these to appropriate layout elements
-            element = new RepetitionNode(min, max, element);
+            // Span covers the repeat prefix through the end of the repeated element
+            element = this._withSpan(new RepetitionNode(min, max, element), tokens, startIndex, index);
         }
 
         return { element: element, nextIndex: index };
@@ -529,14 +834,14 @@ class ABNFParser {
             case 'sstring':
                 // Terminal string - preserve literal ABNF syntax
                 return {
-                    element: new TerminalNode(token.value),
+                    element: this._withSpan(new TerminalNode(token.value), tokens, index, index + 1),
                     nextIndex: index + 1
                 };
 
             case 'identifier':
                 // Non-terminal rule reference
                 return {
-                    element: new NonterminalNode(token.value),
+                    element: this._withSpan(new NonterminalNode(token.value), tokens, index, index + 1),
                     nextIndex: index + 1
                 };
 
@@ -544,7 +849,14 @@ class ABNFParser {
             case 'decval':
                 // Hex or decimal values - preserve literal ABNF syntax
                 return {
-                    element: new TerminalNode(token.value),
+                    element: this._withSpan(new TerminalNode(token.value), tokens, index, index + 1),
+                    nextIndex: index + 1
+                };
+
+            case 'prose':
+                // Prose value - keep only the description between the angle brackets
+                return {
+                    element: this._withSpan(new ProseNode(token.value.slice(1, -1)), tokens, index, index + 1),
                     nextIndex: index + 1
                 };
 
@@ -572,7 +884,7 @@ class ABNFParser {
                     throw new ABNFParseError('Missing closing bracket', lbracketToken.line, lbracketToken.column, lbracketToken);
                 }
                 return {
-                    element: new OptionalNode(optResult.element),
+                    element: this._withSpan(new OptionalNode(optResult.element), tokens, index - 1, optResult.nextIndex + 1),
                     nextIndex: optResult.nextIndex + 1 // Skip ']'
                 };
 
@@ -581,8 +893,29 @@ class ABNFParser {
         }
     }
 
+    /**
+     * Attach the source span covered by a range of tokens to an AST node
+     * @param {ASTNode} node - Node to annotate
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} startIndex - Index of the node's first token
+     * @param {number} endIndex - Index after the node's last token
+     * @returns {ASTNode} The annotated node
+     * @private
+     */
+    _withSpan(node, tokens, startIndex, endIndex) {
+        const first = tokens[startIndex];
+        const last = tokens[endIndex - 1];
+        node.span = {
+            start: { line: first.line, column: first.column, offset: first.offset },
+            end: { ...last.end }
+        };
+        return node;
+    }
+
 }
 
 
 
-module.exports = ABNFParser;
\ No newline at end of file
+module.exports = ABNFParser;
+module.exports.ABNFParseError = ABNFParseError;
+module.exports.ABNFTokenizer = ABNFTokenizer;
\ No newline at end of file
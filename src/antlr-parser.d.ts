@@ -0,0 +1,32 @@
+/**
+ * Type definitions for ANTLR v4 Grammar Parser
+ */
+
+import { ParsedRule } from './abnf-parser';
+import { EBNFParser, EBNFParseOptions } from './ebnf-parser';
+import { RuleMap } from './rule-map';
+
+/**
+ * Parser for ANTLR v4 grammars (.g4), producing the same AST nodes as the ABNF parser.
+ * Parser and lexer rules (including fragments) become rules; lexer rules are marked with
+ * `lexer: true` so that references to them are drawn as terminals. Literals, ranges ('a'..'z'),
+ * character sets and negated sets keep their literal syntax. Actions, predicates, labels,
+ * lexer commands and the grammar's prequel are skipped.
+ */
+export declare class ANTLRParser extends EBNFParser {
+  /**
+   * Create a new ANTLR v4 grammar parser
+   */
+  constructor();
+
+  /**
+   * Parse an ANTLR v4 grammar file content and extract rules
+   * @param g4Content The grammar file content
+   * @param options Parse options
+   * @returns Parsed rules with their original definitions and AST
+   * @throws EBNFParseError on the first syntax error (unless options.errors is provided)
+   */
+  parse(g4Content: string, options?: EBNFParseOptions): RuleMap<ParsedRule>;
+}
+
+export default ANTLRParser;
@@ -0,0 +1,441 @@
+/**
+ * ANTLR v4 Grammar Parser
+ *
+ * Reads the parser and lexer rules of ANTLR v4 grammars (.g4) into the same AST
+ * nodes as the ABNF parser. Actions, predicates, labels, lexer commands and the
+ * grammar's prequel (options, tokens, @header ...) do not affect the syntax and are skipped.
+ *
+ * Grammar reference: https://github.com/antlr/antlr4/blob/master/doc/index.md
+ */
+
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode
+} = require('./ast-node');
+const EBNFParser = require('./ebnf-parser');
+const { EBNFParseError, EBNFTokenizer } = EBNFParser;
+const RuleMap = require('./rule-map');
+
+/**
+ * Keywords of the statements that declare the grammar rather than a rule, up to their ';'
+ * @type {Set<string>}
+ */
+const DECLARATIONS = new Set(['grammar', 'lexer', 'parser', 'import', 'mode']);
+
+/**
+ * Prequel sections followed by a {...} block
+ * @type {Set<string>}
+ */
+const PREQUEL_BLOCKS = new Set(['options', 'tokens', 'channels']);
+
+/**
+ * Rule modifiers in front of the rule name
+ * @type {Set<string>}
+ */
+const RULE_MODIFIERS = new Set(['fragment', 'public', 'private', 'protected']);
+
+/**
+ * Token types that end an alternative
+ * @type {Set<string>}
+ */
+const ALTERNATIVE_END = new Set(['alternation', 'rparen']);
+
+/**
+ * Tokenizer for ANTLR v4 grammar syntax
+ * @extends EBNFTokenizer
+ */
+class ANTLRTokenizer extends EBNFTokenizer {
+    constructor() {
+        super();
+        this.tokenRegex = new RegExp([
+            // Whitespace (skip)
+            '(?<whitespace>\\s+)',
+            // Comments (skip, kept for rule documentation)
+            '(?<comment>//[^\\r\\n]*|/\\*[\\s\\S]*?\\*/)',
+            // String literals with escapes ('\'' or 'é')
+            "(?<string>'(?:\\\\.|[^'\\\\\\r\\n])*')",
+            // Lexer character sets, also rule arguments and return values ([int x])
+            '(?<charset>\\[(?:\\\\.|[^\\]\\\\])*\\])',
+            // Actions and semantic predicates ({...}?), completed by _scanToken
+            '(?<action>\\{)',
+            // Element options (<assoc=right>)
+            '(?<elementOptions><[^<>]*>)',
+            // Named actions (@header, @parser::members)
+            '(?<namedAction>@[A-Za-z_][A-Za-z0-9_]*(?:::[A-Za-z_][A-Za-z0-9_]*)?)',
+            '(?<identifier>[A-Za-z_][A-Za-z0-9_]*)',
+            '(?<integer>[0-9]+)',
+            // Operators
+            '(?<command>->)',
+            '(?<range>\\.\\.)',
+            '(?<wildcard>\\.)',
+            '(?<labelAssign>\\+?=)',
+            '(?<colon>:)',
+            '(?<alternation>\\|)',
+            '(?<lparen>\\()',
+            '(?<rparen>\\))',
+            // Suffixes, optionally non-greedy (*?)
+            '(?<quantifier>[?*+]\\??)',
+            '(?<not>~)',
+            '(?<altLabel>#)',
+            '(?<comma>,)',
+            '(?<terminator>;)'
+        ].join('|'), 'g');
+    }
+
+    /**
+     * Complete actions and semantic predicates up to their closing brace (and '?')
+     * @param {string} type - Token type (name of the matching group)
+     * @param {string} input - Input string
+     * @param {number} index - Index where the token starts
+     * @param {string} value - Text the token pattern matched
+     * @returns {string|null} Text of the whole token, or null for an unclosed action
+     * @protected
+     */
+    _scanToken(type, input, index, value) {
+        if (type !== 'action') {
+            return value;
+        }
+        const end = this._scanBlock(input, index);
+        if (end < 0) {
+            return null;
+        }
+        return input.slice(index, input[end] === '?' ? end + 1 : end);
+    }
+}
+
+/**
+ * Parser for ANTLR v4 grammar files. Parser rules (lowercase names) and lexer rules
+ * (uppercase names, including fragments) become rules; lexer rules are marked with
+ * `lexer: true`, so that references to them are drawn as terminals.
+ * @extends EBNFParser
+ */
+class ANTLRParser extends EBNFParser {
+    /**
+     * Create a new ANTLR v4 grammar parser
+     */
+    constructor() {
+        super();
+        /** @type {ANTLRTokenizer} Tokenizer instance */
+        this.tokenizer = new ANTLRTokenizer();
+    }
+
+    /**
+     * Split the token stream into 'name : alternatives ;' rules and parse each of them,
+     * skipping the grammar declaration and prequel
+     * @param {Token[]} tokens - Array of all tokens from the file
+     * @param {string} content - Original file content
+     * @param {EBNFParseError[]|null} errors - Error collection for recovery, or null to throw
+     * @param {Token[]} comments - Comment tokens used for rule documentation
+     * @returns {RuleMap<ParsedRule>} Parsed rules
+     * @private
+     */
+    _parseTokenStream(tokens, content, errors, comments) {
+        // Rule names are case-sensitive: the parser rule 'expr' and the lexer rule 'EXPR' differ
+        const rules = new RuleMap(null, { caseSensitive: true });
+        const source = Buffer.from(content, 'utf8');
+        const typeAt = (index) => index < tokens.length ? tokens[index].type : null;
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+
+            // Blocks without a terminator: @header {...}, options {...}, finally {...}, catch [...] {...}
+            if (token.type === 'namedAction' && typeAt(index + 1) === 'action') {
+                index += 2;
+                continue;
+            }
+            if (token.type === 'identifier' && (PREQUEL_BLOCKS.has(token.value) || token.value === 'finally') && typeAt(index + 1) === 'action') {
+                index += 2;
+                continue;
+            }
+            if (token.type === 'identifier' && token.value === 'catch' && typeAt(index + 1) === 'charset' && typeAt(index + 2) === 'action') {
+                index += 3;
+                continue;
+            }
+
+            // Statements and rules end at their ';'; errors skip past it
+            let end = index;
+            while (end < tokens.length && tokens[end].type !== 'terminator') {
+                end++;
+            }
+            const nextIndex = end + 1;
+
+            try {
+                if (token.type === 'identifier' && DECLARATIONS.has(token.value)) {
+                    index = nextIndex;
+                    continue;
+                }
+                const rule = this._parseRule(tokens, index, end, source, comments, content);
+                const previous = rules.get(rule.name);
+                if (previous) {
+                    // A repeated definition replaces the rule; earlier definitions are kept
+                    // in the list so duplicates can still be reported
+                    rule.name = previous.name;
+                    rule.definitions = [...previous.definitions, ...rule.definitions];
+                }
+                rules.set(rule.name, rule);
+            } catch (error) {
+                this._report(error, errors);
+            }
+
+            index = nextIndex;
+        }
+
+        return rules;
+    }
+
+    /**
+     * Parse one rule: [fragment] name [arguments, returns, locals, options ...] : alternatives ;
+     * @param {Token[]} tokens - Array of all tokens from the file
+     * @param {number} index - Index of the rule's first token
+     * @param {number} end - Index of the rule's terminator
+     * @param {Buffer} source - File content as UTF-8 bytes
+     * @param {Token[]} comments - Comment tokens used for rule documentation
+     * @param {string} content - Original file content
+     * @returns {ParsedRule} Parsed rule
+     * @throws {EBNFParseError} On syntax errors in the rule
+     * @private
+     */
+    _parseRule(tokens, index, end, source, comments, content) {
+        const first = tokens[index];
+        let fragment = false;
+        while (index < end && tokens[index].type === 'identifier' && RULE_MODIFIERS.has(tokens[index].value)) {
+            fragment = fragment || tokens[index].value === 'fragment';
+            index++;
+        }
+
+        const nameToken = tokens[index];
+        // Everything between the name and the ':' (arguments, returns, locals, @init ...) is skipped
+        let colon = index + 1;
+        while (colon < end && tokens[colon].type !== 'colon') {
+            colon++;
+        }
+        if (!nameToken || nameToken.type !== 'identifier' || colon >= end) {
+            throw new EBNFParseError(`Expected a rule definition 'name : ... ;'`, first.line, first.column, first);
+        }
+        if (end >= tokens.length) {
+            throw new EBNFParseError(`Missing ';' at the end of rule '${nameToken.value}'`, nameToken.line, nameToken.column);
+        }
+
+        const bodyTokens = tokens.slice(colon + 1, end);
+        const ruleTokens = this._syntaxTokens(bodyTokens);
+        if (ruleTokens.length === 0) {
+            throw new EBNFParseError(`Empty definition of rule '${nameToken.value}'`, nameToken.line, nameToken.column);
+        }
+        const expression = this._parseTokenSequence(ruleTokens);
+        const last = bodyTokens[bodyTokens.length - 1];
+        const original = source.subarray(bodyTokens[0].offset, last.end.offset).toString('utf8');
+
+        return {
+            name: nameToken.value,
+            original,
+            expression,
+            definitions: [{ name: nameToken.value, line: nameToken.line, text: original, incremental: false }],
+            doc: this._extractRuleDoc(comments, content.split('\n'), first.line, tokens[end].end.line),
+            lexer: /^[A-Z]/.test(nameToken.value),
+            fragment
+        };
+    }
+
+    /**
+     * Drop the tokens of a rule body that do not affect its syntax: actions, predicates,
+     * element options, element labels (id=, ids+=), alternative labels (# Label)
+     * and lexer commands (-> skip)
+     * @param {Token[]} tokens - Tokens of the rule body
+     * @returns {Token[]} Tokens of the rule's syntax
+     * @private
+     */
+    _syntaxTokens(tokens) {
+        const result = [];
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            const next = tokens[index + 1];
+
+            if (token.type === 'action' || token.type === 'elementOptions') {
+                index++;
+            } else if (token.type === 'identifier' && next && next.type === 'labelAssign') {
+                index += 2;
+            } else if (token.type === 'altLabel' && next && next.type === 'identifier') {
+                index += 2;
+            } else if (token.type === 'command') {
+                // Commands run to the end of the alternative
+                let depth = 0;
+                while (index < tokens.length && (depth > 0 || !ALTERNATIVE_END.has(tokens[index].type))) {
+                    depth += tokens[index].type === 'lparen' ? 1 : tokens[index].type === 'rparen' ? -1 : 0;
+                    index++;
+                }
+            } else {
+                result.push(token);
+                index++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse alternatives separated by '|'; an empty alternative makes the others optional
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseAlternation(tokens, index) {
+        const startIndex = index;
+        let result = this._parseSequence(tokens, index);
+        const alternatives = [result.element];
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'alternation') {
+            result = this._parseSequence(tokens, index + 1);
+            alternatives.push(result.element);
+            index = result.nextIndex;
+        }
+
+        const nonEmpty = alternatives.filter(Boolean);
+        if (nonEmpty.length === 0) {
+            const token = tokens[index] || tokens[index - 1];
+            throw new EBNFParseError('Empty expression', token.line, token.column, token);
+        }
+
+        let element = nonEmpty.length === 1
+            ? nonEmpty[0]
+            : this._withSpan(new AlternationNode(nonEmpty), tokens, startIndex, index);
+        if (nonEmpty.length < alternatives.length) {
+            element = this._withSpan(new OptionalNode(element), tokens, startIndex, index);
+        }
+        return { element, nextIndex: index };
+    }
+
+    /**
+     * Parse the elements of an alternative
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode|null, nextIndex: number}} Parsed AST node (null for an empty
+     *   alternative) and next index
+     * @private
+     */
+    _parseSequence(tokens, index) {
+        const startIndex = index;
+        const elements = [];
+
+        while (index < tokens.length && !ALTERNATIVE_END.has(tokens[index].type)) {
+            const result = this._parsePostfix(tokens, index);
+            elements.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (elements.length <= 1) {
+            return { element: elements[0] || null, nextIndex: index };
+        }
+        return { element: this._withSpan(new SequenceNode(elements), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse an element with its '?', '*' or '+' suffix (greedy or not, which draws the same)
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePostfix(tokens, index) {
+        const startIndex = index;
+        const result = this._parsePrimary(tokens, index);
+        let element = result.element;
+        index = result.nextIndex;
+
+        if (index < tokens.length && tokens[index].type === 'quantifier') {
+            const quantifier = tokens[index].value[0];
+            index++;
+            element = quantifier === '?'
+                ? new OptionalNode(element)
+                : new RepetitionNode(quantifier === '+' ? 1 : 0, null, element);
+            this._withSpan(element, tokens, startIndex, index);
+        }
+
+        return { element, nextIndex: index };
+    }
+
+    /**
+     * Parse a primary: literal, range, character set, negated set, wildcard,
+     * rule reference or a parenthesized block
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePrimary(tokens, index) {
+        const token = tokens[index];
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new EBNFParseError('Unexpected end of rule', last.end.line, last.end.column, last);
+        }
+
+        switch (token.type) {
+            case 'string': {
+                // 'a'..'z' ranges are shown as written, like single literals
+                const next = tokens[index + 1];
+                if (next && next.type === 'range') {
+                    const upper = tokens[index + 2];
+                    if (!upper || upper.type !== 'string') {
+                        throw new EBNFParseError(`Expected a literal after '..'`, next.line, next.column, next);
+                    }
+                    return this._terminal(`${token.value}..${upper.value}`, tokens, index, index + 3);
+                }
+                return this._terminal(token.value, tokens, index, index + 1);
+            }
+
+            case 'charset':
+            case 'wildcard':
+                return this._terminal(token.value, tokens, index, index + 1);
+
+            case 'not': {
+                // Negated sets are shown as written: ~[\r\n], ~'"', ~('a' | 'b')
+                const negated = this._parsePrimary(tokens, index + 1);
+                const parts = tokens.slice(index, negated.nextIndex);
+                const text = parts.map((part, i) => (part.type === 'alternation' || (i > 0 && parts[i - 1].type === 'alternation')
+                    ? ` ${part.value}` : part.value)).join('');
+                return this._terminal(text, tokens, index, negated.nextIndex);
+            }
+
+            case 'identifier':
+                // EOF is a built-in token, not a rule
+                if (token.value === 'EOF') {
+                    return this._terminal(token.value, tokens, index, index + 1);
+                }
+                return { element: this._withSpan(new NonterminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'lparen': {
+                const inner = this._parseAlternation(tokens, index + 1);
+                if (inner.nextIndex >= tokens.length || tokens[inner.nextIndex].type !== 'rparen') {
+                    throw new EBNFParseError('Missing closing parenthesis', token.line, token.column, token);
+                }
+                return { element: inner.element, nextIndex: inner.nextIndex + 1 };
+            }
+
+            default:
+                throw new EBNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
+    }
+
+    /**
+     * Build a terminal node spanning a range of tokens
+     * @param {string} text - Terminal text as written
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} startIndex - Index of the terminal's first token
+     * @param {number} endIndex - Index after the terminal's last token
+     * @returns {{element: ASTNode, nextIndex: number}} Terminal node and next index
+     * @private
+     */
+    _terminal(text, tokens, startIndex, endIndex) {
+        return { element: this._withSpan(new TerminalNode(text), tokens, startIndex, endIndex), nextIndex: endIndex };
+    }
+}
+
+module.exports = ANTLRParser;
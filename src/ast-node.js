@@ -1,3 +1,7 @@
+/**
+ * @typedef {import('./abnf-parser').SourceSpan} SourceSpan
+ */
+
 /**
  * Base class for all ABNF semantic AST nodes
  * These represent the parsed ABNF grammar structure before transformation to layout elements
@@ -8,6 +12,11 @@ class ASTNode {
      */
     constructor(type) {
         this.type = type;
+
+        // Source location is metadata, not structure: keep it non-enumerable so that
+        // structurally equal trees compare equal regardless of where they were parsed from
+        /** @type {SourceSpan|null} Source span set by the parser (null for synthesized nodes) */
+        Object.defineProperty(this, 'span', { value: null, writable: true, enumerable: false });
     }
 
     /**
@@ -55,6 +64,23 @@ class NonterminalNode extends ASTNode {
     }
 }
 
+/**
+ * Prose AST node - represents a prose value (<free-form description>)
+ */
+class ProseNode extends ASTNode {
+    /**
+     * @param {string} text - The prose text (without the enclosing angle brackets)
+     */
+    constructor(text) {
+        super('prose');
+        this.text = text;
+    }
+
+    toString() {
+        return `{Prose text=${this.text}}`;
+    }
+}
+
 /**
  * Sequence AST node - represents a sequence of elements (concatenation)
  */
@@ -79,15 +105,17 @@ class SequenceNode extends ASTNode {
 class AlternationNode extends ASTNode {
     /**
      * @param {ASTNode[]} elements - Array of alternative AST nodes
+     * @param {boolean} [ordered=false] - Ordered choice (PEG): the first matching alternative wins
      */
-    constructor(elements) {
+    constructor(elements, ordered = false) {
         super('alternation');
         this.elements = elements;
+        this.ordered = ordered;
     }
 
     toString() {
         const elementsStr = this.elements.map(el => el.toString()).join(' ');
-        return `{Alternation ${elementsStr}}`;
+        return this.ordered ? `{Alternation ordered ${elementsStr}}` : `{Alternation ${elementsStr}}`;
     }
 }
 
@@ -131,12 +159,50 @@ class RepetitionNode extends ASTNode {
     }
 }
 
+/**
+ * Exception AST node - represents an element minus an excluded element (EBNF 'a - b')
+ */
+class ExceptionNode extends ASTNode {
+    /**
+     * @param {ASTNode} element - The AST node that is matched
+     * @param {ASTNode} excluded - The AST node whose matches are excluded
+     */
+    constructor(element, excluded) {
+        super('exception');
+        this.elements = [element, excluded]; // Matched element first, then the excluded one
+    }
+
+    toString() {
+        return `{Exception ${this.elements[0].toString()} ${this.elements[1].toString()}}`;
+    }
+}
+
+/**
+ * Collect the names of all rules referenced by an AST
+ * @param {ASTNode} node - Root of the AST to search
+ * @returns {string[]} Referenced rule names in order of first appearance (no duplicates)
+ */
+function collectNonterminals(node) {
+    const names = new Set();
+    const visit = (current) => {
+        if (current.type === 'nonterminal') {
+            names.add(current.text);
+        }
+        (current.elements || []).forEach(visit);
+    };
+    visit(node);
+    return Array.from(names);
+}
+
 module.exports = {
     ASTNode,
     TerminalNode,
     NonterminalNode,
+    ProseNode,
     SequenceNode,
     AlternationNode,
     OptionalNode,
-    RepetitionNode
+    RepetitionNode,
+    ExceptionNode,
+    collectNonterminals
 };
\ No newline at end of file
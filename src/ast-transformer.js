@@ -1,11 +1,21 @@
 const {
     TerminalElement,
     NonterminalElement,
+    ProseElement,
     SequenceElement,
     StackElement,
     BypassElement,
-    LoopElement
+    LoopElement,
+    RepeatElement,
+    ExceptionElement
 } = require('./elements');
+const RuleMap = require('./rule-map');
+
+/**
+ * @typedef {Object} TransformOptions
+ * @property {'expand'|'count'} [exactRepetitions='expand'] - Draw exact repetitions like 8HEXDIG as
+ *   n copies in a row ('expand') or as a single box labelled "×8" ('count')
+ */
 
 /**
  * Transforms Parser AST nodes into Visual Expression trees
@@ -13,9 +23,20 @@ const {
 class ASTTransformer {
     /**
      * Create a new AST transformer
+     * @param {RuleMap<ParsedRule>|null} [rules=null] - Rules that nonterminal references are resolved
+     *   against (case-insensitively, unless the map is case-sensitive); without rules, references
+     *   link to the name as written
+     * @param {TransformOptions} [options={}] - Structural choices for the layout tree
      */
-    constructor() {
+    constructor(rules = null, options = {}) {
         // Pure structural transformer - no rendering configuration needed
+        /** @type {RuleMap<ParsedRule>|null} */
+        this.rules = rules;
+        /** @type {TransformOptions} */
+        this.options = {
+            exactRepetitions: 'expand',
+            ...options
+        };
     }
 
     /**
@@ -28,6 +49,22 @@ class ASTTransformer {
             throw new Error('Invalid element: missing type property');
         }
 
+        const layoutElement = this._transformNode(element);
+        
+        // Carry the source span over so rendered boxes can be mapped back to the ABNF text
+        if (element.span) {
+            layoutElement.span = element.span;
+        }
+        return layoutElement;
+    }
+
+    /**
+     * Transform a single AST node (children are transformed via transform())
+     * @param {Object} element - Parser AST element with a type property
+     * @returns {Expression} Visual expression for this node
+     * @private
+     */
+    _transformNode(element) {
         switch (element.type) {
             case 'terminal':
                 if (!element.text) throw new Error('Terminal element missing text');
@@ -35,14 +72,20 @@ class ASTTransformer {
 
             case 'nonterminal':
                 if (!element.text) throw new Error('Nonterminal element missing text');
-                return new NonterminalElement(element.text);
+                return new NonterminalElement(element.text, this._resolveRuleName(element.text),
+                    this._isLexerRule(element.text) ? 'terminal' : 'nonterminal');
+
+            case 'prose':
+                if (typeof element.text !== 'string') throw new Error('Prose element missing text');
+                return new ProseElement(element.text);
 
             case 'sequence':
-                if (!element.elements || element.elements.length === 0) {
+                // An empty sequence (ISO EBNF 'a = ;') is drawn as a plain track
+                if (!element.elements) {
                     throw new Error('Sequence element missing elements array');
                 }
-                const sequenceChildren = element.elements.map(child => this.transform(child));
-                return new SequenceElement(sequenceChildren);
+                const sequenceChildren = this._transformSequenceChildren(element.elements);
+                return sequenceChildren.length === 1 ? sequenceChildren[0] : new SequenceElement(sequenceChildren);
 
 
 
@@ -51,7 +94,7 @@ class ASTTransformer {
                     throw new Error('Alternation element missing elements array');
                 }
                 const alternationChildren = element.elements.map(child => this.transform(child));
-                return new StackElement(alternationChildren);
+                return new StackElement(alternationChildren, element.ordered === true);
 
             case 'optional':
                 if (!element.elements || element.elements.length !== 1) {
@@ -64,6 +107,12 @@ class ASTTransformer {
                 // Handle all repetition patterns (e.g., *X, 1*X, 4X, etc.)
                 return this._transformRepetition(element);
 
+            case 'exception':
+                if (!element.elements || element.elements.length !== 2) {
+                    throw new Error('Exception element missing matched and excluded elements');
+                }
+                return new ExceptionElement(this.transform(element.elements[0]), this.transform(element.elements[1]));
+
             default:
                 throw new Error(`Unknown element type: ${element.type}`);
         }
@@ -100,6 +149,9 @@ class ASTTransformer {
             return new BypassElement(child);
         } else if (min === max && min > 1) {
             // nElement - exact count (e.g., 8HEXDIG)
+            if (this.options.exactRepetitions === 'count') {
+                return new RepeatElement(child, min);
+            }
             // Create a sequence of n identical elements
             const repeatedElements = Array(min).fill(null).map(() => child);
             return new SequenceElement(repeatedElements);
@@ -109,19 +161,15 @@ class ASTTransformer {
         } else if (min === 0 && max === 0) {
             // 0element - zero exactly (empty sequence)
             return new SequenceElement([]);
-        } else if (min === 0 && max > 0) {
-            // 0*n - zero to n (bypass + loop, treating upper bound as unlimited for now)
-            return new BypassElement(new LoopElement(child));
-        } else if (min > 0 && max > min) {
-            // n*m - n to m range (n required + additional loop, treating upper bound as unlimited for now) 
-            if (min === 1) {
-                // 1*m - one or more (loop alone requires at least one)
-                return new LoopElement(child);
-            } else {
-                // n*m where n > 1 - n required + zero or more additional
-                const requiredElements = Array(min - 1).fill(null).map(() => child);
-                return new SequenceElement([...requiredElements, new LoopElement(child)]);
-            }
+        } else if (min === 0 && max > 1) {
+            // *m - zero to m (bypass + loop annotated with the upper bound)
+            return new BypassElement(new LoopElement(child, `max ${max} times`));
+        } else if (min === 1 && max > 1) {
+            // 1*m - one to m (loop alone requires at least one)
+            return new LoopElement(child, `max ${max} times`);
+        } else if (min > 1 && max > min) {
+            // n*m - n to m range (loop annotated with both bounds)
+            return new LoopElement(child, `${min}–${max}`);
         } else {
             // For other patterns, create a more complex structure
             // This could be enhanced further based on specific needs
@@ -129,6 +177,104 @@ class ASTTransformer {
             return new LoopElement(child);
         }
     }
+
+    /**
+     * Transform the children of a sequence, drawing the list idiom 'x *(sep x)' as a single
+     * loop over x with sep on the loop-back track
+     * @param {Object[]} elements - Sequence children (parser AST elements)
+     * @returns {Expression[]} Visual expressions for the sequence
+     * @private
+     */
+    _transformSequenceChildren(elements) {
+        const children = [];
+        
+        for (let i = 0; i < elements.length; i++) {
+            const separator = i + 1 < elements.length ? this._listSeparator(elements[i], elements[i + 1]) : null;
+            if (!separator) {
+                children.push(this.transform(elements[i]));
+                continue;
+            }
+            
+            // The separator is passed right to left, so multi-element separators are laid out reversed
+            const separatorElement = separator.length === 1
+                ? this.transform(separator[0])
+                : new SequenceElement(separator.map(node => this.transform(node)).reverse());
+            const loop = new LoopElement(this.transform(elements[i]), null, separatorElement);
+            if (elements[i].span && elements[i + 1].span) {
+                loop.span = { start: elements[i].span.start, end: elements[i + 1].span.end };
+            }
+            children.push(loop);
+            i++; // The repetition is part of the loop
+        }
+        
+        return children;
+    }
+
+    /**
+     * Check whether an item and the following node form the list idiom 'x *(sep x)'
+     * @param {Object} item - Parser AST element (x)
+     * @param {Object} next - Following parser AST element
+     * @returns {Object[]|null} The separator nodes, or null if the idiom does not apply
+     * @private
+     */
+    _listSeparator(item, next) {
+        if (next.type !== 'repetition' || next.min !== 0 || next.max !== null) {
+            return null;
+        }
+        
+        const repeated = next.elements[0];
+        if (repeated.type !== 'sequence' || repeated.elements.length < 2) {
+            return null;
+        }
+        
+        const last = repeated.elements[repeated.elements.length - 1];
+        return this._isSameNode(last, item) ? repeated.elements.slice(0, -1) : null;
+    }
+
+    /**
+     * Structural equality of two parser AST elements (source spans are ignored; rule names
+     * are compared the way the grammar looks them up)
+     * @param {Object} a - Parser AST element
+     * @param {Object} b - Parser AST element
+     * @returns {boolean} True if both describe the same grammar expression
+     * @private
+     */
+    _isSameNode(a, b) {
+        const aElements = a.elements || [];
+        const bElements = b.elements || [];
+        const sameText = a.type === 'nonterminal' && b.type === 'nonterminal'
+            ? (this.rules instanceof RuleMap ? this.rules.isSameName(a.text, b.text) : RuleMap.canonicalName(a.text) === RuleMap.canonicalName(b.text))
+            : a.text === b.text;
+        return a.type === b.type &&
+            sameText &&
+            a.ordered === b.ordered &&
+            a.min === b.min &&
+            a.max === b.max &&
+            aElements.length === bElements.length &&
+            aElements.every((child, i) => this._isSameNode(child, bElements[i]));
+    }
+
+    /**
+     * Resolve a referenced rule name to the spelling of the rule's definition
+     * @param {string} name - Rule name as written in the reference
+     * @returns {string} Defining spelling, or the name itself if the rule is unknown
+     * @private
+     */
+    _resolveRuleName(name) {
+        const rule = this.rules ? this.rules.get(name) : undefined;
+        return rule ? rule.name : name;
+    }
+
+    /**
+     * Check whether a referenced rule is a lexer rule (ANTLR), drawn as a terminal
+     * @param {string} name - Rule name as written in the reference
+     * @returns {boolean} True if the rule is known and a lexer rule
+     * @private
+     */
+    _isLexerRule(name) {
+        const rule = this.rules ? this.rules.get(name) : undefined;
+        return Boolean(rule && rule.lexer);
+    }
 }
 
 module.exports = ASTTransformer;
\ No newline at end of file
@@ -18,6 +18,14 @@ class BypassElement extends LayoutElement {
         // Layout will be calculated in layout() method
     }
 
+    /**
+     * @returns {LayoutElement[]} The child
+     * @protected
+     */
+    _childElements() {
+        return [this.child];
+    }
+
     /**
      * Calculate layout dimensions based on child
      * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
@@ -26,7 +34,7 @@ class BypassElement extends LayoutElement {
     layout(layoutConfig) {
         // First layout the child
         if (!this.child.isLaidOut) {
-            this.child.layout(layoutConfig);
+            this.child.layout(LayoutElement.narrowLayoutConfig(layoutConfig, 4));
         }
 
         // Calculate layout dimensions with extra width for bypass routing
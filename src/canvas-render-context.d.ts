@@ -0,0 +1,42 @@
+/**
+ * Type definitions for Canvas Render Context
+ */
+
+import { Canvas, CanvasRenderingContext2D } from 'canvas';
+import { RenderConfig } from './svg-renderer';
+import { RenderContext, GroupMetadata, PathMetadata, TextBoxShape } from './render-context';
+import { TrackSegment } from './track-builder';
+
+/**
+ * Render context that draws onto a 2D canvas context (node-canvas)
+ */
+export declare class CanvasRenderContext extends RenderContext {
+  /** Context drawn on */
+  canvasContext: CanvasRenderingContext2D;
+  /** Render configuration (grid size, font size, line widths, radii) */
+  config: RenderConfig;
+
+  /**
+   * Create a canvas render context
+   * @param canvasContext Context to draw on (already scaled, if needed)
+   * @param config Render configuration
+   */
+  constructor(canvasContext: CanvasRenderingContext2D, config: RenderConfig);
+
+  /**
+   * Create a node-canvas surface, loading the optional canvas package on first use
+   * @throws Error if the canvas package is not installed
+   */
+  static createCanvas(width: number, height: number): Canvas;
+
+  drawTextBox(box: TextBoxShape): void;
+  drawLabel(x: number, y: number, text: string): void;
+  drawEndpoint(x: number, y: number): void;
+  drawPath(segments: TrackSegment[], metadata: PathMetadata): void;
+  beginGroup(metadata: GroupMetadata): void;
+  endGroup(): void;
+
+  private _roundedRect(x: number, y: number, width: number, height: number, radius: number): void;
+}
+
+export default CanvasRenderContext;
@@ -0,0 +1,172 @@
+const RenderContext = require('./render-context');
+
+/**
+ * Fill colors of the text box types (as in assets/diagram.css)
+ * @type {Object<string, string>}
+ */
+const BOX_FILLS = {
+    terminal: 'rgb(200, 200, 200)',
+    nonterminal: 'rgb(210, 210, 210)',
+    prose: 'white'
+};
+
+/**
+ * Render context that draws onto a 2D canvas context (node-canvas). Elements render
+ * through the same drawing interface as for SVG, so the raster output follows the SVG
+ * geometry exactly; groups only translate the canvas, their metadata is not kept.
+ * @extends RenderContext
+ */
+class CanvasRenderContext extends RenderContext {
+    /**
+     * Create a canvas render context
+     * @param {CanvasRenderingContext2D} canvasContext - Context to draw on (already scaled, if needed)
+     * @param {RenderConfig} config - Render configuration (grid size, font size, line widths, radii)
+     */
+    constructor(canvasContext, config) {
+        super(config.gridSize);
+        /** @type {CanvasRenderingContext2D} */
+        this.canvasContext = canvasContext;
+        /** @type {RenderConfig} */
+        this.config = config;
+    }
+
+    /**
+     * Create a node-canvas surface. The canvas package is an optional dependency that
+     * only PNG output and canvas text measurement need, so it is loaded on first use.
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Canvas} New canvas
+     * @throws {Error} If the canvas package is not installed
+     */
+    static createCanvas(width, height) {
+        let canvas;
+        try {
+            canvas = require('canvas');
+        } catch (error) {
+            throw new Error(`The optional 'canvas' package is required for PNG output and canvas text measurement `
+                + `(npm install canvas): ${error.message.split('\n')[0]}`);
+        }
+        return canvas.createCanvas(width, height);
+    }
+
+    /**
+     * Draw the box and text of a text box
+     * @param {TextBoxShape} box - Box geometry in pixels, text and link (unused: raster images have no links)
+     */
+    drawTextBox({ x, y, width, height, text, boxType }) {
+        const c = this.canvasContext;
+        const { fontSize, textBorder, textBoxRadius } = this.config;
+
+        this._roundedRect(x, y, width, height, textBoxRadius);
+        c.fillStyle = BOX_FILLS[boxType] || 'white';
+        c.fill();
+        c.lineWidth = textBorder;
+        c.strokeStyle = 'black';
+        c.setLineDash(boxType === 'prose' ? [4, 3] : []);
+        c.stroke();
+        c.setLineDash([]);
+
+        c.font = `${boxType === 'prose' ? 'italic ' : ''}${fontSize}px Arial, sans-serif`;
+        c.fillStyle = 'black';
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
+        c.fillText(text, x + width / 2, y + height / 2);
+    }
+
+    /**
+     * Draw an annotation label centered at a point
+     * @param {number} x - X of the label center in pixels
+     * @param {number} y - Y of the label center in pixels
+     * @param {string} text - Label text
+     */
+    drawLabel(x, y, text) {
+        const c = this.canvasContext;
+        c.font = `${this.config.fontSize * 0.85}px Arial, sans-serif`;
+        c.fillStyle = '#444';
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
+        c.fillText(text, x, y);
+    }
+
+    /**
+     * Draw a start/end endpoint circle
+     * @param {number} x - X of the endpoint center in pixels
+     * @param {number} y - Y of the endpoint center in pixels
+     */
+    drawEndpoint(x, y) {
+        const c = this.canvasContext;
+        c.beginPath();
+        c.arc(x, y, this.config.endpointRadius, 0, 2 * Math.PI);
+        c.fillStyle = 'black';
+        c.fill();
+    }
+
+    /**
+     * Stroke a track path
+     * @param {TrackSegment[]} segments - Path segments in pixels
+     * @param {PathMetadata} metadata - Path class and debug information (unused)
+     */
+    drawPath(segments, metadata) {
+        const c = this.canvasContext;
+        c.beginPath();
+        for (const segment of segments) {
+            if (segment.type === 'move') {
+                c.moveTo(segment.x, segment.y);
+            } else if (segment.type === 'line') {
+                c.lineTo(segment.x, segment.y);
+            } else {
+                c.arcTo(segment.cornerX, segment.cornerY, segment.x, segment.y, segment.radius);
+            }
+        }
+        c.lineWidth = this.config.trackWidth;
+        c.lineCap = 'butt';
+        c.strokeStyle = 'black';
+        c.stroke();
+    }
+
+    /**
+     * Open a group: save the canvas state and translate to the group's origin
+     * @param {GroupMetadata} metadata - Group offset and class (data is not kept)
+     */
+    beginGroup({ x, y, className }) {
+        const c = this.canvasContext;
+        c.save();
+        if (x !== undefined || y !== undefined) {
+            c.translate(x || 0, y || 0);
+        }
+        if (className === 'exception-excluded') {
+            // Faded like in assets/diagram.css
+            c.globalAlpha *= 0.5;
+        }
+    }
+
+    /**
+     * Close the innermost group, restoring the canvas state
+     */
+    endGroup() {
+        this.canvasContext.restore();
+    }
+
+    /**
+     * Trace a rectangle with rounded corners as the current path
+     * @param {number} x - Left edge in pixels
+     * @param {number} y - Top edge in pixels
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} radius - Corner radius in pixels
+     * @private
+     */
+    _roundedRect(x, y, width, height, radius) {
+        const c = this.canvasContext;
+        const r = Math.min(radius, width / 2, height / 2);
+        c.beginPath();
+        c.moveTo(x + r, y);
+        c.arcTo(x + width, y, x + width, y + height, r);
+        c.arcTo(x + width, y + height, x, y + height, r);
+        c.arcTo(x, y + height, x, y, r);
+        c.arcTo(x, y, x + width, y, r);
+        c.closePath();
+    }
+}
+
+module.exports = CanvasRenderContext;
@@ -0,0 +1,35 @@
+/**
+ * RFC 5234 Core Rules
+ * 
+ * Provides the bundled Appendix B core rules grammar (ALPHA, DIGIT, HEXDIG, ...)
+ * that most ABNF grammars reference without defining.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/** Path of the bundled core rules grammar */
+const CORE_RULES_PATH = path.join(__dirname, '..', 'assets', 'core-rules.abnf');
+
+/** External reference for the core rules */
+const CORE_RULES_REFERENCE_URL = 'https://www.rfc-editor.org/rfc/rfc5234#appendix-B.1';
+
+/** @type {string|null} Cached grammar source */
+let coreRulesSource = null;
+
+/**
+ * Load the bundled core rules grammar (read once, then cached)
+ * @returns {string} ABNF source of the core rules
+ */
+function loadCoreRulesSource() {
+    if (coreRulesSource === null) {
+        coreRulesSource = fs.readFileSync(CORE_RULES_PATH, 'utf8');
+    }
+    return coreRulesSource;
+}
+
+module.exports = {
+    CORE_RULES_PATH,
+    CORE_RULES_REFERENCE_URL,
+    loadCoreRulesSource
+};
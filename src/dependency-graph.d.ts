@@ -0,0 +1,72 @@
+/**
+ * Type definitions for Dependency Graph
+ */
+
+import { ParsedRule } from './abnf-parser';
+
+export type GraphFormat = 'dot' | 'mermaid' | 'json';
+
+export interface GraphOptions {
+  /** Root the graph at this rule: only rules reachable from it are included */
+  startRule?: string;
+  /** Include rules at most this many references away from the start rule (the start rule defaults to the first rule) */
+  depth?: number;
+}
+
+export interface GraphNode {
+  /** Rule name */
+  name: string;
+  /** False for referenced rules the grammar does not define */
+  defined: boolean;
+  /** Whether the rule is an RFC 5234 core rule */
+  core: boolean;
+  /** Distance from the start rule (null if the graph is not rooted) */
+  depth: number | null;
+}
+
+export interface GraphEdge {
+  /** Referencing rule */
+  from: string;
+  /** Referenced rule */
+  to: string;
+}
+
+/** Supported output formats */
+export declare const GRAPH_FORMATS: GraphFormat[];
+
+/**
+ * Rule dependency graph
+ */
+export declare class DependencyGraph {
+  /** Rule the graph is rooted at */
+  startRule: string | null;
+  /** Rules in the graph, in grammar order (breadth-first order if rooted) */
+  nodes: GraphNode[];
+  /** References between the rules in the graph */
+  edges: GraphEdge[];
+
+  /**
+   * Build the dependency graph of parsed rules
+   * @param rules Rules from ABNFParser.parse
+   * @param options Graph options
+   * @throws If the start rule is not defined
+   */
+  constructor(rules: Map<string, ParsedRule>, options?: GraphOptions);
+
+  /**
+   * Render the graph in the given format
+   * @throws If the format is not supported
+   */
+  format(format?: GraphFormat): string;
+
+  /** Render as a Graphviz DOT digraph: undefined rules are dashed, core rules grey */
+  toDot(name?: string): string;
+
+  /** Render as a Mermaid flowchart */
+  toMermaid(): string;
+
+  /** Convert to a JSON adjacency structure */
+  toJSON(): { startRule: string | null; nodes: GraphNode[]; adjacency: Record<string, string[]> };
+
+  private _walk(index: Map<string, unknown>, start: string, maxDepth: number, depths: Map<string, number>): void;
+}
@@ -0,0 +1,204 @@
+/**
+ * Dependency Graph
+ *
+ * Rule dependency graph of a parsed grammar, built from the nonterminal references
+ * in the rule ASTs, with Graphviz DOT, Mermaid flowchart and JSON adjacency output.
+ */
+
+const GrammarAnalyzer = require('./grammar-analyzer');
+const RuleMap = require('./rule-map');
+
+/**
+ * @typedef {'dot'|'mermaid'|'json'} GraphFormat
+ */
+
+/**
+ * @typedef {Object} GraphOptions
+ * @property {string} [startRule] - Root the graph at this rule: only rules reachable from it are included
+ * @property {number} [depth] - Include rules at most this many references away from the start rule
+ *   (the start rule defaults to the first rule)
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} name - Rule name
+ * @property {boolean} defined - False for referenced rules the grammar does not define
+ * @property {boolean} core - Whether the rule is an RFC 5234 core rule
+ * @property {number|null} depth - Distance from the start rule (null if the graph is not rooted)
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Referencing rule
+ * @property {string} to - Referenced rule
+ */
+
+/**
+ * Supported output formats
+ * @type {GraphFormat[]}
+ */
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Rule dependency graph
+ */
+class DependencyGraph {
+    /**
+     * Build the dependency graph of parsed rules
+     * @param {Map<string, ParsedRule>} rules - Rules from ABNFParser.parse
+     * @param {GraphOptions} [options={}] - Graph options
+     * @throws {Error} If the start rule is not defined
+     */
+    constructor(rules, options = {}) {
+        const ruleMap = rules instanceof RuleMap ? rules : new RuleMap(rules);
+        const index = new GrammarAnalyzer().buildReferenceIndex(ruleMap);
+        const rooted = options.startRule !== undefined || options.depth !== undefined;
+
+        /** @type {string|null} Rule the graph is rooted at */
+        this.startRule = null;
+        /** @type {GraphNode[]} Rules in the graph, in grammar order (breadth-first order if rooted) */
+        this.nodes = [];
+        /** @type {GraphEdge[]} References between the rules in the graph */
+        this.edges = [];
+
+        const depths = new Map();
+        if (rooted) {
+            this.startRule = options.startRule === undefined ? ruleMap.keys().next().value : ruleMap.resolve(options.startRule);
+            if (!this.startRule) {
+                throw new Error(`Start rule '${options.startRule}' is not defined`);
+            }
+            this._walk(index, this.startRule, options.depth === undefined ? Infinity : options.depth, depths);
+        } else {
+            for (const name of index.keys()) {
+                depths.set(name, null);
+            }
+        }
+
+        for (const [name, depth] of depths) {
+            const rule = ruleMap.get(name);
+            this.nodes.push({ name, defined: Boolean(rule), core: Boolean(rule && rule.core), depth });
+        }
+
+        const undefinedNames = new Set();
+        for (const [name, entry] of index) {
+            if (!depths.has(name) || depths.get(name) === options.depth) {
+                continue; // Not in the graph, or references cut off by the depth limit
+            }
+            for (const target of entry.references) {
+                this.edges.push({ from: name, to: target });
+            }
+            for (const target of entry.undefinedReferences) {
+                this.edges.push({ from: name, to: target });
+                if (!rooted && !undefinedNames.has(target)) {
+                    undefinedNames.add(target);
+                    this.nodes.push({ name: target, defined: false, core: false, depth: null });
+                }
+            }
+        }
+    }
+
+    /**
+     * Breadth-first walk from the start rule, recording the depth of each rule reached
+     * @param {Map<string, RuleReferences>} index - Reference index of the grammar
+     * @param {string} start - Start rule
+     * @param {number} maxDepth - Depth limit
+     * @param {Map<string, number>} depths - Receives the depth of each rule in visiting order
+     * @returns {void}
+     * @private
+     */
+    _walk(index, start, maxDepth, depths) {
+        depths.set(start, 0);
+        const pending = [start];
+        while (pending.length > 0) {
+            const name = pending.shift();
+            const depth = depths.get(name);
+            const entry = index.get(name);
+            if (!entry || depth >= maxDepth) {
+                continue;
+            }
+            for (const target of [...entry.references, ...entry.undefinedReferences]) {
+                if (!depths.has(target)) {
+                    depths.set(target, depth + 1);
+                    pending.push(target);
+                }
+            }
+        }
+    }
+
+    /**
+     * Render the graph in the given format
+     * @param {GraphFormat} [format='dot'] - Output format
+     * @returns {string} Graph text
+     * @throws {Error} If the format is not supported
+     */
+    format(format = 'dot') {
+        switch (format) {
+            case 'dot':
+                return this.toDot();
+            case 'mermaid':
+                return this.toMermaid();
+            case 'json':
+                return JSON.stringify(this.toJSON(), null, 2);
+            default:
+                throw new Error(`Unknown graph format '${format}' (expected one of: ${GRAPH_FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Render as a Graphviz DOT digraph: undefined rules are dashed, core rules grey
+     * @param {string} [name='grammar'] - Graph name
+     * @returns {string} DOT source
+     */
+    toDot(name = 'grammar') {
+        const quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+        const lines = [`digraph ${quote(name)} {`, '    rankdir=LR;', '    node [shape=box];'];
+
+        for (const node of this.nodes) {
+            const style = !node.defined ? ' [style=dashed]' : node.core ? ' [color=grey, fontcolor=grey]' : '';
+            lines.push(`    ${quote(node.name)}${style};`);
+        }
+        for (const edge of this.edges) {
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)};`);
+        }
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render as a Mermaid flowchart; rule names become node labels, since they may
+     * clash with Mermaid keywords and syntax
+     * @returns {string} Mermaid source
+     */
+    toMermaid() {
+        const ids = new Map(this.nodes.map((node, i) => [node.name, `r${i}`]));
+        const lines = ['flowchart LR'];
+
+        for (const node of this.nodes) {
+            const cssClass = !node.defined ? ':::undefined' : node.core ? ':::core' : '';
+            lines.push(`    ${ids.get(node.name)}["${node.name.replace(/"/g, '#quot;')}"]${cssClass}`);
+        }
+        for (const edge of this.edges) {
+            lines.push(`    ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+        }
+        lines.push('    classDef undefined stroke-dasharray: 5 5');
+        lines.push('    classDef core fill:#eee,color:#777');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Convert to a JSON adjacency structure
+     * @returns {{startRule: string|null, nodes: GraphNode[], adjacency: Object<string, string[]>}}
+     *   Nodes and, per rule, the rules it references
+     */
+    toJSON() {
+        const adjacency = Object.fromEntries(this.nodes.map(node => [node.name, []]));
+        for (const edge of this.edges) {
+            adjacency[edge.from].push(edge.to);
+        }
+        return { startRule: this.startRule, nodes: this.nodes, adjacency };
+    }
+}
+
+module.exports = { DependencyGraph, GRAPH_FORMATS };
@@ -0,0 +1,44 @@
+/**
+ * Type definitions for W3C EBNF Parser
+ */
+
+import { ABNFParseError, ParsedRule } from './abnf-parser';
+import { RuleMap } from './rule-map';
+
+/**
+ * Error raised for W3C EBNF syntax errors, with position information
+ */
+export declare class EBNFParseError extends ABNFParseError {
+  constructor(message: string, line?: number, column?: number, token?: object);
+}
+
+export interface EBNFParseOptions {
+  /**
+   * Enables error recovery: every parse error is collected here, the offending rule
+   * is skipped and the remaining rules are still returned
+   */
+  errors?: ABNFParseError[];
+}
+
+/**
+ * Parser for grammars in the EBNF notation of the W3C specifications (symbol ::= expression),
+ * producing the same AST nodes as the ABNF parser. Terminals keep their literal syntax
+ * ("abc", [a-z], [^<&], #x20); production numbers and constraint notes are skipped.
+ */
+export declare class EBNFParser {
+  /**
+   * Create a new W3C EBNF parser
+   */
+  constructor();
+
+  /**
+   * Parse a W3C EBNF file content and extract rules
+   * @param ebnfContent The EBNF file content
+   * @param options Parse options
+   * @returns Parsed rules with original EBNF and AST
+   * @throws EBNFParseError on the first syntax error (unless options.errors is provided)
+   */
+  parse(ebnfContent: string, options?: EBNFParseOptions): RuleMap<ParsedRule>;
+}
+
+export default EBNFParser;
@@ -0,0 +1,473 @@
+/**
+ * W3C EBNF Parser
+ *
+ * Parses grammars in the EBNF notation of the W3C specifications (XML 1.0 section 6:
+ * `symbol ::= expression`) into the same AST nodes as the ABNF parser, so the
+ * transformer and renderers work unchanged.
+ *
+ * Notation reference: https://www.w3.org/TR/xml/#sec-notation
+ */
+
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode,
+    ExceptionNode
+} = require('./ast-node');
+const { ABNFParseError, ABNFTokenizer } = require('./abnf-parser');
+const RuleMap = require('./rule-map');
+
+/**
+ * Error class for W3C EBNF parsing errors with position information
+ * @extends ABNFParseError
+ */
+class EBNFParseError extends ABNFParseError {
+    /**
+     * Create a new EBNF parse error
+     * @param {string} message - Error message
+     * @param {number} [line] - Line number (1-based)
+     * @param {number} [column] - Column number (1-based)
+     * @param {Token} [token] - Token that caused the error
+     */
+    constructor(message, line = null, column = null, token = null) {
+        super(message, line, column, token);
+        this.name = 'EBNFParseError';
+    }
+}
+
+/**
+ * Tokenizer for W3C EBNF syntax
+ * @extends ABNFTokenizer
+ */
+class EBNFTokenizer extends ABNFTokenizer {
+    constructor() {
+        super();
+        this.tokenRegex = new RegExp([
+            // Whitespace (skip)
+            '(?<whitespace>\\s+)',
+            // Comments (skip, kept for rule documentation)
+            '(?<comment>/\\*[\\s\\S]*?\\*/)',
+            // Production numbers of the specifications ([1] document ::= ...)
+            '(?<number>\\[[0-9]+[a-z]?\\](?=\\s*[A-Za-z_][A-Za-z0-9_.]*\\s*::=))',
+            // Well-formedness and validity constraint notes ([ wfc: Entity Declared ])
+            '(?<constraint>\\[\\s*(?:wfc|vc|WFC|VC)\\s*:[^\\]]*\\])',
+            // String literals
+            '(?<string>"[^"]*")',
+            "(?<sstring>'[^']*')",
+            // Character classes: [a-zA-Z], [#x20-#x7E], [^<&]
+            '(?<charclass>\\[\\^?[^\\]]+\\])',
+            // Characters by code point
+            '(?<hexchar>#x[0-9A-Fa-f]+)',
+            // Identifiers (symbol names)
+            '(?<identifier>[A-Za-z_][A-Za-z0-9_.]*)',
+            // Operators and delimiters
+            '(?<assign>::=)',
+            '(?<alternation>\\|)',
+            '(?<exception>-)',
+            '(?<quantifier>[?*+])',
+            '(?<lparen>\\()',
+            '(?<rparen>\\))'
+        ].join('|'), 'g');
+    }
+
+    /**
+     * Find the end of a braced block of code, as in the actions of ANTLR and peggy grammars.
+     * Braces nest; braces in string literals ('...', "...", `...`) and comments do not count.
+     * @param {string} input - Input string
+     * @param {number} index - Index of the opening brace
+     * @returns {number} Index just after the closing brace, or -1 if the block is not closed
+     * @protected
+     */
+    _scanBlock(input, index) {
+        let depth = 0;
+
+        for (let i = index; i < input.length; i++) {
+            const char = input[i];
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i + 1;
+                }
+            } else if (char === '"' || char === "'" || char === '`') {
+                // Skip to the closing quote, over escaped characters
+                i++;
+                while (i < input.length && input[i] !== char) {
+                    i += input[i] === '\\' ? 2 : 1;
+                }
+            } else if (input.startsWith('//', i)) {
+                const lineEnd = input.indexOf('\n', i);
+                i = lineEnd < 0 ? input.length : lineEnd;
+            } else if (input.startsWith('/*', i)) {
+                const commentEnd = input.indexOf('*/', i + 2);
+                i = commentEnd < 0 ? input.length : commentEnd + 1;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Report characters no token pattern matches. When recovering, they become an 'unexpected'
+     * token carrying the reported error, so the parser drops the rule that contains them.
+     * @param {string} text - Unmatched input text
+     * @param {Position} start - Position where the text starts
+     * @param {Position} end - Position just after the text
+     * @param {EBNFParseError[]|null} errors - Error collection, or null to throw
+     * @returns {Token & {error: EBNFParseError}} Token standing for the text
+     * @private
+     */
+    _reportUnexpected(text, start, end, errors) {
+        const error = new EBNFParseError(`Unexpected character(s) '${text.trim()}'`, start.line, start.column);
+        if (!errors) {
+            throw error;
+        }
+        errors.push(error);
+        return { type: 'unexpected', value: text.trim(), line: start.line, column: start.column, offset: start.offset, end, error };
+    }
+}
+
+/**
+ * Parser for W3C EBNF grammar files. Precedence from loosest to tightest:
+ * alternation (A | B), sequence (A B), exception (A - B), postfix operators (A? A* A+).
+ */
+class EBNFParser {
+    /**
+     * Create a new W3C EBNF parser
+     */
+    constructor() {
+        /** @type {EBNFTokenizer} Tokenizer instance */
+        this.tokenizer = new EBNFTokenizer();
+    }
+
+    /**
+     * Parse a W3C EBNF file content and extract rules
+     * @param {string} ebnfContent - The EBNF file content
+     * @param {ParseOptions} [options={}] - Parse options (coreRules does not apply to EBNF and is ignored)
+     * @returns {RuleMap<ParsedRule>} Parsed rules with original EBNF and AST
+     * @throws {EBNFParseError} On the first syntax error (unless options.errors is provided)
+     */
+    parse(ebnfContent, options = {}) {
+        const errors = options.errors || null;
+        const comments = [];
+        const tokens = this.tokenizer.tokenize(ebnfContent, errors, comments)
+            .filter(token => token.type !== 'number' && token.type !== 'constraint');
+
+        return this._parseTokenStream(tokens, ebnfContent, errors, comments);
+    }
+
+    /**
+     * Split the token stream into 'symbol ::= expression' rules and parse each of them
+     * @param {Token[]} tokens - Array of all tokens from the file
+     * @param {string} content - Original file content
+     * @param {EBNFParseError[]|null} errors - Error collection for recovery, or null to throw
+     * @param {Token[]} comments - Comment tokens used for rule documentation
+     * @returns {RuleMap<ParsedRule>} Parsed rules
+     * @private
+     */
+    _parseTokenStream(tokens, content, errors, comments) {
+        // Symbol names are case-sensitive: 'A' and 'a' are different rules
+        const rules = new RuleMap(null, { caseSensitive: true });
+        const source = Buffer.from(content, 'utf8');
+        const isRuleStart = (index) => tokens[index].type === 'identifier' &&
+            index + 1 < tokens.length && tokens[index + 1].type === 'assign';
+        let index = 0;
+
+        while (index < tokens.length) {
+            if (!isRuleStart(index)) {
+                const token = tokens[index];
+                this._report(new EBNFParseError(`Expected a rule definition 'symbol ::= ...'`, token.line, token.column, token), errors);
+                // Recover at the next rule definition
+                do {
+                    index++;
+                } while (index < tokens.length && !isRuleStart(index));
+                continue;
+            }
+
+            const nameToken = tokens[index];
+            index += 2; // Skip the symbol and '::='
+            const start = index;
+            while (index < tokens.length && !isRuleStart(index)) {
+                index++;
+            }
+            const ruleTokens = tokens.slice(start, index);
+
+            try {
+                if (ruleTokens.length === 0) {
+                    throw new EBNFParseError(`Empty definition of rule '${nameToken.value}'`, nameToken.line, nameToken.column);
+                }
+                const expression = this._parseTokenSequence(ruleTokens);
+                const last = ruleTokens[ruleTokens.length - 1];
+                const original = source.subarray(ruleTokens[0].offset, last.end.offset).toString('utf8');
+                const definition = { name: nameToken.value, line: nameToken.line, text: original, incremental: false };
+
+                // A repeated definition replaces the rule; earlier definitions are kept
+                // in the list so duplicates can still be reported
+                const previous = rules.get(nameToken.value);
+                rules.set(nameToken.value, {
+                    name: previous ? previous.name : nameToken.value,
+                    original,
+                    expression,
+                    definitions: [...(previous ? previous.definitions : []), definition],
+                    doc: this._extractRuleDoc(comments, content.split('\n'), nameToken.line, last.end.line)
+                });
+            } catch (error) {
+                this._report(error, errors);
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * Throw an error, or collect it when recovering
+     * @param {EBNFParseError} error - Parse error
+     * @param {EBNFParseError[]|null} errors - Error collection, or null to throw
+     * @returns {void}
+     * @private
+     */
+    _report(error, errors) {
+        if (!errors) {
+            throw error;
+        }
+        // Unexpected characters are reported by the tokenizer already
+        if (errors.includes(error) || (error.token && error.token.type === 'unexpected')) {
+            return;
+        }
+        errors.push(error);
+    }
+
+    /**
+     * Collect a rule's documentation from the comments on the lines directly above
+     * the rule (no blank line in between) and on the lines of the rule itself
+     * @param {Token[]} comments - Comment tokens in source order
+     * @param {string[]} lines - Source lines
+     * @param {number} startLine - First line of the rule
+     * @param {number} endLine - Last line of the rule
+     * @returns {string|null} Documentation text, or null if the rule has no comments
+     * @private
+     */
+    _extractRuleDoc(comments, lines, startLine, endLine) {
+        const docComments = comments.filter(comment => comment.line >= startLine && comment.line <= endLine);
+
+        // Walk upwards over comments that fill their lines
+        let line = startLine;
+        for (let i = comments.length - 1; i >= 0 && comments[i].end.line >= line - 1; i--) {
+            const comment = comments[i];
+            const [open, close] = this._commentDelimiters(comment);
+            if (comment.end.line !== line - 1 || !lines[comment.line - 1].trim().startsWith(open)
+                || !lines[comment.end.line - 1].trim().endsWith(close)) {
+                continue;
+            }
+            docComments.unshift(comment);
+            line = comment.line;
+        }
+
+        const docLines = docComments
+            .flatMap(comment => {
+                const [open, close] = this._commentDelimiters(comment);
+                return comment.value.slice(open.length, comment.value.length - close.length).split('\n');
+            })
+            .map(text => text.replace(/^\s*\*?\s?/, '').trimEnd());
+
+        // Drop leading/trailing empty comment lines
+        while (docLines.length > 0 && !docLines[0].trim()) docLines.shift();
+        while (docLines.length > 0 && !docLines[docLines.length - 1].trim()) docLines.pop();
+
+        return docLines.length > 0 ? docLines.join('\n') : null;
+    }
+
+    /**
+     * Opening and closing delimiters of a comment token: '//' for line comments,
+     * otherwise the first and last two characters of a block comment
+     * @param {Token} comment - Comment token
+     * @returns {string[]} Opening and closing delimiter
+     * @private
+     */
+    _commentDelimiters(comment) {
+        return comment.value.startsWith('//') ? ['//', ''] : [comment.value.slice(0, 2), comment.value.slice(-2)];
+    }
+
+    /**
+     * Parse the tokens of a rule's expression into an AST
+     * @param {Token[]} tokens - Tokens after '::='
+     * @returns {ASTNode} AST node representing the rule
+     * @private
+     */
+    _parseTokenSequence(tokens) {
+        // Characters the tokenizer could not read are reported already; the rule is dropped
+        const unexpected = tokens.find(token => token.type === 'unexpected');
+        if (unexpected) {
+            throw unexpected.error;
+        }
+        const result = this._parseAlternation(tokens, 0);
+        if (result.nextIndex < tokens.length) {
+            // Leftover tokens, e.g. an unbalanced ')'
+            const token = tokens[result.nextIndex];
+            throw new EBNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
+        return result.element;
+    }
+
+    /**
+     * Parse alternatives separated by '|' (lowest precedence)
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseAlternation(tokens, index) {
+        const startIndex = index;
+        let result = this._parseSequence(tokens, index);
+        const alternatives = [result.element];
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'alternation') {
+            result = this._parseSequence(tokens, index + 1);
+            alternatives.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (alternatives.length === 1) {
+            return result;
+        }
+        return { element: this._withSpan(new AlternationNode(alternatives), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse a sequence of items
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseSequence(tokens, index) {
+        const startIndex = index;
+        const elements = [];
+
+        while (index < tokens.length && tokens[index].type !== 'alternation' && tokens[index].type !== 'rparen') {
+            const result = this._parseException(tokens, index);
+            elements.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (elements.length === 0) {
+            const token = tokens[index] || tokens[index - 1] || null;
+            throw new EBNFParseError('Empty expression', token?.line, token?.column, token);
+        }
+        if (elements.length === 1) {
+            return { element: elements[0], nextIndex: index };
+        }
+        return { element: this._withSpan(new SequenceNode(elements), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse a primary followed by any number of '?', '*' and '+' operators
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePostfix(tokens, index) {
+        const startIndex = index;
+        const result = this._parsePrimary(tokens, index);
+        let element = result.element;
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'quantifier') {
+            const quantifier = tokens[index].value;
+            index++;
+            element = quantifier === '?'
+                ? new OptionalNode(element)
+                : new RepetitionNode(quantifier === '+' ? 1 : 0, null, element);
+            this._withSpan(element, tokens, startIndex, index);
+        }
+
+        return { element, nextIndex: index };
+    }
+
+    /**
+     * Parse an item that may be followed by an exception ('A - B')
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseException(tokens, index) {
+        const result = this._parsePostfix(tokens, index);
+        if (result.nextIndex >= tokens.length || tokens[result.nextIndex].type !== 'exception') {
+            return result;
+        }
+
+        const excluded = this._parsePostfix(tokens, result.nextIndex + 1);
+        return {
+            element: this._withSpan(new ExceptionNode(result.element, excluded.element), tokens, index, excluded.nextIndex),
+            nextIndex: excluded.nextIndex
+        };
+    }
+
+    /**
+     * Parse a primary: string, character class, code point, symbol reference or group
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePrimary(tokens, index) {
+        const token = tokens[index];
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new EBNFParseError('Unexpected end of rule', last.end.line, last.end.column, last);
+        }
+
+        switch (token.type) {
+            case 'string':
+            case 'sstring':
+            case 'charclass':
+            case 'hexchar':
+                // Terminals keep their literal EBNF syntax
+                return { element: this._withSpan(new TerminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'identifier':
+                return { element: this._withSpan(new NonterminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'lparen': {
+                const group = this._parseAlternation(tokens, index + 1);
+                if (group.nextIndex >= tokens.length || tokens[group.nextIndex].type !== 'rparen') {
+                    throw new EBNFParseError('Missing closing parenthesis', token.line, token.column, token);
+                }
+                return { element: group.element, nextIndex: group.nextIndex + 1 };
+            }
+
+            default:
+                throw new EBNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
+    }
+
+    /**
+     * Attach the source span covered by a range of tokens to an AST node
+     * @param {ASTNode} node - Node to annotate
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} startIndex - Index of the node's first token
+     * @param {number} endIndex - Index after the node's last token
+     * @returns {ASTNode} The annotated node
+     * @private
+     */
+    _withSpan(node, tokens, startIndex, endIndex) {
+        const first = tokens[startIndex];
+        const last = tokens[endIndex - 1];
+        node.span = {
+            start: { line: first.line, column: first.column, offset: first.offset },
+            end: { ...last.end }
+        };
+        return node;
+    }
+}
+
+module.exports = EBNFParser;
+module.exports.EBNFParseError = EBNFParseError;
+module.exports.EBNFTokenizer = EBNFTokenizer;
@@ -3,6 +3,9 @@
  * @property {number} fontSize - Font size in pixels for text measurement
  * @property {string} fontFamily - Font family for text measurement
  * @property {number} gridSize - Grid size in pixels for dimension calculations
+ * @property {number|null} [maxWidth] - Maximum width in grid units; longer sequences wrap into rows
+ * @property {function(string, number, string): {width: number, height: number}} [measureText] - Text
+ *   measurement in pixels (text, fontSize, fontFamily); default: bundled font metrics
  */
 
 /**
@@ -44,6 +47,8 @@ class LayoutElement {
         this.baseline = 0;
         /** @type {boolean} Whether layout has been calculated */
         this.isLaidOut = false;
+        /** @type {import('./abnf-parser').SourceSpan|null} Source span of the AST node this element was built from */
+        this.span = null;
     }
 
     /**
@@ -58,9 +63,41 @@ class LayoutElement {
     }
 
     /**
-     * Render the element to SVG - must be implemented by subclasses
+     * Discard the computed layout of this element and its descendants, so that the next
+     * layout() call computes it again (e.g. with less room)
+     * @returns {void}
+     */
+    resetLayout() {
+        this.isLaidOut = false;
+        this._childElements().forEach(child => child.resetLayout());
+    }
+
+    /**
+     * Direct child elements - containers override this
+     * @returns {LayoutElement[]} Child elements (none by default)
+     * @protected
+     */
+    _childElements() {
+        return [];
+    }
+
+    /**
+     * Layout config for children that have less room than their parent
+     * @param {LayoutConfig} layoutConfig - Parent's layout configuration
+     * @param {number} overhead - Grid units the parent adds around the child (e.g. routing space)
+     * @returns {LayoutConfig} Configuration with maxWidth reduced by the overhead (if set)
+     */
+    static narrowLayoutConfig(layoutConfig, overhead) {
+        if (typeof layoutConfig.maxWidth !== 'number') {
+            return layoutConfig;
+        }
+        return { ...layoutConfig, maxWidth: Math.max(0, layoutConfig.maxWidth - overhead) };
+    }
+
+    /**
+     * Render the element through the drawing interface of a render context - must be implemented by subclasses
      * @abstract
-     * @param {RenderContext} ctx - Rendering context with methods for adding SVG elements
+     * @param {RenderContext} ctx - Rendering context (SVG, canvas, text, ...) placing boxes, labels, tracks and children
      * @returns {void}
      */
     render(ctx) {
@@ -16,12 +16,15 @@ const LayoutElement = require('./element');
 const { TextBoxElement } = require('./text-box-element');
 const TerminalElement = require('./terminal-element');
 const NonterminalElement = require('./nonterminal-element');
+const ProseElement = require('./prose-element');
 
 // Container elements
 const SequenceElement = require('./sequence-element');
 const StackElement = require('./stack-element');
 const BypassElement = require('./bypass-element');
 const LoopElement = require('./loop-element');
+const RepeatElement = require('./repeat-element');
+const ExceptionElement = require('./exception-element');
 
 // Export all elements for convenient importing
 module.exports = {
@@ -32,10 +35,13 @@ module.exports = {
     TextBoxElement,
     TerminalElement,
     NonterminalElement,
+    ProseElement,
     
     // Container elements
     SequenceElement,
     StackElement,
     BypassElement,
-    LoopElement
+    LoopElement,
+    RepeatElement,
+    ExceptionElement
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const LayoutElement = require('./element');
+const { Direction } = require('./track-builder');
+const { measureLayoutText } = require('./text-box-element');
+
+/**
+ * Exception element: matches its base element except where the excluded element
+ * matches (EBNF 'a - b'). The base sits on the track; the excluded element is
+ * drawn below it, unconnected, under an "except" label.
+ * @extends LayoutElement
+ */
+class ExceptionElement extends LayoutElement {
+    /**
+     * Create an exception element
+     * @param {LayoutElement} base - Element on the track
+     * @param {LayoutElement} excluded - Element whose matches are excluded
+     */
+    constructor(base, excluded) {
+        super();
+        /** @type {LayoutElement} */
+        this.child = base;
+        /** @type {LayoutElement} */
+        this.excluded = excluded;
+        /** @type {string} */
+        this.label = 'except';
+
+        // Layout will be calculated in layout() method
+    }
+
+    /**
+     * @returns {LayoutElement[]} The element and the excluded element
+     * @protected
+     */
+    _childElements() {
+        return [this.child, this.excluded];
+    }
+
+    /**
+     * Calculate layout dimensions based on both elements and the label
+     * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
+     * @returns {void}
+     */
+    layout(layoutConfig) {
+        if (!this.child.isLaidOut) {
+            this.child.layout(layoutConfig);
+        }
+        if (!this.excluded.isLaidOut) {
+            this.excluded.layout(layoutConfig);
+        }
+
+        const labelGrids = Math.ceil(measureLayoutText(this.label, layoutConfig).width / layoutConfig.gridSize);
+
+        // The label takes a row between the base and the excluded element
+        this.width = Math.max(this.child.width, this.excluded.width, labelGrids + (labelGrids % 2));
+        this.height = this.child.height + 1 + this.excluded.height;
+        this.baseline = this.child.baseline;
+        this.isLaidOut = true;
+
+        // Assert the width invariant: all Expression widths must be even
+        console.assert(this.width % 2 === 0, `ExceptionExpression violates width invariant: expected even width, got ${this.width}`);
+    }
+
+    /**
+     * Render the base on the track and the labelled excluded element below it
+     * @param {RenderContext} ctx - Rendering context
+     * @returns {void}
+     */
+    render(ctx) {
+        const childX = (this.width - this.child.width) / 2;
+        const excludedY = this.child.height + 1;
+
+        ctx.renderChild(this.child, childX, 0, 'exception-base');
+        ctx.addLabel(this.width / 2, this.child.height + 0.5, this.label);
+        ctx.renderChild(this.excluded, (this.width - this.excluded.width) / 2, excludedY, 'exception-excluded');
+
+        // Through path fills the space a wider excluded element or label leaves on either side of the base
+        if (childX > 0) {
+            ctx.trackBuilder
+                .start(0, this.baseline, Direction.EAST)
+                .forward(childX)
+                .finish('through-left');
+
+            ctx.trackBuilder
+                .start(childX + this.child.width, this.baseline, Direction.EAST)
+                .forward(childX)
+                .finish('through-right');
+        }
+    }
+
+    /**
+     * Convert to debug string representation
+     * @returns {string} Debug string like 'exception(nonterminal("A"), terminal("B"))'
+     */
+    toString() {
+        return `exception(${this.child.toString()}, ${this.excluded.toString()})`;
+    }
+}
+
+module.exports = ExceptionElement;
@@ -0,0 +1,84 @@
+/**
+ * Type definitions for Geometry Render Context
+ */
+
+import { RenderContext, GroupMetadata, PathMetadata, TextBoxShape } from './render-context';
+import { TrackSegment } from './track-builder';
+import { SourceSpan } from './abnf-parser';
+
+export interface GeometryTrack {
+  /** Debug ID of the track (e.g. 'textbox-left', 'loop-path-right') */
+  id: string | null;
+  /** A move, then lines and quarter arcs, in absolute grid units */
+  segments: TrackSegment[];
+}
+
+export interface GeometryNode {
+  /** Element kind */
+  kind: 'terminal' | 'nonterminal' | 'prose' | 'sequence' | 'stack' | 'bypass' | 'loop' | 'repeat' | 'exception';
+  /** Role in the parent element ('main-element', 'sequence-child', 'loop-separator', ...) */
+  role: string | null;
+  /** Left edge in absolute grid units */
+  x: number;
+  /** Top edge in absolute grid units */
+  y: number;
+  /** Width in grid units */
+  width: number;
+  /** Height in grid units */
+  height: number;
+  /** Baseline offset from the top edge in grid units */
+  baseline: number;
+  /** ABNF source span the element was built from */
+  span: SourceSpan | null;
+  /** Text box outline (text box elements) */
+  box?: {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    text: string;
+    boxType: 'terminal' | 'nonterminal' | 'prose';
+    rule: string | null;
+    href: string | null;
+  };
+  /** Annotation labels, centered at x, y */
+  labels: { x: number; y: number; text: string }[];
+  /** Tracks drawn by the element itself */
+  tracks: GeometryTrack[];
+  /** Child elements, in drawing order */
+  children: GeometryNode[];
+}
+
+/**
+ * Render context that records the laid-out element tree in absolute grid units instead of drawing it
+ */
+export declare class GeometryRenderContext extends RenderContext {
+  /** Start and end endpoints */
+  endpoints: { x: number; y: number }[];
+  /** Tracks outside the root element (endpoint connections) */
+  tracks: GeometryTrack[];
+  /** Root element */
+  root: GeometryNode | null;
+
+  /**
+   * Create a geometry render context
+   */
+  constructor();
+
+  drawTextBox(box: TextBoxShape): void;
+  drawLabel(x: number, y: number, text: string): void;
+  drawEndpoint(x: number, y: number): void;
+  drawPath(segments: TrackSegment[], metadata: PathMetadata): void;
+  beginGroup(metadata: GroupMetadata): void;
+  endGroup(): void;
+
+  /**
+   * Recorded geometry
+   * @returns Endpoints, endpoint connections and the root element
+   */
+  toJSON(): { endpoints: { x: number; y: number }[]; tracks: GeometryTrack[]; element: GeometryNode | null };
+
+  private _group(): { node: GeometryNode | null; x: number; y: number; rule?: string };
+}
+
+export default GeometryRenderContext;
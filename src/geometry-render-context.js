@@ -0,0 +1,158 @@
+const RenderContext = require('./render-context');
+
+/**
+ * @typedef {Object} GeometryTrack
+ * @property {string|null} id - Debug ID of the track (e.g. 'textbox-left', 'loop-path-right')
+ * @property {TrackSegment[]} segments - A move, then lines and quarter arcs, in absolute grid units
+ */
+
+/**
+ * @typedef {Object} GeometryNode
+ * @property {string} kind - Element kind ('terminal', 'nonterminal', 'prose', 'sequence', 'stack',
+ *   'bypass', 'loop', 'repeat', 'exception')
+ * @property {string|null} role - Role in the parent element ('main-element', 'sequence-child', 'loop-separator', ...)
+ * @property {number} x - Left edge in absolute grid units
+ * @property {number} y - Top edge in absolute grid units
+ * @property {number} width - Width in grid units
+ * @property {number} height - Height in grid units
+ * @property {number} baseline - Baseline offset from the top edge in grid units
+ * @property {SourceSpan|null} span - ABNF source span the element was built from
+ * @property {{x: number, y: number, width: number, height: number, text: string, boxType: string,
+ *   rule: string|null, href: string|null}} [box] - Text box outline (text box elements)
+ * @property {{x: number, y: number, text: string}[]} labels - Annotation labels, centered at x, y
+ * @property {GeometryTrack[]} tracks - Tracks drawn by the element itself
+ * @property {GeometryNode[]} children - Child elements, in drawing order
+ */
+
+/**
+ * Render context that records the laid-out element tree instead of drawing it:
+ * the grid size is 1, so every position and track segment is in absolute grid units
+ * @extends RenderContext
+ */
+class GeometryRenderContext extends RenderContext {
+    /**
+     * Create a geometry render context
+     */
+    constructor() {
+        super(1);
+        /** @type {{x: number, y: number}[]} Start and end endpoints */
+        this.endpoints = [];
+        /** @type {GeometryTrack[]} Tracks outside the root element (endpoint connections) */
+        this.tracks = [];
+        /** @type {GeometryNode|null} Root element */
+        this.root = null;
+        /** @private @type {{node: GeometryNode|null, x: number, y: number, rule?: string}[]} Open groups: element, origin and referenced rule */
+        this._groups = [{ node: null, x: 0, y: 0 }];
+    }
+
+    /**
+     * Record the outline and text of a text box on its element
+     * @param {TextBoxShape} box - Box geometry in grid units, text and link
+     */
+    drawTextBox({ x, y, width, height, text, boxType, href }) {
+        const group = this._group();
+        group.node.box = { x: group.x + x, y: group.y + y, width, height, text, boxType, rule: group.rule || null, href };
+    }
+
+    /**
+     * Record an annotation label on the current element
+     * @param {number} x - X of the label center in grid units
+     * @param {number} y - Y of the label center in grid units
+     * @param {string} text - Label text
+     */
+    drawLabel(x, y, text) {
+        const group = this._group();
+        group.node.labels.push({ x: group.x + x, y: group.y + y, text });
+    }
+
+    /**
+     * Record a start/end endpoint
+     * @param {number} x - X of the endpoint center in grid units
+     * @param {number} y - Y of the endpoint center in grid units
+     */
+    drawEndpoint(x, y) {
+        const group = this._group();
+        this.endpoints.push({ x: group.x + x, y: group.y + y });
+    }
+
+    /**
+     * Record a track on the current element, moved to absolute coordinates
+     * @param {TrackSegment[]} segments - Path segments in grid units
+     * @param {PathMetadata} metadata - Path class and debug information
+     */
+    drawPath(segments, metadata) {
+        const group = this._group();
+        const track = {
+            id: metadata.id,
+            segments: segments.map(segment => {
+                const moved = { ...segment, x: group.x + segment.x, y: group.y + segment.y };
+                if (segment.type === 'arc') {
+                    moved.cornerX = group.x + segment.cornerX;
+                    moved.cornerY = group.y + segment.cornerY;
+                }
+                return moved;
+            })
+        };
+        (group.node ? group.node.tracks : this.tracks).push(track);
+    }
+
+    /**
+     * Open a group: groups of child elements add a node to the tree, other groups
+     * (text boxes) belong to the current element
+     * @param {GroupMetadata} metadata - Group offset, class, data and element
+     */
+    beginGroup({ x = 0, y = 0, className, data = {}, element }) {
+        const parent = this._group();
+        const group = { node: parent.node, x: parent.x + x, y: parent.y + y, rule: data.rule };
+
+        if (element) {
+            group.node = {
+                kind: element.constructor.name.replace(/Element$/, '').toLowerCase(),
+                role: className || null,
+                x: group.x,
+                y: group.y,
+                width: element.width,
+                height: element.height,
+                baseline: element.baseline,
+                span: element.span || null,
+                labels: [],
+                tracks: [],
+                children: []
+            };
+            if (parent.node) {
+                parent.node.children.push(group.node);
+            } else {
+                this.root = group.node;
+            }
+        }
+
+        this._groups.push(group);
+    }
+
+    /**
+     * Close the innermost group
+     */
+    endGroup() {
+        this._groups.pop();
+    }
+
+    /**
+     * Recorded geometry
+     * @returns {{endpoints: {x: number, y: number}[], tracks: GeometryTrack[], element: GeometryNode|null}}
+     *   Endpoints, endpoint connections and the root element
+     */
+    toJSON() {
+        return { endpoints: this.endpoints, tracks: this.tracks, element: this.root };
+    }
+
+    /**
+     * The innermost open group
+     * @returns {{node: GeometryNode|null, x: number, y: number, rule?: string}} Group element and origin
+     * @private
+     */
+    _group() {
+        return this._groups[this._groups.length - 1];
+    }
+}
+
+module.exports = GeometryRenderContext;
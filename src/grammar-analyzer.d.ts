@@ -0,0 +1,84 @@
+/**
+ * Type definitions for Grammar Analyzer
+ */
+
+import { ASTNode, ParsedRule } from './abnf-parser';
+
+export type IssueType =
+  | 'syntax-error'
+  | 'undefined-reference'
+  | 'unreachable-rule'
+  | 'duplicate-definition'
+  | 'case-collision';
+
+export interface GrammarIssue {
+  /** Kind of issue */
+  type: IssueType;
+  /** Errors make diagrams wrong, warnings are likely mistakes */
+  severity: 'error' | 'warning';
+  /** Rule the issue is about */
+  rule: string | null;
+  /** Human readable description */
+  message: string;
+  /** Line number (1-based) of the issue */
+  line: number | null;
+  /** Column number (1-based) of the issue */
+  column: number | null;
+  /** Rules referencing an undefined rule (undefined-reference only) */
+  referencedBy?: string[];
+}
+
+export interface RuleReferences {
+  /** Defined rules referenced by the rule, in order of first reference */
+  references: string[];
+  /** Rules referencing the rule, in grammar order */
+  referencedBy: string[];
+  /** Referenced names that are not defined */
+  undefinedReferences: string[];
+}
+
+export interface AnalysisOptions {
+  /** Rule reachability is computed from (default: the first rule) */
+  startRule?: string;
+}
+
+/**
+ * Analyzer for parsed ABNF grammars
+ */
+export declare class GrammarAnalyzer {
+  /**
+   * Run all checks
+   * @param rules Rules from ABNFParser.parse
+   * @param options Analysis options
+   * @returns Issues found, grouped by check
+   * @throws If the start rule is not defined
+   */
+  analyze(rules: Map<string, ParsedRule>, options?: AnalysisOptions): GrammarIssue[];
+
+  /** Find rules defined more than once with '=' (the last definition wins) */
+  findDuplicateDefinitions(rules: Map<string, ParsedRule>): GrammarIssue[];
+
+  /** Find definitions that spell the rule name differently from its first definition */
+  findCaseCollisions(rules: Map<string, ParsedRule>): GrammarIssue[];
+
+  /** Find references to rules that are not defined (compared the way the rule map compares names) */
+  findUndefinedReferences(rules: Map<string, ParsedRule>): GrammarIssue[];
+
+  /**
+   * Find rules that cannot be reached from the start rule
+   * @throws If the start rule is not defined
+   */
+  findUnreachableRules(rules: Map<string, ParsedRule>, startRule?: string): GrammarIssue[];
+
+  /**
+   * Build the cross-reference index of a grammar: for each rule the rules it references
+   * and the rules referencing it
+   * @returns Index with the same keys and order as rules
+   */
+  buildReferenceIndex(rules: Map<string, ParsedRule>): Map<string, RuleReferences>;
+
+  private _createResolver(rules: Map<string, ParsedRule>): (name: string) => string | undefined;
+  private _collectReferences(node: ASTNode): ASTNode[];
+}
+
+export default GrammarAnalyzer;
@@ -0,0 +1,252 @@
+/**
+ * Grammar Analyzer
+ * 
+ * Static checks over parsed ABNF rules: undefined references, rules that are
+ * unreachable from a start rule, duplicate definitions and rule names that only
+ * differ in case (ABNF rule names are case-insensitive, RFC 5234 section 2.1).
+ */
+
+const RuleMap = require('./rule-map');
+
+/**
+ * @typedef {'syntax-error'|'undefined-reference'|'unreachable-rule'|'duplicate-definition'|'case-collision'} IssueType
+ */
+
+/**
+ * @typedef {Object} GrammarIssue
+ * @property {IssueType} type - Kind of issue
+ * @property {'error'|'warning'} severity - Errors make diagrams wrong, warnings are likely mistakes
+ * @property {string|null} rule - Rule the issue is about
+ * @property {string} message - Human readable description
+ * @property {number|null} line - Line number (1-based) of the issue
+ * @property {number|null} column - Column number (1-based) of the issue
+ * @property {string[]} [referencedBy] - Rules referencing an undefined rule (undefined-reference only)
+ */
+
+/**
+ * @typedef {Object} RuleReferences
+ * @property {string[]} references - Defined rules referenced by the rule, in order of first reference
+ * @property {string[]} referencedBy - Rules referencing the rule, in grammar order
+ * @property {string[]} undefinedReferences - Referenced names that are not defined
+ */
+
+/**
+ * @typedef {Object} AnalysisOptions
+ * @property {string} [startRule] - Rule reachability is computed from (default: the first rule)
+ */
+
+/**
+ * Analyzer for parsed ABNF grammars
+ */
+class GrammarAnalyzer {
+    /**
+     * Run all checks
+     * @param {Map<string, ParsedRule>} rules - Rules from ABNFParser.parse
+     * @param {AnalysisOptions} [options={}] - Analysis options
+     * @returns {GrammarIssue[]} Issues found, grouped by check
+     * @throws {Error} If the start rule is not defined
+     */
+    analyze(rules, options = {}) {
+        if (rules.size === 0) {
+            return [];
+        }
+
+        return [
+            ...this.findDuplicateDefinitions(rules),
+            ...this.findCaseCollisions(rules),
+            ...this.findUndefinedReferences(rules),
+            ...this.findUnreachableRules(rules, options.startRule)
+        ];
+    }
+
+    /**
+     * Find rules defined more than once with '=' (the last definition wins)
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @returns {GrammarIssue[]} One issue per duplicated rule
+     */
+    findDuplicateDefinitions(rules) {
+        const issues = [];
+
+        for (const rule of rules.values()) {
+            const definitions = (rule.definitions || []).filter(definition => !definition.incremental);
+            if (definitions.length > 1) {
+                const lines = definitions.map(definition => definition.line).join(', ');
+                issues.push({
+                    type: 'duplicate-definition',
+                    severity: 'error',
+                    rule: rule.name,
+                    message: `Rule '${rule.name}' is defined ${definitions.length} times (lines ${lines}); only the last definition is used`,
+                    line: definitions[definitions.length - 1].line,
+                    column: 1
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Find definitions that spell the rule name differently from its first definition.
+     * The parser treats them as the same rule; the differing spelling is likely a mistake.
+     * Grammars with case-sensitive rule names (a case-sensitive RuleMap) have none.
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @returns {GrammarIssue[]} One issue per differently spelled definition
+     */
+    findCaseCollisions(rules) {
+        const issues = [];
+        if (rules instanceof RuleMap && rules.caseSensitive) {
+            return issues; // Differently spelled names are different rules
+        }
+
+        for (const rule of rules.values()) {
+            for (const definition of rule.definitions || []) {
+                if (definition.name === undefined || definition.name === rule.name) {
+                    continue;
+                }
+                
+                issues.push({
+                    type: 'case-collision',
+                    severity: 'error',
+                    rule: rule.name,
+                    message: `Rule '${definition.name}' collides with '${rule.name}' (rule names are case-insensitive)`,
+                    line: definition.line,
+                    column: 1
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Find references to rules that are not defined (compared the way the rule map compares names)
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @returns {GrammarIssue[]} One issue per undefined name, positioned at its first reference
+     */
+    findUndefinedReferences(rules) {
+        const resolve = this._createResolver(rules);
+        const undefinedNames = new Map();
+
+        for (const rule of rules.values()) {
+            for (const reference of this._collectReferences(rule.expression)) {
+                if (resolve(reference.text)) {
+                    continue;
+                }
+                
+                if (!undefinedNames.has(reference.text)) {
+                    undefinedNames.set(reference.text, { first: reference, referencedBy: new Set() });
+                }
+                undefinedNames.get(reference.text).referencedBy.add(rule.name);
+            }
+        }
+
+        return Array.from(undefinedNames, ([name, { first, referencedBy }]) => ({
+            type: 'undefined-reference',
+            severity: 'error',
+            rule: name,
+            message: `Rule '${name}' is not defined (referenced by ${Array.from(referencedBy).join(', ')})`,
+            line: first.span ? first.span.start.line : null,
+            column: first.span ? first.span.start.column : null,
+            referencedBy: Array.from(referencedBy)
+        }));
+    }
+
+    /**
+     * Find rules that cannot be reached from the start rule (or, in ANTLR grammars, a token rule)
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @param {string} [startRule] - Start rule name (default: the first rule)
+     * @returns {GrammarIssue[]} One issue per unreachable rule
+     * @throws {Error} If the start rule is not defined
+     */
+    findUnreachableRules(rules, startRule) {
+        const resolve = this._createResolver(rules);
+        const start = startRule === undefined ? rules.keys().next().value : resolve(startRule);
+        if (!start) {
+            throw new Error(`Start rule '${startRule}' is not defined`);
+        }
+
+        // The lexer matches token rules (ANTLR lexer rules except fragments) without references
+        const tokenRules = Array.from(rules.values()).filter(rule => rule.lexer && !rule.fragment).map(rule => rule.name);
+        const reachable = new Set([start, ...tokenRules]);
+        const pending = Array.from(reachable);
+        while (pending.length > 0) {
+            const rule = rules.get(pending.pop());
+            for (const reference of this._collectReferences(rule.expression)) {
+                const name = resolve(reference.text);
+                if (name && !reachable.has(name)) {
+                    reachable.add(name);
+                    pending.push(name);
+                }
+            }
+        }
+
+        return Array.from(rules.values())
+            .filter(rule => !reachable.has(rule.name))
+            .map(rule => ({
+                type: 'unreachable-rule',
+                severity: 'warning',
+                rule: rule.name,
+                message: `Rule '${rule.name}' is not reachable from '${start}'`,
+                line: rule.definitions && rule.definitions.length > 0 ? rule.definitions[0].line : null,
+                column: 1
+            }));
+    }
+
+    /**
+     * Build the cross-reference index of a grammar: for each rule the rules it references
+     * and the rules referencing it (names resolved case-insensitively to the rule map keys)
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @returns {Map<string, RuleReferences>} Index with the same keys and order as rules
+     */
+    buildReferenceIndex(rules) {
+        const resolve = this._createResolver(rules);
+        const index = new Map(Array.from(rules.keys(), name => [name, {
+            references: [],
+            referencedBy: [],
+            undefinedReferences: []
+        }]));
+
+        for (const [name, rule] of rules) {
+            const entry = index.get(name);
+            for (const reference of this._collectReferences(rule.expression)) {
+                const target = resolve(reference.text);
+                if (!target) {
+                    if (!entry.undefinedReferences.includes(reference.text)) {
+                        entry.undefinedReferences.push(reference.text);
+                    }
+                } else if (!entry.references.includes(target)) {
+                    entry.references.push(target);
+                    index.get(target).referencedBy.push(name);
+                }
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Create a lookup from a referenced name to the defined rule name
+     * @param {Map<string, ParsedRule>} rules - Parsed rules
+     * @returns {function(string): (string|undefined)} Resolver returning the rule map key
+     * @private
+     */
+    _createResolver(rules) {
+        const ruleMap = rules instanceof RuleMap ? rules : new RuleMap(rules);
+        return (name) => ruleMap.resolve(name);
+    }
+
+    /**
+     * Collect all nonterminal nodes of an AST in source order
+     * @param {ASTNode} node - Root node
+     * @returns {ASTNode[]} Nonterminal nodes (with their spans, if parsed)
+     * @private
+     */
+    _collectReferences(node) {
+        if (node.type === 'nonterminal') {
+            return [node];
+        }
+        return (node.elements || []).flatMap(child => this._collectReferences(child));
+    }
+}
+
+module.exports = GrammarAnalyzer;
@@ -2,6 +2,8 @@
  * Type definitions for HTML Generator
  */
 
+import { ASTNode } from './abnf-parser';
+
 export interface RuleDisplay {
   /** Rule name */
   name: string;
@@ -11,6 +13,20 @@ export interface RuleDisplay {
   svg: string;
 }
 
+export interface RuleCrossReference {
+  /** Name of the referenced or referencing rule */
+  name: string;
+  /** Anchor of its diagram, null if it is not part of the document */
+  id: string | null;
+}
+
+export interface HTMLOptions {
+  /** Presentation of rules marked as core: left out, diagrams in an appendix, or a linked reference list */
+  coreRules?: 'none' | 'appendix' | 'link';
+  /** Parse errors to list above the diagrams */
+  diagnostics?: Array<{ message: string; line: number | null; column: number | null }>;
+}
+
 /**
  * HTML generator for railroad diagram documents
  */
@@ -45,6 +61,39 @@ export declare class HTMLGenerator {
     svgContent?: Map<string, string>
   ): Promise<string>;
 
+  /**
+   * Generate HTML from enriched rules (contains SVG already)
+   * @param enrichedRules Rules with embedded SVG content
+   * @param title Document title
+   * @param options Presentation options
+   * @returns Complete HTML document
+   */
+  generateHTMLFromEnrichedRules(
+    enrichedRules: Map<string, { name: string; original: string; svg: string; expression?: ASTNode; debugString?: string; doc?: string | null; core?: boolean }>,
+    title?: string,
+    options?: HTMLOptions
+  ): Promise<string>;
+
+  /**
+   * Compute, for each rule, the rules it references and the rules referencing it,
+   * linked to their diagram anchors
+   * @param enrichedRules Rules with their expressions
+   * @param coreRulesMode Core rules are only linked when they are part of the document
+   * @returns Cross-references keyed like enrichedRules (rules without an expression have none)
+   */
+  buildCrossReferences(
+    enrichedRules: Map<string, { name: string; expression?: ASTNode; core?: boolean }>,
+    coreRulesMode?: 'none' | 'appendix' | 'link'
+  ): Map<string, { references: RuleCrossReference[]; referencedBy: RuleCrossReference[] }>;
+
+  /**
+   * Format rule documentation with simple markdown-style markup
+   * (paragraphs, '- ' lists, `code`, **bold**, *italic*, [text](url) links, bare URLs)
+   * @param doc Documentation text taken from ABNF comments
+   * @returns HTML fragment
+   */
+  formatDoc(doc: string): string;
+
   /**
    * Escape HTML special characters for safe output
    * @param str Input string to escape
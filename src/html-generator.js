@@ -8,6 +8,9 @@
 const fs = require('fs-extra');
 const path = require('path');
 const Handlebars = require('handlebars');
+const { CORE_RULES_REFERENCE_URL } = require('./core-rules');
+const { ruleId } = require('./rule-links');
+const GrammarAnalyzer = require('./grammar-analyzer');
 
 /**
  * @typedef {Object} RuleDisplay
@@ -16,6 +19,25 @@ const Handlebars = require('handlebars');
  * @property {string} svg - SVG diagram markup
  */
 
+/**
+ * @typedef {Object} RuleCrossReference
+ * @property {string} name - Name of the referenced or referencing rule
+ * @property {string|null} id - Anchor of its diagram, null if it is not part of the document
+ */
+
+/**
+ * @typedef {'none'|'appendix'|'link'} CoreRulesMode
+ * How RFC 5234 core rules are presented: left out, rendered as diagrams in an
+ * appendix section, or listed compactly with a link to the RFC
+ */
+
+/**
+ * @typedef {Object} HTMLOptions
+ * @property {CoreRulesMode} [coreRules='none'] - Presentation of rules marked as core
+ * @property {Array<{message: string, line: number|null, column: number|null}>} [diagnostics] - Parse
+ *   errors to list above the diagrams
+ */
+
 /**
  * HTML generator for railroad diagram documents
  */
@@ -47,9 +69,8 @@ class HTMLGenerator {
         this.template = Handlebars.compile(templateContent);
 
         // Register Handlebars helpers
-        Handlebars.registerHelper('sanitizeId', function(str) {
-            return str.replace(/[^a-zA-Z0-9-_]/g, '_');
-        });
+        Handlebars.registerHelper('sanitizeId', ruleId);
+        Handlebars.registerHelper('formatDoc', (doc) => new Handlebars.SafeString(this.formatDoc(doc)));
 
         this.assetsLoaded = true;
     }
@@ -80,24 +101,85 @@ class HTMLGenerator {
      * Generate HTML from enriched rules (contains SVG already)
      * @param {Map<string, EnrichedRule>} enrichedRules - Rules with embedded SVG content
      * @param {string} [title='Grammar Syntax Diagrams'] - Document title
+     * @param {HTMLOptions} [options={}] - Presentation options
      * @returns {Promise<string>} Complete HTML document
      */
-    async generateHTMLFromEnrichedRules(enrichedRules, title = 'Grammar Syntax Diagrams') {
+    async generateHTMLFromEnrichedRules(enrichedRules, title = 'Grammar Syntax Diagrams', options = {}) {
         await this.loadAssets(); // Ensure assets are loaded
 
-        const rulesArray = Array.from(enrichedRules.values()).map(rule => ({
+        const coreRulesMode = options.coreRules || 'none';
+        const crossReferences = this.buildCrossReferences(enrichedRules, coreRulesMode);
+        const rulesArray = Array.from(enrichedRules, ([key, rule]) => ({
             name: rule.name,
             original: rule.original,
             svg: rule.svg,
-            debugString: rule.debugString
+            debugString: rule.debugString,
+            doc: rule.doc || null,
+            core: rule.core === true,
+            ...crossReferences.get(key)
         }));
 
         return this.template({
             title: this.escapeHtml(title),
-            rules: rulesArray
+            rules: rulesArray.filter(rule => !rule.core),
+            coreRules: coreRulesMode === 'none' ? [] : rulesArray.filter(rule => rule.core),
+            coreRulesLinked: coreRulesMode === 'link',
+            coreRulesReference: CORE_RULES_REFERENCE_URL,
+            diagnostics: (options.diagnostics || []).map(({ message, line, column }) => ({ message, line, column }))
         });
     }
 
+    /**
+     * Compute, for each rule, the rules it references and the rules referencing it,
+     * linked to their diagram anchors
+     * @param {Map<string, EnrichedRule>} enrichedRules - Rules with their expressions
+     * @param {CoreRulesMode} coreRulesMode - Core rules are only linked when they are part of the document
+     * @returns {Map<string, {references: RuleCrossReference[], referencedBy: RuleCrossReference[]}>}
+     *   Cross-references keyed like enrichedRules (rules without an expression have none)
+     */
+    buildCrossReferences(enrichedRules, coreRulesMode = 'none') {
+        const analyzed = new Map(Array.from(enrichedRules).filter(([, rule]) => rule.expression));
+        const index = new GrammarAnalyzer().buildReferenceIndex(analyzed);
+        const toCrossReference = (key) => {
+            const rule = enrichedRules.get(key);
+            const inDocument = rule.core !== true || coreRulesMode !== 'none';
+            return { name: rule.name, id: inDocument ? ruleId(rule.name) : null };
+        };
+
+        return new Map(Array.from(index, ([key, { references, referencedBy, undefinedReferences }]) => [key, {
+            references: [
+                ...references.map(toCrossReference),
+                ...undefinedReferences.map(name => ({ name, id: null }))
+            ],
+            referencedBy: referencedBy.map(toCrossReference)
+        }]));
+    }
+
+    /**
+     * Format rule documentation with simple markdown-style markup:
+     * blank-line separated paragraphs, '- ' list items, `code`, **bold**, *italic*,
+     * [text](url) links and bare http(s) URLs
+     * @param {string} doc - Documentation text taken from ABNF comments
+     * @returns {string} HTML fragment
+     */
+    formatDoc(doc) {
+        const formatInline = (text) => this.escapeHtml(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[\s(])\*([^*\s][^*]*)\*(?=[\s).,;:!?]|$)/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+            .replace(/(^|[\s(])(https?:\/\/[^\s<)]*[^\s<).,;:!?])/g, '$1<a href="$2">$2</a>');
+
+        return doc.split(/\n\s*\n/).map(block => {
+            const lines = block.split('\n').map(line => line.trim());
+            if (lines.every(line => line.startsWith('- '))) {
+                const items = lines.map(line => `<li>${formatInline(line.slice(2))}</li>`);
+                return `<ul>${items.join('')}</ul>`;
+            }
+            return `<p>${formatInline(lines.join(' '))}</p>`;
+        }).join('\n');
+    }
+
     /**
      * Escape HTML special characters for safe output
      * @param {string} str - Input string to escape
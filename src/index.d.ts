@@ -2,13 +2,40 @@
  * Type definitions for ABNF to Railroad Diagram Generator main module
  */
 
-import { ABNFParser } from './abnf-parser';
-import { SVGRenderer } from './svg-renderer';
+import { ABNFParser, ABNFParseError } from './abnf-parser';
+import { SVGRenderer, DiagramGeometry } from './svg-renderer';
 import { HTMLGenerator } from './html-generator';
+import { GrammarAnalyzer, GrammarIssue } from './grammar-analyzer';
+import { ABNFFormatter } from './abnf-formatter';
+import { LinkResolver } from './rule-links';
+import { GraphFormat } from './dependency-graph';
+
+/** Grammar notation: ABNF (RFC 5234), W3C EBNF (XML specification style), ISO/IEC 14977 EBNF, ANTLR v4 or peggy (PEG.js) */
+export type GrammarSyntax = 'abnf' | 'ebnf' | 'iso-ebnf' | 'antlr' | 'peggy';
 
 export interface ConversionOptions {
   /** Document title for generated HTML */
   title?: string;
+  /** Include referenced RFC 5234 core rules as an appendix of diagrams or a linked reference list */
+  coreRules?: 'none' | 'appendix' | 'link';
+  /** Keep going after syntax errors: render the rules that parsed and list the diagnostics */
+  recover?: boolean;
+  /** Parse errors to list in the generated HTML */
+  diagnostics?: ABNFParseError[];
+  /** Draw exact repetitions (8HEXDIG) as n copies in a row or as a single box labelled "×8" */
+  exactRepetitions?: 'expand' | 'count';
+  /** Maximum diagram width in pixels; longer sequences wrap into rows */
+  maxWidth?: number;
+  /** Link targets for references the grammar does not define (e.g. another grammar file or an RFC), by rule name */
+  links?: Record<string, string>;
+  /** Custom link resolver for nonterminal references (overrides links) */
+  linkResolver?: LinkResolver;
+  /** Write an HTML document with SVG diagrams or a plain-text document with text-art diagrams (maxWidth is in characters then) */
+  format?: 'html' | 'text';
+  /** Draw text-art diagrams with ASCII characters only */
+  ascii?: boolean;
+  /** Grammar notation of the input file (default: by file extension: .ebnf is W3C EBNF, .iso-ebnf ISO EBNF, .g4 ANTLR, .peggy and .pegjs peggy, anything else ABNF) */
+  syntax?: GrammarSyntax;
 }
 
 export interface ConversionResult {
@@ -18,10 +45,119 @@ export interface ConversionResult {
   rulesCount?: number;
   /** Path to output file (if successful) */
   outputFile?: string;
+  /** Parse errors recovered from (recover mode only) */
+  diagnostics?: ABNFParseError[];
   /** Error message (if failed) */
   error?: string;
 }
 
+export interface CheckOptions {
+  /** Rule reachability is computed from (default: the first rule) */
+  startRule?: string;
+  /** Treat referenced RFC 5234 core rules as defined */
+  coreRules?: boolean;
+  /** Grammar notation of the input file (default: by file extension) */
+  syntax?: GrammarSyntax;
+}
+
+export interface CheckReport {
+  /** Checked file */
+  file: string;
+  /** Syntax errors followed by grammar analysis issues */
+  issues: GrammarIssue[];
+}
+
+export interface FormatFileOptions {
+  /** Maximum line length (default 72); longer rules are folded onto continuation lines */
+  width?: number;
+  /** Write the formatted text back to the file if it changed */
+  write?: boolean;
+  /** Grammar notation of the input file (default: by file extension); only ABNF can be formatted */
+  syntax?: GrammarSyntax;
+}
+
+export interface FormatResult {
+  /** Formatted file */
+  file: string;
+  /** Formatted file content */
+  formatted: string;
+  /** Whether formatting changed the content */
+  changed: boolean;
+}
+
+export interface GraphExportOptions {
+  /** Output format */
+  format?: GraphFormat;
+  /** Root the graph at this rule */
+  startRule?: string;
+  /** Include rules at most this many references away from the start rule */
+  depth?: number;
+  /** Include referenced RFC 5234 core rules as defined rules */
+  coreRules?: boolean;
+  /** Grammar notation of the input file (default: by file extension) */
+  syntax?: GrammarSyntax;
+}
+
+export interface SvgExportOptions {
+  /** Rules to write (default: all rules) */
+  rules?: string[];
+  /** Also write referenced RFC 5234 core rules */
+  coreRules?: boolean;
+  /** Draw exact repetitions as n copies or as one box labelled "×8" */
+  exactRepetitions?: 'expand' | 'count';
+  /** Maximum diagram width in pixels; longer sequences wrap into rows */
+  maxWidth?: number;
+  /** Link targets for references the grammar does not define, by rule name */
+  links?: Record<string, string>;
+  /** Grammar notation of the input file (default: by file extension) */
+  syntax?: GrammarSyntax;
+}
+
+/** PNG images cannot hold hyperlinks, so there is no links option */
+export interface PngExportOptions {
+  /** Rules to write (default: all rules) */
+  rules?: string[];
+  /** Also write referenced RFC 5234 core rules */
+  coreRules?: boolean;
+  /** Draw exact repetitions as n copies or as one box labelled "×8" */
+  exactRepetitions?: 'expand' | 'count';
+  /** Maximum diagram width in pixels (before scaling); longer sequences wrap into rows */
+  maxWidth?: number;
+  /** Pixels per diagram pixel (default 2, for 192 dpi) */
+  scale?: number;
+  /** Grammar notation of the input file (default: by file extension) */
+  syntax?: GrammarSyntax;
+}
+
+export interface LayoutExportOptions {
+  /** Rules to export (default: all rules) */
+  rules?: string[];
+  /** Also export referenced RFC 5234 core rules */
+  coreRules?: boolean;
+  /** Lay out exact repetitions as n copies or as one box labelled "×8" */
+  exactRepetitions?: 'expand' | 'count';
+  /** Maximum diagram width in pixels; longer sequences wrap into rows */
+  maxWidth?: number;
+  /** Link targets for references the grammar does not define, by rule name */
+  links?: Record<string, string>;
+  /** Grammar notation of the input file (default: by file extension) */
+  syntax?: GrammarSyntax;
+}
+
+export interface LayoutDocument {
+  /** Version of the layout geometry format */
+  version: number;
+  /** Geometry per rule, in grammar order */
+  rules: { name: string; definition: string; diagram: DiagramGeometry }[];
+}
+
+export interface SvgExportResult {
+  /** Rule name */
+  rule: string;
+  /** Path of the written SVG file */
+  file: string;
+}
+
 export interface ParsedRule {
   /** Original ABNF rule definition */
   original: string;
@@ -39,6 +175,12 @@ export declare class ABNFToRailroad {
   renderer: SVGRenderer;
   /** HTML generator instance */
   generator: HTMLGenerator;
+  /** Grammar analyzer instance */
+  analyzer: GrammarAnalyzer;
+  /** ABNF formatter instance */
+  formatter: ABNFFormatter;
+  /** Parsers by grammar syntax */
+  parsers: Record<GrammarSyntax, { parse(content: string, options?: { coreRules?: boolean; errors?: ABNFParseError[] }): Map<string, ParsedRule> }>;
 
   /**
    * Create a new ABNF to Railroad converter
@@ -48,10 +190,11 @@ export declare class ABNFToRailroad {
   /**
    * Parse ABNF file and return the AST
    * @param inputFile Path to ABNF file
+   * @param options Generation options
    * @returns Parsed rules map
    * @throws If file cannot be read or no valid rules found
    */
-  parse(inputFile: string): Promise<Map<string, ParsedRule>>;
+  parse(inputFile: string, options?: ConversionOptions): Promise<Map<string, ParsedRule>>;
 
   /**
    * Convert parsed rules to HTML with embedded SVG diagrams
@@ -66,6 +209,19 @@ export declare class ABNFToRailroad {
     options?: ConversionOptions
   ): Promise<ConversionResult>;
 
+  /**
+   * Convert parsed rules to a plain-text document with text-art diagrams
+   * @param rules Parsed ABNF rules
+   * @param outputFile Path for output text file
+   * @param options Generation options
+   * @returns Conversion result
+   */
+  convertToText(
+    rules: Map<string, ParsedRule>,
+    outputFile: string,
+    options?: ConversionOptions
+  ): Promise<ConversionResult>;
+
   /**
    * Convert ABNF file to HTML with embedded SVG diagrams
    * @param inputFile Path to ABNF file
@@ -80,11 +236,70 @@ export declare class ABNFToRailroad {
   ): Promise<ConversionResult>;
 
   /**
-   * List all rules found in an ABNF file
-   * @param inputFile Path to ABNF file
+   * List all rules found in a grammar file
+   * @param inputFile Path to grammar file
+   * @param options Grammar syntax (default: by file extension)
    * @returns Array of rule names, or empty array on error
    */
-  listRules(inputFile: string): Promise<string[]>;
+  listRules(inputFile: string, options?: { syntax?: GrammarSyntax }): Promise<string[]>;
+
+  /**
+   * Check an ABNF file for syntax errors and grammar issues
+   * @param inputFile Path to ABNF file
+   * @param options Check options
+   * @returns Report listing all issues found
+   * @throws If the file cannot be read or the start rule is not defined
+   */
+  checkRules(inputFile: string, options?: CheckOptions): Promise<CheckReport>;
+
+  /**
+   * Format an ABNF file: canonical spacing, aligned '=', folded long rules and preserved comments
+   * @param inputFile Path to ABNF file
+   * @param options Format options
+   * @returns Formatted content and whether it differs from the file
+   * @throws If the file cannot be read, is not ABNF or has a syntax error
+   */
+  formatFile(inputFile: string, options?: FormatFileOptions): Promise<FormatResult>;
+
+  /**
+   * Export the rule dependency graph of an ABNF file
+   * @param inputFile Path to ABNF file
+   * @param options Graph options
+   * @returns Graph in the requested format
+   * @throws If the file cannot be read or parsed, the start rule is not defined or the format is unknown
+   */
+  exportGraph(inputFile: string, options?: GraphExportOptions): Promise<string>;
+
+  /**
+   * Export the computed layout geometry of the rules of an ABNF file as a JSON document
+   * (see assets/layout-geometry.schema.json)
+   * @param inputFile Path to ABNF file
+   * @param options Export options
+   * @returns Geometry of the selected rules, in grammar order
+   * @throws If the file cannot be read or parsed, or a selected rule is not defined
+   */
+  exportLayout(inputFile: string, options?: LayoutExportOptions): Promise<LayoutDocument>;
+
+  /**
+   * Write one standalone SVG file per rule into a directory; references to rules
+   * written in the same run link to their files
+   * @param inputFile Path to ABNF file
+   * @param outputDir Directory for the SVG files (created if missing)
+   * @param options Export options
+   * @returns Written files, in grammar order
+   * @throws If the file cannot be read or parsed, or a selected rule is not defined
+   */
+  exportSvgFiles(inputFile: string, outputDir: string, options?: SvgExportOptions): Promise<SvgExportResult[]>;
+
+  /**
+   * Write one PNG image per rule into a directory
+   * @param inputFile Path to ABNF file
+   * @param outputDir Directory for the PNG files (created if missing)
+   * @param options Export options
+   * @returns Written files, in grammar order
+   * @throws If the file cannot be read or parsed, or a selected rule is not defined
+   */
+  exportPngFiles(inputFile: string, outputDir: string, options?: PngExportOptions): Promise<SvgExportResult[]>;
 }
 
 export default ABNFToRailroad;
\ No newline at end of file
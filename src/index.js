@@ -9,15 +9,26 @@ const {
     TextBoxElement,
     TerminalElement,
     NonterminalElement,
+    ProseElement,
     SequenceElement,
     StackElement,
     BypassElement,
-    LoopElement
+    LoopElement,
+    RepeatElement,
+    ExceptionElement
 } = require('./elements');
 
 // Rendering classes
 const RenderContext = require('./render-context');
+const SVGRenderContext = require('./svg-render-context');
+const CanvasRenderContext = require('./canvas-render-context');
+const GeometryRenderContext = require('./geometry-render-context');
 const { SVGRenderer } = require('./svg-renderer');
+const { TextRenderContext } = require('./text-render-context');
+const { TextRenderer } = require('./text-renderer');
+
+// Text measurement
+const { measureTextWithMetrics, measureTextWithCanvas, cachedTextMeasurer } = require('./text-measurer');
 
 // Railroad track building utilities
 const { TrackBuilder, Direction } = require('./track-builder');
@@ -28,6 +39,27 @@ const HtmlGenerator = require('./html-generator');
 // ABNF parsing (legacy compatibility)
 const AbnfParser = require('./abnf-parser');
 
+// ABNF formatting
+const ABNFFormatter = require('./abnf-formatter');
+
+// W3C and ISO 14977 EBNF parsing
+const EBNFParser = require('./ebnf-parser');
+const ISOEBNFParser = require('./iso-ebnf-parser');
+
+// ANTLR v4 grammar import
+const ANTLRParser = require('./antlr-parser');
+
+// Peggy (PEG.js) grammar import
+const PeggyParser = require('./peggy-parser');
+
+// Grammar analysis
+const GrammarAnalyzer = require('./grammar-analyzer');
+const RuleMap = require('./rule-map');
+const { DependencyGraph } = require('./dependency-graph');
+
+// Nonterminal links
+const { ruleId, defaultLinkResolver, createLinkResolver } = require('./rule-links');
+
 // Export everything for maximum flexibility
 module.exports = {
     // Core elements
@@ -35,20 +67,46 @@ module.exports = {
     TextBoxElement,
     TerminalElement,
     NonterminalElement,
+    ProseElement,
     SequenceElement,
     StackElement,
     BypassElement,
     LoopElement,
+    RepeatElement,
+    ExceptionElement,
     
     // Rendering
     RenderContext,
+    SVGRenderContext,
+    CanvasRenderContext,
+    GeometryRenderContext,
     SVGRenderer,
+    TextRenderContext,
+    TextRenderer,
     
     // Utilities
     TrackBuilder,
     Direction,
+    measureTextWithMetrics,
+    measureTextWithCanvas,
+    cachedTextMeasurer,
     
     // Legacy API compatibility
     HtmlGenerator,
-    AbnfParser
+    AbnfParser,
+    ABNFFormatter,
+    EBNFParser,
+    ISOEBNFParser,
+    ANTLRParser,
+    PeggyParser,
+    
+    // Analysis
+    GrammarAnalyzer,
+    RuleMap,
+    DependencyGraph,
+    
+    // Links
+    ruleId,
+    defaultLinkResolver,
+    createLinkResolver
 };
\ No newline at end of file
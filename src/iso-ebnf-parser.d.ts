@@ -0,0 +1,30 @@
+/**
+ * Type definitions for ISO/IEC 14977 EBNF Parser
+ */
+
+import { ParsedRule } from './abnf-parser';
+import { EBNFParser, EBNFParseOptions } from './ebnf-parser';
+import { RuleMap } from './rule-map';
+
+/**
+ * Parser for grammars in the EBNF notation of ISO/IEC 14977 (name = a, b | c ;), producing
+ * the same AST nodes as the ABNF parser. Meta identifiers may contain spaces, special
+ * sequences (? ... ?) become prose, 'n * a' repeats exactly n times and 'a - b' is an exception.
+ */
+export declare class ISOEBNFParser extends EBNFParser {
+  /**
+   * Create a new ISO 14977 EBNF parser
+   */
+  constructor();
+
+  /**
+   * Parse an ISO 14977 EBNF file content and extract rules
+   * @param ebnfContent The EBNF file content
+   * @param options Parse options
+   * @returns Parsed rules with original EBNF and AST
+   * @throws EBNFParseError on the first syntax error (unless options.errors is provided)
+   */
+  parse(ebnfContent: string, options?: EBNFParseOptions): RuleMap<ParsedRule>;
+}
+
+export default ISOEBNFParser;
@@ -0,0 +1,318 @@
+/**
+ * ISO/IEC 14977 EBNF Parser
+ *
+ * Parses grammars in the EBNF notation of ISO/IEC 14977 (`name = a, b | c ;`) into
+ * the same AST nodes as the ABNF and W3C EBNF parsers.
+ */
+
+const {
+    TerminalNode,
+    NonterminalNode,
+    ProseNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode
+} = require('./ast-node');
+const EBNFParser = require('./ebnf-parser');
+const { EBNFParseError, EBNFTokenizer } = EBNFParser;
+const RuleMap = require('./rule-map');
+
+/**
+ * Token types that end a single definition (a concatenation)
+ * @type {Set<string>}
+ */
+const DEFINITION_END = new Set(['alternation', 'rparen', 'roption', 'rrepeat', 'terminator']);
+
+/**
+ * Tokenizer for ISO 14977 EBNF syntax
+ * @extends EBNFTokenizer
+ */
+class ISOEBNFTokenizer extends EBNFTokenizer {
+    constructor() {
+        super();
+        this.tokenRegex = new RegExp([
+            // Whitespace (skip)
+            '(?<whitespace>\\s+)',
+            // Comments (skip, kept for rule documentation)
+            '(?<comment>\\(\\*[\\s\\S]*?\\*\\))',
+            // Terminal strings
+            '(?<string>"[^"]*")',
+            "(?<sstring>'[^']*')",
+            // Special sequences: ? informal description ?
+            '(?<special>\\?[^?]*\\?)',
+            // Repetition counts (3 * x)
+            '(?<integer>[0-9]+)',
+            // Meta identifiers, which may contain spaces ('meta identifier')
+            '(?<identifier>[A-Za-z][A-Za-z0-9_]*(?:[ \\t]+[A-Za-z0-9_]+)*)',
+            // Brackets, including the alternative representations (/ /) and (: :)
+            '(?<loption>\\[|\\(/)',
+            '(?<roption>\\]|/\\))',
+            '(?<lrepeat>\\{|\\(:)',
+            '(?<rrepeat>\\}|:\\))',
+            '(?<lparen>\\()',
+            '(?<rparen>\\))',
+            // Operators
+            '(?<assign>=)',
+            '(?<alternation>[|/!])',
+            '(?<concatenation>,)',
+            '(?<exception>-)',
+            '(?<repeat>\\*)',
+            '(?<terminator>[;.])'
+        ].join('|'), 'g');
+    }
+}
+
+/**
+ * Parser for ISO 14977 EBNF grammar files. Precedence from loosest to tightest:
+ * alternation (a | b), concatenation (a, b), exception (a - b), counted repetition (3 * a).
+ * An empty alternative (a | ) makes the other alternatives optional; an empty definition
+ * (a = ;) is the empty sequence.
+ * @extends EBNFParser
+ */
+class ISOEBNFParser extends EBNFParser {
+    /**
+     * Create a new ISO 14977 EBNF parser
+     */
+    constructor() {
+        super();
+        /** @type {ISOEBNFTokenizer} Tokenizer instance */
+        this.tokenizer = new ISOEBNFTokenizer();
+    }
+
+    /**
+     * Split the token stream into 'name = definitions ;' rules and parse each of them
+     * @param {Token[]} tokens - Array of all tokens from the file
+     * @param {string} content - Original file content
+     * @param {EBNFParseError[]|null} errors - Error collection for recovery, or null to throw
+     * @param {Token[]} comments - Comment tokens used for rule documentation
+     * @returns {RuleMap<ParsedRule>} Parsed rules
+     * @private
+     */
+    _parseTokenStream(tokens, content, errors, comments) {
+        const rules = new RuleMap();
+        const source = Buffer.from(content, 'utf8');
+        let index = 0;
+
+        while (index < tokens.length) {
+            const nameToken = tokens[index];
+            // The rule ends at its terminator; errors skip to the next rule after it
+            let end = index;
+            while (end < tokens.length && tokens[end].type !== 'terminator') {
+                end++;
+            }
+            const nextIndex = end + 1;
+
+            try {
+                if (nameToken.type !== 'identifier' || index + 1 >= tokens.length || tokens[index + 1].type !== 'assign') {
+                    throw new EBNFParseError(`Expected a rule definition 'name = ... ;'`, nameToken.line, nameToken.column, nameToken);
+                }
+                if (end >= tokens.length) {
+                    throw new EBNFParseError(`Missing ';' at the end of rule '${nameToken.value}'`, nameToken.line, nameToken.column);
+                }
+
+                const ruleTokens = tokens.slice(index + 2, end);
+                // An empty definition (a = ;) is the empty sequence
+                const expression = ruleTokens.length === 0 ? new SequenceNode([]) : this._parseTokenSequence(ruleTokens);
+                const original = ruleTokens.length === 0
+                    ? ''
+                    : source.subarray(ruleTokens[0].offset, ruleTokens[ruleTokens.length - 1].end.offset).toString('utf8');
+                const name = this._metaIdentifier(nameToken.value);
+                const definition = { name, line: nameToken.line, text: original, incremental: false };
+
+                // A repeated definition replaces the rule; earlier definitions are kept
+                // in the list so duplicates can still be reported
+                const previous = rules.get(name);
+                rules.set(name, {
+                    name: previous ? previous.name : name,
+                    original,
+                    expression,
+                    definitions: [...(previous ? previous.definitions : []), definition],
+                    doc: this._extractRuleDoc(comments, content.split('\n'), nameToken.line, tokens[end].end.line)
+                });
+            } catch (error) {
+                this._report(error, errors);
+            }
+
+            index = nextIndex;
+        }
+
+        return rules;
+    }
+
+    /**
+     * Normalize a meta identifier: the spaces between its words are not significant
+     * @param {string} text - Identifier as written
+     * @returns {string} Identifier with single spaces between words
+     * @private
+     */
+    _metaIdentifier(text) {
+        return text.replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Parse definitions separated by '|', '/' or '!'
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseAlternation(tokens, index) {
+        const startIndex = index;
+        let result = this._parseSequence(tokens, index);
+        const alternatives = [result.element];
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'alternation') {
+            result = this._parseSequence(tokens, index + 1);
+            alternatives.push(result.element);
+            index = result.nextIndex;
+        }
+
+        // Empty definitions make the rest optional
+        const nonEmpty = alternatives.filter(Boolean);
+        if (nonEmpty.length === 0) {
+            const token = tokens[index] || tokens[index - 1];
+            throw new EBNFParseError('Empty expression', token.line, token.column, token);
+        }
+
+        let element = nonEmpty.length === 1
+            ? nonEmpty[0]
+            : this._withSpan(new AlternationNode(nonEmpty), tokens, startIndex, index);
+        if (nonEmpty.length < alternatives.length) {
+            element = this._withSpan(new OptionalNode(element), tokens, startIndex, index);
+        }
+        return { element, nextIndex: index };
+    }
+
+    /**
+     * Parse a single definition: terms separated by ','
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode|null, nextIndex: number}} Parsed AST node (null for an empty
+     *   definition) and next index
+     * @private
+     */
+    _parseSequence(tokens, index) {
+        if (index >= tokens.length || DEFINITION_END.has(tokens[index].type)) {
+            return { element: null, nextIndex: index };
+        }
+
+        const startIndex = index;
+        let result = this._parseException(tokens, index);
+        const elements = [result.element];
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'concatenation') {
+            result = this._parseException(tokens, index + 1);
+            elements.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (index < tokens.length && !DEFINITION_END.has(tokens[index].type)) {
+            const token = tokens[index];
+            throw new EBNFParseError(`Expected ',' or '|' before ${token.type}`, token.line, token.column, token);
+        }
+        if (elements.length === 1) {
+            return { element: elements[0], nextIndex: index };
+        }
+        return { element: this._withSpan(new SequenceNode(elements), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse a factor: a primary, optionally preceded by a repetition count ('3 * a')
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePostfix(tokens, index) {
+        const token = tokens[index];
+        if (!token || token.type !== 'integer') {
+            return this._parsePrimary(tokens, index);
+        }
+
+        if (index + 1 >= tokens.length || tokens[index + 1].type !== 'repeat') {
+            throw new EBNFParseError(`Expected '*' after the repetition count ${token.value}`, token.line, token.column, token);
+        }
+        const count = parseInt(token.value, 10);
+        const result = this._parsePrimary(tokens, index + 2);
+        return {
+            element: this._withSpan(new RepetitionNode(count, count, result.element), tokens, index, result.nextIndex),
+            nextIndex: result.nextIndex
+        };
+    }
+
+    /**
+     * Parse a primary: terminal, special sequence, meta identifier, or a group,
+     * optional or repeated sequence in brackets
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePrimary(tokens, index) {
+        const token = tokens[index];
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new EBNFParseError('Unexpected end of rule', last.end.line, last.end.column, last);
+        }
+
+        switch (token.type) {
+            case 'string':
+            case 'sstring':
+                // Terminals keep their quotes
+                return { element: this._withSpan(new TerminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'special':
+                // Special sequences describe their content informally, like ABNF prose
+                return { element: this._withSpan(new ProseNode(token.value.slice(1, -1).trim()), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'identifier':
+                return {
+                    element: this._withSpan(new NonterminalNode(this._metaIdentifier(token.value)), tokens, index, index + 1),
+                    nextIndex: index + 1
+                };
+
+            case 'lparen':
+                return this._parseBracketed(tokens, index, 'rparen', 'Missing closing parenthesis', (element) => element);
+
+            case 'loption':
+                return this._parseBracketed(tokens, index, 'roption', 'Missing closing bracket',
+                    (element) => new OptionalNode(element));
+
+            case 'lrepeat':
+                return this._parseBracketed(tokens, index, 'rrepeat', 'Missing closing brace',
+                    (element) => new RepetitionNode(0, null, element));
+
+            default:
+                throw new EBNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
+    }
+
+    /**
+     * Parse definitions enclosed in brackets
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Index of the opening bracket
+     * @param {string} closingType - Token type of the closing bracket
+     * @param {string} missingMessage - Error message if the closing bracket is missing
+     * @param {function(ASTNode): ASTNode} wrap - Builds the node for the enclosed expression
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseBracketed(tokens, index, closingType, missingMessage, wrap) {
+        const opening = tokens[index];
+        const inner = this._parseAlternation(tokens, index + 1);
+        if (inner.nextIndex >= tokens.length || tokens[inner.nextIndex].type !== closingType) {
+            throw new EBNFParseError(missingMessage, opening.line, opening.column, opening);
+        }
+
+        const element = wrap(inner.element);
+        if (element !== inner.element) {
+            this._withSpan(element, tokens, index, inner.nextIndex + 1);
+        }
+        return { element, nextIndex: inner.nextIndex + 1 };
+    }
+}
+
+module.exports = ISOEBNFParser;
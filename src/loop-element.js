@@ -1,5 +1,6 @@
 const LayoutElement = require('./element');
 const { Direction } = require('./track-builder');
+const { measureLayoutText } = require('./text-box-element');
 
 /**
  * Loop element (used for repetition)
@@ -9,30 +10,60 @@ class LoopElement extends LayoutElement {
     /**
      * Create a loop element for repeating elements
      * @param {LayoutElement} element - The element to repeat
+     * @param {string|null} [label=null] - Annotation above the loop-back track (e.g. repetition bounds "max 3 times")
+     * @param {LayoutElement|null} [separator=null] - Element on the loop-back track, passed right to left
+     *   between repetitions (e.g. the "," of item *( "," item ))
      */
-    constructor(element) {
+    constructor(element, label = null, separator = null) {
         super();
         /** @type {LayoutElement} */
         this.child = element;
+        /** @type {string|null} */
+        this.label = label;
+        /** @type {LayoutElement|null} */
+        this.separator = separator;
         
         // Layout will be calculated in layout() method
     }
 
+    /**
+     * @returns {LayoutElement[]} The child and separator
+     * @protected
+     */
+    _childElements() {
+        return this.separator ? [this.child, this.separator] : [this.child];
+    }
+
     /**
      * Calculate layout dimensions based on child
      * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
      * @returns {void}
      */
     layout(layoutConfig) {
-        // First layout the child
+        // First layout the child (and separator)
         if (!this.child.isLaidOut) {
-            this.child.layout(layoutConfig);
+            this.child.layout(LayoutElement.narrowLayoutConfig(layoutConfig, 4));
+        }
+        if (this.separator && !this.separator.isLaidOut) {
+            this.separator.layout(LayoutElement.narrowLayoutConfig(layoutConfig, 4));
+        }
+
+        // A label takes an extra row above the loop-back track and may widen the loop
+        const labelRows = this.label ? 1 : 0;
+        let labelWidth = 0;
+        if (this.label) {
+            const labelGrids = Math.ceil(measureLayoutText(this.label, layoutConfig).width / layoutConfig.gridSize);
+            labelWidth = labelGrids + (labelGrids % 2) + 4; // Keep clear of the loop's corner arcs
         }
 
+        // A separator sits on the loop-back track, so it replaces the track's single row
+        const separatorWidth = this.separator ? this.separator.width + 4 : 0;
+        const trackRows = this.separator ? this.separator.height : 1;
+
         // Calculate layout dimensions with extra width for loop routing
-        this.width = this.child.width + 4; // Add 4 for routing space
-        this.height = this.child.height + 1; // Extra height for loop back track
-        this.baseline = this.child.baseline + 1;
+        this.width = Math.max(this.child.width + 4, separatorWidth, labelWidth); // Add 4 for routing space
+        this.height = this.child.height + trackRows + labelRows; // Extra height for loop back track
+        this.baseline = this.child.baseline + trackRows + labelRows;
         this.isLaidOut = true;
         
         // Assert the width invariant: all Expression widths must be even
@@ -45,23 +76,52 @@ class LoopElement extends LayoutElement {
      * @returns {void}
      */
     render(ctx) {
+        const top = this.label ? 1 : 0; // Loop-back track (and separator) sit below the label row
+        const trackY = top + (this.separator ? this.separator.baseline : 0);
         const childX = (this.width - this.child.width) / 2;
-        const childY = 1; // Child is 1 unit down from top
+        const childY = top + (this.separator ? this.separator.height : 1); // Child is below the loop-back track
+
+        if (this.label) {
+            ctx.addLabel(this.width / 2, 0.5, this.label);
+        }
 
         // Render child using RenderContext
         ctx.renderChild(this.child, childX, childY, 'loop-child');
         
-        // Draw the loop path (going backwards initially)
-        ctx.trackBuilder
-            .start(2, this.baseline, Direction.WEST)
-            .turnRight()
-            .forward(this.baseline - 2)
-            .turnRight()
-            .forward(this.width - 4)
-            .turnRight()
-            .forward(this.baseline - 2)
-            .turnRight()
-            .finish('loop-path');
+        if (this.separator) {
+            // Loop-back track runs through the separator: up from the child's exit to the
+            // separator's right side, then from its left side down to the child's entry
+            const separatorX = (this.width - this.separator.width) / 2;
+            ctx.renderChild(this.separator, separatorX, top, 'loop-separator');
+            
+            ctx.trackBuilder
+                .start(2, this.baseline, Direction.WEST)
+                .turnRight()
+                .forward(this.baseline - trackY - 2)
+                .turnRight()
+                .forward(separatorX - 2)
+                .finish('loop-path-left');
+            
+            ctx.trackBuilder
+                .start(separatorX + this.separator.width, trackY, Direction.EAST)
+                .forward(this.width - 2 - (separatorX + this.separator.width))
+                .turnRight()
+                .forward(this.baseline - trackY - 2)
+                .turnRight()
+                .finish('loop-path-right');
+        } else {
+            // Draw the loop path (going backwards initially)
+            ctx.trackBuilder
+                .start(2, this.baseline, Direction.WEST)
+                .turnRight()
+                .forward(this.baseline - trackY - 2)
+                .turnRight()
+                .forward(this.width - 4)
+                .turnRight()
+                .forward(this.baseline - trackY - 2)
+                .turnRight()
+                .finish('loop-path');
+        }
         
         // Through path connects entry to child and child to exit
         ctx.trackBuilder
@@ -77,11 +137,14 @@ class LoopElement extends LayoutElement {
 
     /**
      * Convert to debug string representation
-     * @returns {string} Debug string like 'loop(nonterminal("X"))'
+     * @returns {string} Debug string like 'loop(nonterminal("X"))', 'loop(nonterminal("X"), "2–8")'
+     *   or 'loop(nonterminal("X"), separator: terminal("\",\""))'
      */
     toString() {
-        return `loop(${this.child.toString()})`;
+        const label = this.label ? `, ${JSON.stringify(this.label)}` : '';
+        const separator = this.separator ? `, separator: ${this.separator.toString()}` : '';
+        return `loop(${this.child.toString()}${label}${separator})`;
     }
 }
 
-module.exports = LoopElement;
\ No newline at end of file
+module.exports = LoopElement;
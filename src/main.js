@@ -1,39 +1,159 @@
 /**
  * Main Application Logic
  * 
- * Coordinates the parsing, rendering,            try {
-                // Render SVG for this rule and get layout element
-                const renderResult = renderer.render(rule.expression, true);
-                
-                // Create enriched rule with all data in one place
-                enrichedRules.set(name, {
-                    name: rule.name,
-                    original: rule.original,
-                    expression: rule.expression,
-                    svg: renderResult.svg,
-                    debugString: renderResult.layoutElement.toString()
-                });
-            } catch (error) {eration process
+ * Coordinates the parsing, rendering, and HTML generation process
  */
 
 const AbnfParser = require('./abnf-parser');
+const EBNFParser = require('./ebnf-parser');
+const ISOEBNFParser = require('./iso-ebnf-parser');
+const ANTLRParser = require('./antlr-parser');
+const PeggyParser = require('./peggy-parser');
 const { SVGRenderer } = require('./svg-renderer');
+const { TextRenderer } = require('./text-renderer');
 const HtmlGenerator = require('./html-generator');
+const GrammarAnalyzer = require('./grammar-analyzer');
+const ABNFFormatter = require('./abnf-formatter');
+const { DependencyGraph } = require('./dependency-graph');
+const { ruleId, defaultLinkResolver, createLinkResolver } = require('./rule-links');
+const { CORE_RULES_REFERENCE_URL } = require('./core-rules');
 const fs = require('fs-extra');
+const path = require('path');
 
 /**
  * @typedef {Object} ConversionOptions
  * @property {string} [title] - Document title for generated HTML
+ * @property {'none'|'appendix'|'link'} [coreRules='none'] - Include referenced RFC 5234 core rules
+ *   as diagrams in an appendix ('appendix') or as a linked reference list ('link')
+ * @property {boolean} [recover=false] - Keep going after syntax errors: render the rules that parsed
+ *   and list the diagnostics in the output
+ * @property {ABNFParseError[]} [diagnostics] - Parse errors to list in the generated HTML
+ * @property {'expand'|'count'} [exactRepetitions='expand'] - Draw exact repetitions (8HEXDIG) as
+ *   n copies in a row or as a single box labelled "×8"
+ * @property {number} [maxWidth] - Maximum diagram width in pixels; longer sequences wrap into rows
+ * @property {Object<string, string>} [links] - Link targets for references the grammar does not define
+ *   (e.g. rules of another grammar file or an RFC), by rule name
+ * @property {LinkResolver} [linkResolver] - Custom link resolver for nonterminal references (overrides links)
+ * @property {'html'|'text'} [format='html'] - Write an HTML document with SVG diagrams or a plain-text
+ *   document with text-art diagrams (maxWidth is in characters then)
+ * @property {boolean} [ascii=false] - Draw text-art diagrams with ASCII characters only
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * @typedef {'abnf'|'ebnf'|'iso-ebnf'|'antlr'|'peggy'} GrammarSyntax
+ * Grammar notation: ABNF (RFC 5234), W3C EBNF (XML specification style), ISO/IEC 14977 EBNF,
+ * ANTLR v4 or peggy (PEG.js)
+ */
+
+/**
+ * Grammar syntax of input files by file extension; other extensions are read as ABNF
+ * @type {Object<string, GrammarSyntax>}
  */
+const SYNTAX_BY_EXTENSION = {
+    '.abnf': 'abnf',
+    '.ebnf': 'ebnf',
+    '.iso-ebnf': 'iso-ebnf',
+    '.g4': 'antlr',
+    '.peggy': 'peggy',
+    '.pegjs': 'peggy'
+};
 
 /**
  * @typedef {Object} ConversionResult
  * @property {boolean} success - Whether the conversion was successful
  * @property {number} [rulesCount] - Number of rules processed (if successful)
  * @property {string} [outputFile] - Path to output file (if successful)
+ * @property {ABNFParseError[]} [diagnostics] - Parse errors recovered from (recover mode only)
  * @property {string} [error] - Error message (if failed)
  */
 
+/**
+ * @typedef {Object} CheckOptions
+ * @property {string} [startRule] - Rule reachability is computed from (default: the first rule)
+ * @property {boolean} [coreRules=false] - Treat referenced RFC 5234 core rules as defined
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * @typedef {Object} CheckReport
+ * @property {string} file - Checked file
+ * @property {GrammarIssue[]} issues - Syntax errors followed by grammar analysis issues
+ */
+
+/**
+ * @typedef {Object} FormatFileOptions
+ * @property {number} [width=72] - Maximum line length; longer rules are folded onto continuation lines
+ * @property {boolean} [write=false] - Write the formatted text back to the file if it changed
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension);
+ *   only ABNF can be formatted
+ */
+
+/**
+ * @typedef {Object} FormatResult
+ * @property {string} file - Formatted file
+ * @property {string} formatted - Formatted file content
+ * @property {boolean} changed - Whether formatting changed the content
+ */
+
+/**
+ * @typedef {Object} GraphExportOptions
+ * @property {'dot'|'mermaid'|'json'} [format='dot'] - Output format
+ * @property {string} [startRule] - Root the graph at this rule
+ * @property {number} [depth] - Include rules at most this many references away from the start rule
+ * @property {boolean} [coreRules=false] - Include referenced RFC 5234 core rules as defined rules
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * @typedef {Object} SvgExportOptions
+ * @property {string[]} [rules] - Rules to write (default: all rules)
+ * @property {boolean} [coreRules=false] - Also write referenced RFC 5234 core rules
+ * @property {'expand'|'count'} [exactRepetitions='expand'] - Draw exact repetitions as n copies or as one box labelled "×8"
+ * @property {number} [maxWidth] - Maximum diagram width in pixels; longer sequences wrap into rows
+ * @property {Object<string, string>} [links] - Link targets for references the grammar does not define, by rule name
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * PNG images cannot hold hyperlinks, so unlike the other exports there is no links option
+ * @typedef {Object} PngExportOptions
+ * @property {string[]} [rules] - Rules to write (default: all rules)
+ * @property {boolean} [coreRules=false] - Also write referenced RFC 5234 core rules
+ * @property {'expand'|'count'} [exactRepetitions='expand'] - Draw exact repetitions as n copies or as one box labelled "×8"
+ * @property {number} [maxWidth] - Maximum diagram width in pixels (before scaling); longer sequences wrap into rows
+ * @property {number} [scale=2] - Pixels per diagram pixel (2 for 192 dpi)
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * @typedef {Object} LayoutExportOptions
+ * @property {string[]} [rules] - Rules to export (default: all rules)
+ * @property {boolean} [coreRules=false] - Also export referenced RFC 5234 core rules
+ * @property {'expand'|'count'} [exactRepetitions='expand'] - Lay out exact repetitions as n copies or as one box labelled "×8"
+ * @property {number} [maxWidth] - Maximum diagram width in pixels; longer sequences wrap into rows
+ * @property {Object<string, string>} [links] - Link targets for references the grammar does not define, by rule name
+ * @property {GrammarSyntax} [syntax] - Grammar notation of the input file (default: by file extension)
+ */
+
+/**
+ * @typedef {Object} LayoutDocument
+ * @property {number} version - Version of the layout geometry format
+ * @property {{name: string, definition: string, diagram: DiagramGeometry}[]} rules - Geometry per rule
+ */
+
+/**
+ * Version of the layout geometry JSON format (assets/layout-geometry.schema.json)
+ * @type {number}
+ */
+const LAYOUT_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} SvgExportResult
+ * @property {string} rule - Rule name
+ * @property {string} file - Path of the written SVG file
+ */
+
 /**
  * Main class for converting ABNF files to HTML railroad diagrams
  */
@@ -44,28 +164,46 @@ class ABNFToRailroad {
     constructor() {
         /** @type {AbnfParser} ABNF parser instance */
         this.parser = new AbnfParser();
+        /** @type {Object<GrammarSyntax, {parse: function(string, ParseOptions): RuleMap<ParsedRule>}>} Parsers by grammar syntax */
+        this.parsers = {
+            abnf: this.parser,
+            ebnf: new EBNFParser(),
+            'iso-ebnf': new ISOEBNFParser(),
+            antlr: new ANTLRParser(),
+            peggy: new PeggyParser()
+        };
         /** @type {SVGRenderer} SVG renderer instance */
         this.renderer = new SVGRenderer();
         /** @type {HtmlGenerator} HTML generator instance */
         this.generator = new HtmlGenerator();
+        /** @type {GrammarAnalyzer} Grammar analyzer instance */
+        this.analyzer = new GrammarAnalyzer();
+        /** @type {ABNFFormatter} ABNF formatter instance */
+        this.formatter = new ABNFFormatter();
     }
 
     /**
-     * Parse ABNF file and return the AST
-     * @param {string} inputFile - Path to ABNF file
+     * Parse a grammar file and return the AST
+     * @param {string} inputFile - Path to grammar file
+     * @param {ConversionOptions} [options={}] - Generation options
      * @returns {Promise<Map<string, {name: string, original: string, expression: ASTNode}>>} Parsed rules map
      * @throws {Error} If file cannot be read or no valid rules found
      */
-    async parse(inputFile) {
-        console.log(`Reading ABNF file: ${inputFile}`);
+    async parse(inputFile, options = {}) {
+        const syntax = this._syntaxOf(inputFile, options.syntax);
+        console.log(`Reading ${syntax.toUpperCase()} file: ${inputFile}`);
         
-        const abnfContent = await fs.readFile(inputFile, 'utf8');
-        const rules = this.parser.parse(abnfContent);
+        const content = await fs.readFile(inputFile, 'utf8');
+        const coreRules = (options.coreRules || 'none') !== 'none';
+        const rules = this.parsers[syntax].parse(content, { coreRules, errors: options.diagnostics });
         
-        console.log(`Parsed ${rules.size} rules from ABNF file`);
+        console.log(`Parsed ${rules.size} rules from ${syntax.toUpperCase()} file`);
+        for (const diagnostic of options.diagnostics || []) {
+            console.warn(`⚠ ${inputFile}: ${diagnostic.message}`);
+        }
         
         if (rules.size === 0) {
-            throw new Error('No valid rules found in ABNF file');
+            throw new Error(`No valid rules found in ${syntax.toUpperCase()} file`);
         }
 
         return rules;
@@ -80,6 +218,8 @@ class ABNFToRailroad {
      */
     async convertFromAST(rules, outputFile, options = {}) {
         console.log('Rendering SVG diagrams...');
+        const renderer = this._createRenderer(options);
+        renderer.setRules(rules);
         
         // Transform: Map<name, ParsedRule> → Map<name, EnrichedRule>
         const enrichedRules = new Map();
@@ -87,7 +227,7 @@ class ABNFToRailroad {
         for (const [name, rule] of rules) {
             try {
                 // Generate SVG for this rule and get layout element
-                const renderResult = this.renderer.render(rule.expression, true);
+                const renderResult = renderer.render(rule.expression, true);
                 
                 // Create enriched rule with all data in one place
                 enrichedRules.set(name, {
@@ -95,7 +235,9 @@ class ABNFToRailroad {
                     original: rule.original,
                     expression: rule.expression,
                     svg: renderResult.svg,
-                    debugString: renderResult.layoutElement.toString()
+                    debugString: renderResult.layoutElement.toString(),
+                    doc: rule.doc,
+                    core: rule.core === true
                 });
             } catch (error) {
                 console.error(`Error rendering SVG for rule ${name}:`, error);
@@ -104,14 +246,19 @@ class ABNFToRailroad {
                     original: rule.original,
                     expression: rule.expression,
                     svg: `<p>Error rendering diagram for rule: ${name}</p>`,
-                    debugString: rule.expression.toString ? rule.expression.toString() : 'error'
+                    debugString: rule.expression.toString ? rule.expression.toString() : 'error',
+                    doc: rule.doc,
+                    core: rule.core === true
                 });
             }
         }
         
         // Generate HTML from enriched rules
         const title = options.title || 'Grammar Syntax Diagrams';
-        const html = await this.generator.generateHTMLFromEnrichedRules(enrichedRules, title);
+        const html = await this.generator.generateHTMLFromEnrichedRules(enrichedRules, title, {
+            coreRules: options.coreRules,
+            diagnostics: options.diagnostics
+        });
         
         // Write output file
         console.log(`Writing HTML file: ${outputFile}`);
@@ -121,10 +268,99 @@ class ABNFToRailroad {
         return {
             success: true,
             rulesCount: enrichedRules.size,
-            outputFile
+            outputFile,
+            diagnostics: options.diagnostics || []
+        };
+    }
+
+    /**
+     * Convert parsed rules to a plain-text document with text-art diagrams
+     * @param {Map<string, {name: string, original: string, expression: ASTNode}>} rules - Parsed ABNF rules
+     * @param {string} outputFile - Path for output text file
+     * @param {ConversionOptions} [options={}] - Generation options
+     * @returns {Promise<ConversionResult>} Conversion result
+     */
+    async convertToText(rules, outputFile, options = {}) {
+        console.log('Rendering text diagrams...');
+        const renderer = new TextRenderer({
+            ascii: options.ascii === true,
+            maxWidth: options.maxWidth || null,
+            exactRepetitions: options.exactRepetitions || 'expand'
+        });
+        renderer.setRules(rules);
+
+        const title = options.title || 'Grammar Syntax Diagrams';
+        const sections = [`${title}\n${'='.repeat(title.length)}`];
+
+        if (options.diagnostics && options.diagnostics.length > 0) {
+            sections.push('The following errors were found; the affected rules are not shown.\n\n' +
+                options.diagnostics.map(diagnostic => `  - ${diagnostic.message}`).join('\n'));
+        }
+
+        const coreRulesMode = options.coreRules || 'none';
+        const allRules = [...rules.values()];
+        const renderRule = (rule) => {
+            let diagram;
+            try {
+                diagram = renderer.render(rule.expression);
+            } catch (error) {
+                console.error(`Error rendering text diagram for rule ${rule.name}:`, error);
+                diagram = `Error rendering diagram for rule: ${rule.name}`;
+            }
+            return [rule.name, '-'.repeat(rule.name.length), '', `${rule.name} := ${rule.original}`, '', diagram].join('\n');
+        };
+
+        sections.push(...allRules.filter(rule => rule.core !== true).map(renderRule));
+
+        const coreRules = coreRulesMode === 'none' ? [] : allRules.filter(rule => rule.core === true);
+        if (coreRules.length > 0) {
+            sections.push(`Appendix: Core Rules\n${'='.repeat(20)}\n\nRules from RFC 5234 Appendix B.1 (${CORE_RULES_REFERENCE_URL}) referenced by this grammar.`);
+            if (coreRulesMode === 'link') {
+                sections.push(coreRules.map(rule => `${rule.name} := ${rule.original}`).join('\n'));
+            } else {
+                sections.push(...coreRules.map(renderRule));
+            }
+        }
+
+        console.log(`Writing text file: ${outputFile}`);
+        await fs.outputFile(outputFile, sections.join('\n\n') + '\n', 'utf8');
+
+        console.log('Conversion completed successfully!');
+        return {
+            success: true,
+            rulesCount: rules.size,
+            outputFile,
+            diagnostics: options.diagnostics || []
         };
     }
 
+    /**
+     * Get a renderer for the conversion options: per-conversion render options need a renderer of their own
+     * @param {ConversionOptions} options - Conversion options
+     * @param {LinkResolver} [internalLinkResolver=defaultLinkResolver] - Link resolver for rules of the grammar
+     *   (default: anchors in the HTML document)
+     * @returns {SVGRenderer} Renderer to use
+     * @private
+     */
+    _createRenderer(options, internalLinkResolver = defaultLinkResolver) {
+        const config = {};
+        if (options.exactRepetitions) {
+            config.exactRepetitions = options.exactRepetitions;
+        }
+        if (options.maxWidth) {
+            config.maxWidth = options.maxWidth;
+        }
+        if (options.linkResolver) {
+            config.linkResolver = options.linkResolver;
+        } else if (options.links) {
+            config.linkResolver = createLinkResolver(options.links, internalLinkResolver);
+        } else if (internalLinkResolver !== defaultLinkResolver) {
+            config.linkResolver = internalLinkResolver;
+        }
+        
+        return Object.keys(config).length > 0 ? new SVGRenderer(config) : this.renderer;
+    }
+
     /**
      * Convert ABNF file to HTML with embedded SVG diagrams
      * @param {string} inputFile - Path to ABNF file
@@ -134,8 +370,13 @@ class ABNFToRailroad {
      */
     async convert(inputFile, outputFile, options = {}) {
         try {
-            const rules = await this.parse(inputFile);
-            return await this.convertFromAST(rules, outputFile, options);
+            // In recover mode, parse errors are collected instead of aborting the conversion
+            const conversionOptions = options.recover ? { ...options, diagnostics: [] } : options;
+            const rules = await this.parse(inputFile, conversionOptions);
+            if (conversionOptions.format === 'text') {
+                return await this.convertToText(rules, outputFile, conversionOptions);
+            }
+            return await this.convertFromAST(rules, outputFile, conversionOptions);
             
         } catch (error) {
             console.error('Conversion failed:', error.message);
@@ -147,14 +388,14 @@ class ABNFToRailroad {
     }
 
     /**
-     * List all rules found in an ABNF file
-     * @param {string} inputFile - Path to ABNF file
+     * List all rules found in a grammar file
+     * @param {string} inputFile - Path to grammar file
+     * @param {{syntax?: GrammarSyntax}} [options={}] - Grammar syntax (default: by file extension)
      * @returns {Promise<string[]>} Array of rule names, or empty array on error
      */
-    async listRules(inputFile) {
+    async listRules(inputFile, options = {}) {
         try {
-            const abnfContent = await fs.readFile(inputFile, 'utf8');
-            const rules = this.parser.parse(abnfContent);
+            const rules = await this._readGrammar(inputFile, options);
             
             console.log(`\nFound ${rules.size} rules in ${inputFile}:`);
             for (const [ruleName, ruleData] of rules) {
@@ -168,6 +409,208 @@ class ABNFToRailroad {
             return [];
         }
     }
+
+    /**
+     * Check an ABNF file for syntax errors and grammar issues (undefined, unreachable,
+     * duplicate and case-colliding rules)
+     * @param {string} inputFile - Path to ABNF file
+     * @param {CheckOptions} [options={}] - Check options
+     * @returns {Promise<CheckReport>} Report listing all issues found
+     * @throws {Error} If the file cannot be read or the start rule is not defined
+     */
+    async checkRules(inputFile, options = {}) {
+        const syntaxErrors = [];
+        const rules = await this._readGrammar(inputFile, options, syntaxErrors);
+
+        const issues = syntaxErrors.map(error => ({
+            type: 'syntax-error',
+            severity: 'error',
+            rule: null,
+            message: error.message,
+            line: error.line,
+            column: error.column
+        }));
+        issues.push(...this.analyzer.analyze(rules, { startRule: options.startRule }));
+
+        return { file: inputFile, issues };
+    }
+
+    /**
+     * Format an ABNF file: canonical spacing, aligned '=', folded long rules and preserved comments
+     * @param {string} inputFile - Path to ABNF file
+     * @param {FormatFileOptions} [options={}] - Format options
+     * @returns {Promise<FormatResult>} Formatted content and whether it differs from the file
+     * @throws {Error} If the file cannot be read, is not ABNF or has a syntax error
+     */
+    async formatFile(inputFile, options = {}) {
+        const syntax = this._syntaxOf(inputFile, options.syntax);
+        if (syntax !== 'abnf') {
+            throw new Error(`Only ABNF grammars can be formatted (${inputFile} is ${syntax})`);
+        }
+
+        const content = await fs.readFile(inputFile, 'utf8');
+        const formatted = this.formatter.format(content, { width: options.width });
+        const changed = formatted !== content;
+        if (changed && options.write) {
+            await fs.writeFile(inputFile, formatted, 'utf8');
+        }
+        return { file: inputFile, formatted, changed };
+    }
+
+    /**
+     * Export the rule dependency graph of an ABNF file
+     * @param {string} inputFile - Path to ABNF file
+     * @param {GraphExportOptions} [options={}] - Graph options
+     * @returns {Promise<string>} Graph in the requested format
+     * @throws {Error} If the file cannot be read or parsed, the start rule is not defined or the format is unknown
+     */
+    async exportGraph(inputFile, options = {}) {
+        const rules = await this._readGrammar(inputFile, options);
+
+        const graph = new DependencyGraph(rules, { startRule: options.startRule, depth: options.depth });
+        return graph.format(options.format);
+    }
+
+    /**
+     * Write one standalone SVG file per rule into a directory; references to rules
+     * written in the same run link to their files
+     * @param {string} inputFile - Path to ABNF file
+     * @param {string} outputDir - Directory for the SVG files (created if missing)
+     * @param {SvgExportOptions} [options={}] - Export options
+     * @returns {Promise<SvgExportResult[]>} Written files, in grammar order
+     * @throws {Error} If the file cannot be read or parsed, or a selected rule is not defined
+     */
+    async exportSvgFiles(inputFile, outputDir, options = {}) {
+        return this._exportRuleFiles(inputFile, outputDir, options, 'svg',
+            (renderer, rule) => renderer.renderStandalone(rule.expression, { title: rule.name }));
+    }
+
+    /**
+     * Write one PNG image per rule into a directory
+     * @param {string} inputFile - Path to ABNF file
+     * @param {string} outputDir - Directory for the PNG files (created if missing)
+     * @param {PngExportOptions} [options={}] - Export options
+     * @returns {Promise<SvgExportResult[]>} Written files, in grammar order
+     * @throws {Error} If the file cannot be read or parsed, or a selected rule is not defined
+     */
+    async exportPngFiles(inputFile, outputDir, options = {}) {
+        return this._exportRuleFiles(inputFile, outputDir, options, 'png',
+            (renderer, rule) => renderer.renderPNG(rule.expression, { scale: options.scale || 2 }));
+    }
+
+    /**
+     * Export the computed layout geometry of the rules of an ABNF file as a JSON document
+     * (see assets/layout-geometry.schema.json)
+     * @param {string} inputFile - Path to ABNF file
+     * @param {LayoutExportOptions} [options={}] - Export options
+     * @returns {Promise<LayoutDocument>} Geometry of the selected rules, in grammar order
+     * @throws {Error} If the file cannot be read or parsed, or a selected rule is not defined
+     */
+    async exportLayout(inputFile, options = {}) {
+        const rules = await this._readGrammar(inputFile, options);
+        const selected = this._selectRules(rules, options.rules);
+
+        const renderer = this._createRenderer(options);
+        renderer.setRules(rules);
+
+        const layoutRules = [];
+        for (const name of selected) {
+            const rule = rules.get(name);
+            layoutRules.push({ name: rule.name, definition: rule.original, diagram: renderer.renderGeometry(rule.expression) });
+        }
+
+        return { version: LAYOUT_FORMAT_VERSION, rules: layoutRules };
+    }
+
+    /**
+     * Read and parse a grammar file with the parser for its syntax
+     * @param {string} inputFile - Path to grammar file
+     * @param {{coreRules?: boolean, syntax?: GrammarSyntax}} options - Merge referenced core rules (ABNF only)
+     *   and grammar syntax (default: by file extension)
+     * @param {ABNFParseError[]} [errors] - Enables error recovery: parse errors are collected here
+     * @returns {Promise<RuleMap<ParsedRule>>} Parsed rules
+     * @throws {Error} If the file cannot be read or parsed, or the syntax is unknown
+     * @private
+     */
+    async _readGrammar(inputFile, options, errors) {
+        const syntax = this._syntaxOf(inputFile, options.syntax);
+        const content = await fs.readFile(inputFile, 'utf8');
+        return this.parsers[syntax].parse(content, { coreRules: options.coreRules === true, errors });
+    }
+
+    /**
+     * Determine the grammar syntax of an input file
+     * @param {string} inputFile - Path to grammar file
+     * @param {GrammarSyntax} [syntax] - Syntax given by the caller (default: by file extension, else ABNF)
+     * @returns {GrammarSyntax} Grammar syntax
+     * @throws {Error} If the given syntax is unknown
+     * @private
+     */
+    _syntaxOf(inputFile, syntax) {
+        if (!syntax) {
+            return SYNTAX_BY_EXTENSION[path.extname(inputFile).toLowerCase()] || 'abnf';
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.parsers, syntax)) {
+            throw new Error(`Unknown grammar syntax '${syntax}' (expected ${Object.keys(this.parsers).join(', ')})`);
+        }
+        return syntax;
+    }
+
+    /**
+     * Resolve the names of the rules to export
+     * @param {RuleMap<ParsedRule>} rules - Parsed rules
+     * @param {string[]} [names] - Rule names as given (default: all rules)
+     * @returns {Set<string>} Keys of the selected rules, in grammar order
+     * @throws {Error} If a rule is not defined
+     * @private
+     */
+    _selectRules(rules, names) {
+        if (!names || names.length === 0) {
+            return new Set(rules.keys());
+        }
+        const selected = new Set(names.map(name => {
+            const key = rules.resolve(name);
+            if (!key) {
+                throw new Error(`Rule '${name}' is not defined`);
+            }
+            return key;
+        }));
+        return new Set(Array.from(rules.keys()).filter(key => selected.has(key)));
+    }
+
+    /**
+     * Write one file per selected rule, named after the rule
+     * @param {string} inputFile - Path to ABNF file
+     * @param {string} outputDir - Output directory (created if missing)
+     * @param {SvgExportOptions} options - Export options
+     * @param {string} extension - File extension
+     * @param {function(SVGRenderer, ParsedRule): (string|Buffer)} renderRule - Renders the content of a rule's file
+     * @returns {Promise<SvgExportResult[]>} Written files, in grammar order
+     * @private
+     */
+    async _exportRuleFiles(inputFile, outputDir, options, extension, renderRule) {
+        const rules = await this._readGrammar(inputFile, options);
+        
+        const written = this._selectRules(rules, options.rules);
+        const fileName = (name) => `${ruleId(name)}.${extension}`;
+        
+        const renderer = this._createRenderer(options, (ruleName, rule) => rule && written.has(rule.name) ? fileName(rule.name) : null);
+        renderer.setRules(rules);
+        
+        await fs.ensureDir(outputDir);
+        const results = [];
+        for (const name of rules.keys()) {
+            if (!written.has(name)) {
+                continue;
+            }
+            const rule = rules.get(name);
+            const file = path.join(outputDir, fileName(rule.name));
+            await fs.writeFile(file, renderRule(renderer, rule));
+            results.push({ rule: rule.name, file });
+        }
+        
+        return results;
+    }
 }
 
 module.exports = ABNFToRailroad;
\ No newline at end of file
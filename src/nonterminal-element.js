@@ -8,9 +8,23 @@ class NonterminalElement extends TextBoxElement {
     /**
      * Create a nonterminal expression
      * @param {string} text - Text to display in the box
+     * @param {string} [ruleName=text] - Name of the referenced rule as spelled in its definition
+     * @param {'nonterminal'|'terminal'} [boxType='nonterminal'] - Box style ('terminal' for references
+     *   to lexer rules, which match tokens)
      */
-    constructor(text) {
-        super(text, 'nonterminal', false);
+    constructor(text, ruleName = text, boxType = 'nonterminal') {
+        super(text, boxType);
+        /** @type {string} */
+        this.ruleName = ruleName;
+    }
+
+    /**
+     * Render the text box, tagged with the referenced rule
+     * @param {RenderContext} ctx - Rendering context
+     * @returns {void}
+     */
+    render(ctx) {
+        ctx.addTextBox(0, 0, this.width, this.displayText, this.boxType, this.ruleName);
     }
 
     /**
@@ -0,0 +1,32 @@
+/**
+ * Type definitions for Peggy (PEG.js) Grammar Parser
+ */
+
+import { ParsedRule } from './abnf-parser';
+import { EBNFParser, EBNFParseOptions } from './ebnf-parser';
+import { RuleMap } from './rule-map';
+
+/**
+ * Parser for peggy and PEG.js grammars (name = a / b c), producing the same AST nodes as the
+ * ABNF parser. Choices become alternations with `ordered: true`, drawn with numbered branches.
+ * Literals and character classes keep their literal syntax ("select"i, [a-z]); lookahead
+ * predicates (&a, !a) are shown as written. Actions, labels, plucks and initializers are skipped;
+ * a rule's display name is its description unless comments document it.
+ */
+export declare class PeggyParser extends EBNFParser {
+  /**
+   * Create a new peggy grammar parser
+   */
+  constructor();
+
+  /**
+   * Parse a peggy grammar file content and extract rules
+   * @param peggyContent The grammar file content
+   * @param options Parse options
+   * @returns Parsed rules with their original definitions and AST
+   * @throws EBNFParseError on the first syntax error (unless options.errors is provided)
+   */
+  parse(peggyContent: string, options?: EBNFParseOptions): RuleMap<ParsedRule>;
+}
+
+export default PeggyParser;
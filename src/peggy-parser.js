@@ -0,0 +1,428 @@
+/**
+ * Peggy (PEG.js) Grammar Parser
+ *
+ * Reads the rules of peggy and PEG.js grammars (`name = a / b c`) into the same AST
+ * nodes as the ABNF parser. Choices are marked as ordered, since a PEG tries its
+ * alternatives in order and commits to the first that matches. Actions, labels,
+ * initializers and imports do not affect the syntax and are skipped.
+ *
+ * Grammar reference: https://peggyjs.org/documentation.html#grammar-syntax-and-semantics
+ */
+
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode
+} = require('./ast-node');
+const EBNFParser = require('./ebnf-parser');
+const { EBNFParseError, EBNFTokenizer } = EBNFParser;
+const RuleMap = require('./rule-map');
+
+/**
+ * Token types that end a sequence
+ * @type {Set<string>}
+ */
+const SEQUENCE_END = new Set(['choice', 'rparen', 'pipe']);
+
+/**
+ * Tokenizer for peggy grammar syntax
+ * @extends EBNFTokenizer
+ */
+class PeggyTokenizer extends EBNFTokenizer {
+    constructor() {
+        super();
+        this.tokenRegex = new RegExp([
+            // Whitespace (skip)
+            '(?<whitespace>\\s+)',
+            // Comments (skip, kept for rule documentation)
+            '(?<comment>//[^\\r\\n]*|/\\*[\\s\\S]*?\\*/)',
+            // Literals and character classes, optionally case-insensitive ("select"i)
+            '(?<string>"(?:\\\\.|[^"\\\\\\r\\n])*"i?)',
+            "(?<sstring>'(?:\\\\.|[^'\\\\\\r\\n])*'i?)",
+            '(?<charclass>\\[(?:\\\\.|[^\\]\\\\])*\\]i?)',
+            // Actions, initializers and semantic predicate code, completed by _scanToken
+            '(?<action>\\{)',
+            '(?<identifier>[A-Za-z_][A-Za-z0-9_$]*)',
+            '(?<integer>[0-9]+)',
+            // Operators
+            '(?<range>\\.\\.)',
+            '(?<any>\\.)',
+            '(?<assign>=)',
+            '(?<choice>/)',
+            '(?<colon>:)',
+            '(?<pluck>@)',
+            '(?<text>\\$)',
+            '(?<lookahead>[&!])',
+            '(?<quantifier>[?*+])',
+            // Repetition bounds and delimiter: a|2..3, ","|
+            '(?<pipe>\\|)',
+            '(?<comma>,)',
+            '(?<lparen>\\()',
+            '(?<rparen>\\))',
+            '(?<terminator>;)'
+        ].join('|'), 'g');
+    }
+
+    /**
+     * Complete actions, initializers and predicate code up to their closing brace
+     * @param {string} type - Token type (name of the matching group)
+     * @param {string} input - Input string
+     * @param {number} index - Index where the token starts
+     * @param {string} value - Text the token pattern matched
+     * @returns {string|null} Text of the whole token, or null for an unclosed block
+     * @protected
+     */
+    _scanToken(type, input, index, value) {
+        if (type !== 'action') {
+            return value;
+        }
+        const end = this._scanBlock(input, index);
+        return end < 0 ? null : input.slice(index, end);
+    }
+}
+
+/**
+ * Parser for peggy (and PEG.js) grammar files. Choices (a / b) become ordered alternations;
+ * repetition bounds (a|2..3|) and delimiters (a|1.., ","|) become repetitions and sequences.
+ * @extends EBNFParser
+ */
+class PeggyParser extends EBNFParser {
+    /**
+     * Create a new peggy grammar parser
+     */
+    constructor() {
+        super();
+        /** @type {PeggyTokenizer} Tokenizer instance */
+        this.tokenizer = new PeggyTokenizer();
+    }
+
+    /**
+     * Split the token stream into 'name "display name" = expression' rules and parse each of them,
+     * skipping imports and initializers
+     * @param {Token[]} tokens - Array of all tokens from the file
+     * @param {string} content - Original file content
+     * @param {EBNFParseError[]|null} errors - Error collection for recovery, or null to throw
+     * @param {Token[]} comments - Comment tokens used for rule documentation
+     * @returns {RuleMap<ParsedRule>} Parsed rules
+     * @private
+     */
+    _parseTokenStream(tokens, content, errors, comments) {
+        // Rule names are case-sensitive: 'Foo' and 'foo' are different rules
+        const rules = new RuleMap(null, { caseSensitive: true });
+        const source = Buffer.from(content, 'utf8');
+        const typeAt = (index) => index < tokens.length ? tokens[index].type : null;
+        // A rule starts with its name, an optional display name and '='
+        const ruleStart = (index) => {
+            if (typeAt(index) !== 'identifier') return 0;
+            if (typeAt(index + 1) === 'assign') return 2;
+            if ((typeAt(index + 1) === 'string' || typeAt(index + 1) === 'sstring') && typeAt(index + 2) === 'assign') return 3;
+            return 0;
+        };
+        let index = 0;
+
+        while (index < tokens.length) {
+            const nameToken = tokens[index];
+            const headerLength = ruleStart(index);
+            if (headerLength === 0 && nameToken.type === 'identifier' && nameToken.value === 'import') {
+                // Imports of rules from other grammars (import { a, b as c } from "./lib.js") are
+                // skipped up to the module name; references to imported rules are not linked
+                let end = index + 1;
+                while (end < tokens.length && typeAt(end) !== 'string' && typeAt(end) !== 'sstring') {
+                    end++;
+                }
+                if (end === tokens.length) {
+                    this._report(new EBNFParseError(`Expected the module name of an import 'import ... from "module"'`, nameToken.line, nameToken.column, nameToken), errors);
+                }
+                index = typeAt(end + 1) === 'terminator' ? end + 2 : end + 1;
+                continue;
+            }
+            if (headerLength === 0) {
+                // Initializers ({ ... } and {{ ... }}) are skipped; anything else is reported
+                // and skipped up to the next rule
+                if (nameToken.type !== 'action') {
+                    this._report(new EBNFParseError(`Expected a rule definition 'name = ...'`, nameToken.line, nameToken.column, nameToken), errors);
+                }
+                index++;
+                while (index < tokens.length && tokens[index].type !== 'action' && ruleStart(index) === 0) {
+                    index++;
+                }
+                continue;
+            }
+
+            // The expression runs up to the next rule or an optional ';'
+            let end = index + headerLength;
+            while (end < tokens.length && ruleStart(end) === 0 && tokens[end].type !== 'terminator') {
+                end++;
+            }
+            const ruleTokens = tokens.slice(index + headerLength, end);
+            const nextIndex = end < tokens.length && tokens[end].type === 'terminator' ? end + 1 : end;
+
+            try {
+                if (ruleTokens.length === 0) {
+                    throw new EBNFParseError(`Empty definition of rule '${nameToken.value}'`, nameToken.line, nameToken.column);
+                }
+                const expression = this._parseTokenSequence(this._syntaxTokens(ruleTokens));
+                const last = ruleTokens[ruleTokens.length - 1];
+                const original = source.subarray(ruleTokens[0].offset, last.end.offset).toString('utf8');
+                const definition = { name: nameToken.value, line: nameToken.line, text: original, incremental: false };
+                // Without comments, the display name describes the rule
+                const displayName = headerLength === 3 ? tokens[index + 1].value.slice(1, -1) : null;
+
+                // A repeated definition replaces the rule; earlier definitions are kept
+                // in the list so duplicates can still be reported
+                const previous = rules.get(nameToken.value);
+                rules.set(nameToken.value, {
+                    name: previous ? previous.name : nameToken.value,
+                    original,
+                    expression,
+                    definitions: [...(previous ? previous.definitions : []), definition],
+                    doc: this._extractRuleDoc(comments, content.split('\n'), nameToken.line, last.end.line) || displayName
+                });
+            } catch (error) {
+                this._report(error, errors);
+            }
+
+            index = nextIndex;
+        }
+
+        return rules;
+    }
+
+    /**
+     * Drop the tokens of a rule expression that do not affect its syntax: actions, semantic
+     * predicates (&{...}, !{...}), labels (name:), plucks (@) and the text operator ($)
+     * @param {Token[]} tokens - Tokens of the rule expression
+     * @returns {Token[]} Tokens of the rule's syntax
+     * @private
+     */
+    _syntaxTokens(tokens) {
+        const result = [];
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            const next = tokens[index + 1];
+
+            if (token.type === 'action' || token.type === 'pluck' || token.type === 'text') {
+                index++;
+            } else if (token.type === 'lookahead' && next && next.type === 'action') {
+                index += 2;
+            } else if (token.type === 'identifier' && next && next.type === 'colon') {
+                index += 2;
+            } else {
+                result.push(token);
+                index++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse an ordered choice: sequences separated by '/'
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseAlternation(tokens, index) {
+        const startIndex = index;
+        let result = this._parseSequence(tokens, index);
+        const alternatives = [result.element];
+        index = result.nextIndex;
+
+        while (index < tokens.length && tokens[index].type === 'choice') {
+            result = this._parseSequence(tokens, index + 1);
+            alternatives.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (alternatives.length === 1) {
+            return { element: alternatives[0], nextIndex: index };
+        }
+        return { element: this._withSpan(new AlternationNode(alternatives, true), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse a sequence of (possibly prefixed and suffixed) elements
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parseSequence(tokens, index) {
+        const startIndex = index;
+        const elements = [];
+
+        while (index < tokens.length && !SEQUENCE_END.has(tokens[index].type)) {
+            const result = this._parsePrefixed(tokens, index);
+            elements.push(result.element);
+            index = result.nextIndex;
+        }
+
+        if (elements.length === 0) {
+            const token = tokens[index] || tokens[index - 1];
+            throw new EBNFParseError('Empty expression', token.line, token.column, token);
+        }
+        if (elements.length === 1) {
+            return { element: elements[0], nextIndex: index };
+        }
+        return { element: this._withSpan(new SequenceNode(elements), tokens, startIndex, index), nextIndex: index };
+    }
+
+    /**
+     * Parse an element that may be a lookahead predicate (&a, !a). Predicates match no
+     * input, so they are shown as written, like a terminal
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePrefixed(tokens, index) {
+        if (tokens[index].type !== 'lookahead') {
+            return this._parsePostfix(tokens, index);
+        }
+
+        const operand = this._parsePostfix(tokens, index + 1);
+        const parts = tokens.slice(index, operand.nextIndex);
+        const text = parts.map((part, i) => (part.type === 'choice' || (i > 0 && parts[i - 1].type === 'choice')
+            ? ` ${part.value}` : part.value)).join('');
+        return { element: this._withSpan(new TerminalNode(text), tokens, index, operand.nextIndex), nextIndex: operand.nextIndex };
+    }
+
+    /**
+     * Parse an element with its '?', '*' or '+' suffix or repetition bounds (|2..3|, |1.., ","|)
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePostfix(tokens, index) {
+        const startIndex = index;
+        const result = this._parsePrimary(tokens, index);
+        let element = result.element;
+        index = result.nextIndex;
+
+        if (index < tokens.length && tokens[index].type === 'quantifier') {
+            const quantifier = tokens[index].value;
+            index++;
+            element = quantifier === '?'
+                ? new OptionalNode(element)
+                : new RepetitionNode(quantifier === '+' ? 1 : 0, null, element);
+            this._withSpan(element, tokens, startIndex, index);
+        } else if (this._isRepetitionStart(tokens, index)) {
+            const repetition = this._parseRepetitionBounds(tokens, index, element);
+            element = this._withSpan(repetition.element, tokens, startIndex, repetition.nextIndex);
+            index = repetition.nextIndex;
+        }
+
+        return { element, nextIndex: index };
+    }
+
+    /**
+     * Check whether a '|' opens repetition bounds rather than closing those of an enclosing
+     * repetition's delimiter: it must be followed by a bound, '..', ',' or (after a
+     * {...} bound was dropped) the closing '|'
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Index of the token to check
+     * @returns {boolean} True if repetition bounds start at the index
+     * @private
+     */
+    _isRepetitionStart(tokens, index) {
+        return index + 1 < tokens.length && tokens[index].type === 'pipe'
+            && ['integer', 'range', 'comma', 'pipe'].includes(tokens[index + 1].type);
+    }
+
+    /**
+     * Parse repetition bounds after an element: |n|, |min..max| with either bound optional,
+     * and an optional delimiter expression (|min..max, delimiter|). Bounds given by code
+     * ({...}) are unknown when drawing and treated as open.
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Index of the opening '|'
+     * @param {ASTNode} element - Repeated element
+     * @returns {{element: ASTNode, nextIndex: number}} Repetition AST node and next index
+     * @private
+     */
+    _parseRepetitionBounds(tokens, index, element) {
+        const opening = tokens[index];
+        const bound = (token) => token && token.type === 'integer' ? parseInt(token.value, 10) : null;
+        index++;
+
+        // Bounds before the range operator or the closing '|' ({...} code was dropped as an action)
+        let min = bound(tokens[index]);
+        if (min !== null) index++;
+        let max = min;
+        if (index < tokens.length && tokens[index].type === 'range') {
+            index++;
+            max = bound(tokens[index]);
+            if (max !== null) index++;
+        }
+        min = min || 0;
+
+        let delimiter = null;
+        if (index < tokens.length && tokens[index].type === 'comma') {
+            const result = this._parseAlternation(tokens, index + 1);
+            delimiter = result.element;
+            index = result.nextIndex;
+        }
+        if (index >= tokens.length || tokens[index].type !== 'pipe') {
+            throw new EBNFParseError(`Missing closing '|' of the repetition`, opening.line, opening.column, opening);
+        }
+        index++;
+
+        if (!delimiter) {
+            return { element: new RepetitionNode(min, max, element), nextIndex: index };
+        }
+
+        // Delimited repetition: element (delimiter element)*, optional when it may match nothing
+        const delimiterElements = delimiter.type === 'sequence' ? delimiter.elements : [delimiter];
+        const rest = new RepetitionNode(Math.max(min - 1, 0), max === null ? null : max - 1,
+            new SequenceNode([...delimiterElements, element]));
+        const delimited = new SequenceNode([element, rest]);
+        return { element: min === 0 ? new OptionalNode(delimited) : delimited, nextIndex: index };
+    }
+
+    /**
+     * Parse a primary: literal, character class, any character (.), rule reference
+     * or a parenthesized expression
+     * @param {Token[]} tokens - Array of tokens
+     * @param {number} index - Starting index
+     * @returns {{element: ASTNode, nextIndex: number}} Parsed AST node and next index
+     * @private
+     */
+    _parsePrimary(tokens, index) {
+        const token = tokens[index];
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new EBNFParseError('Unexpected end of rule', last.end.line, last.end.column, last);
+        }
+
+        switch (token.type) {
+            case 'string':
+            case 'sstring':
+            case 'charclass':
+            case 'any':
+                // Terminals keep their literal syntax, including the case-insensitive flag
+                return { element: this._withSpan(new TerminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'identifier':
+                return { element: this._withSpan(new NonterminalNode(token.value), tokens, index, index + 1), nextIndex: index + 1 };
+
+            case 'lparen': {
+                const inner = this._parseAlternation(tokens, index + 1);
+                if (inner.nextIndex >= tokens.length || tokens[inner.nextIndex].type !== 'rparen') {
+                    throw new EBNFParseError('Missing closing parenthesis', token.line, token.column, token);
+                }
+                return { element: inner.element, nextIndex: inner.nextIndex + 1 };
+            }
+
+            default:
+                throw new EBNFParseError(`Unexpected token: ${token.type}`, token.line, token.column, token);
+        }
+    }
+}
+
+module.exports = PeggyParser;
@@ -0,0 +1,25 @@
+const { TextBoxElement } = require('./text-box-element');
+
+/**
+ * Prose element (free-form <prose-val> descriptions)
+ * @extends TextBoxElement
+ */
+class ProseElement extends TextBoxElement {
+    /**
+     * Create a prose expression
+     * @param {string} text - Prose text to display in the box (without angle brackets)
+     */
+    constructor(text) {
+        super(text, 'prose');
+    }
+
+    /**
+     * Convert to debug string representation
+     * @returns {string} Debug string like 'prose("any text")'
+     */
+    toString() {
+        return `prose(${JSON.stringify(this.text)})`;
+    }
+}
+
+module.exports = ProseElement;
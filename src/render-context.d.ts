@@ -0,0 +1,98 @@
+/**
+ * Type definitions for Render Context
+ */
+
+import { TrackBuilder, TrackSegment } from './track-builder';
+
+export interface GroupMetadata {
+  /** X offset of the group's origin in pixels (no offset if omitted) */
+  x?: number;
+  /** Y offset of the group's origin in pixels (no offset if omitted) */
+  y?: number;
+  /** Group class (e.g. 'main-element', 'textbox-expression') */
+  className?: string;
+  /** Descriptive data about the group's content (element type, box text, referenced rule, ABNF source span) */
+  data?: Record<string, string | number | undefined>;
+  /** Layout element rendered in the group (groups of renderChild) */
+  element?: unknown;
+}
+
+export interface TextBoxShape {
+  /** Left edge of the box in pixels */
+  x: number;
+  /** Top edge of the box in pixels */
+  y: number;
+  /** Box width in pixels */
+  width: number;
+  /** Box height in pixels */
+  height: number;
+  /** Text content */
+  text: string;
+  /** Box type */
+  boxType: 'terminal' | 'nonterminal' | 'prose';
+  /** Link target of the box (null: not linked) */
+  href: string | null;
+}
+
+export interface PathMetadata {
+  /** Path class ('track') */
+  className: string;
+  /** Debug ID of the path */
+  id: string | null;
+  /** Track builder calls that produced the path (for debugging) */
+  steps: string[];
+}
+
+/**
+ * Drawing interface that layout elements render through; output backends
+ * implement the drawing primitives
+ */
+export declare abstract class RenderContext {
+  /** Grid size in pixels */
+  gridSize: number;
+  /** Track builder using grid units; finished tracks are drawn with drawPath */
+  trackBuilder: TrackBuilder;
+  /** Maps a referenced rule name to the href of its link */
+  linkResolver: ((ruleName: string) => string | null) | null;
+
+  /**
+   * Create a render context
+   * @param gridSize Grid size in pixels
+   */
+  constructor(gridSize: number);
+
+  /** Render a laid-out diagram element between a start and an end endpoint, with a grid unit of padding */
+  renderDiagram(element: unknown): void;
+
+  /** Add a text box at the specified grid coordinates */
+  addTextBox(x: number, y: number, width: number, text: string, boxType: 'terminal' | 'nonterminal' | 'prose', ruleName?: string): void;
+
+  /** Add an annotation label centered at the specified grid coordinates */
+  addLabel(x: number, y: number, text: string): void;
+
+  /** Add a start/end endpoint at the specified grid coordinates */
+  addEndpoint(gridX: number, gridY: number): void;
+
+  /** Render a child expression at specific grid coordinates with automatic group wrapping */
+  renderChild(child: unknown, gridX: number, gridY: number, groupClass?: string | null, groupData?: Record<string, string | number>): void;
+
+  /** Draw the box and text of a text box */
+  abstract drawTextBox(box: TextBoxShape): void;
+
+  /** Draw an annotation label centered at a point (pixels) */
+  abstract drawLabel(x: number, y: number, text: string): void;
+
+  /** Draw a start/end endpoint centered at a point (pixels) */
+  abstract drawEndpoint(x: number, y: number): void;
+
+  /** Draw a track path (called by the track builder) */
+  abstract drawPath(segments: TrackSegment[], metadata: PathMetadata): void;
+
+  /** Open a group offset by the group's origin */
+  abstract beginGroup(metadata: GroupMetadata): void;
+
+  /** Close the innermost open group */
+  abstract endGroup(): void;
+}
+
+export default RenderContext;
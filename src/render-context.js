@@ -1,8 +1,40 @@
 const { TrackBuilder, Direction } = require('./track-builder');
 
 /**
- * RenderContext provides methods for adding SVG elements using grid units
- * Encapsulates all coordinate conversion and SVG generation
+ * @typedef {Object} GroupMetadata
+ * @property {number} [x] - X offset of the group's origin in pixels (no offset if omitted)
+ * @property {number} [y] - Y offset of the group's origin in pixels (no offset if omitted)
+ * @property {string} [className] - Group class (e.g. 'main-element', 'textbox-expression')
+ * @property {Object<string, string|number|undefined>} [data] - Descriptive data about the group's content
+ *   (element type, box text, referenced rule, ABNF source span); undefined values are left out
+ * @property {LayoutElement} [element] - Layout element rendered in the group (groups of renderChild)
+ */
+
+/**
+ * @typedef {Object} TextBoxShape
+ * @property {number} x - Left edge of the box in pixels
+ * @property {number} y - Top edge of the box in pixels
+ * @property {number} width - Box width in pixels
+ * @property {number} height - Box height in pixels
+ * @property {string} text - Text content
+ * @property {'terminal'|'nonterminal'|'prose'} boxType - Box type
+ * @property {string|null} href - Link target of the box (null: not linked)
+ */
+
+/**
+ * @typedef {Object} PathMetadata
+ * @property {string} className - Path class ('track')
+ * @property {string|null} id - Debug ID of the path
+ * @property {string[]} steps - Track builder calls that produced the path (for debugging)
+ */
+
+/**
+ * RenderContext is the drawing interface that layout elements render through.
+ * Elements place text boxes, labels, tracks and child elements in grid units;
+ * the context converts to pixels and hands the shapes to the drawing primitives
+ * (drawTextBox, drawLabel, drawEndpoint, drawPath, beginGroup, endGroup) that
+ * each output backend implements.
+ * @abstract
  */
 class RenderContext {
     /**
@@ -10,125 +42,181 @@ class RenderContext {
      * @param {number} gridSize - Grid size in pixels
      */
     constructor(gridSize) {
-        /** @type {string} Accumulated SVG markup */
-        this.svg = '';
         /** @type {number} Grid size in pixels */
         this.gridSize = gridSize;
         /** @type {TrackBuilder} Track builder using grid units */
         this.trackBuilder = new TrackBuilder(gridSize);
-        
-        // Give trackBuilder a reference to this context so it can add tracks directly
+        /** @type {function(string): (string|null)|null} Maps a referenced rule name to the href of its link */
+        this.linkResolver = null;
+
+        // Give trackBuilder a reference to this context so it can draw finished tracks directly
         this.trackBuilder._renderContext = this;
     }
 
+    /**
+     * Render a laid-out diagram element between a start and an end endpoint, with
+     * a grid unit of padding around the diagram
+     * @param {LayoutElement} element - Laid-out root element
+     * @returns {void}
+     */
+    renderDiagram(element) {
+        // Start endpoint 1 grid unit from the left edge, at the element's baseline
+        const startX = 1;
+        const baselineY = 1 + element.baseline;
+        this.addEndpoint(startX, baselineY);
+
+        // Main element after the start track (2 units), end endpoint after the end track (2 units)
+        const elementX = startX + 2;
+        this.renderChild(element, elementX, 1, 'main-element');
+        const endX = elementX + element.width + 2;
+        this.addEndpoint(endX, baselineY);
+
+        // Connecting tracks between endpoints and element
+        this.trackBuilder.start(startX, baselineY, Direction.EAST).forward(2).finish('start-connection');
+        this.trackBuilder.start(endX - 2, baselineY, Direction.EAST).forward(2).finish('end-connection');
+    }
+
     /**
      * Add a text box at the specified grid coordinates
      * @param {number} x - X position in grid units
      * @param {number} y - Y position in grid units
      * @param {number} width - Width in grid units
      * @param {string} text - Text content
-     * @param {'terminal'|'nonterminal'} boxType - Box type
+     * @param {'terminal'|'nonterminal'|'prose'} boxType - Box type
+     * @param {string} [ruleName] - Referenced rule (nonterminals), recorded in the group data and
+     *   linked through the link resolver
      */
-    addTextBox(x, y, width, text, boxType) {
-        const height = 2;
+    addTextBox(x, y, width, text, boxType, ruleName) {
         const baseline = 1;
-        const h = height * this.gridSize;
-       
+
+        this.beginGroup({ className: 'textbox-expression', data: { type: boxType, text, rule: ruleName } });
 
         // Text box should exclude track connection areas (1 unit on each side)
-        const boxWidth = (width - 2) * this.gridSize;
-        const boxX = 1 * this.gridSize; // Start 1 grid unit from left edge
-        
-        this.svg += `<g class="textbox-expression" data-type="${boxType}" data-text="${this.escapeXml(text)}">`;
-        
-        // Draw box with correct width, positioned to leave space for tracks
-        this.svg += `<rect x="${boxX}" y="0" width="${boxWidth}" height="${h}" class="textbox ${boxType}"/>`;
-        
-        // Draw text centered in the actual text box area (not the full element width)
-        const textX = boxX + boxWidth / 2;
-        const textY = h / 2;
-        this.svg += `<text x="${textX}" y="${textY}" text-anchor="middle" dominant-baseline="middle" class="textbox-text ${boxType}">${this.escapeXml(text)}</text>`;
-        
+        this.drawTextBox({
+            x: this.gridSize,
+            y: 0,
+            width: (width - 2) * this.gridSize,
+            height: 2 * this.gridSize,
+            text,
+            boxType,
+            href: ruleName && this.linkResolver ? this.linkResolver(ruleName) : null
+        });
+
         // Add connecting tracks per specification
-        const leftTrack = this.trackBuilder
-            .start(0, baseline, Direction.EAST)
-            .forward(1)
-            .finish('textbox-left');
-        this.svg += leftTrack;
-        
-        const rightTrack = this.trackBuilder
-            .start(width - 1, baseline, Direction.EAST)
-            .forward(1)
-            .finish('textbox-right');
-        this.svg += rightTrack;
-        
-        this.svg += '</g>';
+        this.trackBuilder.start(0, baseline, Direction.EAST).forward(1).finish('textbox-left');
+        this.trackBuilder.start(width - 1, baseline, Direction.EAST).forward(1).finish('textbox-right');
+
+        this.endGroup();
     }
 
     /**
-     * Add a start/end endpoint circle at the specified grid coordinates
+     * Add an annotation label (e.g. repetition bounds) centered at the specified grid coordinates
+     * @param {number} x - X position of the label center in grid units
+     * @param {number} y - Y position of the label center in grid units
+     * @param {string} text - Label text
+     */
+    addLabel(x, y, text) {
+        this.drawLabel(x * this.gridSize, y * this.gridSize, text);
+    }
+
+    /**
+     * Add a start/end endpoint at the specified grid coordinates
      * @param {number} gridX - X position in grid units
      * @param {number} gridY - Y position in grid units
      */
     addEndpoint(gridX, gridY) {
-        const x = gridX * this.gridSize;
-        const y = gridY * this.gridSize;
-        this.svg += `<circle cx="${x}" cy="${y}" class="endpoint"/>`;
+        this.drawEndpoint(gridX * this.gridSize, gridY * this.gridSize);
     }
 
     /**
      * Render a child expression at specific grid coordinates with automatic group wrapping
-     * @param {Expression} child - Child expression to render
+     * @param {LayoutElement} child - Child expression to render
      * @param {number} gridX - X position in grid units
      * @param {number} gridY - Y position in grid units
-     * @param {string} [groupClass] - Optional CSS class for the group
-     * @param {Object} [groupData] - Optional data attributes for the group
+     * @param {string} [groupClass] - Optional class for the group
+     * @param {Object} [groupData] - Optional data for the group
      */
     renderChild(child, gridX, gridY, groupClass = null, groupData = {}) {
-        // Start SVG group with transform to position the child
-        const transform = `translate(${gridX * this.gridSize}, ${gridY * this.gridSize})`;
-        let groupTag = `<g transform="${transform}"`;
-        
-        if (groupClass) {
-            groupTag += ` class="${groupClass}"`;
-        }
-        
-        // Add data attributes
-        for (const [key, value] of Object.entries(groupData)) {
-            groupTag += ` data-${key}="${value}"`;
+        const data = { ...groupData };
+
+        // Map the group back to its ABNF source as "startLine:startColumn-endLine:endColumn"
+        if (child.span) {
+            const { start, end } = child.span;
+            data.span = `${start.line}:${start.column}-${end.line}:${end.column}`;
         }
-        
-        groupTag += '>';
-        this.svg += groupTag;
-        
-        // Render child directly in this context's coordinate system
-        // The SVG transform handles positioning, so child renders at (0,0) relative to group
+
+        this.beginGroup({ x: gridX * this.gridSize, y: gridY * this.gridSize, className: groupClass || undefined, data, element: child });
+
+        // Render child directly in this context's coordinate system:
+        // the group offset handles positioning, so the child renders at (0,0)
         child.render(this);
-        
-        // Close the group
-        this.svg += '</g>';
+
+        this.endGroup();
     }
 
     /**
-     * Escape XML special characters
-     * @param {string|number} str - Input string or number
-     * @returns {string} XML-escaped string
+     * Draw the box and text of a text box
+     * @abstract
+     * @param {TextBoxShape} box - Box geometry in pixels, text and link
+     * @returns {void}
      */
-    escapeXml(str) {
-        if (typeof str !== 'string') {
-            str = String(str);
-        }
-        return str.replace(/[&<>"']/g, (char) => {
-            const map = {
-                '&': '&amp;',
-                '<': '&lt;',
-                '>': '&gt;',
-                '"': '&quot;',
-                "'": '&#39;'
-            };
-            return map[char];
-        });
+    drawTextBox(box) {
+        throw new Error(`${this.constructor.name} does not implement drawTextBox`);
+    }
+
+    /**
+     * Draw an annotation label centered at a point
+     * @abstract
+     * @param {number} x - X of the label center in pixels
+     * @param {number} y - Y of the label center in pixels
+     * @param {string} text - Label text
+     * @returns {void}
+     */
+    drawLabel(x, y, text) {
+        throw new Error(`${this.constructor.name} does not implement drawLabel`);
+    }
+
+    /**
+     * Draw a start/end endpoint centered at a point
+     * @abstract
+     * @param {number} x - X of the endpoint center in pixels
+     * @param {number} y - Y of the endpoint center in pixels
+     * @returns {void}
+     */
+    drawEndpoint(x, y) {
+        throw new Error(`${this.constructor.name} does not implement drawEndpoint`);
+    }
+
+    /**
+     * Draw a track path (called by the track builder)
+     * @abstract
+     * @param {TrackSegment[]} segments - Path segments in pixels: a move, then lines and quarter arcs
+     * @param {PathMetadata} metadata - Path class and debug information
+     * @returns {void}
+     */
+    drawPath(segments, metadata) {
+        throw new Error(`${this.constructor.name} does not implement drawPath`);
+    }
+
+    /**
+     * Open a group: everything drawn until the matching endGroup belongs to it and
+     * is offset by the group's origin
+     * @abstract
+     * @param {GroupMetadata} metadata - Group offset, class and data
+     * @returns {void}
+     */
+    beginGroup(metadata) {
+        throw new Error(`${this.constructor.name} does not implement beginGroup`);
+    }
+
+    /**
+     * Close the innermost open group
+     * @abstract
+     * @returns {void}
+     */
+    endGroup() {
+        throw new Error(`${this.constructor.name} does not implement endGroup`);
     }
 }
 
-module.exports = RenderContext;
\ No newline at end of file
+module.exports = RenderContext;
@@ -0,0 +1,92 @@
+const LayoutElement = require('./element');
+const { Direction } = require('./track-builder');
+const { measureLayoutText } = require('./text-box-element');
+
+/**
+ * Repeat element: an exact repetition drawn once with a count label (e.g. 8HEXDIG as "×8")
+ * @extends LayoutElement
+ */
+class RepeatElement extends LayoutElement {
+    /**
+     * Create a repeat element for an exact repetition count
+     * @param {LayoutElement} element - The repeated element
+     * @param {number} count - Exact number of repetitions
+     */
+    constructor(element, count) {
+        super();
+        /** @type {LayoutElement} */
+        this.child = element;
+        /** @type {number} */
+        this.count = count;
+        /** @type {string} */
+        this.label = `×${count}`;
+        
+        // Layout will be calculated in layout() method
+    }
+
+    /**
+     * @returns {LayoutElement[]} The child
+     * @protected
+     */
+    _childElements() {
+        return [this.child];
+    }
+
+    /**
+     * Calculate layout dimensions based on child and label
+     * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
+     * @returns {void}
+     */
+    layout(layoutConfig) {
+        // First layout the child
+        if (!this.child.isLaidOut) {
+            this.child.layout(layoutConfig);
+        }
+
+        const labelGrids = Math.ceil(measureLayoutText(this.label, layoutConfig).width / layoutConfig.gridSize);
+
+        // The label takes a row above the child
+        this.width = Math.max(this.child.width, labelGrids + (labelGrids % 2));
+        this.height = this.child.height + 1;
+        this.baseline = this.child.baseline + 1;
+        this.isLaidOut = true;
+        
+        // Assert the width invariant: all Expression widths must be even
+        console.assert(this.width % 2 === 0, `RepeatExpression violates width invariant: expected even width, got ${this.width}`);
+    }
+
+    /**
+     * Render the child once with the count label above it
+     * @param {RenderContext} ctx - Rendering context
+     * @returns {void}
+     */
+    render(ctx) {
+        const childX = (this.width - this.child.width) / 2;
+
+        ctx.addLabel(this.width / 2, 0.5, this.label);
+        ctx.renderChild(this.child, childX, 1, 'repeat-child');
+        
+        // Through path fills the space a wide label leaves on either side of the child
+        if (childX > 0) {
+            ctx.trackBuilder
+                .start(0, this.baseline, Direction.EAST)
+                .forward(childX)
+                .finish('through-left');
+            
+            ctx.trackBuilder
+                .start(childX + this.child.width, this.baseline, Direction.EAST)
+                .forward(childX)
+                .finish('through-right');
+        }
+    }
+
+    /**
+     * Convert to debug string representation
+     * @returns {string} Debug string like 'repeat(nonterminal("X"), 8)'
+     */
+    toString() {
+        return `repeat(${this.child.toString()}, ${this.count})`;
+    }
+}
+
+module.exports = RepeatElement;
@@ -0,0 +1,26 @@
+/**
+ * Type definitions for Rule Links
+ */
+
+import { ParsedRule } from './abnf-parser';
+
+/**
+ * Resolve the href of a nonterminal reference
+ * @param ruleName Referenced rule (defining spelling if the rule is known)
+ * @param rule The referenced rule, or null if it is not part of the grammar
+ * @returns Link target, or null to leave the reference unlinked
+ */
+export type LinkResolver = (ruleName: string, rule: ParsedRule | null) => string | null;
+
+/** Anchor id of a rule in the generated HTML (also used by the sanitizeId template helper) */
+export declare function ruleId(name: string): string;
+
+/** Default link resolver: rules of the grammar link to their diagram, other references are not linked */
+export declare const defaultLinkResolver: LinkResolver;
+
+/**
+ * Create a link resolver for references the grammar does not define itself
+ * @param links Link targets by rule name (matched case-insensitively)
+ * @param fallback Resolver for rules the grammar defines
+ */
+export declare function createLinkResolver(links: Record<string, string>, fallback?: LinkResolver): LinkResolver;
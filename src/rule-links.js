@@ -0,0 +1,51 @@
+/**
+ * Rule Links
+ * 
+ * Anchor ids of rules in the generated HTML and the link resolvers that turn
+ * nonterminal references into hrefs.
+ */
+
+const RuleMap = require('./rule-map');
+
+/**
+ * Resolve the href of a nonterminal reference
+ * @callback LinkResolver
+ * @param {string} ruleName - Referenced rule (defining spelling if the rule is known)
+ * @param {ParsedRule|null} rule - The referenced rule, or null if it is not part of the grammar
+ * @returns {string|null} Link target, or null to leave the reference unlinked
+ */
+
+/**
+ * Anchor id of a rule in the generated HTML (also used by the sanitizeId template helper)
+ * @param {string} name - Rule name
+ * @returns {string} Id safe for use in HTML and URL fragments
+ */
+function ruleId(name) {
+    return name.replace(/[^a-zA-Z0-9-_]/g, '_');
+}
+
+/**
+ * Default link resolver: rules of the grammar link to their diagram, other references are not linked
+ * @type {LinkResolver}
+ */
+function defaultLinkResolver(ruleName, rule) {
+    return rule ? `#${ruleId(rule.name)}` : null;
+}
+
+/**
+ * Create a link resolver for references the grammar does not define itself,
+ * e.g. rules of another grammar file or of an RFC
+ * @param {Object<string, string>} links - Link targets by rule name (matched case-insensitively)
+ * @param {LinkResolver} [fallback=defaultLinkResolver] - Resolver for rules the grammar defines
+ * @returns {LinkResolver} Combined resolver
+ */
+function createLinkResolver(links, fallback = defaultLinkResolver) {
+    const external = new RuleMap(Object.entries(links));
+    return (ruleName, rule) => rule ? fallback(ruleName, rule) : (external.get(ruleName) || null);
+}
+
+module.exports = {
+    ruleId,
+    defaultLinkResolver,
+    createLinkResolver
+};
@@ -0,0 +1,37 @@
+/**
+ * Type definitions for Rule Map
+ */
+
+export interface RuleMapOptions {
+  /** Rule names that differ in case name different rules */
+  caseSensitive?: boolean;
+}
+
+/**
+ * Map of rules keyed by defining spelling, with case-insensitive lookup (unless case-sensitive)
+ */
+export declare class RuleMap<T> extends Map<string, T> {
+  /** Whether rule names that differ in case name different rules */
+  caseSensitive: boolean;
+
+  /** Canonical name → defining spelling */
+  private _spellings: Map<string, string>;
+
+  /**
+   * Create a rule map
+   * @param entries Initial entries; later spellings of a name update the first
+   * @param options Map options
+   */
+  constructor(entries?: Iterable<[string, T]>, options?: RuleMapOptions);
+
+  /** Canonical identity of a rule name */
+  static canonicalName(name: string): string;
+
+  /** Whether two names refer to the same rule in this map */
+  isSameName(a: string, b: string): boolean;
+
+  /** Resolve a rule name in any spelling to the defining spelling */
+  resolve(name: string): string | undefined;
+}
+
+export default RuleMap;
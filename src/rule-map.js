@@ -0,0 +1,131 @@
+/**
+ * Rule Map
+ * 
+ * ABNF rule names are case-insensitive (RFC 5234 section 2.1): HEXDIG, hexdig and
+ * HexDig all name the same rule. RuleMap looks rules up by that canonical identity
+ * while keeping the spelling of the first definition as the key used for display.
+ * Notations with case-sensitive names (W3C EBNF, ANTLR, peggy) use a case-sensitive map.
+ */
+
+/**
+ * @typedef {Object} RuleMapOptions
+ * @property {boolean} [caseSensitive=false] - Rule names that differ in case name different rules
+ */
+
+/**
+ * Map of rules keyed by defining spelling, with case-insensitive lookup (unless case-sensitive)
+ * @template T
+ * @extends {Map<string, T>}
+ */
+class RuleMap extends Map {
+    /**
+     * Create a rule map
+     * @param {Iterable<[string, T]>} [entries] - Initial entries; later spellings of a name update the first
+     * @param {RuleMapOptions} [options={}] - Map options
+     */
+    constructor(entries, options = {}) {
+        super();
+        /** @type {boolean} Whether rule names that differ in case name different rules */
+        this.caseSensitive = Boolean(options.caseSensitive);
+        /** @type {Map<string, string>} Canonical name → defining spelling */
+        this._spellings = new Map();
+        
+        for (const [name, value] of entries || []) {
+            this.set(name, value);
+        }
+    }
+
+    /**
+     * Canonical identity of a rule name
+     * @param {string} name - Rule name in any spelling
+     * @returns {string} Canonical (lower case) name
+     */
+    static canonicalName(name) {
+        return name.toLowerCase();
+    }
+
+    /**
+     * Whether two names refer to the same rule in this map
+     * @param {string} a - Rule name
+     * @param {string} b - Rule name
+     * @returns {boolean} True if the names are equal (ignoring case unless case-sensitive)
+     */
+    isSameName(a, b) {
+        return this._canonical(a) === this._canonical(b);
+    }
+
+    /**
+     * Resolve a rule name in any spelling to the defining spelling
+     * @param {string} name - Rule name in any spelling
+     * @returns {string|undefined} Defining spelling, or undefined if no such rule exists
+     */
+    resolve(name) {
+        return this._spellings.get(this._canonical(name));
+    }
+
+    /**
+     * @param {string} name - Rule name in any spelling
+     * @returns {T|undefined} The rule
+     */
+    get(name) {
+        const key = this.resolve(name);
+        return key === undefined ? undefined : super.get(key);
+    }
+
+    /**
+     * @param {string} name - Rule name in any spelling
+     * @returns {boolean} Whether the rule exists
+     */
+    has(name) {
+        return this.resolve(name) !== undefined;
+    }
+
+    /**
+     * Add or replace a rule; replacing keeps the existing spelling and position
+     * @param {string} name - Rule name in any spelling
+     * @param {T} value - The rule
+     * @returns {this}
+     */
+    set(name, value) {
+        const key = this.resolve(name);
+        if (key === undefined) {
+            this._spellings.set(this._canonical(name), name);
+            return super.set(name, value);
+        }
+        return super.set(key, value);
+    }
+
+    /**
+     * @param {string} name - Rule name in any spelling
+     * @returns {boolean} Whether a rule was removed
+     */
+    delete(name) {
+        const key = this.resolve(name);
+        if (key === undefined) {
+            return false;
+        }
+        this._spellings.delete(this._canonical(name));
+        return super.delete(key);
+    }
+
+    /**
+     * Remove all rules
+     * @returns {void}
+     */
+    clear() {
+        this._spellings.clear();
+        super.clear();
+    }
+
+    /**
+     * Key of a rule name in the spellings map
+     * @param {string} name - Rule name in any spelling
+     * @returns {string} The name itself if case-sensitive, the canonical name otherwise
+     * @private
+     */
+    _canonical(name) {
+        return this.caseSensitive ? name : RuleMap.canonicalName(name);
+    }
+}
+
+module.exports = RuleMap;
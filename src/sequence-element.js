@@ -1,8 +1,35 @@
 const LayoutElement = require('./element');
 const { Direction } = require('./track-builder');
 
+/**
+ * Margin in grid units left of wrapped rows: room for the entry riser and the wrap
+ * tracks coming down into the next row beside it
+ * @type {number}
+ */
+const WRAP_MARGIN = 4;
+
+/**
+ * Margin in grid units right of wrapped rows: the wrap tracks only turn down there
+ * @type {number}
+ */
+const WRAP_MARGIN_RIGHT = 2;
+
+/**
+ * @typedef {Object} SequenceRow
+ * @property {LayoutElement[]} children - Children on this row
+ * @property {number} width - Row width in grid units (children plus 2-unit spacing)
+ * @property {number} height - Height of the tallest child
+ * @property {number} baseline - Common baseline of the row's children, relative to the row top
+ * @property {number} top - Y position of the row in grid units (set during layout)
+ */
+
 /**
  * Sequence element (elements in sequence)
+ * 
+ * With a maxWidth in the LayoutConfig, a sequence that does not fit wraps into rows.
+ * Rows are connected by a return track running right to left below each row. The
+ * baseline is the last row's baseline; the entry track rises from there to the first
+ * row, so entry (0, baseline) and exit (width, baseline) stay on a common baseline.
  * @extends LayoutElement
  */
 class SequenceElement extends LayoutElement {
@@ -14,27 +41,49 @@ class SequenceElement extends LayoutElement {
         super();
         /** @type {LayoutElement[]} */
         this.children = elements;
+        /** @type {SequenceRow[]} Rows after wrapping (a single row unless wrapped) */
+        this.rows = [];
         
         // Layout will be calculated in layout() method
     }
 
+    /**
+     * @returns {LayoutElement[]} The children
+     * @protected
+     */
+    _childElements() {
+        return this.children;
+    }
+
     /**
      * Calculate layout dimensions based on children
      * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
      * @returns {void}
      */
     layout(layoutConfig) {
-        // First layout all children
+        // Lay out the children with the full width first: the wrap margins are only needed
+        // when the sequence wraps
         this.children.forEach(child => {
             if (!child.isLaidOut) {
                 child.layout(layoutConfig);
             }
         });
-
-        // Calculate layout dimensions by summing child widths and adding spacing
-        this.width = this.children.reduce((sum, child) => sum + child.width, 0) + (this.children.length - 1) * 2;
-        this.height = Math.max(...this.children.map(child => child.height));
-        this.baseline = Math.max(...this.children.map(child => child.baseline));
+        this._layoutSingleRow();
+        
+        // A maxWidth of 0 is a limit too: nested containers may leave no room at all
+        if (typeof layoutConfig.maxWidth === 'number' && this.width > layoutConfig.maxWidth && this.children.length > 1) {
+            // Rows lose the wrap margins on both sides: lay out again the children that are
+            // too wide for a row
+            const rowLayoutConfig = LayoutElement.narrowLayoutConfig(layoutConfig, WRAP_MARGIN + WRAP_MARGIN_RIGHT);
+            this.children.forEach(child => {
+                if (child.width > rowLayoutConfig.maxWidth) {
+                    child.resetLayout();
+                    child.layout(rowLayoutConfig);
+                }
+            });
+            this._layoutSingleRow();
+            this._wrap(rowLayoutConfig.maxWidth);
+        }
         this.isLaidOut = true;
        
         // Assert the width invariant: all Expression width must be even
@@ -42,12 +91,85 @@ class SequenceElement extends LayoutElement {
         console.assert(this.width % 2 === 0, `SequenceExpression violates width invariant: expected even width, got ${this.width}`);
     }
 
+    /**
+     * Place all children on one row: sum of the child widths plus 2-unit spacing
+     * @returns {void}
+     * @private
+     */
+    _layoutSingleRow() {
+        if (this.children.length === 0) {
+            // The empty sequence is a 2-unit track, as high as a text box
+            this.width = 2;
+            this.height = 2;
+            this.baseline = 1;
+            this.rows = [{ children: [], width: this.width, height: this.height, baseline: this.baseline, top: 0 }];
+            return;
+        }
+        this.width = this.children.reduce((sum, child) => sum + child.width, 0) + (this.children.length - 1) * 2;
+        this.height = Math.max(...this.children.map(child => child.height));
+        this.baseline = Math.max(...this.children.map(child => child.baseline));
+        this.rows = [{ children: this.children, width: this.width, height: this.height, baseline: this.baseline, top: 0 }];
+    }
+
+    /**
+     * Break the children into rows of at most rowWidth (a child wider than that gets a row
+     * of its own) and stack the rows with a 1-unit return track row and a 1-unit gap between them
+     * @param {number} rowWidth - Maximum row width in grid units
+     * @returns {void}
+     * @private
+     */
+    _wrap(rowWidth) {
+        const rows = [];
+        let row = null;
+        
+        for (const child of this.children) {
+            if (row && row.width + 2 + child.width <= rowWidth) {
+                row.children.push(child);
+                row.width += 2 + child.width;
+            } else {
+                row = { children: [child], width: child.width, height: 0, baseline: 0, top: 0 };
+                rows.push(row);
+            }
+        }
+        
+        const wrappedWidth = WRAP_MARGIN + Math.max(...rows.map(r => r.width)) + WRAP_MARGIN_RIGHT;
+        if (rows.length === 1 || wrappedWidth >= this.width) {
+            return; // Nothing to gain: the margins take more room than wrapping saves
+        }
+        
+        let top = 0;
+        for (const row of rows) {
+            row.height = Math.max(...row.children.map(child => child.height));
+            row.baseline = Math.max(...row.children.map(child => child.baseline));
+            row.top = top;
+            top += row.height + 2; // Return track row + gap row
+        }
+        
+        const lastRow = rows[rows.length - 1];
+        this.rows = rows;
+        this.width = wrappedWidth;
+        this.height = lastRow.top + lastRow.height;
+        this.baseline = lastRow.top + lastRow.baseline;
+    }
+
     /**
      * Render all child elements in horizontal sequence
      * @param {RenderContext} ctx - Rendering context
      * @returns {void}
      */
     render(ctx) {
+        if (this.rows.length > 1) {
+            this._renderRows(ctx);
+            return;
+        }
+        if (this.children.length === 0) {
+            ctx.trackBuilder
+                .start(0, this.baseline, Direction.EAST)
+                .forward(this.width)
+                .finish('seq-empty');
+            return;
+        }
+        
         // Render each child at its calculated position
         let currentX = 0;
         this.children.forEach((child, i) => {
@@ -71,6 +193,70 @@ class SequenceElement extends LayoutElement {
         });
     }
 
+    /**
+     * Render wrapped rows: entry riser to the first row, each row left to right, and
+     * wrap tracks from the end of a row back to the start of the next one
+     * @param {RenderContext} ctx - Rendering context
+     * @returns {void}
+     * @private
+     */
+    _renderRows(ctx) {
+        const firstBaseline = this.rows[0].top + this.rows[0].baseline;
+        
+        // Entry rises along the left edge from the baseline (last row) to the first row
+        ctx.trackBuilder
+            .start(0, this.baseline, Direction.EAST)
+            .turnLeft()
+            .forward(this.baseline - firstBaseline - 2)
+            .turnRight()
+            .forward(WRAP_MARGIN - 2)
+            .finish('wrap-entry');
+        
+        let index = 0;
+        this.rows.forEach((row, r) => {
+            const rowBaseline = row.top + row.baseline;
+            let currentX = WRAP_MARGIN;
+            
+            row.children.forEach((child, i) => {
+                ctx.renderChild(child, currentX, row.top + row.baseline - child.baseline, 'sequence-child', { index, row: r });
+                currentX += child.width;
+                index++;
+                
+                if (i < row.children.length - 1) {
+                    ctx.trackBuilder
+                        .start(currentX, rowBaseline, Direction.EAST)
+                        .forward(2)
+                        .finish(`seq-${index - 1}`);
+                    currentX += 2;
+                }
+            });
+            
+            if (r === this.rows.length - 1) {
+                // Last row runs out to the exit
+                ctx.trackBuilder
+                    .start(currentX, rowBaseline, Direction.EAST)
+                    .forward(this.width - currentX)
+                    .finish('wrap-exit');
+                return;
+            }
+            
+            // Down the right margin, back along the return row, down the left margin into the next row
+            const returnY = row.top + row.height + 1;
+            const next = this.rows[r + 1];
+            ctx.trackBuilder
+                .start(currentX, rowBaseline, Direction.EAST)
+                .forward(this.width - WRAP_MARGIN_RIGHT - currentX)
+                .turnRight()
+                .forward(returnY - rowBaseline - 2)
+                .turnRight()
+                .forward(this.width - WRAP_MARGIN - WRAP_MARGIN_RIGHT)
+                .turnLeft()
+                .forward(next.top + next.baseline - returnY - 2)
+                .turnLeft()
+                .finish(`wrap-${r}`);
+        });
+    }
+
     /**
      * Convert to debug string representation
      * @returns {string} Debug string like 'sequence(terminal("x"), nonterminal("Y"))'
@@ -9,25 +9,40 @@ class StackElement extends LayoutElement {
     /**
      * Create a stack element for alternative paths
      * @param {LayoutElement[]} elements - Array of alternative elements
+     * @param {boolean} [ordered=false] - Alternatives are tried in order (PEG ordered choice):
+     *   the branches are numbered
      */
-    constructor(elements) {
+    constructor(elements, ordered = false) {
         super();
         /** @type {LayoutElement[]} */
         this.children = elements;
+        /** @type {boolean} */
+        this.ordered = ordered;
+        /** @type {number} Extra left track space holding the branch numbers */
+        this.numberSpace = ordered ? 2 : 0;
         
         // Layout will be calculated in layout() method
     }
 
+    /**
+     * @returns {LayoutElement[]} The alternatives
+     * @protected
+     */
+    _childElements() {
+        return this.children;
+    }
+
     /**
      * Calculate layout dimensions based on children
      * @param {LayoutConfig} layoutConfig - Configuration for layout calculations
      * @returns {void}
      */
     layout(layoutConfig) {
-        // First layout all children
+        // First layout all children (with room for the 2-unit track space on either side)
+        const childLayoutConfig = LayoutElement.narrowLayoutConfig(layoutConfig, 4);
         this.children.forEach(child => {
             if (!child.isLaidOut) {
-                child.layout(layoutConfig);
+                child.layout(childLayoutConfig);
             }
         });
 
@@ -41,7 +56,7 @@ class StackElement extends LayoutElement {
             totalHeight += this.children[i].height;
         }
 
-        this.width = 2 + maxWidth + 2; // 2 units left track space + max child width + 2 units right track space
+        this.width = 2 + this.numberSpace + maxWidth + 2; // 2 units left track space (plus branch numbers) + max child width + 2 units right track space
         this.height = totalHeight + (totalHeight % 2); // Add 1 if odd to make it even
         this.baseline = this.children[0].baseline; // Use first child's baseline
         this.isLaidOut = true;
@@ -58,11 +73,17 @@ class StackElement extends LayoutElement {
         
         this.children.forEach((child, i) => {
             // Each child centered within the stack's content area
-            const childXOffset = 2 + (maxWidth - child.width) / 2; // 2 units left track space + centering offset
+            const childXOffset = 2 + this.numberSpace + (maxWidth - child.width) / 2; // 2 units left track space + centering offset
+            const rightSpace = this.width - childXOffset - child.width;
             const childBaseline = currentY + child.baseline;
             
             // Render child using RenderContext
             ctx.renderChild(child, childXOffset, currentY, 'stack-child', { index: i, alternative: true });
+
+            // Ordered choice: number the branch on its track, after the turn into it
+            if (this.ordered) {
+                ctx.addLabel(3, childBaseline - 0.5, String(i + 1));
+            }
             
             // Add tracks for routing
             if (i === 0) {
@@ -74,7 +95,7 @@ class StackElement extends LayoutElement {
                 
                 ctx.trackBuilder
                     .start(childXOffset + child.width, this.baseline, Direction.EAST)
-                    .forward(childXOffset) // go to right track boundary
+                    .forward(rightSpace) // go to right track boundary
                     .finish(`child${i}-right`);
             } else {
                 // Other children: handle width centering and vertical routing
@@ -94,7 +115,7 @@ class StackElement extends LayoutElement {
                 // immediate turn up at x=0 fromn east to north 
                 ctx.trackBuilder
                     .start(childXOffset + child.width, childBaseline, Direction.EAST)
-                    .forward(childXOffset - 2) // the two turns already provide 2 units horizontal displacement
+                    .forward(rightSpace - 2) // the two turns already provide 2 units horizontal displacement
                     .turnLeft()
                     .forward(dy - 2)
                     .turnRight()                    
@@ -110,11 +131,12 @@ class StackElement extends LayoutElement {
 
     /**
      * Convert to debug string representation
-     * @returns {string} Debug string like 'stack(nonterminal("A"), nonterminal("B"))'
+     * @returns {string} Debug string like 'stack(nonterminal("A"), nonterminal("B"))',
+     *   or 'orderedStack(...)' for ordered choice
      */
     toString() {
         const childrenDesc = this.children.map(child => child.toString()).join(', ');
-        return `stack(${childrenDesc})`;
+        return `${this.ordered ? 'orderedStack' : 'stack'}(${childrenDesc})`;
     }
 }
 
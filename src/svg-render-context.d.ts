@@ -0,0 +1,41 @@
+/**
+ * Type definitions for SVG Render Context
+ */
+
+import { RenderConfig } from './svg-renderer';
+import { RenderContext, GroupMetadata, PathMetadata, TextBoxShape } from './render-context';
+import { TrackSegment } from './track-builder';
+
+/**
+ * Render context that accumulates SVG markup
+ */
+export declare class SVGRenderContext extends RenderContext {
+  /** Accumulated SVG markup */
+  svg: string;
+
+  /** Endpoint and text box corner radii */
+  config: Partial<RenderConfig>;
+
+  /**
+   * Create an SVG render context
+   * @param gridSize Grid size in pixels
+   * @param config Endpoint and text box corner radii, written as shape attributes
+   */
+  constructor(gridSize: number, config?: Partial<RenderConfig>);
+
+  drawTextBox(box: TextBoxShape): void;
+  drawLabel(x: number, y: number, text: string): void;
+  drawEndpoint(x: number, y: number): void;
+  drawPath(segments: TrackSegment[], metadata: PathMetadata): void;
+  beginGroup(metadata: GroupMetadata): void;
+  endGroup(): void;
+
+  /**
+   * Escape XML special characters
+   * @param str Input string or number
+   * @returns XML-escaped string
+   */
+  escapeXml(str: string | number): string;
+}
+
+export default SVGRenderContext;
@@ -0,0 +1,151 @@
+const RenderContext = require('./render-context');
+
+/**
+ * Render context that accumulates SVG markup: groups become <g> elements,
+ * tracks <path> elements with arc commands, text boxes <rect> and <text>
+ * elements, linked through <a> when the box has a link target
+ * @extends RenderContext
+ */
+class SVGRenderContext extends RenderContext {
+    /**
+     * Create an SVG render context
+     * @param {number} gridSize - Grid size in pixels
+     * @param {Partial<RenderConfig>} [config={}] - Endpoint and text box corner radii; shapes
+     *   get them as attributes, so that SVG consumers without CSS geometry support draw them
+     */
+    constructor(gridSize, config = {}) {
+        super(gridSize);
+        /** @type {string} Accumulated SVG markup */
+        this.svg = '';
+        /** @type {Partial<RenderConfig>} */
+        this.config = config;
+    }
+
+    /**
+     * Draw the box and text of a text box
+     * @param {TextBoxShape} box - Box geometry in pixels, text and link
+     */
+    drawTextBox({ x, y, width, height, text, boxType, href }) {
+        // Box and text of a referenced rule link to the rule
+        if (href) {
+            this.svg += `<a href="${this.escapeXml(href)}" class="rule-link">`;
+        }
+
+        const { textBoxRadius } = this.config;
+        const corners = textBoxRadius === undefined ? '' : ` rx="${textBoxRadius}" ry="${textBoxRadius}"`;
+        this.svg += `<rect x="${x}" y="${y}" width="${width}" height="${height}"${corners} class="textbox ${boxType}"/>`;
+
+        // Text centered in the box
+        this.svg += `<text x="${x + width / 2}" y="${y + height / 2}" text-anchor="middle" dominant-baseline="middle" class="textbox-text ${boxType}">${this.escapeXml(text)}</text>`;
+
+        if (href) {
+            this.svg += '</a>';
+        }
+    }
+
+    /**
+     * Draw an annotation label centered at a point
+     * @param {number} x - X of the label center in pixels
+     * @param {number} y - Y of the label center in pixels
+     * @param {string} text - Label text
+     */
+    drawLabel(x, y, text) {
+        this.svg += `<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="middle" class="repetition-label">${this.escapeXml(text)}</text>`;
+    }
+
+    /**
+     * Draw a start/end endpoint circle (sized by the style sheet, which overrides the radius attribute)
+     * @param {number} x - X of the endpoint center in pixels
+     * @param {number} y - Y of the endpoint center in pixels
+     */
+    drawEndpoint(x, y) {
+        const { endpointRadius } = this.config;
+        const radius = endpointRadius === undefined ? '' : ` r="${endpointRadius}"`;
+        this.svg += `<circle cx="${x}" cy="${y}"${radius} class="endpoint"/>`;
+    }
+
+    /**
+     * Draw a track as a path element: lines become L commands and quarter arcs
+     * A commands, sweeping clockwise on right turns
+     * @param {TrackSegment[]} segments - Path segments in pixels
+     * @param {PathMetadata} metadata - Path class and debug information
+     */
+    drawPath(segments, metadata) {
+        const commands = [];
+        let x = 0;
+        let y = 0;
+        for (const segment of segments) {
+            if (segment.type === 'move') {
+                commands.push(`M ${segment.x} ${segment.y}`);
+            } else if (segment.type === 'line') {
+                commands.push(`L ${segment.x} ${segment.y}`);
+            } else {
+                // Cross product of the directions into and out of the corner: positive on right turns
+                // (the y axis points down)
+                const turn = (segment.cornerX - x) * (segment.y - segment.cornerY) - (segment.cornerY - y) * (segment.x - segment.cornerX);
+                commands.push(`A ${segment.radius} ${segment.radius} 0 0 ${turn > 0 ? 1 : 0} ${segment.x} ${segment.y}`);
+            }
+            x = segment.x;
+            y = segment.y;
+        }
+
+        let pathElement = `<path d="${commands.join(' ')}" class="${metadata.className}"`;
+        if (metadata.id) {
+            pathElement += ` data-id="${metadata.id}"`;
+        }
+        if (metadata.steps.length > 0) {
+            pathElement += ` data-seq="${metadata.steps.join(' ')}"`;
+        }
+        this.svg += pathElement + '/>';
+    }
+
+    /**
+     * Open a <g> element, translated to the group's origin
+     * @param {GroupMetadata} metadata - Group offset, class and data (written as data-* attributes)
+     */
+    beginGroup({ x, y, className, data = {} }) {
+        let groupTag = '<g';
+        if (x !== undefined || y !== undefined) {
+            groupTag += ` transform="translate(${x || 0}, ${y || 0})"`;
+        }
+        if (className) {
+            groupTag += ` class="${className}"`;
+        }
+        for (const [key, value] of Object.entries(data)) {
+            if (value !== undefined) {
+                groupTag += ` data-${key}="${this.escapeXml(value)}"`;
+            }
+        }
+        this.svg += groupTag + '>';
+    }
+
+    /**
+     * Close the innermost <g> element
+     */
+    endGroup() {
+        this.svg += '</g>';
+    }
+
+    /**
+     * Escape XML special characters
+     * @param {string|number} str - Input string or number
+     * @returns {string} XML-escaped string
+     */
+    escapeXml(str) {
+        if (typeof str !== 'string') {
+            str = String(str);
+        }
+        return str.replace(/[&<>"']/g, (char) => {
+            const map = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;'
+            };
+            return map[char];
+        });
+    }
+}
+
+module.exports = SVGRenderContext;
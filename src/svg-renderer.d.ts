@@ -2,18 +2,11 @@
  * Type definitions for SVG Renderer
  */
 
-export interface RenderContext {
-  /** Accumulated SVG markup */
-  svg: string;
-  /** Current X position */
-  x: number;
-  /** Current Y position */
-  y: number;
-  /** Grid size in pixels */
-  gridSize: number;
-  /** Track builder instance for creating railroad tracks */
-  trackBuilder: any; // TrackBuilder type would need to be imported
-}
+import { RenderContext } from './render-context';
+import { GeometryNode, GeometryTrack } from './geometry-render-context';
+import { TextMeasurer } from './text-measurer';
+
+export { RenderContext };
 
 export interface RenderConfig {
   /** Grid size in pixels */
@@ -28,6 +21,32 @@ export interface RenderConfig {
   terminalRadius: number;
   /** Border radius for nonterminal elements */
   nonterminalRadius: number;
+  /** Maximum diagram width in pixels; longer sequences wrap into rows (null: no limit) */
+  maxWidth?: number | null;
+  /** Maps nonterminal references to link targets (null: no links) */
+  linkResolver?: ((ruleName: string, rule: { name: string } | null) => string | null) | null;
+  /** Draw exact repetitions (8HEXDIG) as n copies or as one box labelled "×8" */
+  exactRepetitions?: 'expand' | 'count';
+  /**
+   * Text measurement for box and label widths: bundled font metrics (default, no native
+   * dependencies), node-canvas (optional package) or a custom measurer
+   */
+  measureText?: 'metrics' | 'canvas' | TextMeasurer;
+}
+
+export interface DiagramGeometry {
+  /** Pixels per grid unit in SVG and PNG output */
+  gridSize: number;
+  /** Diagram width in grid units, including endpoints and padding */
+  width: number;
+  /** Diagram height in grid units, including padding */
+  height: number;
+  /** Start and end endpoint centers */
+  endpoints: { x: number; y: number }[];
+  /** Tracks between the endpoints and the root element */
+  tracks: GeometryTrack[];
+  /** Laid-out root element with its children, boxes, labels and tracks */
+  element: GeometryNode;
 }
 
 export interface DiagramElement {
@@ -177,6 +196,43 @@ export declare class SVGRenderer {
    */
   constructor();
 
+  /**
+   * Set the rules that nonterminal references are resolved against
+   * @param rules Parsed rules, or null to link names as written
+   */
+  setRules(rules: Map<string, { name: string }> | null): void;
+
+  /**
+   * Render a diagram definition to SVG
+   * @param diagramElement Abstract diagram definition
+   * @param returnLayoutElement If true, returns {svg, layoutElement}, otherwise just the SVG string
+   */
+  render(diagramElement: DiagramElement, returnLayoutElement?: boolean): string | { svg: string; layoutElement: any };
+
+  /**
+   * Render a diagram definition to a standalone SVG document with embedded styles
+   * @param diagramElement Abstract diagram definition
+   * @param options Document options
+   * @returns SVG document that renders correctly on its own
+   */
+  renderStandalone(diagramElement: DiagramElement, options?: { title?: string }): string;
+
+  /**
+   * Compute the layout of a diagram definition and return its geometry in grid units
+   * (see assets/layout-geometry.schema.json)
+   * @param diagramElement Abstract diagram definition
+   * @returns Diagram geometry
+   */
+  renderGeometry(diagramElement: DiagramElement): DiagramGeometry;
+
+  /**
+   * Render a diagram definition to a PNG image, drawing the laid-out elements onto a canvas
+   * @param diagramElement Abstract diagram definition
+   * @param options Pixels per SVG pixel (2 for 192 dpi) and background color (null: transparent)
+   * @returns PNG image data
+   */
+  renderPNG(diagramElement: DiagramElement, options?: { scale?: number; background?: string | null }): Buffer;
+
   /**
    * Create an expression instance from a diagram definition
    * @param element Diagram element definition
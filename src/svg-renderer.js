@@ -4,9 +4,12 @@
  * Standalone implementation of railroad diagram rendering to SVG
  */
 
-const RenderContext = require('./render-context');
-const { Direction } = require('./track-builder');
+const SVGRenderContext = require('./svg-render-context');
+const CanvasRenderContext = require('./canvas-render-context');
+const GeometryRenderContext = require('./geometry-render-context');
 const ASTTransformer = require('./ast-transformer');
+const { defaultLinkResolver } = require('./rule-links');
+const { resolveTextMeasurer } = require('./text-measurer');
 
 /**
  * @typedef {Object} RenderConfig
@@ -16,6 +19,11 @@ const ASTTransformer = require('./ast-transformer');
  * @property {number} textBorder - Text border width in pixels
  * @property {number} endpointRadius - Border radius for start/end endpoint circles
  * @property {number} textBoxRadius - Border radius for text boxes
+ * @property {number|null} maxWidth - Maximum diagram width in pixels; longer sequences wrap into rows (null: no limit)
+ * @property {LinkResolver|null} linkResolver - Maps nonterminal references to link targets (null: no links)
+ * @property {'expand'|'count'} exactRepetitions - Draw exact repetitions (8HEXDIG) as n copies or as one box labelled "×8"
+ * @property {'metrics'|'canvas'|TextMeasurer} measureText - Text measurement for box and label widths:
+ *   bundled font metrics (no native dependencies), node-canvas (optional package) or a custom measurer
  */
 
 /**
@@ -26,6 +34,16 @@ const ASTTransformer = require('./ast-transformer');
  * @property {DiagramElement} [element] - Single child element (for wrappers)
  */
 
+/**
+ * @typedef {Object} DiagramGeometry
+ * @property {number} gridSize - Pixels per grid unit in SVG and PNG output
+ * @property {number} width - Diagram width in grid units, including endpoints and padding
+ * @property {number} height - Diagram height in grid units, including padding
+ * @property {{x: number, y: number}[]} endpoints - Start and end endpoint centers
+ * @property {GeometryTrack[]} tracks - Tracks between the endpoints and the root element
+ * @property {GeometryNode} element - Laid-out root element with its children, boxes, labels and tracks
+ */
+
 /**
  * SVGRenderer transforms abstract diagram definitions into SVG railroad diagrams
  * Provides the main public API for rendering railroad diagrams
@@ -44,10 +62,23 @@ class SVGRenderer {
             textBorder: 1,
             endpointRadius: 8,
             textBoxRadius: 6,
+            maxWidth: null,
+            linkResolver: defaultLinkResolver,
+            exactRepetitions: 'expand',
+            measureText: 'metrics',
             ...config
         };
         
-        this.transformer = new ASTTransformer();
+        this.transformer = new ASTTransformer(null, { exactRepetitions: this.config.exactRepetitions });
+    }
+
+    /**
+     * Set the rules that nonterminal references are resolved against
+     * @param {RuleMap<ParsedRule>|null} rules - Parsed rules, or null to link names as written
+     * @returns {void}
+     */
+    setRules(rules) {
+        this.transformer.rules = rules;
     }
 
 
@@ -59,6 +90,119 @@ class SVGRenderer {
      * @returns {string|{svg: string, layoutElement: LayoutElement}} Complete SVG diagram or object with SVG and layout element
      */
     render(diagramElement, returnLayoutElement = false) {
+        const { element, ctx, width, height } = this._renderDiagram(diagramElement);
+        
+        // Generate complete SVG with proper structure
+        const svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" class="railroad-diagram">
+${ctx.svg}
+</svg>`;
+
+        // Return either just SVG or both SVG and layout element
+        return returnLayoutElement ? { svg, layoutElement: element } : svg;
+    }
+
+    /**
+     * Render a diagram definition to a standalone SVG document: the styles that the
+     * HTML output takes from railroad-diagram.css are embedded, sized by the render config
+     * @param {DiagramElement} diagramElement - Abstract diagram definition
+     * @param {Object} [options={}] - Document options
+     * @param {string} [options.title] - Title of the document (e.g. the rule name)
+     * @returns {string} SVG document that renders correctly on its own
+     */
+    renderStandalone(diagramElement, options = {}) {
+        const { ctx, width, height } = this._renderDiagram(diagramElement);
+        const title = options.title ? `\n<title>${ctx.escapeXml(options.title)}</title>` : '';
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" class="railroad-diagram">${title}
+<style>
+${this._standaloneStyles()}
+</style>
+${ctx.svg}
+</svg>
+`;
+    }
+
+    /**
+     * Compute the layout of a diagram definition and return its geometry: the element tree with
+     * kinds, absolute positions and sizes, text boxes, labels and tracks, all in grid units.
+     * The result is plain data (see assets/layout-geometry.schema.json) for tools that draw
+     * or analyze diagrams themselves.
+     * @param {DiagramElement} diagramElement - Abstract diagram definition
+     * @returns {DiagramGeometry} Diagram geometry
+     */
+    renderGeometry(diagramElement) {
+        const { element, ctx } = this._renderDiagram(diagramElement, () => new GeometryRenderContext());
+        return {
+            gridSize: this.config.gridSize,
+            width: element.width + 6,
+            height: element.height + 2,
+            ...ctx.toJSON()
+        };
+    }
+
+    /**
+     * Render a diagram definition to a PNG image, drawing the laid-out elements onto a canvas
+     * @param {DiagramElement} diagramElement - Abstract diagram definition
+     * @param {Object} [options={}] - Image options
+     * @param {number} [options.scale=1] - Pixels per SVG pixel (2 for 192 dpi); recorded as the image resolution
+     * @param {string|null} [options.background='white'] - Background color, null for a transparent image
+     * @returns {Buffer} PNG image data
+     */
+    renderPNG(diagramElement, options = {}) {
+        const scale = options.scale || 1;
+        const background = options.background === undefined ? 'white' : options.background;
+        let canvas = null;
+        
+        this._renderDiagram(diagramElement, (width, height) => {
+            canvas = CanvasRenderContext.createCanvas(Math.ceil(width * scale), Math.ceil(height * scale));
+            const canvasContext = canvas.getContext('2d');
+            if (background) {
+                canvasContext.fillStyle = background;
+                canvasContext.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            canvasContext.scale(scale, scale);
+            return new CanvasRenderContext(canvasContext, this.config);
+        });
+        
+        return canvas.toBuffer('image/png', { resolution: Math.round(96 * scale) });
+    }
+
+    /**
+     * Style sheet for standalone SVG documents: the diagram rules of assets/diagram.css, but
+     * sized by the render config like PNG output (the page's CSS variables draw thicker tracks
+     * and rounder shapes). Shapes carry their radii as attributes already.
+     * @returns {string} CSS rules
+     * @private
+     */
+    _standaloneStyles() {
+        const { fontSize, trackWidth, textBorder } = this.config;
+        return [
+            `.track { fill: none; stroke: #000; stroke-width: ${trackWidth}px; stroke-linecap: butt; }`,
+            '.endpoint { fill: black; stroke: none; }',
+            `.textbox { stroke: black; stroke-width: ${textBorder}px; fill: none; }`,
+            '.textbox.terminal { fill: rgb(200, 200, 200); }',
+            '.textbox.nonterminal { fill: rgb(210, 210, 210); }',
+            '.textbox.prose { fill: white; stroke-dasharray: 4 3; }',
+            `.textbox-text { font-family: Arial, sans-serif; font-size: ${fontSize}px; fill: black; }`,
+            '.textbox-text.prose { font-style: italic; }',
+            `.repetition-label { font-family: Arial, sans-serif; font-size: ${fontSize * 0.85}px; fill: #444; }`,
+            '.exception-excluded { opacity: 0.5; }',
+            '.rule-link .textbox-text { text-decoration: underline; }',
+            '.rule-link:hover .textbox-text { fill: #0066cc; }'
+        ].join('\n');
+    }
+
+    /**
+     * Transform, lay out and render a diagram definition, including endpoints and their tracks
+     * @param {DiagramElement} diagramElement - Abstract diagram definition
+     * @param {function(number, number): RenderContext} [createContext] - Creates the context to render
+     *   into, given the diagram size in pixels (default: an SVGRenderContext)
+     * @returns {{element: LayoutElement, ctx: RenderContext, width: number, height: number}}
+     *   Layout element, render context holding the rendered diagram body and the diagram size in pixels
+     * @private
+     */
+    _renderDiagram(diagramElement, createContext = () => new SVGRenderContext(this.config.gridSize, this.config)) {
         // Phase 1: Build element tree from diagram definition
         const element = this.transformer.transform(diagramElement);
         
@@ -66,52 +210,28 @@ class SVGRenderer {
         const layoutConfig = {
             fontSize: this.config.fontSize,
             fontFamily: 'monospace',
-            gridSize: this.config.gridSize
+            gridSize: this.config.gridSize,
+            measureText: resolveTextMeasurer(this.config.measureText),
+            // Endpoints, their tracks and padding take 6 grid units besides the element itself,
+            // and the pattern lines 1 pixel
+            maxWidth: this.config.maxWidth ? Math.floor((this.config.maxWidth - 1) / this.config.gridSize) - 6 : null
         };
         element.layout(layoutConfig);
         
-        // Phase 3: Render with RenderConfig
-        // Create render context
-        const ctx = new RenderContext(this.config.gridSize);
-        
-        // Add start endpoint at grid coordinates
-        const startX = 1; // 1 grid unit from left edge
-        const startY = 1 + element.baseline; // At baseline position
-        ctx.addEndpoint(startX, startY);
-
-        // Render main element at grid coordinates - positioned after start track (2 units)
-        const elementX = startX + 2; // Start endpoint + 2 units for track
-        ctx.renderChild(element, elementX, 1, 'main-element');
-
-        // Add end endpoint at grid coordinates - positioned after element + end track (2 units)
-        const endX = elementX + element.width + 2; // After element + 2 units for track
-        const endY = 1 + element.baseline; // At baseline position
-        ctx.addEndpoint(endX, endY);
-
-        // Add connecting tracks between endpoints and element
-        const startTrack = ctx.trackBuilder
-            .start(startX, startY, Direction.EAST) // Start from center of start endpoint
-            .forward(2) // Go 2 units east to element
-            .finish('start-connection');
-        ctx.svg += startTrack;
-        
-        const endTrack = ctx.trackBuilder
-            .start(endX - 2, endY, Direction.EAST) // Start 2 units before end endpoint
-            .forward(2) // Go 2 units east to end endpoint
-            .finish('end-connection');
-        ctx.svg += endTrack;
-        
-        // Calculate total SVG dimensions
-        const totalWidth = (endX + 1) * this.config.gridSize + 1; // Include padding + 1 pixel for pattern lines
+        // Calculate total SVG dimensions: endpoints, their tracks and padding take 6 grid units
+        const totalWidth = (element.width + 6) * this.config.gridSize + 1; // Include padding + 1 pixel for pattern lines
         const totalHeight = (element.height + 2) * this.config.gridSize + 1; // Add padding + 1 pixel for pattern lines
         
-        // Generate complete SVG with proper structure
-        const svg = `<svg width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}" xmlns="http://www.w3.org/2000/svg" class="railroad-diagram">
-${ctx.svg}
-</svg>`;
-
-        // Return either just SVG or both SVG and layout element
-        return returnLayoutElement ? { svg, layoutElement: element } : svg;
+        // Phase 3: Render with RenderConfig
+        const ctx = createContext(totalWidth, totalHeight);
+        const { linkResolver } = this.config;
+        if (linkResolver) {
+            const rules = this.transformer.rules;
+            ctx.linkResolver = (ruleName) => linkResolver(ruleName, (rules && rules.get(ruleName)) || null);
+        }
+        ctx.renderDiagram(element);
+        
+        return { element, ctx, width: totalWidth, height: totalHeight };
     }
 
     /**
@@ -1,27 +1,26 @@
 const LayoutElement = require('./element');
-const { createCanvas } = require('canvas');
+const { TEXT_MEASURERS } = require('./text-measurer');
 
 /**
- * Measure text dimensions using Canvas API for accurate sizing
+ * Default text measurement: bundled font metrics, cached per (text, font) pair
+ * @type {TextMeasurer}
+ */
+const measureText = TEXT_MEASURERS.metrics;
+
+/**
+ * Measure text with the layout's text measurement (font metrics unless the
+ * layout config brings its own, e.g. canvas measurement or character counts for text output)
  * @param {string} text - Text to measure
- * @param {number} fontSize - Font size in pixels
- * @param {string} fontFamily - Font family name
+ * @param {LayoutConfig} layoutConfig - Layout configuration
  * @returns {{width: number, height: number}} Text dimensions in pixels
  */
-function measureText(text, fontSize = 14, fontFamily = 'monospace') {
-    const canvas = createCanvas(1, 1); // Minimal canvas for measurement
-    const ctx = canvas.getContext('2d');
-    ctx.font = `${fontSize}px ${fontFamily}`;
-    const metrics = ctx.measureText(text);
-    
-    return {
-        width: metrics.width,
-        height: fontSize * 1.2 // Standard line height approximation
-    };
+function measureLayoutText(text, layoutConfig) {
+    const { fontSize, fontFamily } = layoutConfig;
+    return (layoutConfig.measureText || measureText)(text, fontSize, fontFamily);
 }
 
 /**
- * Base class for text box elements (terminals and nonterminals)
+ * Base class for text box elements (terminals, nonterminals and prose)
  * @extends LayoutElement
  * @abstract
  */
@@ -29,13 +28,13 @@ class TextBoxElement extends LayoutElement {
     /**
      * Create a text box expression
      * @param {string} text - Text to display in the box (literal ABNF syntax for terminals)
-     * @param {'terminal'|'nonterminal'} boxType - Type of text box
+     * @param {'terminal'|'nonterminal'|'prose'} boxType - Type of text box
      */
     constructor(text, boxType) {
         super();
         /** @type {string} */
         this.text = text;
-        /** @type {'terminal'|'nonterminal'} */
+        /** @type {'terminal'|'nonterminal'|'prose'} */
         this.boxType = boxType;
         
         // Use literal text directly (already contains proper ABNF syntax)
@@ -51,10 +50,10 @@ class TextBoxElement extends LayoutElement {
      * @returns {void}
      */
     layout(layoutConfig) {
-        const { fontSize, fontFamily, gridSize } = layoutConfig;
+        const { gridSize } = layoutConfig;
         
-        // Measure actual text dimensions using canvas (use display text for proper sizing)
-        const textMetrics = measureText(this.displayText, fontSize, fontFamily);
+        // Measure text dimensions (use display text for proper sizing)
+        const textMetrics = measureLayoutText(this.displayText, layoutConfig);
         
         // Convert text width to grid units with padding
         const textWidthInGrids = Math.ceil(textMetrics.width / gridSize);
@@ -70,14 +69,14 @@ class TextBoxElement extends LayoutElement {
     }
 
     /**
-     * Render the text box to SVG using RenderContext
+     * Render the text box using RenderContext
      * @param {RenderContext} ctx - Rendering context
      * @returns {void}
      */
     render(ctx) {
         // Use RenderContext to add text box at (0,0) in grid coordinates
-        ctx.addTextBox(0, 0, this.width, this.displayText, this.boxType, this.baseline);
+        ctx.addTextBox(0, 0, this.width, this.displayText, this.boxType);
     }
 }
 
-module.exports = { TextBoxElement, measureText };
\ No newline at end of file
+module.exports = { TextBoxElement, measureText, measureLayoutText };
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Type definitions for Text Measurement
+ */
+
+/** Measures text in pixels */
+export type TextMeasurer = (text: string, fontSize?: number, fontFamily?: string) => { width: number; height: number };
+
+export interface FontMetrics {
+  /** Advance widths of the printable ASCII characters (space to '~') in thousandths of an em */
+  widths: number[];
+  /** Advance widths of further characters used in labels */
+  extraWidths: { [char: string]: number };
+  /** Advance width of characters without a width of their own */
+  defaultWidth: number;
+}
+
+/** Bundled font metrics by generic family ('monospace', 'sans-serif') */
+export declare const FONT_METRICS: { [family: string]: FontMetrics };
+
+/**
+ * Measure text with the bundled font metrics, without native dependencies; font families
+ * without bundled metrics are measured as monospace
+ */
+export declare function measureTextWithMetrics(text: string, fontSize?: number, fontFamily?: string): { width: number; height: number };
+
+/**
+ * Measure text with node-canvas
+ * @throws Error if the optional canvas package is not installed
+ */
+export declare function measureTextWithCanvas(text: string, fontSize?: number, fontFamily?: string): { width: number; height: number };
+
+/** Wrap a text measurer so that each (text, font) pair is measured once */
+export declare function cachedTextMeasurer(measure: TextMeasurer): TextMeasurer;
+
+/**
+ * Resolve a text measurer option
+ * @throws Error if the name is not a built-in measurer
+ */
+export declare function resolveTextMeasurer(measurer: 'metrics' | 'canvas' | TextMeasurer): TextMeasurer;
+
+/** Built-in text measurers, cached per (text, font) pair */
+export declare const TEXT_MEASURERS: { metrics: TextMeasurer; canvas: TextMeasurer };
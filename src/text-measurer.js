@@ -0,0 +1,199 @@
+/**
+ * Text measurement for layout: a pure-JS measurer based on bundled font metrics
+ * (the default), an optional measurer using node-canvas, and a per-(text, font) cache
+ */
+
+/**
+ * @typedef {function(string, number, string): {width: number, height: number}} TextMeasurer
+ * Measures text in pixels (text, fontSize, fontFamily)
+ */
+
+/**
+ * @typedef {Object} FontMetrics
+ * @property {number[]} widths - Advance widths of the printable ASCII characters (space to '~')
+ *   in thousandths of an em
+ * @property {Object<string, number>} extraWidths - Advance widths of further characters used in labels
+ * @property {number} defaultWidth - Advance width of characters without a width of their own
+ */
+
+/**
+ * Advance widths of Arial/Helvetica for the printable ASCII characters, in thousandths of an em
+ * @type {number[]}
+ */
+const SANS_SERIF_WIDTHS = [
+    // space ! " # $ % & ' ( ) * + , - . /
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    // 0-9
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+    // : ; < = > ? @
+    278, 278, 584, 584, 584, 556, 1015,
+    // A-Z
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    // [ \ ] ^ _ `
+    278, 278, 278, 469, 556, 333,
+    // a-z
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,
+    556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+    // { | } ~
+    334, 260, 334, 584
+];
+
+/**
+ * Bundled font metrics by generic family
+ * @type {Object<string, FontMetrics>}
+ */
+const FONT_METRICS = {
+    monospace: {
+        widths: new Array(95).fill(600),
+        extraWidths: {},
+        defaultWidth: 600
+    },
+    'sans-serif': {
+        widths: SANS_SERIF_WIDTHS,
+        extraWidths: { '×': 584, '–': 556, '…': 1000 },
+        defaultWidth: 556
+    }
+};
+
+/**
+ * Font names measured with the metrics of a generic family
+ * @type {Object<string, string>}
+ */
+const FONT_FAMILY_ALIASES = {
+    monospace: 'monospace',
+    courier: 'monospace',
+    'courier new': 'monospace',
+    consolas: 'monospace',
+    menlo: 'monospace',
+    'dejavu sans mono': 'monospace',
+    'sans-serif': 'sans-serif',
+    arial: 'sans-serif',
+    helvetica: 'sans-serif',
+    'helvetica neue': 'sans-serif',
+    'liberation sans': 'sans-serif'
+};
+
+/**
+ * Metrics for a CSS font family list: the first family with bundled metrics, or monospace
+ * @param {string} fontFamily - Font family list (e.g. 'Arial, sans-serif')
+ * @returns {FontMetrics} Font metrics
+ */
+function fontMetrics(fontFamily) {
+    for (const family of fontFamily.split(',')) {
+        const name = family.trim().replace(/^["']|["']$/g, '').toLowerCase();
+        if (FONT_FAMILY_ALIASES[name]) {
+            return FONT_METRICS[FONT_FAMILY_ALIASES[name]];
+        }
+    }
+    return FONT_METRICS.monospace;
+}
+
+/**
+ * Measure text with the bundled font metrics, without native dependencies
+ * @param {string} text - Text to measure
+ * @param {number} [fontSize=14] - Font size in pixels
+ * @param {string} [fontFamily='monospace'] - Font family list
+ * @returns {{width: number, height: number}} Text dimensions in pixels
+ */
+function measureTextWithMetrics(text, fontSize = 14, fontFamily = 'monospace') {
+    const metrics = fontMetrics(fontFamily);
+    let width = 0;
+
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        width += code >= 32 && code <= 126
+            ? metrics.widths[code - 32]
+            : metrics.extraWidths[char] || metrics.defaultWidth;
+    }
+
+    return {
+        width: width * fontSize / 1000,
+        height: fontSize * 1.2 // Standard line height approximation
+    };
+}
+
+/** @type {CanvasRenderingContext2D|null} Shared context for canvas measurements */
+let measureContext = null;
+
+/**
+ * Measure text with node-canvas (requires the optional canvas package)
+ * @param {string} text - Text to measure
+ * @param {number} [fontSize=14] - Font size in pixels
+ * @param {string} [fontFamily='monospace'] - Font family list
+ * @returns {{width: number, height: number}} Text dimensions in pixels
+ * @throws {Error} If the canvas package is not installed
+ */
+function measureTextWithCanvas(text, fontSize = 14, fontFamily = 'monospace') {
+    if (!measureContext) {
+        // Required here so that only canvas measurement needs the native module
+        const CanvasRenderContext = require('./canvas-render-context');
+        measureContext = CanvasRenderContext.createCanvas(1, 1).getContext('2d');
+    }
+    measureContext.font = `${fontSize}px ${fontFamily}`;
+
+    return {
+        width: measureContext.measureText(text).width,
+        height: fontSize * 1.2 // Standard line height approximation
+    };
+}
+
+/**
+ * Wrap a text measurer so that each (text, font) pair is measured once
+ * @param {TextMeasurer} measure - Text measurer
+ * @returns {TextMeasurer} Caching text measurer
+ */
+function cachedTextMeasurer(measure) {
+    /** @type {Map<string, Map<string, {width: number, height: number}>>} Measurements by font, then text */
+    const cache = new Map();
+
+    return (text, fontSize = 14, fontFamily = 'monospace') => {
+        const font = `${fontSize}px ${fontFamily}`;
+        let measurements = cache.get(font);
+        if (!measurements) {
+            measurements = new Map();
+            cache.set(font, measurements);
+        }
+
+        let metrics = measurements.get(text);
+        if (!metrics) {
+            metrics = measure(text, fontSize, fontFamily);
+            measurements.set(text, metrics);
+        }
+        return metrics;
+    };
+}
+
+/**
+ * Built-in text measurers, cached per (text, font) pair
+ * @type {{metrics: TextMeasurer, canvas: TextMeasurer}}
+ */
+const TEXT_MEASURERS = {
+    metrics: cachedTextMeasurer(measureTextWithMetrics),
+    canvas: cachedTextMeasurer(measureTextWithCanvas)
+};
+
+/**
+ * Resolve a text measurer option
+ * @param {'metrics'|'canvas'|TextMeasurer} measurer - Built-in measurer name or custom measurer
+ * @returns {TextMeasurer} Text measurer
+ * @throws {Error} If the name is not a built-in measurer
+ */
+function resolveTextMeasurer(measurer) {
+    if (typeof measurer === 'function') {
+        return measurer;
+    }
+    if (!Object.prototype.hasOwnProperty.call(TEXT_MEASURERS, measurer)) {
+        throw new Error(`Unknown text measurer '${measurer}' (expected ${Object.keys(TEXT_MEASURERS).join(' or ')})`);
+    }
+    return TEXT_MEASURERS[measurer];
+}
+
+module.exports = {
+    FONT_METRICS,
+    measureTextWithMetrics,
+    measureTextWithCanvas,
+    cachedTextMeasurer,
+    resolveTextMeasurer,
+    TEXT_MEASURERS
+};
@@ -0,0 +1,55 @@
+/**
+ * Type definitions for Text Render Context
+ */
+
+import { RenderContext, GroupMetadata, PathMetadata, TextBoxShape } from './render-context';
+import { TrackSegment } from './track-builder';
+
+/**
+ * Track connection bits of a character cell
+ */
+export declare enum Connection {
+  NORTH = 1,
+  EAST = 2,
+  SOUTH = 4,
+  WEST = 8
+}
+
+/**
+ * Render context that maps the layout grid onto a character grid, two characters
+ * per grid unit in both directions
+ */
+export declare class TextRenderContext extends RenderContext {
+  /** Use ASCII characters only instead of Unicode box drawing */
+  ascii: boolean;
+  /** Track connection bits per cell */
+  connections: number[][];
+  /** Characters drawn over the tracks (boxes, text, endpoints) */
+  chars: (string | null)[][];
+  /**
+   * Create a text render context
+   * @param columns Width of the character grid
+   * @param rows Height of the character grid
+   * @param options Text options
+   */
+  constructor(columns: number, rows: number, options?: { ascii?: boolean });
+
+  drawTextBox(box: TextBoxShape): void;
+  drawLabel(x: number, y: number, text: string): void;
+  drawEndpoint(x: number, y: number): void;
+  drawPath(segments: TrackSegment[], metadata: PathMetadata): void;
+  beginGroup(metadata: GroupMetadata): void;
+  endGroup(): void;
+
+  /**
+   * Assemble the character grid into text, dropping rows that only continue vertical
+   * tracks, blank margins and trailing spaces
+   * @returns Diagram lines joined by newlines
+   */
+  toText(): string;
+
+  private _line(x1: number, y1: number, x2: number, y2: number): void;
+  private _connect(x: number, y: number, connection: number): void;
+  private _put(x: number, y: number, char: string): void;
+  private _putText(x: number, y: number, text: string): void;
+}
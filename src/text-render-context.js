@@ -0,0 +1,266 @@
+const RenderContext = require('./render-context');
+
+/**
+ * Track connection bits of a character cell
+ * @readonly
+ * @enum {number}
+ */
+const Connection = {
+    NORTH: 1,
+    EAST: 2,
+    SOUTH: 4,
+    WEST: 8
+};
+
+/**
+ * Track characters by connection bits, Unicode box drawing and ASCII
+ * @type {{unicode: string[], ascii: string[]}}
+ */
+const TRACK_CHARS = {
+    //        0    N    E    NE   S    NS   ES   NES  W    NW   EW   NEW  SW   NSW  ESW  NESW
+    unicode: [' ', '│', '─', '╰', '│', '│', '╭', '├', '─', '╯', '─', '┴', '╮', '┤', '┬', '┼'],
+    ascii: [' ', '|', '-', '+', '|', '|', '+', '+', '-', '+', '-', '+', '+', '+', '+', '+']
+};
+
+/**
+ * Box outline characters by box type: corners (top-left, top-right, bottom-left, bottom-right),
+ * horizontal and vertical edges, and the left and right sides where the track enters and leaves
+ * @type {{unicode: Object<string, string>, ascii: Object<string, string>}}
+ */
+const BOX_CHARS = {
+    unicode: {
+        terminal: '╭╮╰╯─│┤├',
+        nonterminal: '┌┐└┘─│┤├',
+        prose: '┌┐└┘┄┆┤├'
+    },
+    ascii: {
+        terminal: '/\\\\/-|||',
+        nonterminal: '++++-|||',
+        prose: "..''.:::"
+    }
+};
+
+/**
+ * Arrow marking the right-to-left direction of loop-back tracks, Unicode and ASCII
+ * @type {{unicode: string, ascii: string}}
+ */
+const LOOP_ARROW = {
+    unicode: '◄',
+    ascii: '<'
+};
+
+/**
+ * ASCII replacements for the non-ASCII characters of annotation labels ("×8", "2–5")
+ * @type {Object<string, string>}
+ */
+const ASCII_LABEL_CHARS = {
+    '×': 'x',
+    '–': '-'
+};
+
+/**
+ * Render context that maps the layout grid onto a character grid: each grid unit is
+ * two columns wide and two rows high, so text boxes fit three rows around their
+ * baseline and quarter arcs become rounded corners. Rows holding nothing but vertical
+ * tracks are dropped when the text is assembled.
+ * @extends RenderContext
+ */
+class TextRenderContext extends RenderContext {
+    /**
+     * Create a text render context
+     * @param {number} columns - Width of the character grid
+     * @param {number} rows - Height of the character grid
+     * @param {Object} [options={}] - Text options
+     * @param {boolean} [options.ascii=false] - Use ASCII characters only instead of Unicode box drawing
+     */
+    constructor(columns, rows, options = {}) {
+        super(2); // Two characters per grid unit
+        /** @type {boolean} */
+        this.ascii = options.ascii === true;
+        /** @type {number[][]} Track connection bits per cell */
+        this.connections = Array.from({ length: rows }, () => new Array(columns).fill(0));
+        /** @type {(string|null)[][]} Characters drawn over the tracks (boxes, text, endpoints) */
+        this.chars = Array.from({ length: rows }, () => new Array(columns).fill(null));
+        /** @private @type {number} Column of the current origin */
+        this._originX = 0;
+        /** @private @type {number} Row of the current origin */
+        this._originY = 0;
+        /** @private @type {number[][]} Origins of the enclosing groups */
+        this._origins = [];
+    }
+
+    /**
+     * Draw the outline and text of a text box: the outline takes the rows above and
+     * below the track, the text is centered on it
+     * @param {TextBoxShape} box - Box geometry in characters, text and link (unused: text has no links)
+     */
+    drawTextBox({ x, y, width, height, text, boxType }) {
+        const [topLeft, topRight, bottomLeft, bottomRight, horizontal, vertical, entry, exit] =
+            (this.ascii ? BOX_CHARS.ascii : BOX_CHARS.unicode)[boxType] || BOX_CHARS.unicode.nonterminal;
+        const right = x + width;
+        const top = y + 1;
+        const middle = y + height / 2;
+        const bottom = y + height - 1;
+
+        for (let column = x + 1; column < right; column++) {
+            this._put(column, top, horizontal);
+            this._put(column, bottom, horizontal);
+        }
+        this._put(x, top, topLeft);
+        this._put(right, top, topRight);
+        this._put(x, bottom, bottomLeft);
+        this._put(right, bottom, bottomRight);
+        this._put(x, middle, this.ascii ? vertical : entry);
+        this._put(right, middle, this.ascii ? vertical : exit);
+        this._putText(x + 1 + Math.floor((width - 1 - Array.from(text).length) / 2), middle, text);
+    }
+
+    /**
+     * Write an annotation label centered at a point
+     * @param {number} x - Column of the label center
+     * @param {number} y - Row of the label center
+     * @param {string} text - Label text
+     */
+    drawLabel(x, y, text) {
+        if (this.ascii) {
+            text = text.replace(/[×–]/g, char => ASCII_LABEL_CHARS[char]);
+        }
+        this._putText(Math.round(x - Array.from(text).length / 2), Math.floor(y), text);
+    }
+
+    /**
+     * Draw a start/end endpoint
+     * @param {number} x - Column of the endpoint
+     * @param {number} y - Row of the endpoint
+     */
+    drawEndpoint(x, y) {
+        this._put(x, y, this.ascii ? 'o' : '●');
+    }
+
+    /**
+     * Draw a track path into the connection bits of the cells it passes: arcs turn at their corner cell.
+     * Loop-back tracks get an arrow in the middle of their horizontal lines, so that a loop does not
+     * look like a bypass when the corners are drawn the same.
+     * @param {TrackSegment[]} segments - Path segments in characters
+     * @param {PathMetadata} metadata - Path class and debug information (the ID tells loop-back tracks)
+     */
+    drawPath(segments, metadata) {
+        const isLoopBack = typeof metadata.id === 'string' && metadata.id.startsWith('loop-path');
+        let x = 0;
+        let y = 0;
+        for (const segment of segments) {
+            if (segment.type === 'arc') {
+                this._line(x, y, segment.cornerX, segment.cornerY);
+                this._line(segment.cornerX, segment.cornerY, segment.x, segment.y);
+            } else if (segment.type === 'line') {
+                this._line(x, y, segment.x, segment.y);
+                if (isLoopBack && segment.y === y && Math.abs(segment.x - x) >= 2) {
+                    this._put(Math.round((x + segment.x) / 2), y, this.ascii ? LOOP_ARROW.ascii : LOOP_ARROW.unicode);
+                }
+            }
+            x = segment.x;
+            y = segment.y;
+        }
+    }
+
+    /**
+     * Open a group: move the origin by the group's offset
+     * @param {GroupMetadata} metadata - Group offset (class and data are not kept)
+     */
+    beginGroup({ x = 0, y = 0 }) {
+        this._origins.push([this._originX, this._originY]);
+        this._originX += x;
+        this._originY += y;
+    }
+
+    /**
+     * Close the innermost group, restoring the origin
+     */
+    endGroup() {
+        [this._originX, this._originY] = this._origins.pop();
+    }
+
+    /**
+     * Assemble the character grid into text, dropping rows that only continue vertical
+     * tracks, blank margins and trailing spaces
+     * @returns {string} Diagram lines joined by newlines
+     */
+    toText() {
+        const trackChars = this.ascii ? TRACK_CHARS.ascii : TRACK_CHARS.unicode;
+        const vertical = Connection.NORTH | Connection.SOUTH;
+
+        const lines = [];
+        this.chars.forEach((row, r) => {
+            const connections = this.connections[r];
+            if (row.every((char, c) => char === null && (connections[c] & ~vertical) === 0)) {
+                return; // Blank, or vertical tracks only
+            }
+            lines.push(row.map((char, c) => char !== null ? char : trackChars[connections[c]]).join(''));
+        });
+
+        const margin = Math.min(...lines.map(line => line.search(/\S/)).filter(index => index >= 0));
+        return lines.map(line => line.slice(margin).trimEnd()).join('\n');
+    }
+
+    /**
+     * Connect the cells of a horizontal or vertical line (in character coordinates relative to the origin)
+     * @param {number} x1 - Start column
+     * @param {number} y1 - Start row
+     * @param {number} x2 - End column
+     * @param {number} y2 - End row
+     * @private
+     */
+    _line(x1, y1, x2, y2) {
+        const steps = Math.abs(x2 - x1) + Math.abs(y2 - y1);
+        const dx = Math.sign(x2 - x1);
+        const dy = Math.sign(y2 - y1);
+        const forward = dx > 0 ? Connection.EAST : dx < 0 ? Connection.WEST : dy > 0 ? Connection.SOUTH : Connection.NORTH;
+        const backward = dx > 0 ? Connection.WEST : dx < 0 ? Connection.EAST : dy > 0 ? Connection.NORTH : Connection.SOUTH;
+
+        for (let i = 0; i < steps; i++) {
+            this._connect(x1 + i * dx, y1 + i * dy, forward);
+            this._connect(x1 + (i + 1) * dx, y1 + (i + 1) * dy, backward);
+        }
+    }
+
+    /**
+     * Add a connection bit to a cell relative to the origin
+     * @param {number} x - Column relative to the origin
+     * @param {number} y - Row relative to the origin
+     * @param {number} connection - Connection bit
+     * @private
+     */
+    _connect(x, y, connection) {
+        const row = this.connections[this._originY + y];
+        if (row && this._originX + x < row.length) {
+            row[this._originX + x] |= connection;
+        }
+    }
+
+    /**
+     * Put a character into a cell relative to the origin
+     * @param {number} x - Column relative to the origin
+     * @param {number} y - Row relative to the origin
+     * @param {string} char - Character
+     * @private
+     */
+    _put(x, y, char) {
+        const row = this.chars[this._originY + y];
+        if (row && this._originX + x < row.length) {
+            row[this._originX + x] = char;
+        }
+    }
+
+    /**
+     * Put a string into consecutive cells starting at a cell relative to the origin
+     * @param {number} x - Column of the first character relative to the origin
+     * @param {number} y - Row relative to the origin
+     * @param {string} text - Text
+     * @private
+     */
+    _putText(x, y, text) {
+        Array.from(text).forEach((char, i) => this._put(x + i, y, char));
+    }
+}
+
+module.exports = { TextRenderContext, Connection };
@@ -0,0 +1,44 @@
+/**
+ * Type definitions for Text Diagram Renderer
+ */
+
+import { DiagramElement } from './svg-renderer';
+
+export interface TextRenderConfig {
+  /** Use ASCII characters only instead of Unicode box drawing */
+  ascii: boolean;
+  /** Maximum diagram width in characters; longer sequences wrap into rows (null: no limit) */
+  maxWidth: number | null;
+  /** Draw exact repetitions (8HEXDIG) as n copies or as one box labelled "×8" */
+  exactRepetitions: 'expand' | 'count';
+}
+
+/**
+ * Text renderer for railroad diagrams: lays out diagram definitions like SVGRenderer
+ * and draws them on a character grid
+ */
+export declare class TextRenderer {
+  /** Rendering configuration */
+  config: TextRenderConfig;
+
+  /**
+   * Create a text renderer with optional configuration
+   * @param config Rendering configuration
+   */
+  constructor(config?: Partial<TextRenderConfig>);
+
+  /**
+   * Set the rules that nonterminal references are resolved against
+   * @param rules Parsed rules, or null to show names as written
+   */
+  setRules(rules: Map<string, { name: string }> | null): void;
+
+  /**
+   * Render a diagram definition to text
+   * @param diagramElement Abstract diagram definition
+   * @param returnLayoutElement If true, returns {text, layoutElement}, otherwise just the text
+   */
+  render(diagramElement: DiagramElement, returnLayoutElement?: boolean): string | { text: string; layoutElement: any };
+}
+
+export default TextRenderer;
@@ -0,0 +1,77 @@
+/**
+ * Text Diagram Renderer
+ *
+ * Renders railroad diagrams as text (Unicode box drawing or plain ASCII) for code
+ * comments, terminal help and plain-text documents
+ */
+
+const { TextRenderContext } = require('./text-render-context');
+const ASTTransformer = require('./ast-transformer');
+
+/**
+ * @typedef {Object} TextRenderConfig
+ * @property {boolean} ascii - Use ASCII characters only instead of Unicode box drawing
+ * @property {number|null} maxWidth - Maximum diagram width in characters; longer sequences wrap into rows (null: no limit)
+ * @property {'expand'|'count'} exactRepetitions - Draw exact repetitions (8HEXDIG) as n copies or as one box labelled "×8"
+ */
+
+/**
+ * TextRenderer lays out diagram definitions like SVGRenderer and draws them on a
+ * character grid, two characters per grid unit
+ */
+class TextRenderer {
+    /**
+     * Create a text renderer with optional configuration
+     * @param {Partial<TextRenderConfig>} [config] - Rendering configuration
+     */
+    constructor(config = {}) {
+        /** @type {TextRenderConfig} Default configuration */
+        this.config = {
+            ascii: false,
+            maxWidth: null,
+            exactRepetitions: 'expand',
+            ...config
+        };
+
+        this.transformer = new ASTTransformer(null, { exactRepetitions: this.config.exactRepetitions });
+    }
+
+    /**
+     * Set the rules that nonterminal references are resolved against
+     * @param {RuleMap<ParsedRule>|null} rules - Parsed rules, or null to show names as written
+     * @returns {void}
+     */
+    setRules(rules) {
+        this.transformer.rules = rules;
+    }
+
+    /**
+     * Render a diagram definition to text
+     * @param {DiagramElement} diagramElement - Abstract diagram definition
+     * @param {boolean} [returnLayoutElement=false] - If true, returns {text, layoutElement}, otherwise just the text
+     * @returns {string|{text: string, layoutElement: LayoutElement}} Diagram lines or object with text and layout element
+     */
+    render(diagramElement, returnLayoutElement = false) {
+        // Phase 1: Build element tree from diagram definition
+        const element = this.transformer.transform(diagramElement);
+
+        // Phase 2: Calculate layout in characters: a grid unit is 2 characters wide, and text
+        // is measured with a character of padding on either side besides the box edges
+        element.layout({
+            fontSize: 1,
+            fontFamily: 'monospace',
+            gridSize: 2,
+            maxWidth: this.config.maxWidth ? Math.floor(this.config.maxWidth / 2) - 6 : null,
+            measureText: (text) => ({ width: Array.from(text).length + 3, height: 1 })
+        });
+
+        // Phase 3: Render between the endpoints onto a character grid
+        const ctx = new TextRenderContext(2 * (element.width + 6) + 1, 2 * (element.height + 2) + 1, { ascii: this.config.ascii });
+        ctx.renderDiagram(element);
+
+        const text = ctx.toText();
+        return returnLayoutElement ? { text, layoutElement: element } : text;
+    }
+}
+
+module.exports = { TextRenderer };
@@ -33,6 +33,21 @@ export interface LoopConfig {
   loopOffset: number;
 }
 
+export interface TrackSegment {
+  /** Start of the path, straight line or quarter-circle arc */
+  type: 'move' | 'line' | 'arc';
+  /** End point X in pixels */
+  x: number;
+  /** End point Y in pixels */
+  y: number;
+  /** X of the corner the arc rounds off (arc only) */
+  cornerX?: number;
+  /** Y of the corner the arc rounds off (arc only) */
+  cornerY?: number;
+  /** Arc radius in pixels (arc only) */
+  radius?: number;
+}
+
 /**
  * Represents a point in 2D space
  */
@@ -141,24 +156,24 @@ export declare class TrackBuilder {
   getCurrentDirection(): Point;
 
   /**
-   * Build and return the SVG path string
-   * @returns SVG path data
+   * Build and return the path segments, then reset the builder
+   * @returns Path segments in pixel coordinates
    */
-  build(): string;
+  build(): TrackSegment[];
 
   /**
-   * Generate the SVG path string (alias for build)
-   * @returns SVG path data
+   * Describe the path under construction by the builder calls that produced it
+   * @returns Builder calls, e.g. "start(0, 1, east) forward(2)"
    */
   toString(): string;
 
   /**
-   * Finish the current path and return SVG path element
-   * @param debugId Optional debug ID for the path element
-   * @param className CSS class for the path
-   * @returns Complete SVG path element
+   * Finish the current path and draw it in the render context (if any)
+   * @param debugId Optional debug ID for the path
+   * @param className Class of the path
+   * @returns Path segments in pixel coordinates
    */
-  finish(debugId?: string, className?: string): string;
+  finish(debugId?: string, className?: string): TrackSegment[];
 }
 
 /**
@@ -64,6 +64,16 @@ class Point {
     }
 }
 
+/**
+ * @typedef {Object} TrackSegment
+ * @property {'move'|'line'|'arc'} type - Start of the path, straight line or quarter-circle arc
+ * @property {number} x - End point X in pixels
+ * @property {number} y - End point Y in pixels
+ * @property {number} [cornerX] - X of the corner the arc rounds off (arc only)
+ * @property {number} [cornerY] - Y of the corner the arc rounds off (arc only)
+ * @property {number} [radius] - Arc radius in pixels (arc only)
+ */
+
 /**
  * Track builder with fluent API
  * Private methods are prefixed with _ and should never be called by users
@@ -82,8 +92,8 @@ class TrackBuilder {
         this._currentY = 0;
         /** @private @type {Point} Current direction */
         this._currentDirection = Direction.EAST;
-        /** @private @type {string[]} SVG path commands */
-        this._pathCommands = [];
+        /** @private @type {TrackSegment[]} Path segments in pixel coordinates */
+        this._segments = [];
         this._isStarted = false;
         this._debugSequence = []; // For debugging path construction
     }
@@ -107,7 +117,7 @@ class TrackBuilder {
         this._currentX = x; // Store as grid units
         this._currentY = y;
         this._currentDirection = direction;
-        this._pathCommands = [`M ${pixelX} ${pixelY}`];
+        this._segments = [{ type: 'move', x: pixelX, y: pixelY }];
         this._debugSequence = [`start(${x}, ${y}, ${direction})`];
         this._isStarted = true;
         
@@ -128,11 +138,11 @@ class TrackBuilder {
         this._currentX += delta.x * units;
         this._currentY += delta.y * units;
         
-        // Convert to pixel coordinates for SVG
+        // Convert to pixel coordinates
         const pixelX = this._currentX * this.gridSize;
         const pixelY = this._currentY * this.gridSize;
         
-        this._pathCommands.push(`L ${pixelX} ${pixelY}`);
+        this._segments.push({ type: 'line', x: pixelX, y: pixelY });
         this._debugSequence.push(`forward(${units})`);
         
         return this;
@@ -222,39 +232,24 @@ class TrackBuilder {
 
     /**
      * PRIVATE: Add smooth arc transition between directions
-     * Creates quarter-circle arcs using proper SVG arcs and moves 1 unit in both directions
+     * Creates a quarter-circle arc around the corner 1 unit ahead, moving 1 unit in both directions
      * @param {string} fromDirection - Starting direction
      * @param {string} toDirection - Ending direction
      * @private
      */
     _addArcTransition(fromDirection, toDirection) {
-        // Arc sweep direction mapping for quarter-circle transitions
-        // SVG arc syntax: A rx ry x-axis-rotation large-arc-flag sweep-flag x y
-        // For quarter-circles: rx=ry=gridSize, x-axis-rotation=0, large-arc-flag=0
-        const arcTransitions = {
-            'east-north': { sweep: 0 },  // Clockwise turn (right turn going east)
-            'east-south': { sweep: 1 },  // Counter-clockwise turn (left turn going east)
-            'west-north': { sweep: 1 },  // Counter-clockwise turn (left turn going west)
-            'west-south': { sweep: 0 },  // Clockwise turn (right turn going west)
-            'north-east': { sweep: 1 },  // Counter-clockwise turn (right turn going north)
-            'north-west': { sweep: 0 },  // Clockwise turn (left turn going north)
-            'south-east': { sweep: 0 },  // Clockwise turn (left turn going south)
-            'south-west': { sweep: 1 }   // Counter-clockwise turn (right turn going south)
-        };
-
-        const key = `${fromDirection}-${toDirection}`;
-        const arcConfig = arcTransitions[key];
+        const fromDelta = this._getDirectionDelta(fromDirection);
+        const toDelta = this._getDirectionDelta(toDirection);
 
-        if (!arcConfig) {
+        if (fromDelta.x * toDelta.x + fromDelta.y * toDelta.y !== 0) {
             throw new Error(`No arc transition defined for ${fromDirection} to ${toDirection}`);
         }
 
-        const fromDelta = this._getDirectionDelta(fromDirection);
-        const toDelta = this._getDirectionDelta(toDirection);
-
         // Move 1 unit in the from direction
         this._currentX += fromDelta.x;
         this._currentY += fromDelta.y;
+        const cornerX = this._currentX * this.gridSize;
+        const cornerY = this._currentY * this.gridSize;
 
         // Move 1 unit in the to direction  
         this._currentX += toDelta.x;
@@ -263,14 +258,7 @@ class TrackBuilder {
         const endX = this._currentX * this.gridSize;
         const endY = this._currentY * this.gridSize;
 
-        // Create SVG arc command: A rx ry x-axis-rotation large-arc-flag sweep-flag x y
-        // rx ry = gridSize (quarter circle radius)
-        // x-axis-rotation = 0 (no rotation)
-        // large-arc-flag = 0 (quarter circle, so small arc)
-        // sweep-flag = determined by turn direction
-        const arcCommand = `A ${this.gridSize} ${this.gridSize} 0 0 ${arcConfig.sweep} ${endX} ${endY}`;
-
-        this._pathCommands.push(arcCommand);
+        this._segments.push({ type: 'arc', x: endX, y: endY, cornerX, cornerY, radius: this.gridSize });
     }
 
     /**
@@ -294,65 +282,54 @@ class TrackBuilder {
     }
 
     /**
-     * Build and return the SVG path string, then reset the builder
-     * @param {string} [debugId] - Optional debug ID for tracking
-     * @returns {string} SVG path data
+     * Build and return the path segments, then reset the builder
+     * @returns {TrackSegment[]} Path segments in pixel coordinates
      */
-    build(debugId = null) {
+    build() {
         if (!this._isStarted) {
             throw new Error('No path to build. Call start() first.');
         }
-        const pathData = this._pathCommands.join(' ');
-        // Reset the builder state
-        this._isStarted = false;
-        this._pathCommands = [];
-        this._debugSequence = [];
-        return pathData;
+        const segments = this._segments;
+        this._reset();
+        return segments;
     }
 
     /**
-     * Finish the current path and return SVG path element
-     * @param {string} [debugId] - Optional debug ID for the path element
-     * @param {string} [className='track'] - CSS class for the path
-     * @returns {string} Complete SVG path element
+     * Finish the current path and draw it in the render context (if any)
+     * @param {string} [debugId] - Optional debug ID for the path
+     * @param {string} [className='track'] - Class of the path
+     * @returns {TrackSegment[]} Path segments in pixel coordinates
      */
     finish(debugId = null, className = 'track') {
         if (!this._isStarted) {
             throw new Error('No path to finish. Call start() first.');
         }
         
-        const pathData = this._pathCommands.join(' ');
-        let pathElement = `<path d="${pathData}" class="${className}"`;
-        
-        if (debugId) {
-            pathElement += ` data-id="${debugId}"`;
-        }
-        
-        if (this._debugSequence.length > 0) {
-            pathElement += ` data-seq="${this._debugSequence.join(' ')}"`;
-        }
-        
-        pathElement += '/>';
-        
-        // If we have a render context, automatically add the path to its SVG
+        const segments = this._segments;
         if (this._renderContext) {
-            this._renderContext.svg += pathElement;
+            this._renderContext.drawPath(segments, { className, id: debugId, steps: this._debugSequence });
         }
         
-        // Reset the builder state
-        this._isStarted = false;
-        this._pathCommands = [];
-        this._debugSequence = [];
-        
-        return pathElement;
+        this._reset();
+        return segments;
     }
 
     /**
-     * Generate the SVG path string (alias for build)
-     * @returns {string} SVG path data
+     * Describe the path under construction by the builder calls that produced it
+     * @returns {string} Builder calls, e.g. "start(0, 1, east) forward(2)"
      */
     toString() {
-        return this.build();
+        return this._debugSequence.join(' ');
+    }
+
+    /**
+     * PRIVATE: Reset the builder state for the next path
+     * @private
+     */
+    _reset() {
+        this._isStarted = false;
+        this._segments = [];
+        this._debugSequence = [];
     }
 }
 
@@ -0,0 +1,181 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ABNFFormatter = require('../src/abnf-formatter');
+const ABNFParser = require('../src/abnf-parser');
+const { ABNFParseError } = ABNFParser;
+const ABNFToRailroad = require('../src/main');
+
+/**
+ * Tests for printing ABNF definitions back as canonical ABNF
+ */
+
+const formatter = new ABNFFormatter();
+const parser = new ABNFParser();
+
+const lines = (...text) => text.join('\n') + '\n';
+
+describe('ABNF Formatter: Expressions', () => {
+    const cases = [
+        ['rule   =a  b\tc', 'rule = a b c', 'sequence spacing'],
+        ['rule = a/b /  c', 'rule = a / b / c', 'alternation spacing'],
+        ['rule = [ a b ]', 'rule = [a b]', 'optional'],
+        ['rule = ( a )', 'rule = a', 'redundant group'],
+        ['rule = a (b / c)', 'rule = a (b / c)', 'alternation inside a sequence'],
+        ['rule = a / (b c)', 'rule = a / b c', 'sequence inside an alternation'],
+        ['rule = a / (b / c)', 'rule = a / (b / c)', 'nested alternation'],
+        ['rule = *( a b ) 1*DIGIT 2*4x 0*3y', 'rule = *(a b) 1*DIGIT 2*4x *3y', 'repetition bounds'],
+        ['rule = 1*1DIGIT 3HEXDIG', 'rule = 1DIGIT 3HEXDIG', 'exact repetitions'],
+        ['rule = *(*a)', 'rule = *(*a)', 'repeated repetition'],
+        ['rule = %s"GET" / %x41-5A / %d13.10 / \'x\'', 'rule = %s"GET" / %x41-5A / %d13.10 / \'x\'', 'terminals as written'],
+        ['rule =<any text>', 'rule = <any text>', 'prose'],
+        ['rule =/ a', 'rule =/ a', 'incremental alternative']
+    ];
+
+    for (const [abnf, expected, description] of cases) {
+        test(`${abnf} (${description})`, () => {
+            assert.strictEqual(formatter.format(abnf), expected + '\n');
+        });
+    }
+});
+
+describe('ABNF Formatter: Layout', () => {
+    test('aligns "=" within paragraphs and keeps one blank line between them', () => {
+        const input = lines('a = x', 'long-name =/ y', '', '', '', 'bc = z', 'd = w');
+        assert.strictEqual(formatter.format(input),
+            lines('a         = x', 'long-name =/ y', '', 'bc = z', 'd  = w'));
+    });
+
+    test('folds alternatives onto continuation lines with "/" below "="', () => {
+        const input = 'method = "OPTIONS" / "GET" / "HEAD" / "POST" / "PUT" / "DELETE"';
+        assert.strictEqual(formatter.format(input, { width: 40 }),
+            lines('method = "OPTIONS"', '       / "GET"', '       / "HEAD"', '       / "POST"', '       / "PUT"', '       / "DELETE"'));
+    });
+
+    test('fills long sequences up to the width', () => {
+        const input = 'request = method SP uri SP version CRLF *(header CRLF) CRLF [body]';
+        assert.strictEqual(formatter.format(input, { width: 40 }),
+            lines('request = method SP uri SP version CRLF', '          *(header CRLF) CRLF [body]'));
+    });
+
+    test('folds a long alternative on its own', () => {
+        const input = 'value = short / first-part second-part third-part';
+        assert.strictEqual(formatter.format(input, { width: 30 }),
+            lines('value = short', '      / first-part second-part', '        third-part'));
+    });
+
+    test('never splits a single element', () => {
+        const input = 'rule = "a-very-long-terminal-value"';
+        assert.strictEqual(formatter.format(input, { width: 20 }), input + '\n');
+    });
+
+    test('folds alternatives inside groups and options', () => {
+        const input = 'rule = a [option-one / option-two / option-three] *(first second / third)';
+        assert.strictEqual(formatter.format(input, { width: 30 }),
+            lines('rule = a', '       [option-one', '        / option-two', '        / option-three]', '       *(first second / third)'));
+    });
+
+    test('keeps every line of a large grammar within the width', () => {
+        const grammar = fs.readFileSync(path.join(__dirname, '..', 'examples', 'OData.abnf'), 'utf8');
+        const formatted = formatter.format(grammar, { width: 72 });
+        const comments = [];
+        parser.parseDefinitions(formatted, { comments });
+
+        // Comments are kept as written; the code before them has to fit
+        formatted.split('\n').forEach((line, index) => {
+            const comment = comments.find(token => token.line === index + 1);
+            const code = comment ? line.slice(0, comment.column - 1).trimEnd() : line;
+            assert.ok(code.length <= 72, `line ${index + 1} is ${code.length} characters long: ${code}`);
+        });
+    });
+
+    test('keeps CRLF line endings', () => {
+        assert.strictEqual(formatter.format('a = b\r\nc = d\r\n'), 'a = b\r\nc = d\r\n');
+    });
+
+    test('formats an empty file as empty', () => {
+        assert.strictEqual(formatter.format(''), '');
+    });
+});
+
+describe('ABNF Formatter: Comments', () => {
+    test('keeps comment lines and trailing comments', () => {
+        const input = lines('; Header', '', 'a = b   ; the b', '  ; more about b', '; about c', 'c=d');
+        assert.strictEqual(formatter.format(input),
+            lines('; Header', '', 'a = b ; the b', '    ; more about b', '; about c', 'c = d'));
+    });
+
+    test('keeps comments next to the alternatives they annotate', () => {
+        const input = lines('a = b ; first', '  ; before c', '  / c ; second');
+        assert.strictEqual(formatter.format(input),
+            lines('a = b ; first', '    ; before c', '  / c ; second'));
+    });
+
+    test('keeps comments next to sequence elements', () => {
+        const input = lines('a = b ; first', '    c d ; last');
+        assert.strictEqual(formatter.format(input), lines('a = b ; first', '    c d ; last'));
+    });
+});
+
+describe('ABNF Formatter: Round Trip', () => {
+    const grammar = lines(
+        '; Simplified HTTP',
+        'request-line = method SP request-target SP HTTP-version CRLF ; RFC 7230',
+        'method = "OPTIONS" / "GET" / "HEAD" / "POST" / "PUT" / "DELETE" / "TRACE" / "CONNECT"',
+        'method =/ token',
+        '  ; extension methods',
+        'HTTP-version = HTTP-name "/" DIGIT "." DIGIT',
+        'HTTP-name = %x48.54.54.50 ; "HTTP", case-sensitive',
+        'header = field-name ":" OWS *(field-content / obs-fold) OWS',
+        'obs-fold = CRLF 1*( SP / HTAB ) ; obsolete line folding'
+    );
+
+    for (const width of [30, 72, 120]) {
+        test(`formatting at width ${width} keeps every definition and comment and is idempotent`, () => {
+            const formatted = formatter.format(grammar, { width });
+            const before = [];
+            const after = [];
+
+            assert.deepStrictEqual(parser.parseDefinitions(formatted, { comments: after }).map(({ name, incremental, expression }) => ({ name, incremental, expression })),
+                parser.parseDefinitions(grammar, { comments: before }).map(({ name, incremental, expression }) => ({ name, incremental, expression })));
+            assert.deepStrictEqual(after.map(comment => comment.value), before.map(comment => comment.value));
+            assert.strictEqual(formatter.format(formatted, { width }), formatted);
+            assert.ok(formatter.isFormatted(formatted, { width }));
+        });
+    }
+
+    test('rejects text outside of rule definitions', () => {
+        assert.throws(() => formatter.format('a\nb = c\n'), (error) => {
+            assert.ok(error instanceof ABNFParseError);
+            assert.match(error.message, /Expected a rule definition 'name = \.\.\.' at line 1, column 1/);
+            return true;
+        });
+    });
+});
+
+describe('ABNF Formatter: Files', () => {
+    test('formatFile reports changes and writes them in place when asked', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'abnf-format-'));
+        const file = path.join(dir, 'grammar.abnf');
+        await fs.writeFile(file, 'a=b/c\n');
+        const converter = new ABNFToRailroad();
+
+        try {
+            const checked = await converter.formatFile(file);
+            assert.deepStrictEqual(checked, { file, formatted: 'a = b / c\n', changed: true });
+            assert.strictEqual(await fs.readFile(file, 'utf8'), 'a=b/c\n');
+
+            await converter.formatFile(file, { write: true });
+            assert.strictEqual(await fs.readFile(file, 'utf8'), 'a = b / c\n');
+            assert.strictEqual((await converter.formatFile(file)).changed, false);
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+
+    test('only ABNF files can be formatted', async () => {
+        await assert.rejects(new ABNFToRailroad().formatFile('grammar.ebnf'), /Only ABNF grammars can be formatted/);
+    });
+});
@@ -1,9 +1,12 @@
 const { describe, test } = require('node:test');
 const assert = require('node:assert');
 const ABNFParser = require('../src/abnf-parser');
+const { SVGRenderer } = require('../src/svg-renderer');
+const { TextRenderer } = require('../src/text-renderer');
 const { 
     TerminalNode, 
     NonterminalNode, 
+    ProseNode,
     SequenceNode, 
     AlternationNode, 
     OptionalNode, 
@@ -219,4 +222,269 @@ test('8HEXDIG tokenizes correctly', () => {
         assert.strictEqual(tokens[1].type, 'identifier');
         assert.strictEqual(tokens[1].value, 'HEXDIG');
     });
-});
\ No newline at end of file
+});
+
+describe('Parser: Incremental Alternatives', () => {
+    test('=/ tokenizes as a single assignment', () => {
+        const tokens = parser.tokenizer.tokenize('rule =/ "c"');
+        
+        assert.strictEqual(tokens.length, 3);
+        assert.strictEqual(tokens[1].type, 'assign');
+        assert.strictEqual(tokens[1].value, '=/');
+    });
+
+    test('=/ merges into a single alternation', () => {
+        const rules = parser.parse('rule = "a" / "b"\nother = X\nrule =/ "c"\nrule =/ "d" / Y');
+        const rule = rules.get('rule');
+        
+        assert.strictEqual(rules.size, 2);
+        assert.deepStrictEqual(rule.expression, alternation([
+            terminal('"a"'),
+            terminal('"b"'),
+            terminal('"c"'),
+            terminal('"d"'),
+            nonterminal('Y')
+        ]));
+    });
+
+    test('=/ keeps all contributing definitions with source lines', () => {
+        const rules = parser.parse('rule = "a"\nrule =/ "b"');
+        const rule = rules.get('rule');
+        
+        assert.deepStrictEqual(rule.definitions, [
+            { name: 'rule', line: 1, text: '"a"', incremental: false },
+            { name: 'rule', line: 2, text: '"b"', incremental: true }
+        ]);
+        assert.strictEqual(rule.original, '"a" ; line 1\n=/ "b" ; line 2');
+    });
+
+    test('=/ without a prior definition defines the rule', () => {
+        const rules = parser.parse('rule =/ "a"');
+        
+        assert.deepStrictEqual(rules.get('rule').expression, terminal('"a"'));
+    });
+});
+
+describe('Parser: Prose Values', () => {
+    const prose = (text) => new ProseNode(text);
+
+    test('rule = <any text here> (prose value)', () => {
+        const rules = parser.parse('rule = <any text here>');
+        
+        assert.deepStrictEqual(rules.get('rule').expression, prose('any text here'));
+    });
+
+    test('prose inside a sequence', () => {
+        const rules = parser.parse('rule = "a" <see RFC 3986> B');
+        
+        assert.deepStrictEqual(rules.get('rule').expression, sequence([
+            terminal('"a"'),
+            prose('see RFC 3986'),
+            nonterminal('B')
+        ]));
+    });
+
+    test('empty prose <> parses and renders as an empty box', () => {
+        const rules = parser.parse('a = <> "x"');
+        
+        assert.deepStrictEqual(rules.get('a').expression, sequence([prose(''), terminal('"x"')]));
+        assert.match(new SVGRenderer().render(rules.get('a').expression), /data-type="prose" data-text=""/);
+        
+        const textRenderer = new TextRenderer();
+        textRenderer.setRules(rules);
+        assert.match(textRenderer.render(rules.get('a').expression), /┤ +├/);
+    });
+
+    test('quoted angle brackets are still terminals', () => {
+        const rules = parser.parse('rule = "<" *VCHAR ">"');
+        
+        assert.deepStrictEqual(rules.get('rule').expression, sequence([
+            terminal('"<"'),
+            repetition(0, null, nonterminal('VCHAR')),
+            terminal('">"')
+        ]));
+    });
+});
+
+describe('Parser: RFC 5234 Core Rules', () => {
+    test('core rules are not merged by default', () => {
+        const rules = parser.parse('rule = HEXDIG');
+        
+        assert.deepStrictEqual(Array.from(rules.keys()), ['rule']);
+    });
+
+    test('referenced core rules are merged transitively and marked as core', () => {
+        const rules = parser.parse('rule = HEXDIG CRLF', { coreRules: true });
+        
+        assert.deepStrictEqual(Array.from(rules.keys()), ['rule', 'HEXDIG', 'CRLF', 'DIGIT', 'CR', 'LF']);
+        assert.strictEqual(rules.get('rule').core, undefined);
+        assert.strictEqual(rules.get('HEXDIG').core, true);
+        assert.deepStrictEqual(rules.get('DIGIT').expression, terminal('%x30-39'));
+    });
+
+    test('grammar definitions take precedence over core rules', () => {
+        const rules = parser.parse('rule = DIGIT\nDIGIT = "0" / "1"', { coreRules: true });
+        
+        assert.strictEqual(rules.size, 2);
+        assert.strictEqual(rules.get('DIGIT').core, undefined);
+        assert.strictEqual(rules.get('DIGIT').original, '"0" / "1"');
+    });
+});
+
+describe('Parser: Error Recovery', () => {
+    const { ABNFParseError } = ABNFParser;
+    const content = [
+        'first = "a"',
+        'broken = ( "b"',
+        'second = "c" ]',
+        'third = "d" @ "e"',
+        'last = B'
+    ].join('\n');
+
+    test('throws on the first error by default', () => {
+        assert.throws(() => parser.parse(content), (error) => {
+            assert.ok(error instanceof ABNFParseError);
+            assert.strictEqual(error.line, 4); // Tokenizer runs first and stops at '@'
+            return true;
+        });
+    });
+
+    test('collects every error and returns the rules that parsed', () => {
+        const errors = [];
+        const rules = parser.parse(content, { errors });
+        
+        assert.deepStrictEqual(Array.from(rules.keys()), ['first', 'last']);
+        assert.deepStrictEqual(
+            errors.map(error => [error.line, error.column]),
+            [[4, 13], [2, 10], [3, 14]]
+        );
+        errors.forEach(error => assert.ok(error instanceof ABNFParseError));
+    });
+
+    test('rules with unexpected characters are left out, not drawn without them', () => {
+        const errors = [];
+        const rules = parser.parse('a = "x" @ "y"\nb = "z"', { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['b']);
+        assert.deepStrictEqual(errors.map(error => error.message), ["Unexpected character(s) '@' at line 1, column 9"]);
+    });
+
+    test('errors without position get the rule position', () => {
+        const errors = [];
+        parser.parse('empty =\nok = "x"', { errors });
+        
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].line, 1);
+        assert.strictEqual(errors[0].column, 1);
+        assert.match(errors[0].message, /Error in rule 'empty'/);
+    });
+});
+
+describe('Parser: Source Spans', () => {
+    const spanOf = (node) => {
+        const { start, end } = node.span;
+        return `${start.line}:${start.column}-${end.line}:${end.column}`;
+    };
+
+    test('every node carries its source span', () => {
+        const rules = parser.parse('x = Y\nrule = "a" [ B ] *( C D )');
+        const expression = rules.get('rule').expression;
+        const [a, optionalB, repetitionCD] = expression.elements;
+        const cd = repetitionCD.elements[0];
+        
+        assert.strictEqual(spanOf(expression), '2:8-2:26');
+        assert.strictEqual(spanOf(a), '2:8-2:11');
+        assert.strictEqual(spanOf(optionalB), '2:12-2:17');
+        assert.strictEqual(spanOf(optionalB.elements[0]), '2:14-2:15');
+        assert.strictEqual(spanOf(repetitionCD), '2:18-2:26');
+        assert.strictEqual(spanOf(cd), '2:21-2:24');
+        assert.strictEqual(spanOf(cd.elements[1]), '2:23-2:24');
+    });
+
+    test('merged =/ alternation spans all definitions', () => {
+        const rules = parser.parse('rule = "a"\nrule =/ "b"');
+        
+        assert.strictEqual(spanOf(rules.get('rule').expression), '1:8-2:12');
+    });
+
+    test('offsets are UTF-8 byte offsets into the input', () => {
+        const content = 'rule = <naïve> "x"';
+        const rules = parser.parse(content);
+        const [prose, x] = rules.get('rule').expression.elements;
+        const bytes = Buffer.from(content, 'utf8');
+        
+        assert.strictEqual(bytes.subarray(prose.span.start.offset, prose.span.end.offset).toString(), '<naïve>');
+        assert.strictEqual(bytes.subarray(x.span.start.offset, x.span.end.offset).toString(), '"x"');
+    });
+
+    test('spans do not take part in structural comparison', () => {
+        const rules = parser.parse('rule = "a"');
+        
+        assert.ok(rules.get('rule').expression.span);
+        assert.deepStrictEqual(Object.keys(rules.get('rule').expression), ['type', 'text']);
+    });
+});
+
+describe('Parser: Rule Documentation', () => {
+    const content = [
+        '; Section header',
+        '',
+        '; A greeting.',
+        '; Uses `SP` between words.',
+        'greeting = "hello" SP name ; trailing note',
+        ';------------------',
+        '; The name part',
+        'name = 1*ALPHA',
+        '       / "world" ; or the world',
+        'bare = "x"'
+    ].join('\n');
+    const rules = parser.parse(content);
+
+    test('preceding comment block and trailing comments become doc', () => {
+        assert.strictEqual(rules.get('greeting').doc, 'A greeting.\nUses `SP` between words.\ntrailing note');
+    });
+
+    test('separator lines are dropped and continuation-line comments are trailing', () => {
+        assert.strictEqual(rules.get('name').doc, 'The name part\nor the world');
+    });
+
+    test('rules without comments have no doc', () => {
+        assert.strictEqual(rules.get('bare').doc, null);
+    });
+
+    test('=/ definitions contribute their docs', () => {
+        const merged = parser.parse('; first\nrule = "a"\n; second\nrule =/ "b"');
+        
+        assert.strictEqual(merged.get('rule').doc, 'first\n\nsecond');
+    });
+});
+
+describe('Parser: Case-Insensitive Rule Names', () => {
+    test('lookup ignores case and keeps the defining spelling', () => {
+        const rules = parser.parse('HexDig = "0" / "1"');
+        
+        assert.strictEqual(rules.get('hexdig'), rules.get('HEXDIG'));
+        assert.strictEqual(rules.get('HEXDIG').name, 'HexDig');
+        assert.deepStrictEqual(Array.from(rules.keys()), ['HexDig']);
+    });
+
+    test('=/ with a different spelling extends the same rule', () => {
+        const rules = parser.parse('rule = "a"\nRULE =/ "b"');
+        
+        assert.strictEqual(rules.size, 1);
+        assert.deepStrictEqual(rules.get('rule').expression, alternation([terminal('"a"'), terminal('"b"')]));
+        assert.deepStrictEqual(rules.get('rule').definitions.map(d => d.name), ['rule', 'RULE']);
+    });
+
+    test('core rules are not merged when defined in another spelling', () => {
+        const rules = parser.parse('number = 1*digit\nDigit = "0" / "1"', { coreRules: true });
+        
+        assert.deepStrictEqual(Array.from(rules.keys()), ['number', 'Digit']);
+    });
+
+    test('core rules referenced in another spelling keep their RFC spelling', () => {
+        const rules = parser.parse('number = 1*digit', { coreRules: true });
+        
+        assert.deepStrictEqual(Array.from(rules.keys()), ['number', 'DIGIT']);
+    });
+});
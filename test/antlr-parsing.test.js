@@ -0,0 +1,186 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ANTLRParser = require('../src/antlr-parser');
+const { EBNFParseError } = require('../src/ebnf-parser');
+const ASTTransformer = require('../src/ast-transformer');
+const GrammarAnalyzer = require('../src/grammar-analyzer');
+const ABNFToRailroad = require('../src/main');
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode
+} = require('../src/ast-node');
+
+/**
+ * Tests for ANTLR v4 grammar text → ASTNode transformation
+ */
+
+const terminal = (text) => new TerminalNode(text);
+const nonterminal = (name) => new NonterminalNode(name);
+const sequence = (children) => new SequenceNode(children);
+const alternation = (children) => new AlternationNode(children);
+const optional = (child) => new OptionalNode(child);
+const repetition = (min, max, child) => new RepetitionNode(min, max, child);
+
+const parser = new ANTLRParser();
+
+describe('ANTLR Parser: Expressions', () => {
+    const cases = [
+        ["rule : 'a' ;", terminal("'a'"), 'literal'],
+        ["rule : '\\'' ;", terminal("'\\''"), 'escaped quote'],
+        ['rule : other ;', nonterminal('other'), 'rule reference'],
+        ['rule : a b ;', sequence([nonterminal('a'), nonterminal('b')]), 'sequence'],
+        ['rule : a | b c ;', alternation([nonterminal('a'), sequence([nonterminal('b'), nonterminal('c')])]), 'alternation binds loosest'],
+        ['rule : a? b* c+ ;', sequence([optional(nonterminal('a')), repetition(0, null, nonterminal('b')), repetition(1, null, nonterminal('c'))]), 'suffixes'],
+        ['rule : a*? ;', repetition(0, null, nonterminal('a')), 'non-greedy suffix'],
+        ["rule : (a | 'b')+ c ;", sequence([repetition(1, null, alternation([nonterminal('a'), terminal("'b'")])), nonterminal('c')]), 'group'],
+        ['rule : a | ;', optional(nonterminal('a')), 'empty alternative'],
+        ['rule : a EOF ;', sequence([nonterminal('a'), terminal('EOF')]), 'EOF is a token'],
+        ['rule : a # First | b # Second ;', alternation([nonterminal('a'), nonterminal('b')]), 'alternative labels'],
+        ['rule : x=a ys+=b ;', sequence([nonterminal('a'), nonterminal('b')]), 'element labels'],
+        ['rule : {check()}? a {act();} ;', nonterminal('a'), 'predicates and actions'],
+        ['rule : a {if (x) { if (y) { if (z) { f(); } } }} ;', nonterminal('a'), 'deeply nested action'],
+        ['rule : {s.equals("}")}? a {/* { */ c = \'{\'; // }\n} ;', nonterminal('a'), 'braces in strings and comments of actions'],
+        ["rule : <assoc=right> a '^' a ;", sequence([nonterminal('a'), terminal("'^'"), nonterminal('a')]), 'element options'],
+        ['RULE : [a-zA-Z_] ;', terminal('[a-zA-Z_]'), 'character set'],
+        ["RULE : 'a'..'z' ;", terminal("'a'..'z'"), 'character range'],
+        ['RULE : ~[\\r\\n] ;', terminal('~[\\r\\n]'), 'negated set'],
+        ["RULE : ~('a' | 'b') ;", terminal("~('a' | 'b')"), 'negated block'],
+        ["RULE : '/*' .*? '*/' ;", sequence([terminal("'/*'"), repetition(0, null, terminal('.')), terminal("'*/'")]), 'wildcard'],
+        ['RULE : [ \\t]+ -> skip ;', repetition(1, null, terminal('[ \\t]')), 'lexer command'],
+        ["RULE : 'a' -> channel(HIDDEN) | 'b' ;", alternation([terminal("'a'"), terminal("'b'")]), 'lexer command with argument']
+    ];
+
+    for (const [g4, expected, description] of cases) {
+        test(`${g4} (${description})`, () => {
+            const rules = parser.parse(g4);
+            const [name] = g4.split(' ');
+            assert.deepStrictEqual(rules.get(name).expression, expected);
+        });
+    }
+});
+
+describe('ANTLR Parser: Grammars', () => {
+    const grammar = [
+        'grammar Calc;',
+        'options { language = Java; }',
+        'tokens { INDENT }',
+        '@parser::header { import java.util.*; }',
+        '',
+        '// Entry point',
+        'prog : expr+ EOF ;',
+        'expr returns [int value]',
+        '    @init { int x = 0; }',
+        "    : INT ('+' INT)*   // sums",
+        '    ;',
+        'INT : DIGIT+ ;',
+        'WS : [ \\t\\r\\n]+ -> skip ;',
+        'fragment DIGIT : [0-9] ;',
+        'mode Inside;',
+        "END : '>' ;"
+    ].join('\n');
+
+    test('the prequel and rule preambles are skipped', () => {
+        const rules = parser.parse(grammar);
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['prog', 'expr', 'INT', 'WS', 'DIGIT', 'END']);
+        assert.deepStrictEqual(rules.get('expr').expression,
+            sequence([nonterminal('INT'), repetition(0, null, sequence([terminal("'+'"), nonterminal('INT')]))]));
+    });
+
+    test('rules record lexer rules and fragments, source text and comments', () => {
+        const rules = parser.parse(grammar);
+
+        assert.deepStrictEqual(Array.from(rules.values()).map(rule => [rule.name, rule.lexer, rule.fragment]),
+            [['prog', false, false], ['expr', false, false], ['INT', true, false], ['WS', true, false], ['DIGIT', true, true], ['END', true, false]]);
+        assert.strictEqual(rules.get('expr').original, "INT ('+' INT)*");
+        assert.deepStrictEqual(rules.get('WS').definitions, [{ name: 'WS', line: 13, text: '[ \\t\\r\\n]+ -> skip', incremental: false }]);
+        assert.strictEqual(rules.get('prog').doc, 'Entry point');
+        assert.strictEqual(rules.get('expr').doc, 'sums');
+    });
+
+    test('references to lexer rules become terminal boxes linked to the rule', () => {
+        const rules = parser.parse(grammar);
+        const expression = new ASTTransformer(rules).transform(rules.get('prog').expression);
+        const [exprs, eof] = expression.children;
+
+        assert.deepStrictEqual([exprs.child.boxType, exprs.child.ruleName], ['nonterminal', 'expr']);
+        assert.strictEqual(eof.boxType, 'terminal');
+
+        const int = new ASTTransformer(rules).transform(nonterminal('INT'));
+        assert.deepStrictEqual([int.boxType, int.ruleName], ['terminal', 'INT']);
+    });
+
+    test('parser and lexer rules that differ only in case are different rules', () => {
+        const rules = parser.parse("identifier : IDENTIFIER | 'id' ;\nIDENTIFIER : [a-z]+ ;");
+        const expression = new ASTTransformer(rules).transform(rules.get('identifier').expression);
+
+        assert.deepStrictEqual(Array.from(rules.values()).map(rule => [rule.name, rule.lexer]), [['identifier', false], ['IDENTIFIER', true]]);
+        assert.deepStrictEqual([expression.children[0].boxType, expression.children[0].ruleName], ['terminal', 'IDENTIFIER']);
+        assert.deepStrictEqual(new GrammarAnalyzer().analyze(rules), []);
+    });
+
+    test('token rules are reachable without references, fragments are not', () => {
+        const rules = parser.parse(grammar + '\nfragment UNUSED : \'u\' ;');
+        const issues = new GrammarAnalyzer().findUnreachableRules(rules);
+
+        assert.deepStrictEqual(issues.map(issue => issue.rule), ['UNUSED']);
+    });
+});
+
+describe('ANTLR Parser: Errors', () => {
+    const content = [
+        "first : 'a' ;",
+        "broken : ( 'b' ;",
+        'stray ;',
+        'last : c ;'
+    ].join('\n');
+
+    test('throws on the first error by default', () => {
+        assert.throws(() => parser.parse(content), (error) => {
+            assert.ok(error instanceof EBNFParseError);
+            assert.match(error.message, /Missing closing parenthesis at line 2, column 10/);
+            return true;
+        });
+    });
+
+    test('collects every error and resumes after the next terminator', () => {
+        const errors = [];
+        const rules = parser.parse(content, { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['first', 'last']);
+        assert.deepStrictEqual(errors.map(error => [error.line, error.column]), [[2, 10], [3, 1]]);
+        assert.match(errors[1].message, /Expected a rule definition 'name : \.\.\. ;'/);
+    });
+
+    test('an unclosed action is reported at its brace', () => {
+        const errors = [];
+        const rules = parser.parse("first : a { f() ;\nlast : 'b' ;", { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['last']);
+        assert.deepStrictEqual(errors.map(error => error.message), ["Unexpected character(s) '{' at line 1, column 11"]);
+    });
+});
+
+describe('ANTLR Parser: Syntax Selection', () => {
+    test('.g4 files are read as ANTLR grammars', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'antlr-'));
+        const g4File = path.join(dir, 'List.g4');
+        await fs.writeFile(g4File, "grammar List;\nlist : ID (',' ID)* ;\nID : [a-z]+ ;\n");
+
+        try {
+            const layout = await new ABNFToRailroad().exportLayout(g4File);
+            assert.deepStrictEqual(layout.rules.map(rule => rule.name), ['list', 'ID']);
+            assert.strictEqual(layout.rules[0].diagram.element.children[0].box.boxType, 'terminal');
+            assert.strictEqual(layout.rules[0].diagram.element.children[0].box.rule, 'ID');
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
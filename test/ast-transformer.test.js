@@ -1,7 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const ASTTransformer = require('../src/ast-transformer');
-const { TerminalElement, NonterminalElement, SequenceElement } = require('../src/elements');
+const { TerminalElement, NonterminalElement, ProseElement, SequenceElement } = require('../src/elements');
 
 test('ASTTransformer - Constructor without config', () => {
     const transformer = new ASTTransformer();
@@ -37,6 +37,21 @@ test('ASTTransformer - Nonterminal transformation', () => {
     assert.strictEqual(expression.isLaidOut, false); // Should not be laid out yet
 });
 
+test('ASTTransformer - Prose transformation', () => {
+    const transformer = new ASTTransformer();
+    
+    const proseAST = {
+        type: 'prose',
+        text: 'any text here'
+    };
+    
+    const expression = transformer.transform(proseAST);
+    assert.ok(expression instanceof ProseElement);
+    assert.strictEqual(expression.text, 'any text here');
+    assert.strictEqual(expression.boxType, 'prose');
+    assert.strictEqual(expression.toString(), 'prose("any text here")');
+});
+
 test('ASTTransformer - Repetition transformation to sequence', () => {
     const transformer = new ASTTransformer();
     
@@ -82,4 +97,54 @@ test('ASTTransformer - Large repetition (8HEXDIG)', () => {
     // Should create a sequence of 8 identical elements
     assert.ok(expression instanceof SequenceElement);
     assert.strictEqual(expression.children.length, 8);
-});
\ No newline at end of file
+});
+test('ASTTransformer - Source spans propagate to layout elements', () => {
+    const ABNFParser = require('../src/abnf-parser');
+    const transformer = new ASTTransformer();
+    
+    const rule = new ABNFParser().parse('rule = "a" HEXDIG').get('rule');
+    const expression = transformer.transform(rule.expression);
+    
+    assert.strictEqual(expression.span, rule.expression.span);
+    assert.strictEqual(expression.children[1].span.start.column, 12);
+    assert.strictEqual(expression.children[1].span.end.column, 18);
+});
+
+test('ASTTransformer - Nonterminals resolve to the defining spelling', () => {
+    const ABNFParser = require('../src/abnf-parser');
+    const rules = new ABNFParser().parse('rule = hexdig other\nHEXDIG = "0"');
+    const transformer = new ASTTransformer(rules);
+    
+    const expression = transformer.transform(rules.get('rule').expression);
+    
+    assert.strictEqual(expression.children[0].text, 'hexdig');
+    assert.strictEqual(expression.children[0].ruleName, 'HEXDIG');
+    assert.strictEqual(expression.children[1].ruleName, 'other');
+});
+
+test('ASTTransformer - Exception transformation', () => {
+    const { ExceptionElement } = require('../src/elements');
+    const transformer = new ASTTransformer();
+    
+    const exceptionAST = {
+        type: 'exception',
+        elements: [{ type: 'nonterminal', text: 'letter' }, { type: 'terminal', text: '"x"' }]
+    };
+    
+    const expression = transformer.transform(exceptionAST);
+    assert.ok(expression instanceof ExceptionElement);
+    assert.strictEqual(expression.toString(), 'exception(nonterminal("letter"), terminal("\\"x\\""))');
+    assert.throws(() => transformer.transform({ type: 'exception', elements: [exceptionAST.elements[0]] }),
+        /Exception element missing matched and excluded elements/);
+});
+
+test('ASTTransformer - Ordered alternation keeps its order marker', () => {
+    const transformer = new ASTTransformer();
+    
+    const alternatives = [{ type: 'terminal', text: '"a"' }, { type: 'nonterminal', text: 'b' }];
+    
+    assert.strictEqual(transformer.transform({ type: 'alternation', elements: alternatives }).toString(),
+        'stack(terminal("\\"a\\""), nonterminal("b"))');
+    assert.strictEqual(transformer.transform({ type: 'alternation', elements: alternatives, ordered: true }).toString(),
+        'orderedStack(terminal("\\"a\\""), nonterminal("b"))');
+});
@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ABNFParser = require('../src/abnf-parser');
+const { DependencyGraph } = require('../src/dependency-graph');
+
+/**
+ * Data-driven tests for the rule dependency graph and its output formats
+ */
+
+const parser = new ABNFParser();
+
+const calculator = [
+    'expression = term *( "+" term )',
+    'term = factor *( "*" factor )',
+    'factor = number / "(" expression ")"',
+    'number = 1*DIGIT',
+    'unused = "x"'
+].join('\n');
+
+describe('Dependency Graph', () => {
+    const testCases = [
+        {
+            name: 'whole grammar with undefined references last',
+            options: {},
+            expected: {
+                expression: ['term'],
+                term: ['factor'],
+                factor: ['number', 'expression'],
+                number: ['DIGIT'],
+                unused: [],
+                DIGIT: []
+            }
+        },
+        {
+            name: 'rooted at a start rule',
+            options: { startRule: 'FACTOR' },
+            expected: {
+                factor: ['number', 'expression'],
+                number: ['DIGIT'],
+                expression: ['term'],
+                DIGIT: [],
+                term: ['factor']
+            }
+        },
+        {
+            name: 'depth limit from the first rule',
+            options: { depth: 1 },
+            expected: {
+                expression: ['term'],
+                term: []
+            }
+        },
+        {
+            name: 'depth 0 is the start rule alone',
+            options: { startRule: 'number', depth: 0 },
+            expected: {
+                number: []
+            }
+        }
+    ];
+
+    testCases.forEach(({ name, options, expected }) => {
+        test(name, () => {
+            const graph = new DependencyGraph(parser.parse(calculator), options);
+            assert.deepStrictEqual(graph.toJSON().adjacency, expected);
+        });
+    });
+
+    test('nodes record definition, core status and depth', () => {
+        const graph = new DependencyGraph(parser.parse('a = b DIGIT\nb = missing', { coreRules: true }), { startRule: 'a' });
+        
+        assert.deepStrictEqual(graph.nodes, [
+            { name: 'a', defined: true, core: false, depth: 0 },
+            { name: 'b', defined: true, core: false, depth: 1 },
+            { name: 'DIGIT', defined: true, core: true, depth: 1 },
+            { name: 'missing', defined: false, core: false, depth: 2 }
+        ]);
+    });
+
+    test('unknown start rule throws', () => {
+        assert.throws(() => new DependencyGraph(parser.parse(calculator), { startRule: 'nope' }), /Start rule 'nope' is not defined/);
+    });
+
+    test('DOT output', () => {
+        const graph = new DependencyGraph(parser.parse('a = b "x"\nb = c'));
+        
+        assert.strictEqual(graph.format('dot'), [
+            'digraph "grammar" {',
+            '    rankdir=LR;',
+            '    node [shape=box];',
+            '    "a";',
+            '    "b";',
+            '    "c" [style=dashed];',
+            '    "a" -> "b";',
+            '    "b" -> "c";',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    test('Mermaid output labels nodes by rule name', () => {
+        const mermaid = new DependencyGraph(parser.parse('a = end\nend = "x"')).format('mermaid');
+        
+        assert.match(mermaid, /^flowchart LR\n {4}r0\["a"\]\n {4}r1\["end"\]\n {4}r0 --> r1\n/);
+    });
+
+    test('unknown format throws', () => {
+        assert.throws(() => new DependencyGraph(parser.parse('a = "x"')).format('svg'), /Unknown graph format 'svg'/);
+    });
+});
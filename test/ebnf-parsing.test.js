@@ -0,0 +1,161 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const EBNFParser = require('../src/ebnf-parser');
+const GrammarAnalyzer = require('../src/grammar-analyzer');
+const ABNFToRailroad = require('../src/main');
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode,
+    ExceptionNode
+} = require('../src/ast-node');
+
+/**
+ * Tests for W3C EBNF text → ASTNode transformation
+ */
+
+const terminal = (text) => new TerminalNode(text);
+const nonterminal = (name) => new NonterminalNode(name);
+const sequence = (children) => new SequenceNode(children);
+const alternation = (children) => new AlternationNode(children);
+const optional = (child) => new OptionalNode(child);
+const repetition = (min, max, child) => new RepetitionNode(min, max, child);
+const exception = (child, excluded) => new ExceptionNode(child, excluded);
+
+const parser = new EBNFParser();
+
+describe('EBNF Parser: Expressions', () => {
+    const cases = [
+        ['rule ::= "a"', terminal('"a"'), 'double-quoted string'],
+        ["rule ::= 'a'", terminal("'a'"), 'single-quoted string'],
+        ['rule ::= [a-zA-Z]', terminal('[a-zA-Z]'), 'character class'],
+        ['rule ::= [^<&]', terminal('[^<&]'), 'negated character class'],
+        ['rule ::= [#x20-#x7E]', terminal('[#x20-#x7E]'), 'code point range'],
+        ['rule ::= #x9', terminal('#x9'), 'code point'],
+        ['rule ::= other', nonterminal('other'), 'symbol reference'],
+        ['rule ::= a b', sequence([nonterminal('a'), nonterminal('b')]), 'sequence'],
+        ['rule ::= a | b c', alternation([nonterminal('a'), sequence([nonterminal('b'), nonterminal('c')])]), 'alternation binds loosest'],
+        ['rule ::= a?', optional(nonterminal('a')), 'optional'],
+        ['rule ::= a*', repetition(0, null, nonterminal('a')), 'zero or more'],
+        ['rule ::= a+', repetition(1, null, nonterminal('a')), 'one or more'],
+        ['rule ::= (a | "b")+ c', sequence([repetition(1, null, alternation([nonterminal('a'), terminal('"b"')])), nonterminal('c')]), 'group'],
+        ['rule ::= a+?', optional(repetition(1, null, nonterminal('a'))), 'stacked postfix operators'],
+        ['rule ::= a* - b c', sequence([exception(repetition(0, null, nonterminal('a')), nonterminal('b')), nonterminal('c')]), 'exception binds tighter than sequence']
+    ];
+
+    for (const [ebnf, expected, description] of cases) {
+        test(`${ebnf} (${description})`, () => {
+            assert.deepStrictEqual(parser.parse(ebnf).get('rule').expression, expected);
+        });
+    }
+});
+
+describe('EBNF Parser: Rules', () => {
+    const grammar = [
+        '/* Names */',
+        '[4] NameStartChar ::= ":" | [A-Z]',
+        '[4a] NameChar ::= NameStartChar',
+        '    | [0-9]  /* digits */',
+        '[5] Name ::= NameStartChar (NameChar)*  [ wfc: Legal Name ]'
+    ].join('\n');
+
+    test('production numbers and constraint notes are skipped', () => {
+        const rules = parser.parse(grammar);
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['NameStartChar', 'NameChar', 'Name']);
+        assert.deepStrictEqual(rules.get('Name').expression,
+            sequence([nonterminal('NameStartChar'), repetition(0, null, nonterminal('NameChar'))]));
+    });
+
+    test('rules keep their source text, definitions and comments', () => {
+        const rules = parser.parse(grammar);
+
+        assert.strictEqual(rules.get('NameChar').original, 'NameStartChar\n    | [0-9]');
+        assert.deepStrictEqual(rules.get('NameChar').definitions,
+            [{ name: 'NameChar', line: 3, text: 'NameStartChar\n    | [0-9]', incremental: false }]);
+        assert.strictEqual(rules.get('NameStartChar').doc, 'Names');
+        assert.strictEqual(rules.get('NameChar').doc, 'digits');
+        assert.strictEqual(rules.get('Name').doc, null);
+    });
+
+    test('symbol names are case-sensitive', () => {
+        const rules = parser.parse('A ::= a "x"\na ::= "y"');
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['A', 'a']);
+        assert.deepStrictEqual(rules.get('a').expression, terminal('"y"'));
+        assert.strictEqual(rules.get('A').expression.elements[0].text, 'a');
+        assert.deepStrictEqual(new GrammarAnalyzer().analyze(rules), []);
+    });
+
+    test('nodes carry source spans', () => {
+        const { expression } = parser.parse('rule ::= a  "b"*').get('rule');
+
+        assert.deepStrictEqual(expression.span, { start: { line: 1, column: 10, offset: 9 }, end: { line: 1, column: 17, offset: 16 } });
+        assert.deepStrictEqual(expression.elements[1].span.start, { line: 1, column: 13, offset: 12 });
+    });
+});
+
+describe('EBNF Parser: Errors', () => {
+    const { EBNFParseError } = EBNFParser;
+    const content = [
+        'first ::= "a"',
+        'broken ::= ( "b"',
+        'dangling ::= a |',
+        'last ::= c'
+    ].join('\n');
+
+    test('throws on the first error by default', () => {
+        assert.throws(() => parser.parse(content), (error) => {
+            assert.ok(error instanceof EBNFParseError);
+            assert.match(error.message, /Missing closing parenthesis at line 2, column 12/);
+            return true;
+        });
+    });
+
+    test('collects every error and returns the rules that parsed', () => {
+        const errors = [];
+        const rules = parser.parse(content, { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['first', 'last']);
+        assert.deepStrictEqual(errors.map(error => [error.line, error.column]), [[2, 12], [3, 16]]);
+        assert.match(errors[1].message, /Empty expression/);
+    });
+
+    test('text outside rule definitions is reported', () => {
+        const errors = [];
+        parser.parse('stray "x"\nrule ::= "y"', { errors });
+
+        assert.deepStrictEqual(errors.map(error => error.message), ["Expected a rule definition 'symbol ::= ...' at line 1, column 1 (token: identifier 'stray')"]);
+    });
+});
+
+describe('EBNF Parser: Syntax Selection', () => {
+    const converter = new ABNFToRailroad();
+
+    test('the syntax follows the file extension unless given', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebnf-'));
+        const ebnfFile = path.join(dir, 'grammar.ebnf');
+        const textFile = path.join(dir, 'grammar.txt');
+        await fs.writeFile(ebnfFile, 'list ::= item ("," item)*\nitem ::= [a-z]+\n');
+        await fs.copy(ebnfFile, textFile);
+
+        try {
+            const layout = await converter.exportLayout(ebnfFile);
+            assert.deepStrictEqual(layout.rules.map(rule => rule.name), ['list', 'item']);
+
+            await assert.rejects(converter.exportLayout(textFile), /Unexpected character/);
+            const explicit = await converter.exportLayout(textFile, { syntax: 'ebnf' });
+            assert.strictEqual(explicit.rules.length, 2);
+
+            await assert.rejects(converter.exportLayout(ebnfFile, { syntax: 'yacc' }), /Unknown grammar syntax 'yacc' \(expected abnf, ebnf, iso-ebnf, antlr, peggy\)/);
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
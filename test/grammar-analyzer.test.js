@@ -0,0 +1,174 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ABNFParser = require('../src/abnf-parser');
+const GrammarAnalyzer = require('../src/grammar-analyzer');
+
+/**
+ * Data-driven tests for the grammar checks on parsed ABNF rules
+ */
+
+const parser = new ABNFParser();
+const analyzer = new GrammarAnalyzer();
+
+/**
+ * Parse ABNF and return the issues as compact [type, rule, line] tuples
+ */
+const issuesOf = (abnf, options = {}) => analyzer
+    .analyze(parser.parse(abnf, { coreRules: options.coreRules }), options)
+    .map(issue => [issue.type, issue.rule, issue.line]);
+
+describe('Grammar Analyzer', () => {
+    const testCases = [
+        {
+            name: 'clean grammar',
+            abnf: 'greeting = "hello" name\nname = 1*ALPHA-CHAR\nALPHA-CHAR = "a" / "b"',
+            expected: []
+        },
+        {
+            name: 'undefined reference reported once at its first use',
+            abnf: 'list = item *( "," item )\nother = item',
+            expected: [
+                ['undefined-reference', 'item', 1],
+                ['unreachable-rule', 'other', 2]
+            ]
+        },
+        {
+            name: 'references resolve case-insensitively',
+            abnf: 'rule = Digit\nDIGIT = "0" / "1"',
+            expected: []
+        },
+        {
+            name: 'core rules count as defined when merged',
+            abnf: 'number = 1*DIGIT',
+            options: { coreRules: true },
+            expected: []
+        },
+        {
+            name: 'core rules are undefined without merging',
+            abnf: 'number = 1*DIGIT',
+            expected: [['undefined-reference', 'DIGIT', 1]]
+        },
+        {
+            name: 'unreachable rules from the first rule',
+            abnf: 'start = a\na = "x"\nb = c\nc = "y"',
+            expected: [
+                ['unreachable-rule', 'b', 3],
+                ['unreachable-rule', 'c', 4]
+            ]
+        },
+        {
+            name: 'explicit start rule',
+            abnf: 'start = a\na = "x"\nb = c\nc = "y"',
+            options: { startRule: 'b' },
+            expected: [
+                ['unreachable-rule', 'start', 1],
+                ['unreachable-rule', 'a', 2]
+            ]
+        },
+        {
+            name: 'duplicate definition at the second definition',
+            abnf: 'start = a\na = "x"\na = "y"',
+            expected: [['duplicate-definition', 'a', 3]]
+        },
+        {
+            name: 'incremental alternatives are not duplicates',
+            abnf: 'start = a\na = "x"\na =/ "y"',
+            expected: []
+        },
+        {
+            name: 'rule names that only differ in case',
+            abnf: 'start = value\nvalue = "x"\nVALUE = "y"',
+            expected: [
+                ['duplicate-definition', 'value', 3],
+                ['case-collision', 'value', 3]
+            ]
+        },
+        {
+            name: 'incremental alternative spelled differently',
+            abnf: 'start = value\nvalue = "x"\nValue =/ "y"',
+            expected: [['case-collision', 'value', 3]]
+        }
+    ];
+
+    testCases.forEach(({ name, abnf, options, expected }) => {
+        test(name, () => {
+            assert.deepStrictEqual(issuesOf(abnf, options), expected);
+        });
+    });
+
+    test('undefined reference lists position and referencing rules', () => {
+        const issues = analyzer.findUndefinedReferences(parser.parse('a = "x" missing\nb = missing'));
+        
+        assert.strictEqual(issues.length, 1);
+        assert.strictEqual(issues[0].severity, 'error');
+        assert.strictEqual(issues[0].column, 9);
+        assert.deepStrictEqual(issues[0].referencedBy, ['a', 'b']);
+    });
+
+    test('unreachable rules are warnings', () => {
+        const [issue] = analyzer.findUnreachableRules(parser.parse('a = "x"\nb = "y"'));
+        
+        assert.strictEqual(issue.severity, 'warning');
+        assert.strictEqual(issue.message, "Rule 'b' is not reachable from 'a'");
+    });
+
+    test('unknown start rule throws', () => {
+        assert.throws(
+            () => analyzer.analyze(parser.parse('a = "x"'), { startRule: 'nope' }),
+            /Start rule 'nope' is not defined/
+        );
+    });
+
+    test('parser keeps replaced definitions of duplicate rules', () => {
+        const rule = parser.parse('a = "x"\na = "y"').get('a');
+        
+        assert.deepStrictEqual(rule.definitions.map(d => d.line), [1, 2]);
+        assert.strictEqual(rule.original, '"y"');
+    });
+
+    test('incremental alternatives after a duplicate extend the last definition', () => {
+        const rule = parser.parse('a = "x"\na = "y"\na =/ "z"').get('a');
+        
+        assert.strictEqual(rule.original, '"y" ; line 2\n=/ "z" ; line 3');
+        assert.strictEqual(rule.definitions.length, 3);
+    });
+});
+
+describe('Reference Index', () => {
+    const testCases = [
+        {
+            name: 'references and referencing rules',
+            abnf: 'list = item *( sep item )\nitem = "x"\nsep = ","',
+            expected: {
+                list: [['item', 'sep'], [], []],
+                item: [[], ['list'], []],
+                sep: [[], ['list'], []]
+            }
+        },
+        {
+            name: 'spellings resolve to the defining name',
+            abnf: 'a = B b\nb = "x"',
+            expected: {
+                a: [['b'], [], []],
+                b: [[], ['a'], []]
+            }
+        },
+        {
+            name: 'recursive and undefined references',
+            abnf: 'expr = term / "(" expr ")"',
+            expected: {
+                expr: [['expr'], ['expr'], ['term']]
+            }
+        }
+    ];
+
+    testCases.forEach(({ name, abnf, expected }) => {
+        test(name, () => {
+            const index = analyzer.buildReferenceIndex(parser.parse(abnf));
+            const actual = Object.fromEntries(Array.from(index, ([rule, entry]) =>
+                [rule, [entry.references, entry.referencedBy, entry.undefinedReferences]]));
+            
+            assert.deepStrictEqual(actual, expected);
+        });
+    });
+});
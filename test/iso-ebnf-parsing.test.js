@@ -0,0 +1,155 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ISOEBNFParser = require('../src/iso-ebnf-parser');
+const { EBNFParseError } = require('../src/ebnf-parser');
+const { TextRenderer } = require('../src/text-renderer');
+const ABNFToRailroad = require('../src/main');
+const {
+    TerminalNode,
+    NonterminalNode,
+    ProseNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode,
+    ExceptionNode
+} = require('../src/ast-node');
+
+/**
+ * Tests for ISO 14977 EBNF text → ASTNode transformation
+ */
+
+const terminal = (text) => new TerminalNode(text);
+const nonterminal = (name) => new NonterminalNode(name);
+const prose = (text) => new ProseNode(text);
+const sequence = (children) => new SequenceNode(children);
+const alternation = (children) => new AlternationNode(children);
+const optional = (child) => new OptionalNode(child);
+const repetition = (min, max, child) => new RepetitionNode(min, max, child);
+const exception = (child, excluded) => new ExceptionNode(child, excluded);
+
+const parser = new ISOEBNFParser();
+
+describe('ISO EBNF Parser: Expressions', () => {
+    const cases = [
+        ['rule = "a";', terminal('"a"'), 'double-quoted terminal'],
+        ["rule = 'a';", terminal("'a'"), 'single-quoted terminal'],
+        ['rule = other;', nonterminal('other'), 'meta identifier'],
+        ['rule = ? any character ?;', prose('any character'), 'special sequence'],
+        ['rule = a, b;', sequence([nonterminal('a'), nonterminal('b')]), 'concatenation'],
+        ['rule = a | b, c;', alternation([nonterminal('a'), sequence([nonterminal('b'), nonterminal('c')])]), 'alternation binds loosest'],
+        ['rule = a / b ! c;', alternation([nonterminal('a'), nonterminal('b'), nonterminal('c')]), 'alternative separators'],
+        ['rule = [a];', optional(nonterminal('a')), 'option'],
+        ['rule = (/a/);', optional(nonterminal('a')), 'alternative option brackets'],
+        ['rule = {a};', repetition(0, null, nonterminal('a')), 'repetition'],
+        ['rule = (:a:);', repetition(0, null, nonterminal('a')), 'alternative repetition brackets'],
+        ['rule = 3 * a;', repetition(3, 3, nonterminal('a')), 'counted repetition'],
+        ['rule = (a | b), c;', sequence([alternation([nonterminal('a'), nonterminal('b')]), nonterminal('c')]), 'group'],
+        ['rule = a - b, c;', sequence([exception(nonterminal('a'), nonterminal('b')), nonterminal('c')]), 'exception binds tighter than concatenation'],
+        ['rule = {a} - 2 * b;', exception(repetition(0, null, nonterminal('a')), repetition(2, 2, nonterminal('b'))), 'exception of repeated items'],
+        ['rule = a | ;', optional(nonterminal('a')), 'empty alternative'],
+        ['rule = a.', nonterminal('a'), 'period terminator']
+    ];
+
+    for (const [ebnf, expected, description] of cases) {
+        test(`${ebnf} (${description})`, () => {
+            assert.deepStrictEqual(parser.parse(ebnf).get('rule').expression, expected);
+        });
+    }
+});
+
+describe('ISO EBNF Parser: Rules', () => {
+    const grammar = [
+        '(* Digits *)',
+        'digit excluding zero = "1" | "2" | "3" ;',
+        'digit = "0"',
+        '      | digit  excluding zero ; (* any digit *)',
+        'natural number = digit excluding zero, { digit } ;'
+    ].join('\n');
+
+    test('meta identifiers may contain spaces', () => {
+        const rules = parser.parse(grammar);
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['digit excluding zero', 'digit', 'natural number']);
+        assert.deepStrictEqual(rules.get('digit').expression,
+            alternation([terminal('"0"'), nonterminal('digit excluding zero')]));
+    });
+
+    test('rules keep their source text, definitions and comments', () => {
+        const rules = parser.parse(grammar);
+
+        assert.strictEqual(rules.get('digit').original, '"0"\n      | digit  excluding zero');
+        assert.deepStrictEqual(rules.get('digit').definitions,
+            [{ name: 'digit', line: 3, text: '"0"\n      | digit  excluding zero', incremental: false }]);
+        assert.strictEqual(rules.get('digit excluding zero').doc, 'Digits');
+        assert.strictEqual(rules.get('digit').doc, 'any digit');
+        assert.strictEqual(rules.get('natural number').doc, null);
+    });
+
+    test('an empty definition is the empty sequence, drawn as a plain track', () => {
+        const rules = parser.parse('empty = ;\nrule = "a", empty ;');
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['empty', 'rule']);
+        assert.deepStrictEqual(rules.get('empty').expression, sequence([]));
+        assert.strictEqual(rules.get('empty').original, '');
+        assert.strictEqual(new TextRenderer().render(rules.get('empty').expression), '●───────────●');
+    });
+
+    test('nodes carry source spans', () => {
+        const { expression } = parser.parse('rule = a,  {"b"};').get('rule');
+
+        assert.deepStrictEqual(expression.span, { start: { line: 1, column: 8, offset: 7 }, end: { line: 1, column: 17, offset: 16 } });
+        assert.deepStrictEqual(expression.elements[1].span.start, { line: 1, column: 12, offset: 11 });
+    });
+});
+
+describe('ISO EBNF Parser: Errors', () => {
+    const content = [
+        'first = "a";',
+        'broken = ( "b";',
+        'twice = 2 a;',
+        'last = c;',
+        'unterminated = d'
+    ].join('\n');
+
+    test('throws on the first error by default', () => {
+        assert.throws(() => parser.parse(content), (error) => {
+            assert.ok(error instanceof EBNFParseError);
+            assert.match(error.message, /Missing closing parenthesis at line 2, column 10/);
+            return true;
+        });
+    });
+
+    test('collects every error and resumes after the next terminator', () => {
+        const errors = [];
+        const rules = parser.parse(content, { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['first', 'last']);
+        assert.deepStrictEqual(errors.map(error => [error.line, error.column]), [[2, 10], [3, 9], [5, 1]]);
+        assert.match(errors[1].message, /Expected '\*' after the repetition count 2/);
+        assert.match(errors[2].message, /Missing ';' at the end of rule 'unterminated'/);
+    });
+
+    test('concatenation needs a comma', () => {
+        assert.throws(() => parser.parse('rule = "a" "b";'), /Expected ',' or '\|' before string at line 1, column 12/);
+    });
+});
+
+describe('ISO EBNF Parser: Syntax Selection', () => {
+    test('.iso-ebnf files are read as ISO 14977 EBNF', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'iso-ebnf-'));
+        const isoFile = path.join(dir, 'grammar.iso-ebnf');
+        await fs.writeFile(isoFile, 'list = item, {",", item};\nitem = letter - "x";\nletter = ? a to z ?;\n');
+
+        try {
+            const layout = await new ABNFToRailroad().exportLayout(isoFile);
+            assert.deepStrictEqual(layout.rules.map(rule => rule.name), ['list', 'item', 'letter']);
+            assert.strictEqual(layout.rules[1].diagram.element.kind, 'exception');
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
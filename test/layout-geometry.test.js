@@ -0,0 +1,140 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { SVGRenderer } = require('../src/svg-renderer');
+const AbnfParser = require('../src/abnf-parser');
+const ABNFToRailroad = require('../src/main');
+
+/**
+ * Tests for the layout geometry export
+ */
+
+/**
+ * All elements of a geometry tree, depth first
+ * @param {Object} node - Geometry node
+ * @returns {Object[]} The node and its descendants
+ */
+function allNodes(node) {
+    return [node, ...node.children.flatMap(allNodes)];
+}
+
+describe('Layout Geometry', () => {
+    test('a terminal is laid out between the endpoints in grid units', () => {
+        const geometry = new SVGRenderer().renderGeometry({ type: 'terminal', text: 'x' });
+
+        assert.strictEqual(geometry.gridSize, 16);
+        assert.deepStrictEqual([geometry.width, geometry.height], [10, 4]);
+        assert.deepStrictEqual(geometry.endpoints, [{ x: 1, y: 2 }, { x: 9, y: 2 }]);
+        assert.deepStrictEqual(geometry.tracks.map(track => track.id), ['start-connection', 'end-connection']);
+
+        const { element } = geometry;
+        assert.deepStrictEqual(
+            [element.kind, element.role, element.x, element.y, element.width, element.height, element.baseline],
+            ['terminal', 'main-element', 3, 1, 4, 2, 1]);
+        assert.deepStrictEqual(element.box, { x: 4, y: 1, width: 2, height: 2, text: 'x', boxType: 'terminal', rule: null, href: null });
+        assert.deepStrictEqual(element.tracks[0].segments, [{ type: 'move', x: 3, y: 2 }, { type: 'line', x: 4, y: 2 }]);
+    });
+
+    test('nested elements have absolute positions, labels and tracks', () => {
+        const rules = new AbnfParser().parse('list = item 2*3("," item)\nitem = "i"\n');
+        const renderer = new SVGRenderer();
+        renderer.setRules(rules);
+        const { element } = renderer.renderGeometry(rules.get('list').expression);
+
+        assert.strictEqual(element.kind, 'sequence');
+        assert.deepStrictEqual(element.children.map(child => [child.kind, child.role]),
+            [['nonterminal', 'sequence-child'], ['loop', 'sequence-child']]);
+
+        const [item, loop] = element.children;
+        assert.deepStrictEqual(item.box.rule, 'item');
+        assert.strictEqual(item.box.href, '#item');
+        assert.ok(loop.x >= item.x + item.width);
+        assert.strictEqual(loop.y + loop.baseline, item.y + item.baseline);
+        assert.deepStrictEqual(loop.labels.map(label => label.text), ['2–3']);
+
+        // Every element's tracks start on its edges or inside it
+        for (const node of allNodes(element)) {
+            for (const track of node.tracks) {
+                const [start] = track.segments;
+                assert.ok(start.x >= node.x && start.x <= node.x + node.width, `${node.kind} ${track.id} starts outside`);
+                assert.ok(start.y >= node.y && start.y <= node.y + node.height, `${node.kind} ${track.id} starts outside`);
+            }
+        }
+    });
+
+    test('an exception draws the excluded element below the track under a label', () => {
+        const geometry = new SVGRenderer().renderGeometry({
+            type: 'exception',
+            elements: [{ type: 'terminal', text: 'x' }, { type: 'nonterminal', text: 'keyword' }]
+        });
+        const { element } = geometry;
+        const [base, excluded] = element.children;
+
+        assert.strictEqual(element.kind, 'exception');
+        assert.deepStrictEqual(element.children.map(child => [child.kind, child.role]),
+            [['terminal', 'exception-base'], ['nonterminal', 'exception-excluded']]);
+        assert.strictEqual(element.baseline, base.baseline);
+        assert.deepStrictEqual(element.labels.map(label => label.text), ['except']);
+        assert.ok(excluded.y > base.y + base.height);
+        assert.deepStrictEqual(element.tracks.map(track => track.id), ['through-left', 'through-right']);
+    });
+
+    test('an ordered choice numbers its branches', () => {
+        const alternation = { type: 'alternation', elements: [{ type: 'terminal', text: 'a' }, { type: 'terminal', text: 'b' }] };
+        const unordered = new SVGRenderer().renderGeometry(alternation).element;
+        const ordered = new SVGRenderer().renderGeometry({ ...alternation, ordered: true }).element;
+
+        assert.deepStrictEqual(unordered.labels, []);
+        assert.deepStrictEqual(ordered.labels.map(label => label.text), ['1', '2']);
+        assert.strictEqual(ordered.width, unordered.width + 2);
+        assert.ok(ordered.labels.every((label, i) => label.x < ordered.children[i].x && label.y < ordered.children[i].y + ordered.children[i].baseline));
+    });
+
+    test('arcs record the corner they round off', () => {
+        const geometry = new SVGRenderer().renderGeometry({ type: 'optional', elements: [{ type: 'terminal', text: 'x' }] });
+        const arcs = allNodes(geometry.element).flatMap(node => node.tracks).flatMap(track => track.segments)
+            .filter(segment => segment.type === 'arc');
+
+        assert.ok(arcs.length > 0);
+        for (const arc of arcs) {
+            assert.strictEqual(arc.radius, 1);
+            assert.strictEqual(Math.abs(arc.x - arc.cornerX) + Math.abs(arc.y - arc.cornerY), 1);
+        }
+    });
+
+    test('exportLayout returns the selected rules in grammar order', async () => {
+        const inputFile = path.join(__dirname, '..', 'examples', 'calculator.abnf');
+        const layout = await new ABNFToRailroad().exportLayout(inputFile, { rules: ['factor', 'EXPRESSION'] });
+
+        assert.strictEqual(layout.version, 1);
+        assert.deepStrictEqual(layout.rules.map(rule => rule.name), ['expression', 'factor']);
+        assert.strictEqual(layout.rules[1].diagram.element.kind, 'stack');
+        assert.doesNotThrow(() => JSON.parse(JSON.stringify(layout)));
+
+        await assert.rejects(new ABNFToRailroad().exportLayout(inputFile, { rules: ['nope'] }), /Rule 'nope' is not defined/);
+    });
+
+    test('exportLayout of the examples matches the kinds, roles and integer positions of the schema', async () => {
+        const schema = await fs.readJson(path.join(__dirname, '..', 'assets', 'layout-geometry.schema.json'));
+        const { kind, role } = schema.$defs.element.properties;
+        const examplesDir = path.join(__dirname, '..', 'examples');
+        const examples = (await fs.readdir(examplesDir)).filter(file => file.endsWith('.abnf'));
+        assert.ok(examples.length > 0);
+
+        for (const example of examples) {
+            const layout = await new ABNFToRailroad().exportLayout(path.join(examplesDir, example));
+            for (const { name, diagram } of layout.rules) {
+                assert.ok(Number.isInteger(diagram.width) && Number.isInteger(diagram.height), `${example} ${name}: diagram size`);
+                for (const node of allNodes(diagram.element)) {
+                    const where = `${example} ${name}: ${node.kind} ${node.role}`;
+                    assert.ok(kind.enum.includes(node.kind), `${where}: kind not in the schema`);
+                    assert.ok(role.enum.includes(node.role), `${where}: role not in the schema`);
+                    for (const property of ['x', 'y', 'width', 'height', 'baseline']) {
+                        assert.ok(Number.isInteger(node[property]), `${where}: ${property} ${node[property]} is not an integer`);
+                    }
+                }
+            }
+        }
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ABNFParser = require('../src/abnf-parser');
+const { SVGRenderer } = require('../src/svg-renderer');
+const { ruleId, defaultLinkResolver, createLinkResolver } = require('../src/rule-links');
+
+const parser = new ABNFParser();
+
+/**
+ * Render a rule of the grammar with the given renderer config and return the link targets
+ */
+function linksOf(abnf, ruleName, config = {}) {
+    const rules = parser.parse(abnf);
+    const renderer = new SVGRenderer(config);
+    renderer.setRules(rules);
+    
+    const svg = renderer.render(rules.get(ruleName).expression);
+    return Array.from(svg.matchAll(/<a href="([^"]*)" class="rule-link">/g), match => match[1]);
+}
+
+describe('Nonterminal Links', () => {
+    test('ruleId matches the anchor id scheme', () => {
+        assert.strictEqual(ruleId('rule-name_1'), 'rule-name_1');
+        assert.strictEqual(ruleId('odata.rule'), 'odata_rule');
+    });
+
+    test('references to rules of the grammar link to their anchors', () => {
+        const links = linksOf('greeting = hello name\nhello = "hi"\nname = "x"', 'greeting');
+        
+        assert.deepStrictEqual(links, ['#hello', '#name']);
+    });
+
+    test('links use the defining spelling of the rule', () => {
+        assert.deepStrictEqual(linksOf('rule = digit\nDIGIT = "0"', 'rule'), ['#DIGIT']);
+    });
+
+    test('undefined references are not linked by default', () => {
+        assert.deepStrictEqual(linksOf('rule = known unknown\nknown = "k"', 'rule'), ['#known']);
+    });
+
+    test('terminals are never linked', () => {
+        assert.deepStrictEqual(linksOf('rule = "a" / %x41', 'rule'), []);
+    });
+
+    test('external links resolve references the grammar does not define', () => {
+        const linkResolver = createLinkResolver({ 'URI-reference': 'https://www.rfc-editor.org/rfc/rfc3986#section-4.1' });
+        const links = linksOf('rule = uri-reference local\nlocal = "x"', 'rule', { linkResolver });
+        
+        assert.deepStrictEqual(links, ['https://www.rfc-editor.org/rfc/rfc3986#section-4.1', '#local']);
+    });
+
+    test('custom resolvers receive the referenced rule', () => {
+        const linkResolver = (ruleName, rule) => `other.html#${ruleName}${rule ? '' : '-missing'}`;
+        
+        assert.deepStrictEqual(linksOf('rule = a b\na = "x"', 'rule', { linkResolver }), ['other.html#a', 'other.html#b-missing']);
+    });
+
+    test('a null resolver disables links', () => {
+        assert.deepStrictEqual(linksOf('rule = a\na = "x"', 'rule', { linkResolver: null }), []);
+    });
+
+    test('link targets are escaped', () => {
+        const linkResolver = createLinkResolver({ x: 'page.html?a=1&b="2"' });
+        
+        assert.deepStrictEqual(linksOf('rule = x', 'rule', { linkResolver }), ['page.html?a=1&amp;b=&quot;2&quot;']);
+    });
+
+    test('default resolver needs the rule', () => {
+        assert.strictEqual(defaultLinkResolver('x', null), null);
+        assert.strictEqual(defaultLinkResolver('x', { name: 'X' }), '#X');
+    });
+});
@@ -0,0 +1,172 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const PeggyParser = require('../src/peggy-parser');
+const { EBNFParseError } = require('../src/ebnf-parser');
+const GrammarAnalyzer = require('../src/grammar-analyzer');
+const ABNFToRailroad = require('../src/main');
+const {
+    TerminalNode,
+    NonterminalNode,
+    SequenceNode,
+    AlternationNode,
+    OptionalNode,
+    RepetitionNode
+} = require('../src/ast-node');
+
+/**
+ * Tests for peggy grammar text → ASTNode transformation
+ */
+
+const terminal = (text) => new TerminalNode(text);
+const nonterminal = (name) => new NonterminalNode(name);
+const sequence = (children) => new SequenceNode(children);
+const choice = (children) => new AlternationNode(children, true);
+const optional = (child) => new OptionalNode(child);
+const repetition = (min, max, child) => new RepetitionNode(min, max, child);
+
+const parser = new PeggyParser();
+
+describe('Peggy Parser: Expressions', () => {
+    const cases = [
+        ['rule = "a"', terminal('"a"'), 'double-quoted literal'],
+        ["rule = 'a'", terminal("'a'"), 'single-quoted literal'],
+        ['rule = "select"i', terminal('"select"i'), 'case-insensitive literal'],
+        ['rule = [a-z_]i', terminal('[a-z_]i'), 'character class'],
+        ['rule = .', terminal('.'), 'any character'],
+        ['rule = other', nonterminal('other'), 'rule reference'],
+        ['rule = a b', sequence([nonterminal('a'), nonterminal('b')]), 'sequence'],
+        ['rule = a / b c', choice([nonterminal('a'), sequence([nonterminal('b'), nonterminal('c')])]), 'ordered choice binds loosest'],
+        ['rule = a? b* c+', sequence([optional(nonterminal('a')), repetition(0, null, nonterminal('b')), repetition(1, null, nonterminal('c'))]), 'suffixes'],
+        ['rule = (a / "b")+ c', sequence([repetition(1, null, choice([nonterminal('a'), terminal('"b"')])), nonterminal('c')]), 'group'],
+        ['rule = a|3|', repetition(3, 3, nonterminal('a')), 'exact repetition'],
+        ['rule = a|2..|', repetition(2, null, nonterminal('a')), 'minimum repetition'],
+        ['rule = a|..4|', repetition(0, 4, nonterminal('a')), 'maximum repetition'],
+        ['rule = a|{count}|', repetition(0, null, nonterminal('a')), 'repetition bounded by code'],
+        ['rule = a|1.., "," _|', sequence([nonterminal('a'), repetition(0, null, sequence([terminal('","'), nonterminal('_'), nonterminal('a')]))]), 'delimited repetition'],
+        ['rule = a|.., ","|', optional(sequence([nonterminal('a'), repetition(0, null, sequence([terminal('","'), nonterminal('a')]))])), 'delimited repetition that may be empty'],
+        ['rule = head:a tail:(@b)* { return [head, ...tail]; }', sequence([nonterminal('a'), repetition(0, null, nonterminal('b'))]), 'labels, plucks and actions'],
+        ['rule = $([0-9]+ "." [0-9]*)', sequence([repetition(1, null, terminal('[0-9]')), terminal('"."'), repetition(0, null, terminal('[0-9]'))]), 'text operator'],
+        ['rule = !"*/" .', sequence([terminal('!"*/"'), terminal('.')]), 'negative lookahead'],
+        ['rule = &(a / b) c', sequence([terminal('&(a / b)'), nonterminal('c')]), 'positive lookahead of a group'],
+        ['rule = &{ return ok; } a', nonterminal('a'), 'semantic predicate'],
+        ['rule = a { if (x) { if (y) { if (z) { return {}; } } } }', nonterminal('a'), 'deeply nested action'],
+        ['rule = a { /* { */ return "}" + \'{\' + `}`; // }\n}', nonterminal('a'), 'braces in strings and comments of actions']
+    ];
+
+    for (const [peggy, expected, description] of cases) {
+        test(`${peggy} (${description})`, () => {
+            assert.deepStrictEqual(parser.parse(peggy).get('rule').expression, expected);
+        });
+    }
+});
+
+describe('Peggy Parser: Grammars', () => {
+    const grammar = [
+        '{{ const keywords = new Set(); }}',
+        '{ const depth = 0; }',
+        '',
+        '// Comma separated integers',
+        'List = head:Integer tail:("," @Integer)*',
+        '',
+        'Integer "integer"',
+        '  = digits:[0-9]+ { return parseInt(digits.join(""), 10); };',
+        '_ = [ \\t]*'
+    ].join('\n');
+
+    test('initializers are skipped and rules end at the next rule', () => {
+        const rules = parser.parse(grammar);
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['List', 'Integer', '_']);
+        assert.deepStrictEqual(rules.get('List').expression,
+            sequence([nonterminal('Integer'), repetition(0, null, sequence([terminal('","'), nonterminal('Integer')]))]));
+    });
+
+    test('rules keep their source text, and comments or the display name describe them', () => {
+        const rules = parser.parse(grammar);
+
+        assert.strictEqual(rules.get('Integer').original, 'digits:[0-9]+ { return parseInt(digits.join(""), 10); }');
+        assert.deepStrictEqual(rules.get('List').definitions,
+            [{ name: 'List', line: 5, text: 'head:Integer tail:("," @Integer)*', incremental: false }]);
+        assert.strictEqual(rules.get('List').doc, 'Comma separated integers');
+        assert.strictEqual(rules.get('Integer').doc, 'integer');
+        assert.strictEqual(rules.get('_').doc, null);
+    });
+
+    test('imports are skipped', () => {
+        const rules = parser.parse('import { Integer, Name as Id } from "./lib.js";\nimport Base from \'./base.js\'\nPair = Id "=" Integer');
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['Pair']);
+        assert.deepStrictEqual(rules.get('Pair').expression, sequence([nonterminal('Id'), terminal('"="'), nonterminal('Integer')]));
+    });
+
+    test('rule names that differ only in case are different rules', () => {
+        const rules = parser.parse('Foo = foo "!"\nfoo = "f"');
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['Foo', 'foo']);
+        assert.deepStrictEqual(rules.get('foo').expression, terminal('"f"'));
+        assert.deepStrictEqual(new GrammarAnalyzer().analyze(rules), []);
+    });
+});
+
+describe('Peggy Parser: Errors', () => {
+    const content = [
+        'first = "a"',
+        'broken = ( "b"',
+        'empty = "c" / / "d"',
+        'last = c'
+    ].join('\n');
+
+    test('throws on the first error by default', () => {
+        assert.throws(() => parser.parse(content), (error) => {
+            assert.ok(error instanceof EBNFParseError);
+            assert.match(error.message, /Missing closing parenthesis at line 2, column 10/);
+            return true;
+        });
+    });
+
+    test('collects every error and resumes at the next rule', () => {
+        const errors = [];
+        const rules = parser.parse(content, { errors });
+
+        assert.deepStrictEqual(Array.from(rules.keys()), ['first', 'last']);
+        assert.deepStrictEqual(errors.map(error => [error.line, error.column]), [[2, 10], [3, 15]]);
+        assert.match(errors[1].message, /Empty expression/);
+    });
+
+    test('text outside rule definitions is reported', () => {
+        const errors = [];
+        parser.parse('"stray"\nrule = "y"', { errors });
+
+        assert.deepStrictEqual(errors.map(error => error.message), ["Expected a rule definition 'name = ...' at line 1, column 1 (token: string '\"stray\"')"]);
+    });
+
+    test('an import without a module name is reported', () => {
+        const errors = [];
+        parser.parse('import { a }', { errors });
+
+        assert.deepStrictEqual(errors.map(error => error.message), [`Expected the module name of an import 'import ... from "module"' at line 1, column 1 (token: identifier 'import')`]);
+    });
+});
+
+describe('Peggy Parser: Syntax Selection', () => {
+    test('.peggy and .pegjs files are read as peggy grammars with numbered choices', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'peggy-'));
+        const grammar = 'Value = Number / "null"\nNumber = [0-9]+\n';
+
+        try {
+            for (const extension of ['.peggy', '.pegjs']) {
+                const file = path.join(dir, `grammar${extension}`);
+                await fs.writeFile(file, grammar);
+
+                const layout = await new ABNFToRailroad().exportLayout(file);
+                assert.deepStrictEqual(layout.rules.map(rule => rule.name), ['Value', 'Number']);
+                assert.deepStrictEqual(layout.rules[0].diagram.element.labels.map(label => label.text), ['1', '2']);
+            }
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
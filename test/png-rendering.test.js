@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CanvasRenderContext = require('../src/canvas-render-context');
+const { SVGRenderer } = require('../src/svg-renderer');
+const { Direction } = require('../src/track-builder');
+const ABNFToRailroad = require('../src/main');
+
+/**
+ * Tests for raster output: drawing through CanvasRenderContext and PNG encoding
+ */
+
+const config = new SVGRenderer().config;
+
+/** @type {boolean} Whether the optional canvas package is installed */
+const canvasAvailable = (() => {
+    try {
+        require('canvas');
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+/**
+ * Minimal 2D context recording the drawing calls that matter for geometry
+ */
+function recordingContext() {
+    const calls = [];
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    return {
+        calls,
+        beginPath() {}, closePath() {}, fill() {}, stroke() {}, setLineDash() {}, save() {}, restore() {},
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        arcTo: record('arcTo'),
+        arc: record('arc'),
+        translate: record('translate'),
+        fillText: record('fillText')
+    };
+}
+
+describe('PNG Rendering', () => {
+    test('tracks are drawn with quarter arcs around the turn corners', () => {
+        const canvasContext = recordingContext();
+        const ctx = new CanvasRenderContext(canvasContext, config);
+        
+        ctx.trackBuilder.start(0, 1, Direction.EAST).forward(2).turnRight().forward(1).finish('test');
+        
+        assert.deepStrictEqual(canvasContext.calls, [
+            ['moveTo', 0, 16],
+            ['lineTo', 32, 16],
+            ['arcTo', 48, 16, 48, 32, 16],
+            ['lineTo', 48, 48]
+        ]);
+    });
+
+    test('text boxes, labels and endpoints are drawn at SVG positions', () => {
+        const canvasContext = recordingContext();
+        const ctx = new CanvasRenderContext(canvasContext, config);
+        
+        ctx.addEndpoint(1, 2);
+        ctx.addLabel(3, 0.5, '2–8');
+        ctx.addTextBox(0, 0, 6, '"a"', 'terminal');
+        
+        assert.deepStrictEqual(canvasContext.calls.filter(([name]) => name === 'arc' || name === 'fillText'), [
+            ['arc', 16, 32, config.endpointRadius, 0, 2 * Math.PI],
+            ['fillText', '2–8', 48, 8],
+            ['fillText', '"a"', 48, 16]
+        ]);
+    });
+
+    test('renderPNG encodes an image of the SVG size times the scale', { skip: !canvasAvailable && 'canvas is not installed' }, () => {
+        const renderer = new SVGRenderer();
+        const diagram = { type: 'sequence', elements: [{ type: 'terminal', text: 'a' }, { type: 'nonterminal', text: 'b' }] };
+        const svgWidth = Number(renderer.render(diagram).match(/width="(\d+)"/)[1]);
+        
+        const png = renderer.renderPNG(diagram, { scale: 2 });
+        
+        assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        assert.strictEqual(png.readUInt32BE(16), svgWidth * 2); // IHDR width
+    });
+
+    test('exportPngFiles writes images at scale 2 by default', { skip: !canvasAvailable && 'canvas is not installed' }, async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'abnf-png-'));
+        const inputFile = path.join(dir, 'grammar.abnf');
+        await fs.writeFile(inputFile, 'rule = "a" b\nb = "c"\n');
+        
+        try {
+            const [result] = await new ABNFToRailroad().exportPngFiles(inputFile, dir, { rules: ['rule'] });
+            const svgWidth = Number(new SVGRenderer().render({ type: 'sequence', elements: [{ type: 'terminal', text: '"a"' }, { type: 'nonterminal', text: 'b' }] })
+                .match(/width="(\d+)"/)[1]);
+            
+            assert.strictEqual((await fs.readFile(result.file)).readUInt32BE(16), svgWidth * 2);
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
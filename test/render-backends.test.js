@@ -0,0 +1,93 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const RenderContext = require('../src/render-context');
+const SVGRenderContext = require('../src/svg-render-context');
+const { SVGRenderer } = require('../src/svg-renderer');
+const { Direction } = require('../src/track-builder');
+
+/**
+ * Tests for the drawing interface of RenderContext and its SVG backend
+ */
+
+/**
+ * Backend recording the drawing primitives it is called with
+ */
+class RecordingRenderContext extends RenderContext {
+    constructor(gridSize) {
+        super(gridSize);
+        this.calls = [];
+    }
+
+    drawTextBox(box) {
+        this.calls.push(['textBox', box.x, box.y, box.width, box.height, box.text, box.boxType, box.href]);
+    }
+
+    drawLabel(x, y, text) {
+        this.calls.push(['label', x, y, text]);
+    }
+
+    drawEndpoint(x, y) {
+        this.calls.push(['endpoint', x, y]);
+    }
+
+    drawPath(segments, metadata) {
+        this.calls.push(['path', metadata.id, segments.map(segment => `${segment.type} ${segment.x},${segment.y}`).join(' ')]);
+    }
+
+    beginGroup(metadata) {
+        this.calls.push(['begin', metadata.x, metadata.y, metadata.className, metadata.data]);
+    }
+
+    endGroup() {
+        this.calls.push(['end']);
+    }
+}
+
+describe('Render Backends', () => {
+    test('diagrams render through the drawing primitives in pixels', () => {
+        const renderer = new SVGRenderer({ linkResolver: null });
+        const { ctx } = renderer._renderDiagram({ type: 'nonterminal', text: 'rule' }, () => new RecordingRenderContext(16));
+
+        assert.deepStrictEqual(ctx.calls, [
+            ['endpoint', 16, 32],
+            ['begin', 48, 16, 'main-element', {}],
+            ['begin', undefined, undefined, 'textbox-expression', { type: 'nonterminal', text: 'rule', rule: 'rule' }],
+            ['textBox', 16, 0, 64, 32, 'rule', 'nonterminal', null],
+            ['path', 'textbox-left', 'move 0,16 line 16,16'],
+            ['path', 'textbox-right', 'move 80,16 line 96,16'],
+            ['end'],
+            ['end'],
+            ['endpoint', 176, 32],
+            ['path', 'start-connection', 'move 16,32 line 48,32'],
+            ['path', 'end-connection', 'move 144,32 line 176,32']
+        ]);
+    });
+
+    test('link targets reach the backend with the text box', () => {
+        const ctx = new RecordingRenderContext(16);
+        ctx.linkResolver = (ruleName) => `#${ruleName}`;
+        ctx.addTextBox(0, 0, 6, 'term', 'nonterminal', 'term');
+
+        assert.deepStrictEqual(ctx.calls[1], ['textBox', 16, 0, 64, 32, 'term', 'nonterminal', '#term']);
+    });
+
+    test('backends must implement the drawing primitives', () => {
+        const ctx = new RenderContext(16);
+        assert.throws(() => ctx.addEndpoint(1, 1), /RenderContext does not implement drawEndpoint/);
+    });
+
+    test('SVG arcs sweep clockwise on right turns and counter-clockwise on left turns', () => {
+        const ctx = new SVGRenderContext(16);
+        ctx.trackBuilder.start(0, 1, Direction.EAST).forward(1).turnRight().turnLeft().finish('turns');
+
+        assert.strictEqual(ctx.svg, '<path d="M 0 16 L 16 16 A 16 16 0 0 1 32 32 A 16 16 0 0 0 48 48" class="track"'
+            + ' data-id="turns" data-seq="start(0, 1, east) forward(1) turnRight() turnLeft()"/>');
+    });
+
+    test('each track is drawn once', () => {
+        const svg = new SVGRenderer().render({ type: 'terminal', text: 'x' });
+        const ids = [...svg.matchAll(/data-id="([^"]+)"/g)].map(match => match[1]);
+
+        assert.deepStrictEqual(ids, ['textbox-left', 'textbox-right', 'start-connection', 'end-connection']);
+    });
+});
@@ -73,4 +73,46 @@ test('Repetition vs simple nonterminal rendering', () => {
     const fourWidth = parseInt(fourSvg.match(/width="(\d+)"/)[1]);
     
     assert.ok(fourWidth > simpleWidth, '4ALPHA diagram should be wider than ALPHA diagram');
-});
\ No newline at end of file
+});
+test('Repetition rendering - Bounded repetitions are annotated', () => {
+    const parser = new ABNFParser();
+    const renderer = new SVGRenderer();
+    
+    const testCases = [
+        { rule: 'UPTO = *3ALPHA', label: 'max 3 times' },
+        { rule: 'ONETO = 1*4ALPHA', label: 'max 4 times' },
+        { rule: 'RANGE = 2*8ALPHA', label: '2–8' }
+    ];
+    
+    testCases.forEach(testCase => {
+        const ruleName = testCase.rule.split(' ')[0];
+        const svg = renderer.render(parser.parse(testCase.rule).get(ruleName).expression);
+        
+        const labels = (svg.match(/<text[^>]*class="repetition-label"[^>]*>([^<]*)<\/text>/g) || []);
+        assert.strictEqual(labels.length, 1, `${ruleName} should have one label`);
+        assert.ok(labels[0].includes(`>${testCase.label}<`), `${ruleName} label should be "${testCase.label}"`);
+        assert.strictEqual((svg.match(/<text[^>]*>ALPHA<\/text>/g) || []).length, 1, `${ruleName} draws ALPHA once`);
+    });
+});
+
+test('Repetition rendering - Exact counts as a single labelled box', () => {
+    const parser = new ABNFParser();
+    const renderer = new SVGRenderer({ exactRepetitions: 'count' });
+    
+    const svg = renderer.render(parser.parse('GUID = 8HEXDIG').get('GUID').expression);
+    
+    assert.strictEqual((svg.match(/<text[^>]*>HEXDIG<\/text>/g) || []).length, 1);
+    assert.ok(svg.includes('class="repetition-label">×8</text>'));
+});
+
+test('Repetition rendering - Separated list draws item and separator once', () => {
+    const parser = new ABNFParser();
+    const renderer = new SVGRenderer();
+    
+    const svg = renderer.render(parser.parse('list = item *( "," item )').get('list').expression);
+    
+    assert.strictEqual((svg.match(/<text[^>]*>item<\/text>/g) || []).length, 1);
+    assert.strictEqual((svg.match(/class="loop-separator"/g) || []).length, 1);
+    assert.ok(svg.includes('data-id="loop-path-left"'));
+    assert.ok(svg.includes('data-id="loop-path-right"'));
+});
@@ -2,13 +2,15 @@ const { describe, test } = require('node:test');
 const assert = require('node:assert');
 const ABNFParser = require('../src/abnf-parser');
 const ASTTransformer = require('../src/ast-transformer');
-const { TerminalElement, NonterminalElement, SequenceElement, LoopElement, BypassElement, StackElement, LayoutElement } = require('../src/elements');
+const { NonterminalNode, TerminalNode, SequenceNode, AlternationNode, RepetitionNode } = require('../src/ast-node');
+const { TerminalElement, NonterminalElement, SequenceElement, LoopElement, RepeatElement, BypassElement, StackElement, LayoutElement } = require('../src/elements');
 
 // Test helper functions to create layout elements from string descriptions
 function terminal(text) { return new TerminalElement(text); }
 function nonterminal(text) { return new NonterminalElement(text); }
 function sequence(...children) { return new SequenceElement(children); }
-function loop(child) { return new LoopElement(child); }
+function loop(child, label, separator) { return new LoopElement(child, label, separator); }
+function repeat(child, count) { return new RepeatElement(child, count); }
 function bypass(child) { return new BypassElement(child); }
 function stack(...children) { return new StackElement(children); }
 
@@ -47,16 +49,15 @@ const testCases = [
     // no lower bound
     ['*0X', 'sequence()',                                           'up to zero (nothing'],
     ['*1X', 'bypass(nonterminal("X"))',                             'up to 1 (optional)'],
-    ['*2X', 'bypass(loop(nonterminal("X")))',                       'up to 2 but actually no upper bound'],
+    ['*2X', 'bypass(loop(nonterminal("X"), "max 2 times"))',       'up to 2'],
     
     
     // lower and upper bounds 
-    // ['2*3X', 'loop(nonterminal("X"))', 'range 2-3'],
-    ['2*3X', 'sequence(nonterminal("X"), loop(nonterminal("X")))', 'range 2-3 but actually 2-*'],
-    
-    // ['1*4X', 'loop(nonterminal("X"))', 'range 1-4'],     
-    // ['0*1X', 'bypass(nonterminal("X"))', 'equivalent to *1X'],
-    // ['0*X', 'loop(nonterminal("X"))', 'equivalent to *X'],
+    ['2*3X', 'loop(nonterminal("X"), "2–3")',                       'range 2-3'],
+    ['1*4X', 'loop(nonterminal("X"), "max 4 times")',               'range 1-4'],
+    ['2*8X', 'loop(nonterminal("X"), "2–8")',                       'range 2-8'],
+    ['0*1X', 'bypass(nonterminal("X"))',                            'equivalent to *1X'],
+    ['0*3X', 'bypass(loop(nonterminal("X"), "max 3 times"))',       'equivalent to *3X'],
        
 ];
 
@@ -78,4 +79,64 @@ describe('Transformer Layer: AST Nodes → Layout Elements', () => {
             });
         });
     });
-});
\ No newline at end of file
+});
+describe('Transformer Layer: Exact Repetitions as Counts', () => {
+    const parser = new ABNFParser();
+    const transformer = new ASTTransformer(null, { exactRepetitions: 'count' });
+
+    [
+        ['8X', 'repeat(nonterminal("X"), 8)', 'exactly 8 drawn once'],
+        ['1X', 'nonterminal("X")',             'exactly one stays a plain box'],
+        ['2*8X', 'loop(nonterminal("X"), "2–8")', 'ranges are unaffected']
+    ].forEach(([abnfPattern, expectedLayoutDesc, description]) => {
+        test(`${abnfPattern} (${description})`, () => {
+            const rule = parser.parse(`rule = ${abnfPattern}`).get('rule');
+            
+            const actualLayout = transformer.transform(rule.expression);
+            
+            assert.strictEqual(actualLayout.toString(), expectLayout(expectedLayoutDesc).toString());
+        });
+    });
+});
+
+describe('Transformer Layer: Separated Lists', () => {
+    const parser = new ABNFParser();
+    const transformer = new ASTTransformer();
+
+    [
+        ['item *( "," item )', 'loop(nonterminal("item"), null, terminal("\\",\\""))', 'comma separated list'],
+        ['"[" item *( "," item ) "]"', 'sequence(terminal("\\"[\\""), loop(nonterminal("item"), null, terminal("\\",\\"")), terminal("\\"]\\""))', 'list inside a sequence'],
+        ['item *( OWS "," OWS item )', 'loop(nonterminal("item"), null, sequence(nonterminal("OWS"), terminal("\\",\\""), nonterminal("OWS")))', 'separator sequence (reversed for right to left)'],
+        ['elem *( "," ELEM )', 'loop(nonterminal("elem"), null, terminal("\\",\\""))', 'rule names match case-insensitively'],
+        ['item *( "," other )', 'sequence(nonterminal("item"), bypass(loop(sequence(terminal("\\",\\""), nonterminal("other")))))', 'different item is not a list'],
+        ['item 1*( "," item )', 'sequence(nonterminal("item"), loop(sequence(terminal("\\",\\""), nonterminal("item"))))', 'one or more repetitions are not rewritten']
+    ].forEach(([abnfPattern, expectedLayoutDesc, description]) => {
+        test(`${abnfPattern} (${description})`, () => {
+            const rule = parser.parse(`rule = ${abnfPattern}`).get('rule');
+            
+            const actualLayout = transformer.transform(rule.expression);
+            
+            assert.strictEqual(actualLayout.toString(), expectLayout(expectedLayoutDesc).toString());
+        });
+    });
+
+    test('multi-element separators are reversed along the return track', () => {
+        const rule = parser.parse('rule = item *( "," ";" item )').get('rule');
+        
+        const loop = transformer.transform(rule.expression);
+        
+        assert.deepStrictEqual(loop.separator.children.map(child => child.text), ['";"', '","']);
+    });
+
+    test('an ordered choice does not match an unordered one', () => {
+        const choice = (ordered) => new AlternationNode([new NonterminalNode('a'), new NonterminalNode('b')], ordered);
+        const expression = new SequenceNode([
+            choice(true),
+            new RepetitionNode(0, null, new SequenceNode([new TerminalNode('","'), choice(false)]))
+        ]);
+
+        assert.strictEqual(transformer.transform(expression).constructor.name, 'SequenceElement');
+        assert.strictEqual(transformer.transform(new SequenceNode([choice(true), new RepetitionNode(0, null,
+            new SequenceNode([new TerminalNode('","'), choice(true)]))])).constructor.name, 'LoopElement');
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ABNFParser = require('../src/abnf-parser');
+const HTMLGenerator = require('../src/html-generator');
+
+/**
+ * Tests for the "Referenced by" / "References" lists in generated HTML
+ */
+
+const parser = new ABNFParser();
+const generator = new HTMLGenerator();
+
+/**
+ * Parse ABNF into enriched rules with placeholder diagrams
+ */
+const enrich = (abnf, options = {}) => new Map(Array.from(parser.parse(abnf, options), ([name, rule]) => [name, {
+    name: rule.name,
+    original: rule.original,
+    expression: rule.expression,
+    svg: '<svg></svg>',
+    debugString: '',
+    core: rule.core === true
+}]));
+
+describe('Rule Cross-References', () => {
+    test('cross-references link to rule anchors', () => {
+        const crossReferences = generator.buildCrossReferences(enrich('list = Item *( "," item )\nitem = elem\nelem = "x"'));
+        
+        assert.deepStrictEqual(crossReferences.get('item'), {
+            references: [{ name: 'elem', id: 'elem' }],
+            referencedBy: [{ name: 'list', id: 'list' }]
+        });
+    });
+
+    test('undefined rules and left-out core rules are not linked', () => {
+        const rules = enrich('num = 1*DIGIT missing', { coreRules: true });
+        
+        assert.deepStrictEqual(generator.buildCrossReferences(rules, 'none').get('num').references, [
+            { name: 'DIGIT', id: null },
+            { name: 'missing', id: null }
+        ]);
+        assert.deepStrictEqual(generator.buildCrossReferences(rules, 'link').get('num').references[0], { name: 'DIGIT', id: 'DIGIT' });
+    });
+
+    test('HTML lists references under each rule', async () => {
+        const html = await generator.generateHTMLFromEnrichedRules(enrich('a = b c\nb = "x"'));
+        
+        assert.match(html, /Referenced by: <a href="#a">a<\/a>/);
+        assert.match(html, /References: <a href="#b">b<\/a>, <span class="undefined-rule">c<\/span>/);
+    });
+});
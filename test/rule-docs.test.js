@@ -0,0 +1,86 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ABNFParser = require('../src/abnf-parser');
+const HTMLGenerator = require('../src/html-generator');
+
+/**
+ * Tests for rule documentation taken from ABNF comments and formatted in generated HTML
+ */
+
+const parser = new ABNFParser();
+const generator = new HTMLGenerator();
+
+/**
+ * Parse ABNF into enriched rules with placeholder diagrams
+ */
+const enrich = (abnf) => new Map(Array.from(parser.parse(abnf), ([name, rule]) => [name, {
+    name: rule.name,
+    original: rule.original,
+    expression: rule.expression,
+    svg: '<svg></svg>',
+    debugString: '',
+    doc: rule.doc
+}]));
+
+describe('Rule Documentation', () => {
+    const cases = [
+        {
+            name: 'lines join into a paragraph, blank lines split paragraphs',
+            doc: 'First line\ncontinued\n\nSecond paragraph',
+            expected: '<p>First line continued</p>\n<p>Second paragraph</p>'
+        },
+        {
+            name: 'blocks of "- " lines become lists',
+            doc: 'Options:\n\n- one\n- two',
+            expected: '<p>Options:</p>\n<ul><li>one</li><li>two</li></ul>'
+        },
+        {
+            name: 'inline code, bold and italic',
+            doc: 'Use `SP` **always**, *never* tabs',
+            expected: '<p>Use <code>SP</code> <strong>always</strong>, <em>never</em> tabs</p>'
+        },
+        {
+            name: 'markdown links and bare URLs without trailing punctuation',
+            doc: 'See [RFC 5234](https://www.rfc-editor.org/rfc/rfc5234) or https://example.com/a.',
+            expected: '<p>See <a href="https://www.rfc-editor.org/rfc/rfc5234">RFC 5234</a> or <a href="https://example.com/a">https://example.com/a</a>.</p>'
+        },
+        {
+            name: 'asterisks inside words and between spaces stay text',
+            doc: 'a*b*c and 2 * 3 * 4',
+            expected: '<p>a*b*c and 2 * 3 * 4</p>'
+        },
+        {
+            name: 'HTML is escaped, also inside code',
+            doc: '<script>alert(1)</script> & `a<b>`',
+            expected: '<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; <code>a&lt;b&gt;</code></p>'
+        },
+        {
+            name: 'only http(s) links are linked',
+            doc: '[click](javascript:alert(1))',
+            expected: '<p>[click](javascript:alert(1))</p>'
+        }
+    ];
+
+    for (const { name, doc, expected } of cases) {
+        test(`formatDoc: ${name}`, () => {
+            assert.strictEqual(generator.formatDoc(doc), expected);
+        });
+    }
+
+    test('HTML shows formatted docs and escapes markup in comments', async () => {
+        const html = await generator.generateHTMLFromEnrichedRules(enrich([
+            '; Greeting with `SP`, see https://example.com',
+            '; <script>alert("x")</script> & more',
+            'greeting = "hello" SP "world"'
+        ].join('\n')));
+
+        assert.match(html, /<div class="rule-doc"><p>Greeting with <code>SP<\/code>, see <a href="https:\/\/example.com">https:\/\/example.com<\/a> &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt; &amp; more<\/p><\/div>/);
+        assert.ok(!html.includes('<script>alert'));
+    });
+
+    test('rules without docs have no doc block', async () => {
+        const html = await generator.generateHTMLFromEnrichedRules(enrich('bare = "x"'));
+
+        assert.ok(!html.includes('class="rule-doc"'));
+    });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NonterminalElement, SequenceElement, StackElement } = require('../src/elements');
+const { SVGRenderer } = require('../src/svg-renderer');
+const ABNFParser = require('../src/abnf-parser');
+const ASTTransformer = require('../src/ast-transformer');
+
+// Single-letter nonterminals are always the minimum width of 4 grid units
+const boxes = (count) => Array.from({ length: count }, (_, i) => new NonterminalElement(String.fromCharCode(65 + i)));
+const layoutConfig = (maxWidth) => ({ fontSize: 14, fontFamily: 'monospace', gridSize: 16, maxWidth });
+
+test('Sequence wrapping - Fitting sequences stay on one row', () => {
+    const sequence = new SequenceElement(boxes(3));
+    sequence.layout(layoutConfig(100));
+    
+    assert.strictEqual(sequence.rows.length, 1);
+    assert.strictEqual(sequence.width, 3 * 4 + 2 * 2);
+    assert.strictEqual(sequence.baseline, 1);
+});
+
+test('Sequence wrapping - Long sequences break into rows within maxWidth', () => {
+    const sequence = new SequenceElement(boxes(10));
+    sequence.layout(layoutConfig(30));
+    
+    // 24 units per row after the 4-unit left and 2-unit right margins: 4 boxes with 2-unit spacing
+    assert.deepStrictEqual(sequence.rows.map(row => row.children.length), [4, 4, 2]);
+    assert.strictEqual(sequence.width, 4 + 22 + 2);
+    assert.strictEqual(sequence.width % 2, 0);
+    
+    // Rows are 2 high plus a return track row and a gap row; the baseline is the last row's
+    assert.deepStrictEqual(sequence.rows.map(row => row.top), [0, 4, 8]);
+    assert.strictEqual(sequence.height, 10);
+    assert.strictEqual(sequence.baseline, 9);
+});
+
+test('Sequence wrapping - Children wider than a row get a row of their own', () => {
+    const wide = new NonterminalElement('a-rather-long-rule-name');
+    const sequence = new SequenceElement([...boxes(2), wide, ...boxes(2)]);
+    sequence.layout(layoutConfig(20));
+    
+    assert.deepStrictEqual(sequence.rows.map(row => row.children.length), [2, 1, 2]);
+    assert.strictEqual(sequence.width, wide.width + 6);
+});
+
+test('Sequence wrapping - Nested sequences wrap within their container', () => {
+    const stack = new StackElement([new SequenceElement(boxes(10)), new NonterminalElement('Z')]);
+    stack.layout(layoutConfig(34));
+    
+    assert.ok(stack.width <= 34, `stack width ${stack.width} should not exceed 34`);
+    assert.ok(stack.children[0].rows.length > 1);
+});
+
+test('Sequence wrapping - Renderer maxWidth limits the SVG width', () => {
+    const parser = new ABNFParser();
+    const rule = parser.parse('rule = A B C D E F G H I J K L M N O P').get('rule');
+    
+    const unwrapped = new SVGRenderer().render(rule.expression);
+    const wrapped = new SVGRenderer({ maxWidth: 400 }).render(rule.expression);
+    const svgWidth = (svg) => parseInt(svg.match(/<svg width="(\d+)"/)[1], 10);
+    
+    assert.ok(svgWidth(unwrapped) > 400);
+    assert.ok(svgWidth(wrapped) <= 400, `wrapped width ${svgWidth(wrapped)} should not exceed 400`);
+    assert.ok(wrapped.includes('data-id="wrap-entry"'));
+    assert.ok(wrapped.includes('data-id="wrap-exit"'));
+});
+
+test('Sequence wrapping - Deeply nested sequences stay within maxWidth', () => {
+    const parser = new ABNFParser();
+    const rule = parser.parse('rule = [A [B [C D E F G H I J K L M N O P Q R S T U V]]]').get('rule');
+    const svgWidth = (svg) => parseInt(svg.match(/<svg width="(\d+)"/)[1], 10);
+    
+    for (const maxWidth of [688, 800, 1000]) {
+        const width = svgWidth(new SVGRenderer({ maxWidth }).render(rule.expression));
+        assert.ok(width <= maxWidth, `width ${width} should not exceed ${maxWidth}`);
+    }
+});
+
+test('Sequence wrapping - Sequences wrapped inside optional wrapped sequences stay within maxWidth', () => {
+    const rules = new ABNFParser().parse('rule = "T" [ 1*DIGIT "H" ] [ 1*DIGIT "M" ] [ 1*DIGIT [ "." 1*DIGIT ] "S" ]');
+    const gridSize = 16;
+    
+    for (const maxWidth of [576, 640, 768]) {
+        const element = new ASTTransformer(rules).transform(rules.get('rule').expression);
+        element.layout({ ...layoutConfig(maxWidth / gridSize), gridSize });
+        
+        assert.ok(element.rows.length > 1);
+        assert.ok(element.width * gridSize <= maxWidth, `width ${element.width * gridSize} should not exceed ${maxWidth}`);
+    }
+});
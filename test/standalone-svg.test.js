@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SVGRenderer } = require('../src/svg-renderer');
+const ABNFToRailroad = require('../src/main');
+
+/**
+ * Tests for standalone SVG documents and the per-rule SVG export
+ */
+
+const diagram = {
+    type: 'sequence',
+    elements: [
+        { type: 'terminal', text: 'a' },
+        { type: 'repetition', min: 0, max: null, elements: [{ type: 'nonterminal', text: 'b' }] }
+    ]
+};
+
+describe('Standalone SVG', () => {
+    test('embeds the diagram styles sized by the render config', () => {
+        const svg = new SVGRenderer({ trackWidth: 3, fontSize: 12 }).renderStandalone(diagram);
+        
+        assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<svg /);
+        assert.match(svg, /<style>[^]*\.track \{ fill: none; stroke: #000; stroke-width: 3px;[^]*<\/style>/);
+        assert.match(svg, /\.textbox-text \{ font-family: Arial, sans-serif; font-size: 12px;/);
+    });
+
+    test('sizes endpoints and box corners with attributes, not only with CSS', () => {
+        const svg = new SVGRenderer({ endpointRadius: 5, textBoxRadius: 4 }).renderStandalone(diagram);
+        
+        assert.match(svg, /<circle cx="\d+" cy="\d+" r="5" class="endpoint"\/>/);
+        assert.match(svg, /<rect [^>]* rx="4" ry="4" class="textbox terminal"\/>/);
+        assert.doesNotMatch(svg, /\b(r|rx|ry): /);
+    });
+
+    test('has the same diagram body as the HTML rendering', () => {
+        const renderer = new SVGRenderer();
+        const body = (svg) => svg.slice(svg.indexOf('<circle'), svg.lastIndexOf('</svg>'));
+        
+        assert.strictEqual(body(renderer.renderStandalone(diagram)), body(renderer.render(diagram)));
+        assert.doesNotMatch(renderer.render(diagram), /<style>/);
+    });
+
+    test('escapes the title', () => {
+        const svg = new SVGRenderer().renderStandalone(diagram, { title: 'a<b' });
+        
+        assert.match(svg, /<title>a&lt;b<\/title>/);
+    });
+
+    test('export writes one file per rule, linking rules written together', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'abnf-svg-'));
+        const inputFile = path.join(dir, 'grammar.abnf');
+        await fs.writeFile(inputFile, 'list = item *( "," item )\nitem = name / number\nname = "x"\nnumber = "1"\n');
+        
+        try {
+            const results = await new ABNFToRailroad().exportSvgFiles(inputFile, path.join(dir, 'out'), { rules: ['ITEM', 'name'] });
+            
+            assert.deepStrictEqual(results.map(r => path.basename(r.file)), ['item.svg', 'name.svg']);
+            const item = await fs.readFile(results[0].file, 'utf8');
+            assert.match(item, /<a href="name\.svg" class="rule-link">/);
+            assert.doesNotMatch(item, /href="number\.svg"/);
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+
+    test('export rejects unknown rules', async () => {
+        await assert.rejects(
+            new ABNFToRailroad().exportSvgFiles(path.join(__dirname, '..', 'examples', 'calculator.abnf'), os.tmpdir(), { rules: ['nope'] }),
+            /Rule 'nope' is not defined/
+        );
+    });
+});
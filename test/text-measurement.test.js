@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { measureTextWithMetrics, cachedTextMeasurer, resolveTextMeasurer, TEXT_MEASURERS } = require('../src/text-measurer');
+const { SVGRenderer } = require('../src/svg-renderer');
+
+/**
+ * Tests for text measurement with bundled font metrics and the measurement cache
+ */
+
+describe('Text Measurement', () => {
+    const cases = [
+        { text: '"abc"', fontSize: 14, fontFamily: 'monospace', width: 42 },
+        { text: 'x–y', fontSize: 10, fontFamily: 'Courier New, monospace', width: 18 },
+        { text: 'Wi', fontSize: 10, fontFamily: 'Arial, sans-serif', width: 11.66 },
+        { text: 'HEXDIG', fontSize: 20, fontFamily: '"Helvetica Neue", sans-serif', width: 76.68 },
+        { text: 'a', fontSize: 10, fontFamily: 'Unknown Font', width: 6 }
+    ];
+
+    for (const { text, fontSize, fontFamily, width } of cases) {
+        test(`${JSON.stringify(text)} in ${fontSize}px ${fontFamily}`, () => {
+            const metrics = measureTextWithMetrics(text, fontSize, fontFamily);
+            assert.ok(Math.abs(metrics.width - width) < 1e-9, `expected ${width}, got ${metrics.width}`);
+            assert.strictEqual(metrics.height, fontSize * 1.2);
+        });
+    }
+
+    test('each (text, font) pair is measured once', () => {
+        const calls = [];
+        const measure = cachedTextMeasurer((text, fontSize, fontFamily) => {
+            calls.push([text, fontSize, fontFamily]);
+            return { width: text.length, height: fontSize };
+        });
+
+        measure('a', 14, 'monospace');
+        measure('a', 14, 'monospace');
+        measure('a', 12, 'monospace');
+        measure('a', 14, 'sans-serif');
+        measure('b', 14, 'monospace');
+
+        assert.deepStrictEqual(calls, [['a', 14, 'monospace'], ['a', 12, 'monospace'], ['a', 14, 'sans-serif'], ['b', 14, 'monospace']]);
+    });
+
+    test('measurers are resolved by name or passed through', () => {
+        const custom = () => ({ width: 0, height: 0 });
+
+        assert.strictEqual(resolveTextMeasurer('metrics'), TEXT_MEASURERS.metrics);
+        assert.strictEqual(resolveTextMeasurer(custom), custom);
+        assert.throws(() => resolveTextMeasurer('nope'), /Unknown text measurer 'nope' \(expected metrics or canvas\)/);
+    });
+
+    test('renderers lay out boxes with the configured measurer', () => {
+        const diagram = { type: 'terminal', text: '"abc"' };
+        const wide = new SVGRenderer({ measureText: (text) => ({ width: text.length * 32, height: 16 }) });
+
+        assert.match(new SVGRenderer().render(diagram), /<svg[^>]* width="193"/);
+        assert.match(wide.render(diagram), /<svg[^>]* width="289"/);
+    });
+});
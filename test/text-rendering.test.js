@@ -0,0 +1,102 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const AbnfParser = require('../src/abnf-parser');
+const { TextRenderer } = require('../src/text-renderer');
+
+/**
+ * Tests for text-art output: the layout grid mapped onto a character grid
+ */
+
+/**
+ * Render the first rule of an ABNF grammar as text
+ * @param {string} abnf - ABNF source
+ * @param {Object} [config] - Text renderer configuration
+ * @returns {string} Diagram text
+ */
+function renderText(abnf, config) {
+    const rules = new AbnfParser().parse(abnf);
+    const renderer = new TextRenderer(config);
+    renderer.setRules(rules);
+    return renderer.render(rules.values().next().value.expression);
+}
+
+describe('Text Rendering', () => {
+    const cases = [
+        {
+            name: 'sequence of a terminal and a nonterminal',
+            abnf: 'a = "x" DIGIT\n',
+            expected: [
+                '      ╭───────╮       ┌───────┐',
+                '●─────┤  "x"  ├───────┤ DIGIT ├─────●',
+                '      ╰───────╯       └───────┘'
+            ]
+        },
+        {
+            name: 'alternatives joined with tees and rounded corners',
+            abnf: 'a = "x" / "y"\n',
+            expected: [
+                '          ╭───────╮',
+                '●─────┬───┤  "x"  ├───┬─────●',
+                '      │   ╰───────╯   │',
+                '      │   ╭───────╮   │',
+                '      ╰───┤  "y"  ├───╯',
+                '          ╰───────╯'
+            ]
+        },
+        {
+            name: 'bounded loop with its label, the loop-back arrow and a prose box',
+            abnf: 'a = 2*3<text>\n',
+            expected: [
+                '             2–3',
+                '      ╭───────◄───────╮',
+                '      │   ┌┄┄┄┄┄┄┄┐   │',
+                '●─────┴───┤ text  ├───┴─────●',
+                '          └┄┄┄┄┄┄┄┘'
+            ]
+        },
+        {
+            name: 'ASCII fallback',
+            abnf: 'a = 2*3("x" / b)\n',
+            config: { ascii: true },
+            expected: [
+                '                 2-3',
+                '      +-----------<-----------+',
+                '      |       /-------\\       |',
+                'o-----+---+---|  "x"  |---+---+-----o',
+                '          |   \\-------/   |',
+                '          |     +---+     |',
+                '          +-----| b |-----+',
+                '                +---+'
+            ]
+        }
+    ];
+
+    for (const { name, abnf, config, expected } of cases) {
+        test(name, () => {
+            assert.strictEqual(renderText(abnf, config), expected.join('\n'));
+        });
+    }
+
+    test('loops and optional elements are drawn differently', () => {
+        const optional = renderText('a = [b]\nb = "b"\n');
+        const loop = renderText('a = 1*b\nb = "b"\n');
+
+        assert.notStrictEqual(loop, optional);
+        assert.ok(loop.includes('◄'));
+        assert.ok(!optional.includes('◄'));
+    });
+
+    test('ASCII output contains ASCII characters only', () => {
+        const text = renderText('a = 1*("x" [b] / 4c / <prose>)\nb = "b"\nc = "c"\n', { ascii: true });
+        assert.match(text, /^[\x20-\x7e\n]+$/);
+    });
+
+    test('long sequences wrap to the maximum width in characters', () => {
+        const abnf = 'a = "one" "two" "three" "four" "five" "six" "seven" "eight"\n';
+        const unwrapped = renderText(abnf);
+        const wrapped = renderText(abnf, { maxWidth: 60 });
+
+        assert.ok(Math.max(...unwrapped.split('\n').map(line => Array.from(line).length)) > 60);
+        assert.ok(Math.max(...wrapped.split('\n').map(line => Array.from(line).length)) <= 60);
+    });
+});